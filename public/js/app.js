@@ -13,13 +13,15 @@
 //
 //   Page-level controllers (called from EJS view scripts)
 //     initConnectPage, initBrowser, initDocumentPage, initDatabasesPage
-//     initPerformancePage, initThemeToggle
+//     initPerformancePage, initAccessPage, initAccountsPage, initAccountPage,
+//     initApprovalsPage, initThemeToggle
 //
 //   Feature modules
 //     Keyboard Shortcuts, Command Palette, Onboarding, What's New
 //     Recently viewed documents (with pin support), Open Tabs Bar
 //     Shell Panel, Connection Builder, Saved Queries / History
 //     Sparklines (sidebar count history), Scratchpad, Quick filter row
+//     Environment protection banner
 //     Query input validation, Inline Field Editing, Bulk Operations
 //     Duplicate Document, View Mode Switching (table/list/json)
 //     Diff Viewer, SQL→MQL, Schema Validation, Explain Plan
@@ -200,7 +202,10 @@ async function apiFetchJson(url, options = {}) {
 
   if (!res.ok) {
     const message = payload?.error || `Request failed with status ${res.status}`;
-    throw new Error(message);
+    const err = new Error(message);
+    err.status = res.status;
+    err.payload = payload;
+    throw err;
   }
 
   return payload;
@@ -1191,11 +1196,11 @@ async function createVaultConnection(connectionString, name, color) {
   return data.connection;
 }
 
-async function patchVaultConnection(id, name, color) {
+async function patchVaultConnection(id, name, color, protection) {
   const res = await fetch(`/api/connections/${encodeURIComponent(id)}`, {
     method: 'PATCH',
     headers: { 'Content-Type': 'application/json' },
-    body: JSON.stringify({ name, color }),
+    body: JSON.stringify({ name, color, protection }),
   });
   const data = await res.json();
   if (!res.ok) throw new Error(data.error || 'Failed to update connection');
@@ -1226,12 +1231,13 @@ function saveConnection(connectionString, name, color, id) {
   setConnections(connections);
 }
 
-function updateConnectionMeta(connectionIdentity, name, color) {
+function updateConnectionMeta(connectionIdentity, name, color, protection) {
   const connections = getConnections();
   const conn = connections.find(c => c.uri === connectionIdentity || c.id === connectionIdentity);
   if (conn) {
     if (name !== undefined) conn.name = name;
     if (color !== undefined) conn.color = color;
+    if (protection !== undefined) conn.protection = protection;
     setConnections(connections);
   }
 }
@@ -1302,6 +1308,151 @@ function applyConnectionBranding() {
 
 document.addEventListener('DOMContentLoaded', applyConnectionBranding);
 
+// ─── Environment protection banner ──────────────────────────────────────────
+// Staging and production connections get a strip under the header. The
+// server refuses writes on production until the session enables them, with
+// a reason, for a few minutes; the banner offers that and counts it down.
+// A READ_ONLY deployment gets the same for accounts that may break glass.
+let protectionTimer = null;
+let readOnlyTimer = null;
+
+// Ask for the reason and duration of a write elevation; null if cancelled.
+function promptWriteElevation(title, max) {
+  return ui.prompt({
+    title,
+    confirmText: 'Enable writes',
+    fields: [
+      { name: 'reason', label: 'Reason (kept in the audit log)', placeholder: 'Backfill missing invoice totals', autofocus: true },
+      { name: 'minutes', label: `Minutes (at most ${max})`, type: 'number', defaultValue: String(Math.min(15, max)) },
+    ],
+    validate: (v) => {
+      if (!v.reason.trim()) return 'A reason is required';
+      const n = Number(v.minutes);
+      return Number.isInteger(n) && n >= 1 && n <= max ? null : `Enter 1 to ${max} minutes`;
+    },
+  }).then((v) => (v ? { reason: v.reason.trim(), minutes: Number(v.minutes) } : null));
+}
+
+function protectionBannerEl(id) {
+  let banner = document.getElementById(id);
+  if (!banner) {
+    banner = document.createElement('div');
+    banner.id = id;
+    banner.setAttribute('role', 'status');
+    document.querySelector('.header').after(banner);
+  }
+  return banner;
+}
+
+const elevationUntil = (elevation) =>
+  new Date(elevation.until).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+
+function renderProtectionBanner(protection) {
+  if (!protection || protection.level === 'development' || !document.querySelector('.header')) {
+    document.getElementById('protectionBanner')?.remove();
+    return;
+  }
+  const banner = protectionBannerEl('protectionBanner');
+  const { level, elevation } = protection;
+  banner.className = `protection-banner protection-${level}`;
+  let text;
+  let action = '';
+  if (level === 'staging') {
+    text = 'Drops need the name typed to confirm.';
+  } else if (elevation) {
+    text = `Writes enabled until ${escapeHtml(elevationUntil(elevation))}: ${escapeHtml(elevation.reason)}`;
+    action = '<button type="button" class="btn btn-ghost btn-sm" data-protection-action="end">End now</button>';
+  } else {
+    text = 'Read-only. Writes must be enabled, with a reason, for a limited time.';
+    action = '<button type="button" class="btn btn-ghost btn-sm" data-protection-action="elevate">Enable writes…</button>';
+  }
+  banner.innerHTML = `<strong>${escapeHtml(level.toUpperCase())}</strong><span>${text}</span>${action}`;
+
+  banner.onclick = async (e) => {
+    const btn = e.target.closest('[data-protection-action]');
+    if (!btn) return;
+    const url = `/api/connections/${encodeURIComponent(protection.connectionId)}/elevation`;
+    try {
+      if (btn.dataset.protectionAction === 'end') {
+        const data = await apiFetchJson(url, { method: 'DELETE' });
+        renderProtectionBanner(data.protection);
+        return;
+      }
+      const values = await promptWriteElevation('Enable writes on production', protection.maxElevationMinutes);
+      if (!values) return;
+      const data = await apiFetchJson(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(values),
+      });
+      renderProtectionBanner(data.protection);
+      showToast('Writes enabled on this production connection', 'success');
+    } catch (err) {
+      showToast(err.message, 'error');
+    }
+  };
+
+  clearTimeout(protectionTimer);
+  if (elevation) {
+    protectionTimer = setTimeout(refreshProtectionBanner, Math.max(0, new Date(elevation.until) - Date.now()) + 1000);
+  }
+}
+
+// `state` is the status route's readOnlyState.
+function renderReadOnlyBanner(state) {
+  const { elevation } = state || {};
+  if (!state?.readOnly || !(elevation || state.canElevate) || !document.querySelector('.header')) {
+    document.getElementById('readOnlyBanner')?.remove();
+    return;
+  }
+  const banner = protectionBannerEl('readOnlyBanner');
+  banner.className = 'protection-banner protection-read-only';
+  banner.innerHTML = elevation
+    ? `<strong>READ-ONLY</strong><span>Writes enabled for your session until ${escapeHtml(elevationUntil(elevation))}: ${escapeHtml(elevation.reason)}</span>
+       <button type="button" class="btn btn-ghost btn-sm" data-read-only-action="end">End now</button>`
+    : `<strong>READ-ONLY</strong><span>This dashboard is read-only.</span>
+       <button type="button" class="btn btn-ghost btn-sm" data-read-only-action="elevate">Break glass…</button>`;
+
+  banner.onclick = async (e) => {
+    const btn = e.target.closest('[data-read-only-action]');
+    if (!btn) return;
+    try {
+      let data;
+      if (btn.dataset.readOnlyAction === 'end') {
+        data = await apiFetchJson('/api/read-only/elevation', { method: 'DELETE' });
+      } else {
+        const values = await promptWriteElevation('Enable writes for your session', state.maxElevationMinutes);
+        if (!values) return;
+        data = await apiFetchJson('/api/read-only/elevation', {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify(values),
+        });
+        showToast('Writes enabled for your session', 'success');
+      }
+      renderReadOnlyBanner({ ...data.readOnly, canElevate: state.canElevate });
+    } catch (err) {
+      showToast(err.message, 'error');
+    }
+  };
+
+  clearTimeout(readOnlyTimer);
+  if (elevation) {
+    readOnlyTimer = setTimeout(refreshProtectionBanner, Math.max(0, new Date(elevation.until) - Date.now()) + 1000);
+  }
+}
+
+async function refreshProtectionBanner() {
+  const status = await checkConnectionStatus();
+  renderReadOnlyBanner(status.connected ? status.readOnlyState : null);
+  renderProtectionBanner(status.connected ? status.protection : null);
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+  if (['/', '/connect', '/login'].includes(window.location.pathname)) return;
+  refreshProtectionBanner();
+});
+
 async function checkConnectionStatus() {
   try {
     const res = await fetch('/api/status');
@@ -1312,6 +1463,24 @@ async function checkConnectionStatus() {
   }
 }
 
+async function fetchOpenConnections() {
+  try {
+    const data = await apiFetchJson('/api/connections/open');
+    return data.connections || [];
+  } catch {
+    return [];
+  }
+}
+
+async function activateOpenConnection(id) {
+  try {
+    await apiFetchJson(`/api/connections/${encodeURIComponent(id)}/activate`, { method: 'POST' });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
 async function autoReconnect() {
   const activeConnection = getActiveConnection();
   const activeConnectionId = getActiveConnectionId();
@@ -1326,6 +1495,15 @@ async function autoReconnect() {
       if (status.connectionString === activeConnection) {
         return true;
       }
+      if (activeConnectionId && status.connectionId === activeConnectionId) {
+        return true;
+      }
+      // Still open in this session, just not the active one — flip to it
+      // instead of building a new pool.
+      const open = (status.openConnections || []).some((c) => c.id === activeConnectionId);
+      if (open && await activateOpenConnection(activeConnectionId)) {
+        return true;
+      }
     }
 
     // Try to reconnect
@@ -1645,9 +1823,13 @@ function getCommandActions() {
   const actions = [
     { label: 'Go to Databases', category: 'Navigation', action: () => window.location.href = '/databases' },
     { label: 'Go to Performance', category: 'Navigation', action: () => window.location.href = '/performance' },
+    { label: 'Go to Database Access', category: 'Navigation', action: () => window.location.href = '/access' },
+    { label: 'Go to Accounts', category: 'Navigation', action: () => window.location.href = '/accounts' },
+    { label: 'Go to My Account (two-factor, API tokens)', category: 'Navigation', action: () => window.location.href = '/account' },
     { label: 'Go to Connect', category: 'Navigation', action: () => window.location.href = '/' },
     { label: 'New Document', category: 'Actions', action: () => document.getElementById('addDocBtn')?.click() },
     { label: 'Refresh Documents', category: 'Actions', action: () => document.getElementById('refreshBtn')?.click() },
+    { label: 'Undo Last Change', category: 'Actions', action: () => undoJournalChange(null, () => document.getElementById('refreshBtn')?.click()) },
     { label: 'Run Query', category: 'Actions', action: () => document.getElementById('queryRunBtn')?.click() },
     { label: 'Import Documents', category: 'Actions', action: () => document.getElementById('importBtn')?.click() },
     { label: 'Export Documents', category: 'Actions', action: () => document.getElementById('exportBtn')?.click() },
@@ -2728,6 +2910,10 @@ function initShellPanel(dbName) {
         appendEntry(cmd, data.error || 'Unknown error', 'error', true);
         return;
       }
+      if (notifyPendingApproval(data)) {
+        appendEntry(cmd, `${data.approval.summary}: waiting for a second approver (see /approvals)`, 'text');
+        return;
+      }
 
       if (data.switchDb) {
         shellDb = data.switchDb;
@@ -2966,6 +3152,7 @@ async function initConnectPage() {
         ${conn.color ? `<span class="conn-color-dot" style="background:${conn.color}"></span>` : ''}
         <div class="conn-info">
           ${conn.name ? `<span class="conn-name">${escapeHtml(conn.name)}</span>` : ''}
+          ${conn.protection && conn.protection !== 'development' ? `<span class="protection-badge protection-${escapeHtml(conn.protection)}">${escapeHtml(conn.protection)}</span>` : ''}
           <span class="recent-host">${conn.uri ? maskConnectionString(conn.uri) : 'Saved in encrypted vault'}</span>
         </div>
         <span class="conn-label-btn" data-label="${encodeURIComponent(conn.id || conn.uri)}" title="Edit label">
@@ -3027,13 +3214,25 @@ async function initConnectPage() {
               { value: '#79c0ff', label: 'Sky' },
             ],
           },
+          // Enforced server-side, so only offered for vault connections.
+          ...(existing?.id ? [{
+            name: 'protection',
+            label: 'Protection',
+            type: 'select',
+            defaultValue: existing.protection || 'development',
+            options: [
+              { value: 'development', label: 'Development' },
+              { value: 'staging', label: 'Staging: drops need typed confirmation' },
+              { value: 'production', label: 'Production: read-only until writes are enabled' },
+            ],
+          }] : []),
         ],
       }).then((result) => {
         if (!result) return;
         if (existing?.id) {
-          patchVaultConnection(existing.id, result.name || '', result.color || '')
+          patchVaultConnection(existing.id, result.name || '', result.color || '', result.protection)
             .then((updated) => {
-              updateConnectionMeta(existing.id, updated.name || '', updated.color || '');
+              updateConnectionMeta(existing.id, updated.name || '', updated.color || '', updated.protection);
               renderBookmarks();
             })
             .catch((err) => showToast('Update failed: ' + err.message, 'error'));
@@ -3728,6 +3927,11 @@ async function initBrowser(dbName, collectionName) {
     loadDocuments(dbName, collectionName);
   });
 
+  // Undo the user's most recent journaled change (any collection).
+  document.getElementById('undoLastChangeBtn')?.addEventListener('click', () => {
+    undoJournalChange(null, () => document.getElementById('refreshBtn')?.click());
+  });
+
   // Add document button (split: main action + templates dropdown)
   const addDocBtn = document.getElementById('addDocBtn');
   if (addDocBtn) {
@@ -4963,13 +5167,21 @@ async function bulkDelete() {
     if (selectAll) selectAll.checked = false;
     updateBulkBar();
 
-    showToast(`Deleted ${data.deletedCount} documents`, 'success');
-
-    // Reload
-    currentCursor = null;
-    currentNextSkip = null;
-    allDocuments = [];
-    loadDocuments(dbName, collectionName);
+    const reload = () => {
+      currentCursor = null;
+      currentNextSkip = null;
+      allDocuments = [];
+      loadDocuments(dbName, collectionName);
+    };
+    showToast(
+      `Deleted ${data.deletedCount} documents`,
+      'success',
+      data.journalId ? 8000 : undefined,
+      data.journalId
+        ? { actionLabel: 'Undo', onAction: () => undoJournalChange(data.journalId, reload) }
+        : undefined
+    );
+    reload();
   } catch (err) {
     showToast(`Bulk delete failed: ${err.message}`, 'error');
   }
@@ -5753,7 +5965,7 @@ async function saveDocument() {
       ? `/api/${encodeURIComponent(currentModalDb)}/${encodeURIComponent(currentModalCol)}`
       : `/api/${encodeURIComponent(currentModalDb)}/${encodeURIComponent(currentModalCol)}/${encodeURIComponent(docId)}`;
 
-    await apiFetchJson(url, {
+    const saved = await apiFetchJson(url, {
       method: isNew ? 'POST' : 'PUT',
       headers: { 'Content-Type': 'application/json' },
       body: JSON.stringify(doc)
@@ -5766,9 +5978,20 @@ async function saveDocument() {
     docModalOriginalSerialized = null;
     
     // Refresh the document list
-    currentCursor = null;
-    allDocuments = [];
-    loadDocuments(currentModalDb, currentModalCol);
+    const dbName = currentModalDb;
+    const colName = currentModalCol;
+    const reload = () => {
+      currentCursor = null;
+      allDocuments = [];
+      loadDocuments(dbName, colName);
+    };
+    reload();
+    if (saved.journalId) {
+      showToast('Document saved', 'success', 8000, {
+        actionLabel: 'Undo',
+        onAction: () => undoJournalChange(saved.journalId, reload),
+      });
+    }
   } catch (err) {
     errorEl.textContent = err.message;
     errorEl.style.display = 'block';
@@ -5806,7 +6029,7 @@ async function openDeleteModal(dbName, collectionName, docId, snapshot = null) {
 
 async function confirmDelete() {
   try {
-    await apiFetchJson(`/api/${encodeURIComponent(deleteDbName)}/${encodeURIComponent(deleteColName)}/${encodeURIComponent(deleteDocId)}`, {
+    const data = await apiFetchJson(`/api/${encodeURIComponent(deleteDbName)}/${encodeURIComponent(deleteColName)}/${encodeURIComponent(deleteDocId)}`, {
       method: 'DELETE',
     });
 
@@ -5821,7 +6044,19 @@ async function confirmDelete() {
       currentCursor = null;
       allDocuments = [];
       loadDocuments(deleteDbName, deleteColName);
-      if (deletedSnapshot) {
+      if (data.journalId) {
+        const dbName = deleteDbName;
+        const colName = deleteColName;
+        showToast('Document deleted', 'warning', 8000, {
+          actionLabel: 'Undo',
+          onAction: () =>
+            undoJournalChange(data.journalId, () => {
+              currentCursor = null;
+              allDocuments = [];
+              loadDocuments(dbName, colName);
+            }),
+        });
+      } else if (deletedSnapshot) {
         showToast('Document deleted', 'warning', 8000, {
           actionLabel: 'Undo',
           onAction: async () => {
@@ -5845,6 +6080,268 @@ async function confirmDelete() {
   }
 }
 
+// ─── Four-eyes approvals ─────────────────────────────────────────────────────
+// With FOUR_EYES_APPROVAL on, destructive requests answer 202 with a pending
+// change request instead of running. Returns true when `data` is one.
+function notifyPendingApproval(data) {
+  if (!data?.pending || !data.approval) return false;
+  showToast(`${data.approval.summary}: waiting for a second approver`, 'info', 8000, {
+    actionLabel: 'View',
+    onAction: () => { window.location.href = '/approvals'; },
+  });
+  return true;
+}
+
+const APPROVAL_STATUS_COLORS = {
+  pending: 'var(--warning)',
+  executed: 'var(--success)',
+  failed: 'var(--danger)',
+  rejected: 'var(--danger)',
+};
+
+function initApprovalsPage() {
+  const tbody = document.getElementById('approvalsBody');
+  const statusSelect = document.getElementById('approvalsStatus');
+  const note = document.getElementById('approvalsNote');
+  let requests = [];
+  let state = {};
+
+  const when = (iso) => (iso ? escapeHtml(new Date(iso).toLocaleString()) : '—');
+
+  function outcome(r) {
+    if (r.error) return `<div style="color:var(--danger)">${escapeHtml(r.error)}</div>`;
+    if (r.result) return `<div><code>${escapeHtml(JSON.stringify(r.result))}</code></div>`;
+    return '';
+  }
+
+  function actions(r, i) {
+    if (r.status !== 'pending') return '';
+    const own = (r.requestedBy || '').toLowerCase() === String(state.username || '').toLowerCase();
+    if (own) {
+      return `<button class="btn btn-ghost btn-sm" data-approval-action="cancel" data-index="${i}">Withdraw</button>`;
+    }
+    if (!state.canApprove) return '';
+    return `
+      <button class="btn btn-primary btn-sm" data-approval-action="approve" data-index="${i}">Approve</button>
+      <button class="btn btn-ghost btn-sm" data-approval-action="reject" data-index="${i}" style="color:var(--danger)">Reject</button>
+    `;
+  }
+
+  async function load() {
+    try {
+      const status = statusSelect.value;
+      state = await apiFetchJson(`/api/approvals${status ? `?status=${encodeURIComponent(status)}` : ''}`);
+      requests = state.requests || [];
+      note.hidden = state.enabled;
+      note.textContent = state.enabled ? '' : 'Four-eyes mode is off (FOUR_EYES_APPROVAL); destructive operations run immediately.';
+      if (!requests.length) {
+        tbody.innerHTML = `<tr><td colspan="6" style="text-align:center;padding:24px;color:var(--text-muted)">No ${escapeHtml(status)} change requests.</td></tr>`;
+        return;
+      }
+      tbody.innerHTML = requests.map((r, i) => `
+        <tr>
+          <td>${escapeHtml(r.summary)}</td>
+          <td><code>${escapeHtml(r.connectionId || 'preset')}</code></td>
+          <td><code>${escapeHtml(r.requestedBy || '—')}</code><div style="color:var(--text-muted)">${when(r.requestedAt)}</div></td>
+          <td><span style="color:${APPROVAL_STATUS_COLORS[r.status] || 'var(--text-muted)'}">${escapeHtml(r.status)}</span>${r.status === 'pending' ? `<div style="color:var(--text-muted)">until ${when(r.expiresAt)}</div>` : ''}</td>
+          <td>${r.decidedBy ? `<code>${escapeHtml(r.decidedBy)}</code> · ${when(r.decidedAt)}` : '—'}${r.comment ? `<div>${escapeHtml(r.comment)}</div>` : ''}${outcome(r)}</td>
+          <td style="white-space:nowrap">${actions(r, i)}</td>
+        </tr>
+      `).join('');
+    } catch (err) {
+      tbody.innerHTML = `<tr><td colspan="6" style="color:var(--danger);padding:24px;text-align:center">Error: ${escapeHtml(err.message)}</td></tr>`;
+    }
+  }
+
+  async function decide(r, verb, comment) {
+    try {
+      const data = await apiFetchJson(`/api/approvals/${encodeURIComponent(r.id)}/${verb}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ comment }),
+      });
+      const done = data.request;
+      if (done.status === 'failed') showToast(`Approved, but it failed: ${done.error}`, 'error', 8000);
+      else showToast(`${done.summary}: ${done.status}`, 'success');
+    } catch (err) {
+      showToast(err.message, 'error');
+    }
+    await load();
+  }
+
+  tbody.addEventListener('click', async (e) => {
+    const btn = e.target.closest('[data-approval-action]');
+    if (!btn) return;
+    const r = requests[Number(btn.dataset.index)];
+    if (!r) return;
+    const action = btn.dataset.approvalAction;
+    if (action === 'approve') {
+      const ok = await ui.confirm({
+        title: 'Approve and run?',
+        message: `${r.summary}, requested by ${r.requestedBy}. The server runs it on your connection "${r.connectionId || 'preset'}" right away.`,
+        confirmText: 'Approve',
+        danger: true,
+      });
+      if (ok) await decide(r, 'approve', null);
+    } else if (action === 'reject') {
+      const reason = await ui.prompt({
+        title: 'Reject change request',
+        message: r.summary,
+        placeholder: 'Reason (optional)',
+        confirmText: 'Reject',
+      });
+      if (reason !== null) await decide(r, 'reject', reason || null);
+    } else if (action === 'cancel') {
+      const ok = await ui.confirm({ title: 'Withdraw this request?', message: r.summary, confirmText: 'Withdraw' });
+      if (ok) await decide(r, 'reject', null);
+    }
+  });
+
+  statusSelect.addEventListener('change', load);
+  load();
+}
+
+// ─── Change journal: undo / history ─────────────────────────────────────────
+// The server journals edits and deletes with their pre-images; these put
+// them back. An undo that would overwrite a later change asks first.
+
+const JOURNAL_OP_LABELS = {
+  insert: 'Insert',
+  replace: 'Edit',
+  patch: 'Field update',
+  delete: 'Delete',
+  'bulk-delete': 'Bulk delete',
+  undo: 'Undo',
+};
+
+async function undoJournalChange(id, onDone) {
+  const send = (force) =>
+    apiFetchJson('/api/change-journal/undo', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ ...(id ? { id } : {}), force }),
+    });
+  try {
+    let result;
+    try {
+      result = await send(false);
+    } catch (err) {
+      if (err.status !== 409 || !err.payload?.conflicts) throw err;
+      const ok = await ui.confirm({
+        title: 'Overwrite later changes?',
+        message: `${err.message}. Undo anyway and overwrite them?`,
+        confirmText: 'Undo anyway',
+        danger: true,
+      });
+      if (!ok) return null;
+      result = await send(true);
+    }
+    const entry = result.entry;
+    const label = JOURNAL_OP_LABELS[entry?.op] || 'Change';
+    showToast(`${label} on ${entry?.db}.${entry?.collection} undone`, 'success', 2600);
+    if (onDone) onDone(result);
+    return result;
+  } catch (err) {
+    showToast(`Undo failed: ${err.message}`, 'error');
+    return null;
+  }
+}
+
+const docJson = (doc) => (doc ? JSON.stringify(doc, null, 2) : '');
+
+// Timeline of a document's journaled changes, newest first. Each entry
+// diffs the document before and after the change; any state it had before
+// one of them can be restored with a PUT (which is journaled in turn), an
+// upsert so that it also brings back a deleted document. `currentDoc` is
+// null when the document no longer exists.
+async function openDocumentHistory(dbName, collectionName, docId, currentDoc) {
+  const base = `/api/${encodeURIComponent(dbName)}/${encodeURIComponent(collectionName)}/${encodeURIComponent(docId)}`;
+  let data;
+  try {
+    data = await apiFetchJson(`${base}/versions`);
+  } catch (err) {
+    showToast(`Could not load history: ${err.message}`, 'error');
+    return;
+  }
+  const { versions } = data;
+  // Entries journaled without an after-image diff against the next newer
+  // state: that change's before-image, or the document as it is now.
+  const afterOf = (i) => {
+    if (versions[i].after !== undefined) return versions[i].after;
+    return i === 0 ? currentDoc : versions[i - 1].document;
+  };
+
+  const rows = versions.map((v, i) => `
+    <li class="doc-version" data-index="${i}">
+      <div class="doc-version-head">
+        <div class="doc-version-meta">
+          <strong>${escapeHtml(JOURNAL_OP_LABELS[v.op] || v.op)}</strong>
+          <span>${escapeHtml(new Date(v.at).toLocaleString())}</span>
+          ${v.username ? `<span>by ${escapeHtml(v.username)}</span>` : ''}
+        </div>
+        <div class="doc-version-actions">
+          <button type="button" class="btn btn-ghost btn-sm doc-version-toggle">Show changes</button>
+          ${v.document ? '<button type="button" class="btn btn-ghost btn-sm doc-version-restore">Restore version before</button>' : ''}
+        </div>
+      </div>
+      <div class="doc-version-diff" data-diff-host style="display:none"></div>
+    </li>`).join('');
+  const empty = data.enabled
+    ? 'No changes to this document were made through the dashboard recently.'
+    : 'Document history is turned off on this server (CHANGE_HISTORY_DEPTH=0).';
+  const { root, bodyEl, actionsEl } = _uiBuildModal({
+    title: 'Document history',
+    body: rows ? `<ol class="doc-version-list">${rows}</ol>` : `<p class="ui-modal-message">${empty}</p>`,
+    kind: 'history',
+  });
+  const closeBtn = document.createElement('button');
+  closeBtn.className = 'btn btn-ghost';
+  closeBtn.textContent = 'Close';
+  actionsEl.append(closeBtn);
+  const cleanup = _uiOpen(root, root.querySelector('.ui-modal-dialog'));
+  closeBtn.addEventListener('click', () => cleanup());
+
+  bodyEl.querySelectorAll('.doc-version').forEach((item) => {
+    const v = versions[Number(item.dataset.index)];
+    const host = item.querySelector('.doc-version-diff');
+    const toggle = item.querySelector('.doc-version-toggle');
+    toggle.addEventListener('click', () => {
+      const open = host.style.display !== 'none';
+      if (!open && !host.hasChildNodes()) {
+        host.dataset.diffOld = docJson(v.document);
+        host.dataset.diffNew = docJson(afterOf(Number(item.dataset.index)));
+        host.innerHTML = renderDiff(host.dataset.diffOld, host.dataset.diffNew);
+      }
+      host.style.display = open ? 'none' : 'block';
+      toggle.textContent = open ? 'Show changes' : 'Hide changes';
+    });
+
+    item.querySelector('.doc-version-restore')?.addEventListener('click', async () => {
+      const ok = await ui.confirm({
+        title: 'Restore this version?',
+        message: `The document is replaced with its state from before the ${new Date(v.at).toLocaleString()} change. You can undo the restore.`,
+        confirmText: 'Restore',
+        danger: true,
+      });
+      if (!ok) return;
+      const fields = { ...v.document };
+      delete fields._id;
+      try {
+        await apiFetchJson(`${base}?upsert=true`, {
+          method: 'PUT',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify(fields),
+        });
+        cleanup();
+        showToast('Version restored', 'success', 2200);
+        setTimeout(() => window.location.reload(), 600);
+      } catch (err) {
+        showToast(`Restore failed: ${err.message}`, 'error');
+      }
+    });
+  });
+}
+
 // Document Detail Page
 async function initDocumentPage(dbName, collectionName, docId) {
   const treeEl = document.getElementById('documentTree');
@@ -5895,6 +6392,10 @@ async function initDocumentPage(dbName, collectionName, docId) {
       openDeleteModalForPage(dbName, collectionName, docId);
     });
 
+    document.getElementById('historyDocBtn')?.addEventListener('click', () => {
+      openDocumentHistory(dbName, collectionName, docId, data.document);
+    });
+
     // Setup edit modal handlers
     setupEditModalHandlers(dbName, collectionName, docId);
 
@@ -5902,6 +6403,12 @@ async function initDocumentPage(dbName, collectionName, docId) {
     setupDocPageJkNav(dbName, collectionName, docId);
   } catch (err) {
     treeEl.innerHTML = `<div style="color: var(--danger);">Error: ${err.message}</div>`;
+    // A deleted document can still be brought back from its history.
+    if (err.status === 404) {
+      document.getElementById('historyDocBtn')?.addEventListener('click', () => {
+        openDocumentHistory(dbName, collectionName, docId, null);
+      });
+    }
   }
 }
 
@@ -8349,66 +8856,804 @@ window.killOp = async function(opid) {
   }
 };
 
-// ─── Schema Validation ───────────────────────────────────────────────────────
+// ─── Database Access (MongoDB users & roles) ────────────────────────────────
+
+// "readWrite, read@reporting" <-> ["readWrite", { role: "read", db: "reporting" }]
+function parseRoleList(text, dbName) {
+  return String(text || '')
+    .split(',')
+    .map((t) => t.trim())
+    .filter(Boolean)
+    .map((t) => {
+      const [role, db] = t.split('@');
+      return db && db !== dbName ? { role, db } : role;
+    });
+}
 
-async function initValidationPanel(dbName, collectionName) {
-  const panel = document.getElementById('panel-validation');
-  if (!panel) return;
+function formatRoleList(roles, dbName) {
+  return (roles || [])
+    .map((r) => (typeof r === 'string' ? r : r.db === dbName ? r.role : `${r.role}@${r.db}`))
+    .join(', ');
+}
 
-  // Load current validation rules when tab becomes visible
-  panel._loaded = false;
-  panel._load = async () => {
-    if (panel._loaded) return;
-    panel._loaded = true;
+function initAccessPage() {
+  const dbSelect = document.getElementById('accessDb');
+  const usersBody = document.getElementById('accessUsersBody');
+  const rolesBody = document.getElementById('accessRolesBody');
+  let dbName = new URLSearchParams(window.location.search).get('db') || 'admin';
+  let users = [];
+  let roles = [];
 
-    // Initialize CodeMirror for validation editor
-    const validatorEl = document.getElementById('validatorEditor');
-    if (validatorEl && !cmEditors['validatorEditor']) {
-      createJsonEditor('validatorEditor');
-    }
+  const base = () => `/api/access/${encodeURIComponent(dbName)}`;
+  const errorRow = (msg) => `<tr><td colspan="4" style="color:var(--danger);padding:24px;text-align:center">Error: ${escapeHtml(msg)}</td></tr>`;
+  const emptyRow = (msg) => `<tr><td colspan="4" style="text-align:center;padding:24px;color:var(--text-muted)">${escapeHtml(msg)}</td></tr>`;
 
+  async function loadDatabases() {
     try {
-      const res = await fetch(`/api/${encodeURIComponent(dbName)}/${encodeURIComponent(collectionName)}/validation`);
-      const data = await res.json();
-      if (!res.ok) throw new Error(data.error);
-
-      const levelEl = document.getElementById('validationLevel');
-      const actionEl = document.getElementById('validationAction');
-      if (levelEl) levelEl.value = data.validationLevel || 'strict';
-      if (actionEl) actionEl.value = data.validationAction || 'error';
-      setEditorValue('validatorEditor', data.validator ? JSON.stringify(data.validator, null, 2) : '');
-      refreshEditor('validatorEditor');
+      const data = await apiFetchJson('/api/databases');
+      const names = (data.databases || []).map((d) => d.name);
+      if (!names.includes(dbName)) names.unshift(dbName);
+      dbSelect.innerHTML = names
+        .map((n) => `<option value="${escapeHtml(n)}" ${n === dbName ? 'selected' : ''}>${escapeHtml(n)}</option>`)
+        .join('');
     } catch (err) {
-      const errEl = document.getElementById('validationError');
-      if (errEl) { errEl.textContent = 'Failed to load validation rules: ' + err.message; errEl.style.display = 'block'; }
+      showToast('Failed to list databases: ' + err.message, 'error');
     }
-  };
+  }
 
-  // Save
-  document.getElementById('saveValidation')?.addEventListener('click', async () => {
-    const errEl = document.getElementById('validationError');
-    const successEl = document.getElementById('validationSuccess');
-    errEl.style.display = 'none';
-    successEl.style.display = 'none';
+  async function loadUsers() {
+    try {
+      const data = await apiFetchJson(`${base()}/users`);
+      users = data.users || [];
+      if (!users.length) {
+        usersBody.innerHTML = emptyRow(`No users defined on ${dbName}.`);
+        return;
+      }
+      usersBody.innerHTML = users.map((u, i) => `
+        <tr>
+          <td><code>${escapeHtml(u.user)}</code></td>
+          <td>${escapeHtml(formatRoleList(u.roles, dbName)) || '—'}</td>
+          <td>${escapeHtml((u.mechanisms || []).join(', ') || '—')}</td>
+          <td style="white-space:nowrap">
+            <button class="btn btn-ghost btn-sm" data-user-action="roles" data-index="${i}">Roles</button>
+            <button class="btn btn-ghost btn-sm" data-user-action="password" data-index="${i}">Password</button>
+            <button class="btn btn-ghost btn-sm" data-user-action="drop" data-index="${i}" style="color:var(--danger)">Drop</button>
+          </td>
+        </tr>
+      `).join('');
+    } catch (err) {
+      usersBody.innerHTML = errorRow(err.message);
+    }
+  }
 
-    let validator = null;
-    const validatorStr = getEditorValue('validatorEditor').trim();
-    if (validatorStr) {
-      try { validator = JSON.parse(validatorStr); }
-      catch (e) { errEl.textContent = 'Invalid JSON: ' + e.message; errEl.style.display = 'block'; return; }
+  async function loadRoles() {
+    const builtin = document.getElementById('accessShowBuiltin')?.checked === true;
+    try {
+      const data = await apiFetchJson(`${base()}/roles${builtin ? '?builtin=true' : ''}`);
+      roles = data.roles || [];
+      if (!roles.length) {
+        rolesBody.innerHTML = emptyRow(`No custom roles defined on ${dbName}.`);
+        return;
+      }
+      rolesBody.innerHTML = roles.map((r, i) => `
+        <tr>
+          <td><code>${escapeHtml(r.role)}</code>${r.isBuiltin ? ' <span style="color:var(--text-muted);font-size:11px">built-in</span>' : ''}</td>
+          <td>${escapeHtml(formatRoleList(r.roles, dbName)) || '—'}</td>
+          <td title="${escapeHtml(JSON.stringify(r.privileges))}">${r.privileges.length}</td>
+          <td style="white-space:nowrap">
+            ${r.isBuiltin ? '' : `
+              <button class="btn btn-ghost btn-sm" data-role-action="edit" data-index="${i}">Edit</button>
+              <button class="btn btn-ghost btn-sm" data-role-action="drop" data-index="${i}" style="color:var(--danger)">Drop</button>
+            `}
+          </td>
+        </tr>
+      `).join('');
+    } catch (err) {
+      rolesBody.innerHTML = errorRow(err.message);
     }
+  }
 
-    const btn = document.getElementById('saveValidation');
-    btn.disabled = true; btn.textContent = 'Saving...';
+  const reload = () => Promise.all([loadUsers(), loadRoles()]);
+
+  async function send(url, method, body, okMessage) {
     try {
-      const res = await fetch(`/api/${encodeURIComponent(dbName)}/${encodeURIComponent(collectionName)}/validation`, {
-        method: 'PUT',
+      await apiFetchJson(url, {
+        method,
         headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({
-          validator,
-          validationLevel: document.getElementById('validationLevel')?.value || 'strict',
-          validationAction: document.getElementById('validationAction')?.value || 'error',
-        }),
+        body: body ? JSON.stringify(body) : undefined,
+      });
+      showToast(okMessage, 'success');
+      await reload();
+      return true;
+    } catch (err) {
+      showToast(err.message, 'error');
+      return false;
+    }
+  }
+
+  const privilegesError = (text) => {
+    if (!text.trim()) return null;
+    try {
+      return Array.isArray(JSON.parse(text)) ? null : 'Privileges must be a JSON array';
+    } catch {
+      return 'Privileges must be valid JSON';
+    }
+  };
+
+  document.getElementById('accessAddUserBtn')?.addEventListener('click', async () => {
+    const values = await ui.prompt({
+      title: `Add user to ${dbName}`,
+      confirmText: 'Create',
+      fields: [
+        { name: 'user', label: 'Username', autofocus: true },
+        { name: 'pwd', label: 'Password', type: 'password' },
+        { name: 'roles', label: 'Roles (comma separated, role@db for other databases)', placeholder: 'readWrite, read@reporting' },
+      ],
+      validate: (v) => {
+        if (!v.user.trim()) return 'Username is required';
+        if (v.pwd.length < 8) return 'Password must be at least 8 characters';
+        return null;
+      },
+    });
+    if (!values) return;
+    await send(`${base()}/users`, 'POST', {
+      user: values.user.trim(),
+      pwd: values.pwd,
+      roles: parseRoleList(values.roles, dbName),
+    }, `User ${values.user.trim()} created`);
+  });
+
+  usersBody.addEventListener('click', async (e) => {
+    const btn = e.target.closest('[data-user-action]');
+    if (!btn) return;
+    const u = users[Number(btn.dataset.index)];
+    if (!u) return;
+    const url = `${base()}/users/${encodeURIComponent(u.user)}`;
+    if (btn.dataset.userAction === 'roles') {
+      const text = await ui.prompt({
+        title: `Roles for ${u.user}`,
+        message: 'Comma separated; use role@db for other databases',
+        defaultValue: formatRoleList(u.roles, dbName),
+      });
+      if (text === null) return;
+      await send(url, 'PATCH', { roles: parseRoleList(text, dbName) }, `Roles updated for ${u.user}`);
+    } else if (btn.dataset.userAction === 'password') {
+      const pwd = await ui.prompt({
+        title: `Reset password for ${u.user}`,
+        message: 'New password',
+        type: 'password',
+        validate: (v) => (v.value.length < 8 ? 'Password must be at least 8 characters' : null),
+      });
+      if (pwd === null) return;
+      await send(url, 'PATCH', { pwd }, `Password changed for ${u.user}`);
+    } else if (btn.dataset.userAction === 'drop') {
+      const ok = await ui.confirm({
+        title: `Drop user ${u.user}?`,
+        message: `Applications signing in as ${u.user}@${dbName} will stop working.`,
+        confirmText: 'Drop user',
+        danger: true,
+      });
+      if (!ok) return;
+      await send(url, 'DELETE', null, `User ${u.user} dropped`);
+    }
+  });
+
+  document.getElementById('accessAddRoleBtn')?.addEventListener('click', async () => {
+    const values = await ui.prompt({
+      title: `Create role on ${dbName}`,
+      confirmText: 'Create',
+      fields: [
+        { name: 'role', label: 'Role name', autofocus: true },
+        { name: 'roles', label: 'Inherits roles (comma separated)', placeholder: 'read' },
+        { name: 'privileges', label: 'Privileges (JSON array)', placeholder: '[{"resource":{"db":"shop","collection":"orders"},"actions":["find","update"]}]' },
+      ],
+      validate: (v) => (!v.role.trim() ? 'Role name is required' : privilegesError(v.privileges)),
+    });
+    if (!values) return;
+    await send(`${base()}/roles`, 'POST', {
+      role: values.role.trim(),
+      roles: parseRoleList(values.roles, dbName),
+      privileges: values.privileges.trim() ? JSON.parse(values.privileges) : [],
+    }, `Role ${values.role.trim()} created`);
+  });
+
+  rolesBody.addEventListener('click', async (e) => {
+    const btn = e.target.closest('[data-role-action]');
+    if (!btn) return;
+    const r = roles[Number(btn.dataset.index)];
+    if (!r) return;
+    const url = `${base()}/roles/${encodeURIComponent(r.role)}`;
+    if (btn.dataset.roleAction === 'edit') {
+      const values = await ui.prompt({
+        title: `Edit role ${r.role}`,
+        fields: [
+          { name: 'roles', label: 'Inherits roles (comma separated)', defaultValue: formatRoleList(r.roles, dbName) },
+          { name: 'privileges', label: 'Privileges (JSON array)', defaultValue: JSON.stringify(r.privileges) },
+        ],
+        validate: (v) => privilegesError(v.privileges),
+      });
+      if (!values) return;
+      await send(url, 'PATCH', {
+        roles: parseRoleList(values.roles, dbName),
+        privileges: values.privileges.trim() ? JSON.parse(values.privileges) : [],
+      }, `Role ${r.role} updated`);
+    } else if (btn.dataset.roleAction === 'drop') {
+      const ok = await ui.confirm({
+        title: `Drop role ${r.role}?`,
+        message: 'Users holding this role lose its privileges immediately.',
+        confirmText: 'Drop role',
+        danger: true,
+      });
+      if (!ok) return;
+      await send(url, 'DELETE', null, `Role ${r.role} dropped`);
+    }
+  });
+
+  dbSelect?.addEventListener('change', () => {
+    dbName = dbSelect.value;
+    const url = new URL(window.location.href);
+    url.searchParams.set('db', dbName);
+    window.history.replaceState(null, '', url);
+    reload();
+  });
+  document.getElementById('accessShowBuiltin')?.addEventListener('change', loadRoles);
+
+  loadDatabases();
+  reload();
+}
+
+// ─── Dashboard Accounts ─────────────────────────────────────────────────────
+
+// "orders.*=read,write; billing=read" <-> [{ ns: "orders.*", permissions: [...] }]
+function parseGrantList(text) {
+  return String(text || '')
+    .split(';')
+    .map((t) => t.trim())
+    .filter(Boolean)
+    .map((t) => {
+      const [ns, perms = ''] = t.split('=');
+      return { ns: ns.trim() || '*', permissions: perms.split(',').map((p) => p.trim()).filter(Boolean) };
+    });
+}
+
+function formatGrantList(grants) {
+  return (grants || []).map((g) => `${g.ns}=${g.permissions.join(',')}`).join('; ');
+}
+
+// API token table rows; `owner` adds the owner column (admin listing).
+function renderApiTokenRows(tokens, { owner = false } = {}) {
+  const cols = owner ? 6 : 5;
+  if (!tokens.length) {
+    return `<tr><td colspan="${cols}" style="text-align:center;padding:24px;color:var(--text-muted)">No API tokens.</td></tr>`;
+  }
+  const when = (iso) => (iso ? escapeHtml(new Date(iso).toLocaleString()) : '—');
+  return tokens.map((t, i) => `
+    <tr${t.active ? '' : ' style="opacity:0.6"'}>
+      ${owner ? `<td><code>${escapeHtml(t.username)}</code></td>` : ''}
+      <td>${escapeHtml(t.name)} <code>${escapeHtml(t.prefix)}…</code></td>
+      <td>${escapeHtml(t.permissions.join(', '))}</td>
+      <td>${when(t.lastUsedAt)}${t.lastUsedIp ? ` · ${escapeHtml(t.lastUsedIp)}` : ''}</td>
+      <td>${t.revokedAt ? '<span style="color:var(--danger)">Revoked</span>' : when(t.expiresAt)}</td>
+      <td>${t.active ? `<button class="btn btn-ghost btn-sm" data-token-revoke="${i}" style="color:var(--danger)">Revoke</button>` : ''}</td>
+    </tr>
+  `).join('');
+}
+
+async function confirmRevokeToken(token) {
+  return ui.confirm({
+    title: `Revoke token ${token.name}?`,
+    message: 'Scripts using it get 401 responses from now on.',
+    confirmText: 'Revoke',
+    danger: true,
+  });
+}
+
+function initAccountsPage() {
+  const tbody = document.getElementById('accountsBody');
+  const rolesBody = document.getElementById('accountRolesBody');
+  const tokensBody = document.getElementById('accountTokensBody');
+  const sessionsBody = document.getElementById('accountSessionsBody');
+  let tokens = [];
+  let sessions = [];
+  let accounts = [];
+  let roles = ['viewer', 'editor', 'admin'];
+  let customRoles = [];
+  let permissions = [];
+
+  const passwordCheck = (value) => (value.length < 8 ? 'Password must be at least 8 characters' : null);
+
+  async function load() {
+    try {
+      const data = await apiFetchJson('/api/accounts');
+      accounts = data.users || [];
+      roles = data.roles || roles;
+      if (!accounts.length) {
+        tbody.innerHTML = '<tr><td colspan="6" style="text-align:center;padding:24px;color:var(--text-muted)">No accounts yet.</td></tr>';
+        return;
+      }
+      tbody.innerHTML = accounts.map((u, i) => `
+        <tr>
+          <td><code>${escapeHtml(u.username)}</code></td>
+          <td>
+            <select class="query-input" data-account-role="${i}" style="width:120px">
+              ${roles.map((r) => `<option value="${escapeHtml(r)}" ${r === u.role ? 'selected' : ''}>${escapeHtml(r)}</option>`).join('')}
+            </select>
+          </td>
+          <td>${u.disabled ? '<span style="color:var(--danger)">Disabled</span>' : '<span style="color:var(--success)">Active</span>'}</td>
+          <td>${u.twoFactor ? 'On' : '—'}</td>
+          <td>${u.createdAt ? escapeHtml(new Date(u.createdAt).toLocaleString()) : '—'}</td>
+          <td style="white-space:nowrap">
+            <button class="btn btn-ghost btn-sm" data-account-action="toggle" data-index="${i}">${u.disabled ? 'Enable' : 'Disable'}</button>
+            <button class="btn btn-ghost btn-sm" data-account-action="password" data-index="${i}">Reset password</button>
+            ${u.twoFactor ? `<button class="btn btn-ghost btn-sm" data-account-action="reset2fa" data-index="${i}">Reset 2FA</button>` : ''}
+          </td>
+        </tr>
+      `).join('');
+    } catch (err) {
+      tbody.innerHTML = `<tr><td colspan="6" style="color:var(--danger);padding:24px;text-align:center">Error: ${escapeHtml(err.message)}</td></tr>`;
+    }
+  }
+
+  async function loadRoles() {
+    if (!rolesBody) return;
+    try {
+      const data = await apiFetchJson('/api/account-roles');
+      customRoles = data.roles || [];
+      permissions = data.permissions || [];
+      if (!customRoles.length) {
+        rolesBody.innerHTML = '<tr><td colspan="4" style="text-align:center;padding:24px;color:var(--text-muted)">No custom roles yet.</td></tr>';
+        return;
+      }
+      rolesBody.innerHTML = customRoles.map((r, i) => `
+        <tr>
+          <td><code>${escapeHtml(r.name)}</code></td>
+          <td>${escapeHtml(r.description || '') || '—'}</td>
+          <td><code>${escapeHtml(formatGrantList(r.grants))}</code></td>
+          <td style="white-space:nowrap">
+            <button class="btn btn-ghost btn-sm" data-role-action="edit" data-index="${i}">Edit</button>
+            <button class="btn btn-ghost btn-sm" data-role-action="delete" data-index="${i}" style="color:var(--danger)">Delete</button>
+          </td>
+        </tr>
+      `).join('');
+    } catch (err) {
+      rolesBody.innerHTML = `<tr><td colspan="4" style="color:var(--danger);padding:24px;text-align:center">Error: ${escapeHtml(err.message)}</td></tr>`;
+    }
+  }
+
+  async function send(url, method, body, okMessage) {
+    try {
+      await apiFetchJson(url, {
+        method,
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body),
+      });
+      showToast(okMessage, 'success');
+    } catch (err) {
+      showToast(err.message, 'error');
+    }
+    await Promise.all([load(), loadRoles()]);
+  }
+
+  const grantsError = (text) => {
+    const grants = parseGrantList(text);
+    if (!grants.length) return 'Add at least one grant, e.g. orders.*=read,write';
+    const unknown = grants.flatMap((g) => g.permissions).filter((p) => !permissions.includes(p));
+    if (unknown.length) return `Unknown permission(s): ${unknown.join(', ')}. Use ${permissions.join(', ')}`;
+    return grants.some((g) => !g.permissions.length) ? 'Each grant needs at least one permission' : null;
+  };
+
+  async function editRole(role) {
+    const values = await ui.prompt({
+      title: role ? `Edit role ${role.name}` : 'Create role',
+      confirmText: role ? 'Save' : 'Create',
+      fields: [
+        ...(role ? [] : [{ name: 'name', label: 'Role name', autofocus: true }]),
+        { name: 'description', label: 'Description', defaultValue: role?.description || '' },
+        {
+          name: 'grants',
+          label: 'Grants (namespace=permissions; …)',
+          placeholder: 'orders.*=read,write; billing.*=read',
+          defaultValue: role ? formatGrantList(role.grants) : '',
+        },
+      ],
+      validate: (v) => (!role && !v.name.trim() ? 'Role name is required' : grantsError(v.grants)),
+    });
+    if (!values) return;
+    const name = role ? role.name : values.name.trim();
+    await send(`/api/account-roles/${encodeURIComponent(name)}`, 'PUT', {
+      description: values.description,
+      grants: parseGrantList(values.grants),
+    }, `Role ${name} saved`);
+  }
+
+  async function loadTokens() {
+    if (!tokensBody) return;
+    try {
+      tokens = (await apiFetchJson('/api/api-tokens')).tokens || [];
+      tokensBody.innerHTML = renderApiTokenRows(tokens, { owner: true });
+    } catch (err) {
+      tokensBody.innerHTML = `<tr><td colspan="6" style="color:var(--danger);padding:24px;text-align:center">Error: ${escapeHtml(err.message)}</td></tr>`;
+    }
+  }
+
+  async function loadSessions() {
+    if (!sessionsBody) return;
+    const when = (iso) => (iso ? escapeHtml(new Date(iso).toLocaleString()) : '—');
+    try {
+      const data = await apiFetchJson('/api/account-sessions');
+      sessions = data.sessions || [];
+      if (data.store === 'memory') {
+        document.getElementById('accountSessionsNote').textContent =
+          'Signed-in browsers on this server. Sessions are kept in memory (SESSION_STORE=memory) and end on restart.';
+      }
+      sessionsBody.innerHTML = sessions.length ? sessions.map((s, i) => `
+        <tr>
+          <td><code>${escapeHtml(s.username || '—')}</code> ${escapeHtml(s.role || '')}</td>
+          <td>${escapeHtml(s.authMethod)}</td>
+          <td title="${escapeHtml(s.userAgent || '')}">${escapeHtml(s.ip || '—')}</td>
+          <td>${when(s.loginAt)}</td>
+          <td>${when(s.lastSeenAt)}</td>
+          <td>${s.current ? '<span style="color:var(--text-muted)">This session</span>' : `<button class="btn btn-ghost btn-sm" data-session-revoke="${i}" style="color:var(--danger)">Revoke</button>`}</td>
+        </tr>
+      `).join('') : '<tr><td colspan="6" style="text-align:center;padding:24px;color:var(--text-muted)">No signed-in sessions.</td></tr>';
+    } catch (err) {
+      sessionsBody.innerHTML = `<tr><td colspan="6" style="color:var(--danger);padding:24px;text-align:center">Error: ${escapeHtml(err.message)}</td></tr>`;
+    }
+  }
+
+  sessionsBody?.addEventListener('click', async (e) => {
+    const s = sessions[Number(e.target.closest('[data-session-revoke]')?.dataset.sessionRevoke)];
+    if (!s) return;
+    const ok = await ui.confirm({
+      title: `Sign out ${s.username}?`,
+      message: `Ends the session from ${s.ip || 'an unknown address'}. Their other sessions stay signed in.`,
+      confirmText: 'Revoke session',
+      danger: true,
+    });
+    if (!ok) return;
+    try {
+      await apiFetchJson(`/api/account-sessions/${encodeURIComponent(s.id)}`, { method: 'DELETE' });
+      showToast(`Session of ${s.username} revoked`, 'success');
+    } catch (err) {
+      showToast(err.message, 'error');
+    }
+    await loadSessions();
+  });
+
+  tokensBody?.addEventListener('click', async (e) => {
+    const t = tokens[Number(e.target.closest('[data-token-revoke]')?.dataset.tokenRevoke)];
+    if (!t || !(await confirmRevokeToken(t))) return;
+    try {
+      await apiFetchJson(`/api/api-tokens/${encodeURIComponent(t.id)}`, { method: 'DELETE' });
+      showToast(`Token ${t.name} revoked`, 'success');
+    } catch (err) {
+      showToast(err.message, 'error');
+    }
+    await loadTokens();
+  });
+
+  document.getElementById('accountsAddRoleBtn')?.addEventListener('click', () => editRole(null));
+
+  rolesBody?.addEventListener('click', async (e) => {
+    const btn = e.target.closest('[data-role-action]');
+    if (!btn) return;
+    const r = customRoles[Number(btn.dataset.index)];
+    if (!r) return;
+    if (btn.dataset.roleAction === 'edit') {
+      await editRole(r);
+    } else if (btn.dataset.roleAction === 'delete') {
+      const ok = await ui.confirm({
+        title: `Delete role ${r.name}?`,
+        message: 'Roles still assigned to an account cannot be deleted.',
+        confirmText: 'Delete role',
+        danger: true,
+      });
+      if (!ok) return;
+      try {
+        await apiFetchJson(`/api/account-roles/${encodeURIComponent(r.name)}`, { method: 'DELETE' });
+        showToast(`Role ${r.name} deleted`, 'success');
+      } catch (err) {
+        showToast(err.message, 'error');
+      }
+      await Promise.all([load(), loadRoles()]);
+    }
+  });
+
+  document.getElementById('accountsAddBtn')?.addEventListener('click', async () => {
+    const values = await ui.prompt({
+      title: 'Add account',
+      confirmText: 'Create',
+      fields: [
+        { name: 'username', label: 'Username', autofocus: true },
+        { name: 'password', label: 'Initial password', type: 'password' },
+        { name: 'role', label: 'Role', type: 'select', defaultValue: 'viewer', options: roles.map((r) => ({ value: r })) },
+      ],
+      validate: (v) => (!v.username.trim() ? 'Username is required' : passwordCheck(v.password)),
+    });
+    if (!values) return;
+    await send('/api/accounts', 'POST', {
+      username: values.username.trim(),
+      password: values.password,
+      role: values.role,
+    }, `Account ${values.username.trim()} created`);
+  });
+
+  tbody.addEventListener('change', async (e) => {
+    const select = e.target.closest('[data-account-role]');
+    if (!select) return;
+    const u = accounts[Number(select.dataset.accountRole)];
+    if (!u || select.value === u.role) return;
+    await send(`/api/accounts/${encodeURIComponent(u.username)}`, 'PATCH', { role: select.value },
+      `${u.username} is now ${select.value}`);
+  });
+
+  tbody.addEventListener('click', async (e) => {
+    const btn = e.target.closest('[data-account-action]');
+    if (!btn) return;
+    const u = accounts[Number(btn.dataset.index)];
+    if (!u) return;
+    const url = `/api/accounts/${encodeURIComponent(u.username)}`;
+    if (btn.dataset.accountAction === 'toggle') {
+      if (!u.disabled) {
+        const ok = await ui.confirm({
+          title: `Disable ${u.username}?`,
+          message: 'They are signed out immediately and cannot sign in until re-enabled.',
+          confirmText: 'Disable',
+          danger: true,
+        });
+        if (!ok) return;
+      }
+      await send(url, 'PATCH', { disabled: !u.disabled }, `${u.username} ${u.disabled ? 'enabled' : 'disabled'}`);
+    } else if (btn.dataset.accountAction === 'password') {
+      const password = await ui.prompt({
+        title: `Reset password for ${u.username}`,
+        message: 'New password',
+        type: 'password',
+        validate: (v) => passwordCheck(v.value),
+      });
+      if (password === null) return;
+      await send(`${url}/password`, 'POST', { password }, `Password reset for ${u.username}`);
+    } else if (btn.dataset.accountAction === 'reset2fa') {
+      const ok = await ui.confirm({
+        title: `Reset two-factor for ${u.username}?`,
+        message: 'Their authenticator and recovery codes stop working. Accounts that require 2FA enroll again at next sign-in.',
+        confirmText: 'Reset 2FA',
+        danger: true,
+      });
+      if (!ok) return;
+      await send(`${url}/2fa/reset`, 'POST', {}, `Two-factor reset for ${u.username}`);
+    }
+  });
+
+  load();
+  loadRoles();
+  loadSessions();
+  loadTokens();
+}
+
+// ─── My Account (two-factor, API tokens) ────────────────────────────────────
+
+function initAccountPage() {
+  const statusEl = document.getElementById('twoFactorStatus');
+  const actionsEl = document.getElementById('twoFactorActions');
+  const setupEl = document.getElementById('twoFactorSetup');
+  const recoveryEl = document.getElementById('twoFactorRecovery');
+  let status = null;
+
+  const post = (url, body) => apiFetchJson(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body || {}),
+  });
+
+  function showRecoveryCodes(codes) {
+    recoveryEl.textContent = `Recovery codes — save them now, they are shown only once:\n\n${codes.join('\n')}`;
+    recoveryEl.style.display = 'block';
+  }
+
+  async function askCode(title) {
+    return ui.prompt({
+      title,
+      message: 'Current code from your authenticator app (or a recovery code)',
+      validate: (v) => (!v.value.trim() ? 'Code is required' : null),
+    });
+  }
+
+  async function load() {
+    try {
+      status = await apiFetchJson('/api/account/2fa');
+    } catch (err) {
+      statusEl.textContent = err.message;
+      actionsEl.innerHTML = '';
+      return;
+    }
+    setupEl.style.display = 'none';
+    if (status.enabled) {
+      statusEl.textContent = `On since ${new Date(status.enabledAt).toLocaleString()} · ${status.recoveryCodesLeft} recovery code(s) left`;
+      actionsEl.innerHTML = `
+        <button class="btn btn-ghost btn-sm" data-tfa-action="codes">New recovery codes</button>
+        ${status.required ? '' : '<button class="btn btn-ghost btn-sm" data-tfa-action="disable" style="color:var(--danger)">Turn off</button>'}
+      `;
+    } else {
+      statusEl.textContent = status.required
+        ? 'Required for your role — you will be asked to set it up at next sign-in.'
+        : 'Off. Add a code from an authenticator app to every sign-in.';
+      actionsEl.innerHTML = '<button class="btn btn-primary btn-sm" data-tfa-action="setup">Set up</button>';
+    }
+  }
+
+  actionsEl.addEventListener('click', async (e) => {
+    const action = e.target.closest('[data-tfa-action]')?.dataset.tfaAction;
+    if (!action) return;
+    try {
+      if (action === 'setup') {
+        const data = await post('/api/account/2fa/setup');
+        document.getElementById('twoFactorSecret').textContent = data.secret.match(/.{1,4}/g).join(' ');
+        document.getElementById('twoFactorUri').href = data.otpauthUri;
+        setupEl.style.display = 'block';
+        recoveryEl.style.display = 'none';
+        document.getElementById('twoFactorCode').focus();
+      } else if (action === 'codes') {
+        const code = await askCode('New recovery codes');
+        if (code === null) return;
+        const data = await post('/api/account/2fa/recovery-codes', { code });
+        showRecoveryCodes(data.recoveryCodes);
+        await load();
+      } else if (action === 'disable') {
+        const code = await askCode('Turn off two-factor authentication');
+        if (code === null) return;
+        await post('/api/account/2fa/disable', { code });
+        recoveryEl.style.display = 'none';
+        showToast('Two-factor authentication turned off', 'success');
+        await load();
+      }
+    } catch (err) {
+      showToast(err.message, 'error');
+    }
+  });
+
+  document.getElementById('twoFactorEnableBtn')?.addEventListener('click', async () => {
+    const input = document.getElementById('twoFactorCode');
+    try {
+      const data = await post('/api/account/2fa/enable', { code: input.value.trim() });
+      input.value = '';
+      showToast('Two-factor authentication is on', 'success');
+      await load();
+      showRecoveryCodes(data.recoveryCodes);
+    } catch (err) {
+      showToast(err.message, 'error');
+    }
+  });
+
+  const tokensBody = document.getElementById('apiTokensBody');
+  const createdEl = document.getElementById('apiTokenCreated');
+  let tokens = [];
+  let tokenPermissions = [];
+  let maxDays = 365;
+
+  async function loadTokens() {
+    try {
+      const data = await apiFetchJson('/api/account/tokens');
+      tokens = data.tokens || [];
+      tokenPermissions = data.permissions || [];
+      maxDays = data.maxDays || maxDays;
+      tokensBody.innerHTML = renderApiTokenRows(tokens);
+    } catch (err) {
+      tokensBody.innerHTML = `<tr><td colspan="5" style="color:var(--text-muted);padding:24px;text-align:center">${escapeHtml(err.message)}</td></tr>`;
+    }
+  }
+
+  document.getElementById('apiTokenAddBtn')?.addEventListener('click', async () => {
+    const parsePerms = (text) => text.split(',').map((p) => p.trim()).filter(Boolean);
+    const values = await ui.prompt({
+      title: 'New API token',
+      confirmText: 'Create',
+      fields: [
+        { name: 'name', label: 'Name', placeholder: 'nightly-export', autofocus: true },
+        { name: 'permissions', label: `Permissions (from: ${tokenPermissions.join(', ')})`, defaultValue: 'read' },
+        { name: 'days', label: `Expires after (days, at most ${maxDays})`, type: 'number', defaultValue: '90' },
+      ],
+      validate: (v) => {
+        if (!v.name.trim()) return 'Name is required';
+        const perms = parsePerms(v.permissions);
+        if (!perms.length) return 'Pick at least one permission';
+        const extra = perms.filter((p) => !tokenPermissions.includes(p));
+        if (extra.length) return `You do not hold: ${extra.join(', ')}`;
+        const days = Number(v.days);
+        return Number.isInteger(days) && days >= 1 && days <= maxDays ? null : `Expiry must be 1-${maxDays} days`;
+      },
+    });
+    if (!values) return;
+    try {
+      const data = await post('/api/account/tokens', {
+        name: values.name.trim(),
+        permissions: parsePerms(values.permissions),
+        expiresInDays: Number(values.days),
+      });
+      createdEl.textContent = `New token "${data.record.name}" — copy it now, it is shown only once:\n\n${data.token}`;
+      createdEl.style.display = 'block';
+    } catch (err) {
+      showToast(err.message, 'error');
+    }
+    await loadTokens();
+  });
+
+  tokensBody?.addEventListener('click', async (e) => {
+    const t = tokens[Number(e.target.closest('[data-token-revoke]')?.dataset.tokenRevoke)];
+    if (!t || !(await confirmRevokeToken(t))) return;
+    try {
+      await apiFetchJson(`/api/account/tokens/${encodeURIComponent(t.id)}`, { method: 'DELETE' });
+      showToast(`Token ${t.name} revoked`, 'success');
+    } catch (err) {
+      showToast(err.message, 'error');
+    }
+    await loadTokens();
+  });
+
+  load();
+  loadTokens();
+}
+
+// ─── Schema Validation ───────────────────────────────────────────────────────
+
+async function initValidationPanel(dbName, collectionName) {
+  const panel = document.getElementById('panel-validation');
+  if (!panel) return;
+
+  // Load current validation rules when tab becomes visible
+  panel._loaded = false;
+  panel._load = async () => {
+    if (panel._loaded) return;
+    panel._loaded = true;
+
+    // Initialize CodeMirror for validation editor
+    const validatorEl = document.getElementById('validatorEditor');
+    if (validatorEl && !cmEditors['validatorEditor']) {
+      createJsonEditor('validatorEditor');
+    }
+
+    try {
+      const res = await fetch(`/api/${encodeURIComponent(dbName)}/${encodeURIComponent(collectionName)}/validation`);
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.error);
+
+      const levelEl = document.getElementById('validationLevel');
+      const actionEl = document.getElementById('validationAction');
+      if (levelEl) levelEl.value = data.validationLevel || 'strict';
+      if (actionEl) actionEl.value = data.validationAction || 'error';
+      setEditorValue('validatorEditor', data.validator ? JSON.stringify(data.validator, null, 2) : '');
+      refreshEditor('validatorEditor');
+    } catch (err) {
+      const errEl = document.getElementById('validationError');
+      if (errEl) { errEl.textContent = 'Failed to load validation rules: ' + err.message; errEl.style.display = 'block'; }
+    }
+  };
+
+  // Save
+  document.getElementById('saveValidation')?.addEventListener('click', async () => {
+    const errEl = document.getElementById('validationError');
+    const successEl = document.getElementById('validationSuccess');
+    errEl.style.display = 'none';
+    successEl.style.display = 'none';
+
+    let validator = null;
+    const validatorStr = getEditorValue('validatorEditor').trim();
+    if (validatorStr) {
+      try { validator = JSON.parse(validatorStr); }
+      catch (e) { errEl.textContent = 'Invalid JSON: ' + e.message; errEl.style.display = 'block'; return; }
+    }
+
+    const btn = document.getElementById('saveValidation');
+    btn.disabled = true; btn.textContent = 'Saving...';
+    try {
+      const res = await fetch(`/api/${encodeURIComponent(dbName)}/${encodeURIComponent(collectionName)}/validation`, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          validator,
+          validationLevel: document.getElementById('validationLevel')?.value || 'strict',
+          validationAction: document.getElementById('validationAction')?.value || 'error',
+        }),
       });
       const data = await res.json();
       if (!res.ok) throw new Error(data.error);
@@ -9586,18 +10831,46 @@ function initImportExport(dbName, collectionName) {
         box.textContent = 'Failed to load history.';
       }
     };
+    const loadCopyTargets = async () => {
+      const select = document.getElementById('copyTargetConnection');
+      if (!select) return;
+      const open = await fetchOpenConnections();
+      const names = new Map(getConnections().map((c) => [c.id, c.name]));
+      select.innerHTML = open.map((c) => {
+        const label = names.get(c.id) || (c.id === 'preset' ? 'Preset connection' : `Connection ${c.id.slice(0, 8)}`);
+        return `<option value="${escapeHtml(c.id)}" ${c.active ? 'selected' : ''}>${escapeHtml(label)}${c.active ? ' (current)' : ''}</option>`;
+      }).join('');
+      const dbInput = document.getElementById('copyTargetDb');
+      const colInput = document.getElementById('copyTargetCollection');
+      if (dbInput && !dbInput.value) dbInput.value = dbName;
+      if (colInput && !colInput.value) colInput.value = collectionName;
+    };
     exportBtn.addEventListener('click', () => {
       exportModal.style.display = 'flex';
       loadBackupHistory();
+      loadCopyTargets();
     });
     document.getElementById('exportModalClose')?.addEventListener('click', closeExport);
     document.getElementById('exportCancel')?.addEventListener('click', closeExport);
     exportModal.querySelector('.modal-backdrop')?.addEventListener('click', closeExport);
 
+    // Parquet and Avro stream without a cap; an empty limit exports everything.
+    const columnarFormats = ['parquet', 'avro'];
+    document.getElementById('exportFormat')?.addEventListener('change', (e) => {
+      const columnar = columnarFormats.includes(e.target.value);
+      const limitInput = document.getElementById('exportLimit');
+      document.getElementById('exportLimitLabel').textContent = columnar
+        ? 'Max documents (leave empty for all)'
+        : 'Max documents (up to 100,000)';
+      if (columnar) limitInput.removeAttribute('max');
+      else limitInput.setAttribute('max', '100000');
+    });
+
     document.getElementById('exportConfirm')?.addEventListener('click', () => {
       const format = document.getElementById('exportFormat').value;
-      const limit = document.getElementById('exportLimit').value || 10000;
-      const params = new URLSearchParams({ format, limit });
+      const limitValue = document.getElementById('exportLimit').value;
+      const params = new URLSearchParams({ format });
+      if (limitValue || !columnarFormats.includes(format)) params.set('limit', limitValue || 10000);
       if (currentFilter) params.set('filter', currentFilter);
       if (currentSort) params.set('sort', currentSort);
       window.location.href = `/api/${encodeURIComponent(dbName)}/${encodeURIComponent(collectionName)}/export?${params}`;
@@ -9615,6 +10888,86 @@ function initImportExport(dbName, collectionName) {
       closeExport();
     });
 
+    let copyJobId = null;
+    const renderCopyProgress = (job) => {
+      const box = document.getElementById('copyProgressBox');
+      if (!box) return;
+      const total = job.total == null ? '?' : Number(job.total).toLocaleString();
+      const pct = job.total ? Math.min(100, Math.round((job.copied / job.total) * 100)) : null;
+      const lines = [
+        `<div><strong>${escapeHtml(job.status)}</strong> · ${Number(job.copied).toLocaleString()} / ${total} docs${pct == null ? '' : ` (${pct}%)`}</div>`,
+      ];
+      if (job.failed) lines.push(`<div style="color:var(--danger)">${Number(job.failed)} failed: ${escapeHtml(job.errors[0] || '')}</div>`);
+      if (job.indexes?.failed?.length) {
+        lines.push(`<div style="color:var(--danger)">Index errors: ${job.indexes.failed.map((i) => escapeHtml(i.name)).join(', ')}</div>`);
+      }
+      if (job.error) lines.push(`<div style="color:var(--danger)">${escapeHtml(job.error)}</div>`);
+      box.innerHTML = lines.join('');
+      box.style.display = 'block';
+    };
+
+    document.getElementById('copyStartBtn')?.addEventListener('click', async () => {
+      const targetId = document.getElementById('copyTargetConnection')?.value;
+      const targetDb = document.getElementById('copyTargetDb')?.value.trim();
+      const targetCol = document.getElementById('copyTargetCollection')?.value.trim();
+      if (!targetId || !targetDb || !targetCol) {
+        showToast('Choose a target connection, database and collection.', 'warning');
+        return;
+      }
+      const useFilter = document.getElementById('copyUseFilter')?.checked === true;
+      const startBtn = document.getElementById('copyStartBtn');
+      const cancelBtn = document.getElementById('copyCancelBtn');
+      try {
+        const data = await apiFetchJson('/api/copy-jobs', {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({
+            source: { connectionId: getActiveConnectionId() || undefined, db: dbName, collection: collectionName },
+            target: { connectionId: targetId, db: targetDb, collection: targetCol },
+            mode: document.getElementById('copyMode')?.value || 'insert',
+            filter: useFilter && currentFilter ? currentFilter : undefined,
+            copyIndexes: document.getElementById('copyIndexes')?.checked !== false,
+          }),
+        });
+        copyJobId = data.job.id;
+        renderCopyProgress(data.job);
+        startBtn.disabled = true;
+        cancelBtn.style.display = '';
+        const events = new EventSource(`/api/copy-jobs/${encodeURIComponent(copyJobId)}/events`);
+        events.addEventListener('progress', (e) => renderCopyProgress(JSON.parse(e.data)));
+        events.addEventListener('done', (e) => {
+          const job = JSON.parse(e.data);
+          events.close();
+          renderCopyProgress(job);
+          startBtn.disabled = false;
+          cancelBtn.style.display = 'none';
+          copyJobId = null;
+          if (job.status === 'completed' && !job.failed) {
+            showToast(`Copied ${job.copied} document(s) to ${targetDb}.${targetCol}`, 'success');
+          } else {
+            showToast(`Copy ${job.status}: ${job.copied} copied, ${job.failed} failed`, 'warning', 5000);
+          }
+        });
+        events.onerror = () => {
+          events.close();
+          startBtn.disabled = false;
+          cancelBtn.style.display = 'none';
+        };
+      } catch (err) {
+        showToast('Copy failed: ' + err.message, 'error');
+      }
+    });
+
+    document.getElementById('copyCancelBtn')?.addEventListener('click', async () => {
+      if (!copyJobId) return;
+      try {
+        await apiFetchJson(`/api/copy-jobs/${encodeURIComponent(copyJobId)}/cancel`, { method: 'POST' });
+        showToast('Copy will stop after the current batch.', 'info');
+      } catch (err) {
+        showToast('Cancel failed: ' + err.message, 'error');
+      }
+    });
+
     document.getElementById('restoreConfirmBtn')?.addEventListener('click', async () => {
       const file = document.getElementById('restoreFileInput')?.files?.[0];
       const mode = document.getElementById('restoreMode')?.value || 'insert';
@@ -9639,6 +10992,7 @@ function initImportExport(dbName, collectionName) {
           headers: { 'Content-Type': 'application/json' },
           body: JSON.stringify({ content, mode, strict, confirmReplace: mode === 'replace' }),
         });
+        if (notifyPendingApproval(data)) return;
         if (data.failed > 0) {
           showToast(`Restore finished with errors: restored ${data.restored}/${data.total}, failed ${data.failed}`, 'warning', 5000);
         } else {
@@ -9687,73 +11041,478 @@ function initImportExport(dbName, collectionName) {
   }
 
   // ── Import ──────────────────────────────────────────────────────────────
+  // The file is uploaded as-is and parsed on the server as it streams in;
+  // progress comes from the import job's event feed.
   const importBtn = document.getElementById('importBtn');
   const importModal = document.getElementById('importModal');
   if (!importBtn || !importModal) return;
 
-  let importContent = null;
+  let importFile = null;
+  let importJob = null;
+  let importUpload = null;
+  let importReport = null;
 
-  const closeImport = () => {
-    importModal.style.display = 'none';
+  const resetImport = () => {
     document.getElementById('importError').style.display = 'none';
     document.getElementById('importResult').style.display = 'none';
+    document.getElementById('importProgress').style.display = 'none';
+    document.getElementById('importErrorReport').style.display = 'none';
+    importReport = null;
+  };
+
+  const closeImport = () => {
+    if (importUpload) return;
+    importModal.style.display = 'none';
+    resetImport();
     document.getElementById('importPreview').style.display = 'none';
     document.getElementById('importFile').value = '';
     document.getElementById('importConfirm').disabled = true;
-    importContent = null;
+    importFile = null;
+    hideMapping();
+    hideWorkbook();
+  };
+
+  // Field names seen at the start of the file, offered as key fields.
+  const previewFields = (head, format) => {
+    if (format === 'csv') {
+      const line = head.replace(/^\uFEFF/, '').split(/\r?\n/)[0] || '';
+      return line.split(',').map((h) => h.trim().replace(/^"|"$/g, '')).filter(Boolean);
+    }
+    const text = head.replace(/^\uFEFF/, '').trim();
+    try {
+      const parsed = JSON.parse(text.startsWith('[') ? text : text.split(/\r?\n/)[0]);
+      return Object.keys((Array.isArray(parsed) ? parsed[0] : parsed) || {});
+    } catch {
+      // Cut off mid-document: fall back to anything that looks like a key.
+      return [...new Set([...text.matchAll(/"([^"$][^"]*)"\s*:/g)].map((m) => m[1]))].slice(0, 30);
+    }
+  };
+
+  const keyFieldsInput = document.getElementById('importKeyFields');
+  const selectedKeyFields = () => (keyFieldsInput?.value || '').split(',').map((f) => f.trim()).filter(Boolean);
+  const renderKeyFieldChoices = (fields) => {
+    const box = document.getElementById('importKeyFieldChoices');
+    if (!box) return;
+    const chosen = new Set(selectedKeyFields());
+    box.innerHTML = [...new Set(['_id', ...fields])].map((f) =>
+      `<button type="button" class="btn btn-sm ${chosen.has(f) ? 'btn-primary' : 'btn-ghost'}" data-key-field="${escapeHtml(f)}">${escapeHtml(f)}</button>`
+    ).join('');
+  };
+  let importFields = [];
+  document.getElementById('importKeyFieldChoices')?.addEventListener('click', (e) => {
+    const field = e.target.closest('[data-key-field]')?.dataset.keyField;
+    if (!field) return;
+    const chosen = selectedKeyFields();
+    keyFieldsInput.value = (chosen.includes(field) ? chosen.filter((f) => f !== field) : [...chosen, field]).join(', ');
+    renderKeyFieldChoices(importFields);
+  });
+  keyFieldsInput?.addEventListener('input', () => renderKeyFieldChoices(importFields));
+  document.getElementById('importMode')?.addEventListener('change', (e) => {
+    // Replace always goes by _id; insert needs no key.
+    const keyed = ['upsert', 'update', 'skip'].includes(e.target.value);
+    document.getElementById('importKeyFieldsRow').style.display = keyed ? '' : 'none';
+    if (keyed) renderKeyFieldChoices(importFields);
+  });
+
+  // ── CSV column mapping ──
+  // One row per CSV header: where the value goes (dotted paths nest) and
+  // what type it becomes. Mappings can be saved per collection and reused
+  // on the next file with the same headers.
+  const mappingBox = document.getElementById('importMappingBox');
+  const mappingRows = document.getElementById('importMappingRows');
+  const mappingSaved = document.getElementById('importMappingSaved');
+  const mappingKey = `mongodb_dashboard_importmappings_${dbName}_${collectionName}`;
+  const MAPPING_TYPES = [
+    ['auto', 'Auto'], ['string', 'String'], ['int', 'Int'], ['double', 'Double'], ['decimal', 'Decimal128'],
+    ['bool', 'Boolean'], ['date', 'Date'], ['objectId', 'ObjectId'], ['array', 'Array'],
+  ];
+  let importHeaders = [];
+
+  const getSavedMappings = () => {
+    try {
+      return JSON.parse(localStorage.getItem(mappingKey) || '[]');
+    } catch {
+      return [];
+    }
+  };
+
+  const renderSavedMappings = () => {
+    const saved = getSavedMappings();
+    mappingSaved.innerHTML = '<option value="">Saved mappings…</option>' +
+      saved.map((m, i) => `<option value="${i}">${escapeHtml(m.name)}</option>`).join('');
+    document.getElementById('importMappingDelete').disabled = true;
+  };
+
+  // The format input means a date format for dates and a delimiter for arrays.
+  const syncMappingRow = (tr) => {
+    const type = tr.querySelector('[data-map="type"]').value;
+    const extra = tr.querySelector('[data-map="extra"]');
+    extra.style.visibility = type === 'date' || type === 'array' ? 'visible' : 'hidden';
+    extra.placeholder = type === 'array' ? ';' : 'iso, epoch, DD/MM/YYYY…';
+  };
+
+  const renderMapping = (headers, rows, mapping = null) => {
+    importHeaders = headers;
+    const byHeader = new Map((mapping?.columns || []).map((c) => [c.source, c]));
+    mappingRows.innerHTML = headers.map((h, i) => {
+      const col = byHeader.get(h) || {};
+      const sample = rows.map((r) => r[i]).find((v) => v !== undefined && v !== '') ?? '';
+      const extra = col.type === 'array' ? col.delimiter || '' : col.format || '';
+      return `<tr data-source="${escapeHtml(h)}">
+        <td>${escapeHtml(h)}</td>
+        <td style="color:var(--text-muted);max-width:140px;overflow:hidden;text-overflow:ellipsis;white-space:nowrap" title="${escapeHtml(sample)}">${escapeHtml(sample)}</td>
+        <td><input type="text" class="query-input" data-map="target" value="${escapeHtml(col.target || h)}" autocomplete="off"/></td>
+        <td><select class="query-input" data-map="type">${MAPPING_TYPES.map(([v, label]) =>
+          `<option value="${v}"${(col.type || 'auto') === v ? ' selected' : ''}>${label}</option>`).join('')}</select></td>
+        <td><input type="text" class="query-input" data-map="extra" value="${escapeHtml(extra)}" autocomplete="off"/></td>
+        <td><input type="checkbox" data-map="skip" style="width:auto"${col.skip ? ' checked' : ''}/></td>
+      </tr>`;
+    }).join('');
+    mappingRows.querySelectorAll('tr').forEach(syncMappingRow);
+    if (mapping?.onInvalid) document.getElementById('importMappingOnInvalid').value = mapping.onInvalid;
+    document.getElementById('importMappingResult').style.display = 'none';
+    mappingBox.style.display = '';
+  };
+
+  const currentMapping = () => {
+    if (!importHeaders.length) return null;
+    const columns = [...mappingRows.querySelectorAll('tr')].map((tr) => {
+      const source = tr.dataset.source;
+      if (tr.querySelector('[data-map="skip"]').checked) return { source, skip: true };
+      const type = tr.querySelector('[data-map="type"]').value;
+      const extra = tr.querySelector('[data-map="extra"]').value.trim();
+      const col = { source, target: tr.querySelector('[data-map="target"]').value.trim() || source, type };
+      if (type === 'date' && extra) col.format = extra;
+      if (type === 'array' && extra) col.delimiter = extra;
+      return col;
+    });
+    return { columns, onInvalid: document.getElementById('importMappingOnInvalid').value };
+  };
+
+  // Key field choices follow the mapped field names.
+  const mappedFields = () => (currentMapping()?.columns || []).filter((c) => !c.skip).map((c) => c.target);
+
+  const hideMapping = () => {
+    importHeaders = [];
+    mappingRows.innerHTML = '';
+    mappingBox.style.display = 'none';
+  };
+
+  // The first 64 KB, cut back to the last whole line.
+  const mappingSample = async () => {
+    const head = await importFile.slice(0, 64 * 1024).text();
+    if (importFile.size <= 64 * 1024) return head;
+    return head.slice(0, head.lastIndexOf('\n') + 1) || head;
+  };
+
+  // The server reads the sample with the real CSV parser, so quoted headers
+  // and embedded newlines come out as they will in the import.
+  const loadMapping = async () => {
+    if (!importFile || document.getElementById('importFormat').value !== 'csv') return hideMapping();
+    const content = await mappingSample();
+    try {
+      const data = await apiFetchJson('/api/import-preview', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ content }),
+      });
+      renderMapping(data.headers, data.rows);
+      importFields = mappedFields();
+      renderKeyFieldChoices(importFields);
+    } catch (err) {
+      hideMapping();
+      const errEl = document.getElementById('importError');
+      errEl.textContent = `Could not read the CSV header: ${err.message}`;
+      errEl.style.display = 'block';
+    }
+  };
+
+  mappingRows?.addEventListener('change', (e) => {
+    const tr = e.target.closest('tr');
+    if (tr) syncMappingRow(tr);
+    importFields = mappedFields();
+    renderKeyFieldChoices(importFields);
+  });
+
+  document.getElementById('importMappingPreview')?.addEventListener('click', async () => {
+    const out = document.getElementById('importMappingResult');
+    const content = await mappingSample();
+    try {
+      const data = await apiFetchJson('/api/import-preview', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ content, mapping: currentMapping() }),
+      });
+      out.textContent = data.documents.map((d) =>
+        d.error ? `// row ${d.row}: ${d.error}` : JSON.stringify(d.doc, null, 2)
+      ).join('\n') || 'No data rows in the sample.';
+    } catch (err) {
+      out.textContent = err.message;
+    }
+    out.style.display = 'block';
+  });
+
+  mappingSaved?.addEventListener('change', () => {
+    const picked = getSavedMappings()[mappingSaved.value];
+    document.getElementById('importMappingDelete').disabled = !picked;
+    if (!picked || !importHeaders.length) return;
+    const missing = picked.mapping.columns.filter((c) => !importHeaders.includes(c.source)).map((c) => c.source);
+    // Columns this file lacks are dropped; the server would refuse them.
+    renderMapping(importHeaders, [], {
+      ...picked.mapping,
+      columns: picked.mapping.columns.filter((c) => importHeaders.includes(c.source)),
+    });
+    importFields = mappedFields();
+    renderKeyFieldChoices(importFields);
+    if (missing.length) showToast(`Not in this file: ${missing.join(', ')}`, 'info');
+  });
+
+  document.getElementById('importMappingSave')?.addEventListener('click', async () => {
+    const mapping = currentMapping();
+    if (!mapping) return;
+    const name = await ui.prompt({
+      title: 'Save mapping',
+      message: 'Saved mappings are kept in this browser for this collection.',
+      placeholder: 'e.g. Monthly orders export',
+      confirmText: 'Save mapping',
+    });
+    if (!name) return;
+    const saved = getSavedMappings().filter((m) => m.name !== name);
+    saved.push({ name, mapping, savedAt: new Date().toISOString() });
+    localStorage.setItem(mappingKey, JSON.stringify(saved));
+    renderSavedMappings();
+    showToast(`Saved mapping "${name}"`, 'success');
+  });
+
+  document.getElementById('importMappingDelete')?.addEventListener('click', () => {
+    const saved = getSavedMappings();
+    const picked = saved[mappingSaved.value];
+    if (!picked) return;
+    localStorage.setItem(mappingKey, JSON.stringify(saved.filter((m) => m !== picked)));
+    renderSavedMappings();
+    showToast(`Deleted mapping "${picked.name}"`, 'success');
+  });
+
+  if (mappingSaved) renderSavedMappings();
+
+  // ── Workbook sheet and header row ──
+  // A workbook cannot be read from its first bytes, so the whole file goes
+  // to the server for the preview.
+  const sheetSelect = document.getElementById('importSheet');
+  const headerRowInput = document.getElementById('importHeaderRow');
+
+  const hideWorkbook = () => {
+    document.getElementById('importSheetRow').style.display = 'none';
+    sheetSelect.innerHTML = '';
+    headerRowInput.value = '1';
+  };
+
+  const loadWorkbook = async () => {
+    const preview = document.getElementById('importPreview');
+    const errEl = document.getElementById('importError');
+    errEl.style.display = 'none';
+    const params = new URLSearchParams({ headerRow: headerRowInput.value || '1' });
+    if (sheetSelect.value) params.set('sheet', sheetSelect.value);
+    preview.textContent = 'Reading workbook…';
+    preview.style.display = 'block';
+    try {
+      const data = await apiFetchJson(`/api/import-preview?${params}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/octet-stream' },
+        body: importFile,
+      });
+      sheetSelect.innerHTML = data.sheets.map((name) =>
+        `<option value="${escapeHtml(name)}"${name === data.sheet ? ' selected' : ''}>${escapeHtml(name)}</option>`
+      ).join('');
+      document.getElementById('importSheetRow').style.display = '';
+      const lines = [data.headers, ...data.rows].map((cells) => cells.join(' | '));
+      preview.textContent = (data.error ? `${data.error}\n\n` : '') + (lines.join('\n') || 'No rows from the header row down.');
+      importFields = data.headers.filter(Boolean);
+      renderKeyFieldChoices(importFields);
+    } catch (err) {
+      preview.style.display = 'none';
+      errEl.textContent = `Could not read the workbook: ${err.message}`;
+      errEl.style.display = 'block';
+    }
+  };
+
+  // Show the extra step the chosen format needs, if any.
+  const loadFormatStep = async () => {
+    const format = document.getElementById('importFormat').value;
+    if (format !== 'xlsx') hideWorkbook();
+    if (!importFile) return;
+    if (format === 'xlsx') {
+      hideMapping();
+      await loadWorkbook();
+    } else {
+      await loadMapping();
+    }
   };
 
+  sheetSelect?.addEventListener('change', loadWorkbook);
+  headerRowInput?.addEventListener('change', loadWorkbook);
+  document.getElementById('importFormat')?.addEventListener('change', loadFormatStep);
+
   importBtn.addEventListener('click', () => { importModal.style.display = 'flex'; });
   document.getElementById('importModalClose')?.addEventListener('click', closeImport);
-  document.getElementById('importCancel')?.addEventListener('click', closeImport);
+  document.getElementById('importCancel')?.addEventListener('click', async () => {
+    if (!importJob) return closeImport();
+    try {
+      await apiFetchJson(`/api/import-jobs/${encodeURIComponent(importJob)}/cancel`, { method: 'POST' });
+      showToast('Import will stop after the current batch.', 'info');
+    } catch (err) {
+      showToast('Cancel failed: ' + err.message, 'error');
+    }
+  });
   importModal.querySelector('.modal-backdrop')?.addEventListener('click', closeImport);
 
-  document.getElementById('importFile')?.addEventListener('change', (e) => {
+  document.getElementById('importFile')?.addEventListener('change', async (e) => {
     const file = e.target.files[0];
     if (!file) return;
+    importFile = file;
+    resetImport();
 
     // Auto-detect format
-    if (file.name.endsWith('.csv')) {
-      document.getElementById('importFormat').value = 'csv';
-    } else {
-      document.getElementById('importFormat').value = 'json';
-    }
+    const name = file.name.toLowerCase();
+    const format = name.endsWith('.csv') ? 'csv' : name.endsWith('.xlsx') ? 'xlsx' : 'json';
+    document.getElementById('importFormat').value = format;
 
-    const reader = new FileReader();
-    reader.onload = (ev) => {
-      importContent = ev.target.result;
+    if (format !== 'xlsx') {
+      // Only the start of the file is read here; it may be far larger than memory allows.
+      const head = await file.slice(0, 2000).text();
       const preview = document.getElementById('importPreview');
-      preview.textContent = importContent.substring(0, 500) + (importContent.length > 500 ? '...' : '');
+      preview.textContent = head.substring(0, 500) + (file.size > 500 ? '...' : '');
       preview.style.display = 'block';
-      document.getElementById('importConfirm').disabled = false;
+      importFields = previewFields(head, format);
+      renderKeyFieldChoices(importFields);
+    }
+    await loadFormatStep();
+    document.getElementById('importConfirm').disabled = false;
+  });
+
+  const renderImportProgress = (job, uploaded = null) => {
+    const box = document.getElementById('importProgress');
+    const total = job.totalBytes || importFile?.size || 0;
+    const read = Math.max(job.bytesRead || 0, uploaded || 0);
+    const pct = total ? Math.min(100, Math.round((read / total) * 100)) : null;
+    const lines = [
+      `<div><strong>${escapeHtml(job.status)}</strong> · ${formatBytes(read)}${total ? ` / ${formatBytes(total)} (${pct}%)` : ''}</div>`,
+      `<div>${Number(job.rows).toLocaleString()} row(s) read · ${Number(job.inserted).toLocaleString()} inserted` +
+        (job.updated ? ` · ${Number(job.updated).toLocaleString()} updated` : '') +
+        (job.skipped ? ` · ${Number(job.skipped).toLocaleString()} skipped` : '') +
+        `${job.failed ? ` · <span style="color:var(--danger)">${Number(job.failed).toLocaleString()} failed</span>` : ''}</div>`,
+    ];
+    if (pct != null) lines.push(`<progress value="${pct}" max="100" style="width:100%;margin-top:6px"></progress>`);
+    if (job.error) lines.push(`<div style="color:var(--danger)">${escapeHtml(job.error)}</div>`);
+    box.innerHTML = lines.join('');
+    box.style.display = 'block';
+  };
+
+  // Upload the file as the raw request body (no multipart framing needed).
+  const uploadImport = (jobId, onProgress) => new Promise((resolve, reject) => {
+    const xhr = new XMLHttpRequest();
+    xhr.open('POST', `/api/${encodeURIComponent(dbName)}/${encodeURIComponent(collectionName)}/import?jobId=${encodeURIComponent(jobId)}`);
+    xhr.setRequestHeader('Content-Type', 'application/octet-stream');
+    const csrfToken = window.__APP_CONFIG__?.csrfToken;
+    if (csrfToken) xhr.setRequestHeader('x-csrf-token', csrfToken);
+    xhr.upload.onprogress = (e) => onProgress(e.loaded);
+    xhr.onload = () => {
+      let payload = null;
+      try { payload = JSON.parse(xhr.responseText); } catch {}
+      if (xhr.status >= 200 && xhr.status < 300) return resolve(payload);
+      const err = new Error(payload?.error || `Request failed with status ${xhr.status}`);
+      err.payload = payload;
+      reject(err);
     };
-    reader.readAsText(file);
-  });
+    // The server closes the connection when it stops reading early.
+    xhr.onerror = () => reject(new Error('Upload interrupted'));
+    xhr.send(importFile);
+  });
+
+  document.getElementById('importErrorReport')?.addEventListener('click', () => {
+    if (!importReport) return;
+    const lines = ['row,error', ...importReport.errors.map((e) => `${e.row ?? ''},"${String(e.error).replace(/"/g, '""')}"`)];
+    const blob = new Blob([lines.join('\n') + '\n'], { type: 'text/csv' });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `${collectionName}-import-errors.csv`;
+    document.body.appendChild(a);
+    a.click();
+    a.remove();
+    URL.revokeObjectURL(url);
+  });
+
+  const showImportReport = (job) => {
+    importReport = job;
+    renderImportProgress(job);
+    const resultEl = document.getElementById('importResult');
+    const first = job.errors?.[0];
+    const changed = [
+      job.updated ? `${job.updated} updated` : '',
+      job.skipped ? `${job.skipped} skipped` : '',
+    ].filter(Boolean).join(', ');
+    resultEl.textContent = `Import ${job.status}: ${job.inserted} of ${job.rows} row(s) inserted${changed ? `, ${changed}` : ''}.` +
+      (job.failed ? ` ${job.failed} failed${first ? ` — row ${first.row}: ${first.error}` : ''}` : '');
+    resultEl.style.display = 'block';
+    document.getElementById('importErrorReport').style.display = job.errors?.length ? '' : 'none';
+  };
 
   document.getElementById('importConfirm')?.addEventListener('click', async () => {
-    if (!importContent) return;
+    if (!importFile || importUpload) return;
     const format = document.getElementById('importFormat').value;
-    const stopOnError = document.getElementById('importStopOnError').checked;
+    const ordered = document.getElementById('importStopOnError').checked;
+    const mode = document.getElementById('importMode')?.value || 'insert';
+    const keyFields = selectedKeyFields();
+    const mapping = format === 'csv' ? currentMapping() : null;
+    const workbook = format === 'xlsx'
+      ? { sheet: sheetSelect.value || null, headerRow: parseInt(headerRowInput.value, 10) || 1 }
+      : {};
     const errEl = document.getElementById('importError');
-    const resultEl = document.getElementById('importResult');
     const btn = document.getElementById('importConfirm');
+    const cancelBtn = document.getElementById('importCancel');
 
-    errEl.style.display = 'none';
-    resultEl.style.display = 'none';
+    resetImport();
     btn.disabled = true;
     btn.textContent = 'Importing...';
-
+    let events = null;
     try {
-      const res = await fetch(`/api/${encodeURIComponent(dbName)}/${encodeURIComponent(collectionName)}/import`, {
+      const { job } = await apiFetchJson('/api/import-jobs', {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ format, content: importContent, stopOnError }),
+        body: JSON.stringify({ db: dbName, collection: collectionName, format, mode, keyFields, mapping, ...workbook, ordered }),
       });
-      const data = await res.json();
-      if (!res.ok) throw new Error(data.error);
+      importJob = job.id;
+      cancelBtn.textContent = 'Stop';
+      let latest = job;
+      let uploaded = 0;
+      renderImportProgress(job);
+      events = new EventSource(`/api/import-jobs/${encodeURIComponent(job.id)}/events`);
+      events.addEventListener('progress', (e) => {
+        latest = JSON.parse(e.data);
+        renderImportProgress(latest, uploaded);
+      });
+      events.onerror = () => events.close();
 
-      resultEl.textContent = `Imported ${data.inserted} of ${data.total} documents.${data.errors.length > 0 ? ` ${data.errors.length} error(s): ${data.errors[0]}` : ''}`;
-      resultEl.style.display = 'block';
+      importUpload = uploadImport(job.id, (loaded) => {
+        uploaded = loaded;
+        renderImportProgress(latest, uploaded);
+      });
+      let done;
+      try {
+        done = (await importUpload).job;
+      } catch (err) {
+        // The job still knows how far it got.
+        done = err.payload?.job || (await apiFetchJson(`/api/import-jobs/${encodeURIComponent(job.id)}`).catch(() => null))?.job;
+        if (!done || done.status === 'running') throw err;
+      }
+      showImportReport(done);
+      if (done.status === 'completed' && !done.failed) {
+        showToast(mode === 'insert' ? `Imported ${done.inserted} document(s)` : `Imported: ${done.inserted} inserted, ${done.updated} updated, ${done.skipped} skipped`, 'success');
+      } else if (done.status === 'failed') {
+        errEl.textContent = done.error || 'Import failed';
+        errEl.style.display = 'block';
+      }
 
       // Refresh table
       currentCursor = null;
@@ -9764,6 +11523,10 @@ function initImportExport(dbName, collectionName) {
       errEl.textContent = err.message;
       errEl.style.display = 'block';
     } finally {
+      events?.close();
+      importJob = null;
+      importUpload = null;
+      cancelBtn.textContent = 'Cancel';
       btn.disabled = false;
       btn.textContent = 'Import';
     }
@@ -9850,9 +11613,18 @@ function initDatabasesPage() {
     const errEl = document.getElementById('dropDbError');
     btn.disabled = true; btn.textContent = 'Dropping...';
     try {
-      const res = await fetch(`/api/databases/${encodeURIComponent(dropTarget)}`, { method: 'DELETE' });
+      // The server checks the typed name itself on staging/production connections.
+      const res = await fetch(`/api/databases/${encodeURIComponent(dropTarget)}`, {
+        method: 'DELETE',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ confirm: document.getElementById('dropDbConfirmInput')?.value }),
+      });
       const data = await res.json();
       if (!res.ok) throw new Error(data.error);
+      if (notifyPendingApproval(data)) {
+        closeDropDb();
+        return;
+      }
       window.location.reload();
     } catch (err) {
       errEl.textContent = err.message; errEl.style.display = 'block';
@@ -9988,9 +11760,17 @@ function initCollectionManagement(dbName) {
     const errEl = document.getElementById('dropColError');
     btn.disabled = true; btn.textContent = 'Dropping...';
     try {
-      const res = await fetch(`/api/${encodeURIComponent(dbName)}/collections/${encodeURIComponent(dropColTarget)}`, { method: 'DELETE' });
+      const res = await fetch(`/api/${encodeURIComponent(dbName)}/collections/${encodeURIComponent(dropColTarget)}`, {
+        method: 'DELETE',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ confirm: document.getElementById('dropColConfirmInput')?.value }),
+      });
       const data = await res.json();
       if (!res.ok) throw new Error(data.error);
+      if (notifyPendingApproval(data)) {
+        closeDropCol();
+        return;
+      }
       window.location.href = `/browse/${encodeURIComponent(dbName)}`;
     } catch (err) {
       errEl.textContent = err.message; errEl.style.display = 'block';
@@ -10043,10 +11823,22 @@ function initCollectionManagement(dbName) {
   });
 }
 
-// Global disconnect handler
+// Global disconnect handler. Only the active connection is closed; when the
+// session still has others open, the most recent one takes over.
 document.getElementById('disconnectBtn')?.addEventListener('click', async () => {
   try {
-    await fetch('/api/disconnect', { method: 'POST' });
+    const data = await apiFetchJson('/api/disconnect', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ connectionId: getActiveConnectionId() || undefined }),
+    });
+    const next = (data.open || []).find((c) => c.active);
+    if (next) {
+      const conn = getConnections().find((c) => c.id === next.id);
+      setActiveConnection(conn?.uri || '', next.id);
+      window.location.reload();
+      return;
+    }
     setActiveConnection(null); // Clear active connection
     window.location.href = '/';
   } catch (err) {
@@ -10060,8 +11852,12 @@ async function initHeaderConnectionSwitcher() {
   const actions = document.querySelector('.header-actions');
   if (!actions || document.getElementById('connectionSwitcher')) return;
 
-  const connections = await syncConnectionsFromVault();
+  const [connections, open] = await Promise.all([
+    syncConnectionsFromVault(),
+    fetchOpenConnections(),
+  ]);
   if (!connections.length) return;
+  const openIds = new Set(open.map((c) => c.id));
 
   const wrap = document.createElement('div');
   wrap.className = 'header-connection-switcher';
@@ -10076,7 +11872,9 @@ async function initHeaderConnectionSwitcher() {
     .map((c) => {
       const selected = (activeId && c.id === activeId) || (!activeId && activeUri && c.uri === activeUri);
       const label = c.name ? c.name : `Connection ${String(c.id || '').slice(0, 8)}`;
-      return `<option value="${escapeHtml(c.id || '')}" ${selected ? 'selected' : ''}>${escapeHtml(label)}</option>`;
+      // ● marks connections already open in this session (instant switch).
+      const marker = openIds.has(c.id) ? '● ' : '';
+      return `<option value="${escapeHtml(c.id || '')}" ${selected ? 'selected' : ''}>${marker}${escapeHtml(label)}</option>`;
     })
     .join('');
 
@@ -10085,14 +11883,17 @@ async function initHeaderConnectionSwitcher() {
     if (!id) return;
     select.disabled = true;
     try {
-      const res = await fetch('/api/connect', {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ connectionId: id }),
-      });
-      const data = await res.json();
-      if (!res.ok) throw new Error(data.error || 'Connection switch failed');
-      setActiveConnection(getActiveConnection(), id);
+      if (!openIds.has(id) || !(await activateOpenConnection(id))) {
+        const res = await fetch('/api/connect', {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ connectionId: id }),
+        });
+        const data = await res.json();
+        if (!res.ok) throw new Error(data.error || 'Connection switch failed');
+      }
+      const conn = connections.find((c) => c.id === id);
+      setActiveConnection(conn?.uri || '', id);
       window.location.reload();
     } catch (err) {
       showToast(err.message, 'error');
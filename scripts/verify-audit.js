@@ -0,0 +1,28 @@
+#!/usr/bin/env node
+// Verify the audit log hash chain (and HMACs when AUDIT_HMAC_SECRET is set).
+// Usage: node scripts/verify-audit.js [logDir]   — exits 1 on a broken link.
+require("dotenv").config({ quiet: true });
+const path = require("path");
+
+if (process.argv[2]) process.env.AUDIT_LOG_DIR = path.resolve(process.argv[2]);
+const audit = require("../src/utils/audit");
+
+audit
+  .verify()
+  .then((result) => {
+    console.log(`Files: ${result.files.join(", ") || "(none)"}`);
+    console.log(`Chained entries: ${result.entries}${result.legacy ? ` (+${result.legacy} unchained legacy lines)` : ""}`);
+    if (result.firstSeq) console.log(`Sequence: ${result.firstSeq}..${result.lastSeq}  last hash ${result.lastHash}`);
+    console.log(`HMAC: ${result.hmac}`);
+    if (result.ok) {
+      console.log("OK: chain intact");
+      return;
+    }
+    const b = result.broken;
+    console.error(`BROKEN at ${b.file}:${b.line}${b.seq != null ? ` (seq ${b.seq})` : ""}: ${b.reason}`);
+    process.exitCode = 1;
+  })
+  .catch((err) => {
+    console.error(err.message);
+    process.exitCode = 2;
+  });
@@ -12,17 +12,25 @@ const logger = require("./src/utils/logger");
 const pinoHttp = require("pino-http")({ logger });
 const mongoSanitize = require("express-mongo-sanitize");
 const requestIdMiddleware = require("./src/middleware/request-id");
+const { requestDeadline } = require("./src/middleware/request-deadline");
 const { requireAuth } = require("./src/middleware/auth");
 const { csrfContext, csrfApiProtection } = require("./src/middleware/csrf");
+const { apiTokenAuth, isTokenRequest } = require("./src/middleware/apiToken");
 const apiRoutes = require("./src/routes/api");
 const pageRoutes = require("./src/routes/pages");
 const { loginRouter, logoutRouter } = require("./src/routes/auth");
 const mongoService = require("./src/services/mongodb");
+const usersService = require("./src/services/users");
+const protection = require("./src/services/protection");
+const audit = require("./src/utils/audit");
+const { createSessionStore } = require("./src/services/sessionStore");
+const { installAuditSinks } = require("./src/services/auditSinks");
 
 const app = express();
 
 app.use(pinoHttp);
 app.use(requestIdMiddleware);
+app.use(requestDeadline());
 app.set("trust proxy", config.trustProxy);
 app.disable("x-powered-by");
 
@@ -48,21 +56,29 @@ app.use(
   })
 );
 
-app.use(
-  session({
-    name: "mdb.sid",
-    secret: config.auth.sessionSecret,
-    resave: false,
-    saveUninitialized: false,
-    rolling: true,
-    cookie: {
-      httpOnly: true,
-      sameSite: "strict",
-      secure: config.cookieSecure,
-      maxAge: config.auth.sessionMaxAgeMs,
-    },
-  })
+const sessionStore = createSessionStore();
+installAuditSinks();
+const sessionMiddleware = session({
+  name: "mdb.sid",
+  store: sessionStore,
+  secret: config.auth.sessionSecret,
+  resave: false,
+  saveUninitialized: false,
+  rolling: true,
+  cookie: {
+    httpOnly: true,
+    sameSite: "strict",
+    secure: config.cookieSecure,
+    maxAge: config.auth.sessionMaxAgeMs,
+  },
+});
+
+// API token requests get a per-request session from the token instead of a
+// cookie session (see src/middleware/apiToken.js).
+app.use((req, res, next) =>
+  isTokenRequest(req) ? next() : sessionMiddleware(req, res, next)
 );
+app.use(apiTokenAuth);
 
 app.use(express.json({ limit: "10mb" }));
 app.use(express.urlencoded({ extended: true, limit: "1mb" }));
@@ -76,7 +92,7 @@ app.set("views", path.join(__dirname, "views"));
 app.use((req, res, next) => {
   res.locals.appConfig = {
     authEnabled: config.auth.enabled,
-    readOnly: config.readOnly,
+    readOnly: protection.readOnly(req),
     presetLocked: !!config.presetMongoUri,
     version: pkg.version,
     csrfToken: req.session?.csrfToken || null,
@@ -117,12 +133,13 @@ app.get("/healthz", async (req, res) => {
     uptimeSec: Math.round(process.uptime()),
     mongodb: {
       connected: false,
+      ...mongoService.stats(),
     },
   };
 
   try {
-    const client = mongoService.getClient();
-    if (client && mongoService.isConnected()) {
+    const client = mongoService.getClient(req);
+    if (client && mongoService.isConnected(req)) {
       const start = Date.now();
       await client.db().admin().ping();
       health.mongodb.connected = true;
@@ -212,6 +229,12 @@ app.use("/", requireAuth, pageRoutes);
 app.use(errorHandler);
 
 async function bootstrap() {
+  if (config.auth.enabled) {
+    // Sessions can outlive a restart, so load account revocations before
+    // the first request is checked against them.
+    await usersService.loadRevocations();
+  }
+
   if (config.presetMongoUri) {
     // Fire-and-forget so a slow/failing Mongo doesn't block HTTP startup.
     // The /api/status endpoint reflects connection state; clients reconnect.
@@ -223,13 +246,16 @@ async function bootstrap() {
       );
   }
 
-  app.listen(config.port, () => {
+  const server = app.listen(config.port, () => {
     logger.info(
       `MongoDB Dashboard running at http://localhost:${config.port}` +
         (config.auth.enabled ? " (auth enabled)" : " (auth DISABLED)") +
         (config.readOnly ? " [READ-ONLY]" : "")
     );
   });
+  // Enforced per request instead (see middleware/request-deadline), so
+  // import uploads can run longer than everything else.
+  server.requestTimeout = 0;
 }
 
 bootstrap().catch((err) => {
@@ -239,7 +265,9 @@ bootstrap().catch((err) => {
 
 function shutdown() {
   logger.info("Shutting down...");
-  mongoService.disconnect().finally(() => process.exit(0));
+  Promise.allSettled([mongoService.closeAll(), sessionStore.close?.(), audit.closeSinks()]).finally(() =>
+    process.exit(0)
+  );
 }
 process.on("SIGINT", shutdown);
 process.on("SIGTERM", shutdown);
@@ -1,4 +1,4 @@
-require("dotenv").config();
+require("dotenv").config({ quiet: true });
 const crypto = require("crypto");
 
 function parseBool(v, def = false) {
@@ -10,12 +10,23 @@ const authPasswordHash = process.env.AUTH_PASSWORD_HASH || "";
 const authPasswordPlain = process.env.AUTH_PASSWORD || "";
 const authBootstrapUsername = process.env.AUTH_BOOTSTRAP_USERNAME || "";
 const authBootstrapPassword = process.env.AUTH_BOOTSTRAP_PASSWORD || "";
+const oidcEnabled = !!(process.env.OIDC_ISSUER && process.env.OIDC_CLIENT_ID);
+const authProvider = (process.env.AUTH_PROVIDER || "local").toLowerCase();
+if (!["local", "ldap"].includes(authProvider)) {
+  throw new Error(`AUTH_PROVIDER must be local or ldap (got "${authProvider}")`);
+}
+const ldapEnabled = authProvider === "ldap";
+if (ldapEnabled && !(process.env.LDAP_URL && process.env.LDAP_SEARCH_BASE)) {
+  throw new Error("AUTH_PROVIDER=ldap needs LDAP_URL and LDAP_SEARCH_BASE");
+}
 const authEnabled = parseBool(
   process.env.AUTH_ENABLED,
   !!(
     authPasswordHash ||
     authPasswordPlain ||
-    (authBootstrapUsername && authBootstrapPassword)
+    (authBootstrapUsername && authBootstrapPassword) ||
+    oidcEnabled ||
+    ldapEnabled
   )
 );
 
@@ -23,13 +34,24 @@ if (
   authEnabled &&
   !authPasswordHash &&
   !authPasswordPlain &&
-  !(authBootstrapUsername && authBootstrapPassword)
+  !(authBootstrapUsername && authBootstrapPassword) &&
+  !oidcEnabled &&
+  !ldapEnabled
 ) {
   throw new Error(
-    "AUTH_ENABLED=true but no AUTH_PASSWORD, AUTH_PASSWORD_HASH, or bootstrap credentials were provided"
+    "AUTH_ENABLED=true but no AUTH_PASSWORD, AUTH_PASSWORD_HASH, bootstrap credentials, OIDC or LDAP provider were provided"
   );
 }
 
+// "dash-admins=admin,dash-editors=editor" -> [["dash-admins","admin"], ...]
+// Order matters: the first group the user belongs to decides the role.
+function parseRoleMap(v) {
+  return String(v || "")
+    .split(",")
+    .map((pair) => pair.split("=").map((s) => s.trim()))
+    .filter(([group, role]) => group && role);
+}
+
 let resolvedHash = authPasswordHash;
 if (!resolvedHash && authPasswordPlain) {
   const bcrypt = require("bcryptjs");
@@ -49,6 +71,38 @@ if (!sessionSecret) {
   );
 }
 
+const sessionStoreType = (process.env.SESSION_STORE || "memory").toLowerCase();
+if (!["memory", "file", "mongodb"].includes(sessionStoreType)) {
+  throw new Error(`SESSION_STORE must be memory, file or mongodb (got "${sessionStoreType}")`);
+}
+const sessionStoreMongoUri =
+  process.env.SESSION_STORE_MONGODB_URI || process.env.MONGODB_URI || "";
+if (sessionStoreType === "mongodb" && !sessionStoreMongoUri) {
+  throw new Error("SESSION_STORE=mongodb needs SESSION_STORE_MONGODB_URI or MONGODB_URI");
+}
+
+const auditSyslogUrl = process.env.AUDIT_SYSLOG_URL || "";
+if (auditSyslogUrl && !/^(udp|tcp):\/\/[^/:]+(:\d+)?\/?$/.test(auditSyslogUrl)) {
+  throw new Error(`AUDIT_SYSLOG_URL must look like udp://host:514 or tcp://host:601 (got "${auditSyslogUrl}")`);
+}
+
+const auditSnapshotMode = (process.env.AUDIT_SNAPSHOTS || "diff").toLowerCase();
+if (!["off", "diff", "full"].includes(auditSnapshotMode)) {
+  throw new Error(`AUDIT_SNAPSHOTS must be off, diff or full (got "${auditSnapshotMode}")`);
+}
+
+const fourEyes = parseBool(process.env.FOUR_EYES_APPROVAL, false);
+if (fourEyes && !authEnabled) {
+  throw new Error("FOUR_EYES_APPROVAL=true needs AUTH_ENABLED: approvals are tied to accounts");
+}
+
+const presetProtection = (process.env.MONGODB_PROTECTION || "development").toLowerCase();
+if (!["development", "staging", "production"].includes(presetProtection)) {
+  throw new Error(
+    `MONGODB_PROTECTION must be development, staging or production (got "${presetProtection}")`
+  );
+}
+
 const config = {
   port: parseInt(process.env.PORT || "3000", 10),
   nodeEnv: process.env.NODE_ENV || "development",
@@ -61,6 +115,27 @@ const config = {
   ),
   presetMongoUri: process.env.MONGODB_URI || "",
   connectionVaultSecret: process.env.CONNECTION_VAULT_SECRET || "",
+  // Environment protection levels (saved connections carry their own).
+  protection: {
+    // Level of the MONGODB_URI preset connection.
+    preset: presetProtection,
+    // Longest write elevation a user can take on a production connection.
+    maxElevationMinutes: parseInt(process.env.PROTECTION_ELEVATION_MAX_MINUTES || "60", 10),
+  },
+  mongo: {
+    // Distinct connection strings that may hold an open client at once.
+    maxClients: parseInt(process.env.MONGO_MAX_CLIENTS || "20", 10),
+    // Connections one session may keep open side by side.
+    maxSessionConnections: parseInt(
+      process.env.MONGO_MAX_SESSION_CONNECTIONS || "5",
+      10
+    ),
+    // A session's connection is released after this long without API use.
+    idleTimeoutMs: parseInt(
+      process.env.MONGO_SESSION_IDLE_MS || String(1000 * 60 * 30),
+      10
+    ),
+  },
   auth: {
     enabled: authEnabled,
     passwordHash: resolvedHash,
@@ -80,9 +155,141 @@ const config = {
     maxAttempts: parseInt(process.env.LOGIN_MAX_ATTEMPTS || "5", 10),
     lockoutMs: parseInt(process.env.LOGIN_LOCKOUT_MS || "900000", 10),
     usersFile: process.env.AUTH_USERS_FILE || "data/users.json",
+    rolesFile: process.env.AUTH_ROLES_FILE || "data/roles.json",
+    tokensFile: process.env.AUTH_TOKENS_FILE || "data/api-tokens.json",
+    // Longest lifetime an API token may be given.
+    tokenMaxDays: parseInt(process.env.AUTH_TOKEN_MAX_DAYS || "365", 10),
     bootstrapUsername: process.env.AUTH_BOOTSTRAP_USERNAME || "",
     bootstrapPassword: process.env.AUTH_BOOTSTRAP_PASSWORD || "",
     bootstrapRole: process.env.AUTH_BOOTSTRAP_ROLE || "admin",
+    // Admins must pass a TOTP second factor (and enroll at next sign-in).
+    requireTwoFactorForAdmin: parseBool(process.env.AUTH_REQUIRE_2FA_ADMIN, false),
+    totpIssuer: process.env.AUTH_TOTP_ISSUER || "MongoDB Dashboard",
+    // Where username/password sign-ins are checked: local users.json or LDAP.
+    provider: authProvider,
+    ldap: {
+      enabled: ldapEnabled,
+      // ldap://host:389 or ldaps://host:636
+      url: process.env.LDAP_URL || "",
+      // Service account used to find users; empty binds anonymously.
+      bindDn: process.env.LDAP_BIND_DN || "",
+      bindPassword: process.env.LDAP_BIND_PASSWORD || "",
+      searchBase: process.env.LDAP_SEARCH_BASE || "",
+      // {username} is replaced by the escaped sign-in name.
+      userFilter: process.env.LDAP_USER_FILTER || "(uid={username})",
+      // Attribute holding the user's canonical name, used as the dashboard
+      // username; empty tries sAMAccountName, then uid.
+      usernameAttribute: process.env.LDAP_USERNAME_ATTRIBUTE || "",
+      // Attribute on the user entry listing group DNs (Active Directory).
+      groupAttribute: process.env.LDAP_GROUP_ATTRIBUTE || "memberOf",
+      // Optionally also search for groups whose members include {dn}.
+      groupSearchBase: process.env.LDAP_GROUP_SEARCH_BASE || "",
+      groupFilter:
+        process.env.LDAP_GROUP_FILTER || "(|(member={dn})(uniqueMember={dn}))",
+      // Matched against group CNs: "dash-admins=admin,dash-editors=editor"
+      roleMap: parseRoleMap(process.env.LDAP_ROLE_MAP),
+      defaultRole: process.env.LDAP_DEFAULT_ROLE || "",
+      // Local accounts still allowed to sign in: admins (break-glass), all, none.
+      localFallback: (process.env.LDAP_LOCAL_FALLBACK || "admins").toLowerCase(),
+      timeoutMs: parseInt(process.env.LDAP_TIMEOUT_MS || "5000", 10),
+      tlsRejectUnauthorized: parseBool(process.env.LDAP_TLS_REJECT_UNAUTHORIZED, true),
+    },
+    oidc: {
+      enabled: oidcEnabled,
+      issuer: process.env.OIDC_ISSUER || "",
+      clientId: process.env.OIDC_CLIENT_ID || "",
+      clientSecret: process.env.OIDC_CLIENT_SECRET || "",
+      // Defaults to <PUBLIC_URL or request origin>/login/oidc/callback.
+      redirectUri: process.env.OIDC_REDIRECT_URI || "",
+      scopes: process.env.OIDC_SCOPES || "openid profile email",
+      usernameClaim: process.env.OIDC_USERNAME_CLAIM || "preferred_username",
+      // Dotted paths reach nested claims, e.g. realm_access.roles.
+      groupsClaim: process.env.OIDC_GROUPS_CLAIM || "groups",
+      roleMap: parseRoleMap(process.env.OIDC_ROLE_MAP),
+      // Role for users matching no mapping; empty refuses the sign-in.
+      defaultRole: process.env.OIDC_DEFAULT_ROLE || "",
+      label: process.env.OIDC_LABEL || "Sign in with SSO",
+    },
+  },
+  sessionStore: {
+    type: sessionStoreType,
+    // file: one encrypted file per session in this directory.
+    dir: process.env.SESSION_STORE_DIR || "data/sessions",
+    // mongodb: a collection in a metadata database, shareable by replicas.
+    mongoUri: sessionStoreMongoUri,
+    db: process.env.SESSION_STORE_DB || "mongodb_dashboard",
+    collection: process.env.SESSION_STORE_COLLECTION || "sessions",
+  },
+  // Extra copies of every audit entry; each is optional and a failing one
+  // never blocks requests or the file log.
+  auditSinks: {
+    syslog: {
+      url: auditSyslogUrl,
+      appName: process.env.AUDIT_SYSLOG_APP_NAME || "mongodb-dashboard",
+      // 10 = authpriv (security/authorization messages).
+      facility: parseInt(process.env.AUDIT_SYSLOG_FACILITY || "10", 10),
+    },
+    webhook: {
+      url: process.env.AUDIT_WEBHOOK_URL || "",
+      // Signs the body as X-Audit-Signature: sha256=<hex HMAC>.
+      secret: process.env.AUDIT_WEBHOOK_SECRET || "",
+      timeoutMs: parseInt(process.env.AUDIT_WEBHOOK_TIMEOUT_MS || "5000", 10),
+      retries: parseInt(process.env.AUDIT_WEBHOOK_RETRIES || "5", 10),
+      backoffMs: parseInt(process.env.AUDIT_WEBHOOK_BACKOFF_MS || "1000", 10),
+    },
+    mongodb: {
+      uri: process.env.AUDIT_MONGODB_URI || "",
+      db: process.env.AUDIT_MONGODB_DB || "mongodb_dashboard",
+      collection: process.env.AUDIT_MONGODB_COLLECTION || "audit_log",
+      cappedBytes: parseInt(process.env.AUDIT_MONGODB_CAP_BYTES || String(256 * 1024 * 1024), 10),
+    },
+  },
+  // Document images on audited writes: "diff" records changed fields with
+  // old and new values, "full" the whole before/after documents.
+  auditSnapshots: {
+    mode: auditSnapshotMode,
+    // Larger images are replaced by { truncated: true, bytes }.
+    maxBytes: parseInt(process.env.AUDIT_SNAPSHOT_MAX_BYTES || "16384", 10),
+    // Bulk operations record at most this many documents.
+    maxDocs: parseInt(process.env.AUDIT_SNAPSHOT_MAX_DOCS || "50", 10),
+    // Field names (any depth) or dotted paths, `*` matching one segment.
+    redact: (process.env.AUDIT_REDACT_FIELDS ?? "password,passwordHash,secret,token,apiKey")
+      .split(",")
+      .map((f) => f.trim())
+      .filter(Boolean),
+  },
+  // Pre-images of recent document edits and deletes, for undo and history.
+  changeJournal: {
+    dir: process.env.CHANGE_JOURNAL_DIR || "data/change-journal",
+    // Changes kept per user; 0 turns the journal off.
+    depth: parseInt(process.env.CHANGE_JOURNAL_DEPTH || "20", 10),
+    // Versions kept per document for its history; 0 turns history off.
+    historyDepth: parseInt(process.env.CHANGE_HISTORY_DEPTH || "100", 10),
+    // Bulk deletes touching more documents than this are not journaled.
+    maxDocs: parseInt(process.env.CHANGE_JOURNAL_MAX_DOCS || "500", 10),
+  },
+  // Streamed imports (POST /api/:db/:collection/import with a file body).
+  import: {
+    // Largest upload accepted, in bytes (1 GiB by default).
+    maxBytes: parseInt(process.env.IMPORT_MAX_BYTES || String(1024 * 1024 * 1024), 10),
+    // Documents per bulk write, unless the request asks for another size.
+    batchSize: parseInt(process.env.IMPORT_BATCH_SIZE || "1000", 10),
+    // Largest XLSX workbook, in bytes: unlike text formats it is held in
+    // memory until the upload completes (100 MiB by default).
+    xlsxMaxBytes: parseInt(process.env.IMPORT_XLSX_MAX_BYTES || String(100 * 1024 * 1024), 10),
+    // Largest part of a workbook once unpacked, in bytes, so a small
+    // compressed file cannot unpack into all of memory (256 MiB by default).
+    xlsxMaxEntryBytes: parseInt(process.env.IMPORT_XLSX_MAX_ENTRY_BYTES || String(256 * 1024 * 1024), 10),
+    // How long an import upload may take to arrive; other requests keep
+    // Node's five minutes.
+    requestTimeoutMs: parseInt(process.env.IMPORT_REQUEST_TIMEOUT_MS || String(1000 * 60 * 60), 10),
+  },
+  // Four-eyes mode: drops, shell deleteMany and replace-mode restores wait
+  // for a second account with the `approve` permission.
+  approvals: {
+    enabled: fourEyes,
+    dir: process.env.APPROVALS_DIR || "data/approvals",
+    ttlHours: parseInt(process.env.APPROVAL_TTL_HOURS || "24", 10),
   },
   rateLimit: {
     windowMs: parseInt(process.env.RATE_LIMIT_WINDOW_MS || "60000", 10),
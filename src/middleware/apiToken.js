@@ -0,0 +1,74 @@
+const config = require("../config");
+const apiTokens = require("../services/apiTokens");
+const usersService = require("../services/users");
+const audit = require("../utils/audit");
+const logger = require("../utils/logger");
+
+// `Authorization: Bearer mdb_…` on /api requests. Such requests carry no
+// cookie session: server.js skips express-session for them and this
+// middleware builds a per-request session from the token instead.
+
+// Account, session, token and connection management stay cookie-only, so
+// a leaked token cannot mint more tokens or repoint the shared connection.
+const TOKEN_BLOCKED = /^\/(account|accounts|account-roles|account-sessions|api-tokens|connect|disconnect|connections)(\/|$)/;
+
+function bearerToken(req) {
+  const header = req.get("authorization");
+  const match = typeof header === "string" ? header.match(/^Bearer\s+(\S+)$/i) : null;
+  return match ? match[1] : null;
+}
+
+/** True for requests that authenticate with an API token. */
+function isTokenRequest(req) {
+  return config.auth.enabled && req.path.startsWith("/api/") && !!bearerToken(req);
+}
+
+async function apiTokenAuth(req, res, next) {
+  if (!isTokenRequest(req)) return next();
+  const reject = (reason) => {
+    audit.log({ event: "api_token_rejected", reason, method: req.method, path: req.originalUrl, ip: req.ip });
+    return res.status(401).json({ error: "Invalid or expired API token" });
+  };
+  try {
+    const result = await apiTokens.authenticate(bearerToken(req), { ip: req.ip });
+    if (!result) return reject("unknown, expired or revoked");
+    const { token, touched } = result;
+    const owner = await usersService.getUser(token.username);
+    if (!owner || owner.disabled) return reject("owner disabled");
+
+    const now = Date.now();
+    req.apiToken = token;
+    req.session = {
+      authenticated: true,
+      username: owner.username,
+      role: owner.role,
+      permissions: usersService.resolvePermissions(owner.role),
+      tokenPermissions: token.permissions,
+      authMethod: "token",
+      tokenId: token.id,
+      loginAt: now,
+      lastSeenAt: now,
+    };
+    if (touched) {
+      audit.log({
+        event: "api_token_used",
+        tokenId: token.id,
+        tokenName: token.name,
+        method: req.method,
+        path: req.originalUrl,
+        ip: req.ip,
+        username: owner.username,
+        role: owner.role,
+      });
+    }
+    if (TOKEN_BLOCKED.test(req.path.slice("/api".length))) {
+      return res.status(403).json({ error: "Not available to API tokens" });
+    }
+    next();
+  } catch (err) {
+    logger.error({ err }, "API token check failed");
+    res.status(500).json({ error: "API token check failed" });
+  }
+}
+
+module.exports = { apiTokenAuth, isTokenRequest };
@@ -1,6 +1,9 @@
 const bcrypt = require("bcryptjs");
 const config = require("../config");
 const usersService = require("../services/users");
+const protection = require("../services/protection");
+const ldap = require("../services/ldap");
+const logger = require("../utils/logger");
 
 const failedAttempts = new Map();
 
@@ -48,7 +51,7 @@ async function verifyPassword(plain) {
   return bcrypt.compare(plain, config.auth.passwordHash);
 }
 
-async function verifyCredentials(username, password) {
+async function verifyLocalCredentials(username, password) {
   if (username) {
     const user = await usersService.verifyUser(username, password);
     if (user) return user;
@@ -62,10 +65,51 @@ async function verifyCredentials(username, password) {
   };
 }
 
+async function verifyLdapCredentials(username, password) {
+  let result;
+  try {
+    result = await ldap.authenticate(username, password);
+  } catch (err) {
+    logger.error({ err }, "[ldap] directory unavailable");
+    return null;
+  }
+  if (!result) return null;
+  const role = ldap.mapGroups(result.groups, usersService.listRoleNames());
+  if (!role) {
+    logger.warn({ username, dn: result.dn }, "[ldap] no dashboard role mapped to the user's groups");
+    return null;
+  }
+  return {
+    username: result.username,
+    role,
+    permissions: usersService.resolvePermissions(role),
+    authMethod: "ldap",
+  };
+}
+
+/**
+ * Check a username/password with the configured provider. With LDAP, local
+ * accounts remain as a break-glass path: admins only by default
+ * (LDAP_LOCAL_FALLBACK=admins), every account (all) or none.
+ */
+async function verifyCredentials(username, password) {
+  if (!ldap.isEnabled()) return verifyLocalCredentials(username, password);
+  const user = await verifyLdapCredentials(username, password);
+  if (user) return user;
+  const fallback = config.auth.ldap.localFallback;
+  if (fallback === "none") return null;
+  const local = await verifyLocalCredentials(username, password);
+  if (!local || (fallback !== "all" && local.role !== "admin")) return null;
+  return local;
+}
+
 function requireAuth(req, res, next) {
   if (!config.auth.enabled) return next();
   if (req.session && req.session.authenticated) {
-    if (shouldInvalidateSession(req.session)) {
+    if (
+      shouldInvalidateSession(req.session) ||
+      usersService.isSessionRevoked(req.session)
+    ) {
       req.session.destroy(() => {
         res.clearCookie("mdb.sid", {
           httpOnly: true,
@@ -91,7 +135,7 @@ function requireAuth(req, res, next) {
 }
 
 function requireWritable(req, res, next) {
-  if (config.readOnly) {
+  if (protection.readOnly(req)) {
     return res.status(403).json({ error: "Dashboard is in read-only mode" });
   }
   next();
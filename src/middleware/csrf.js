@@ -25,6 +25,9 @@ function hasSameOriginFetchMetadata(req) {
 
 function csrfApiProtection(req, res, next) {
   if (SAFE_METHODS.has(req.method)) return next();
+  // Browsers never attach a bearer token on their own, so token requests
+  // cannot be forged cross-site.
+  if (req.apiToken) return next();
 
   const sessionToken = ensureCsrfToken(req);
   if (!sessionToken) {
@@ -0,0 +1,38 @@
+// How long receiving one request may take. Node's own `requestTimeout` is a
+// single value for the whole server, so the server turns it off and this
+// middleware applies the same limit per request instead; a route that takes
+// large uploads extends its own with `extendRequestDeadline`.
+
+// Node's default requestTimeout.
+const DEFAULT_TIMEOUT_MS = 5 * 60 * 1000;
+
+const kTimer = Symbol("requestDeadline");
+
+function extendRequestDeadline(req, res, ms) {
+  clearTimeout(req[kTimer]);
+  if (req.complete || res.writableEnded) return;
+  const timer = setTimeout(() => {
+    if (req.complete) return;
+    if (res.headersSent) {
+      req.socket.destroy();
+      return;
+    }
+    res.writeHead(408, { "Content-Type": "application/json", Connection: "close" });
+    res.end(JSON.stringify({ error: "Request timed out" }));
+  }, ms);
+  timer.unref();
+  req[kTimer] = timer;
+  const clear = () => clearTimeout(timer);
+  req.once("end", clear);
+  req.once("close", clear);
+  res.once("finish", clear);
+}
+
+function requestDeadline(ms = DEFAULT_TIMEOUT_MS) {
+  return (req, res, next) => {
+    extendRequestDeadline(req, res, ms);
+    next();
+  };
+}
+
+module.exports = { requestDeadline, extendRequestDeadline, DEFAULT_TIMEOUT_MS };
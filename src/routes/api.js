@@ -13,11 +13,15 @@ router.use(validateMongoPathParams);
 router.use("/", require("./api/connection"));
 router.use("/", require("./api/audit"));
 router.use("/", require("./api/plugins"));
+router.use("/", require("./api/access"));
+router.use("/", require("./api/accounts"));
 router.use("/", require("./api/databases"));
 router.use("/", require("./api/indexes"));
 router.use("/", require("./api/shell"));
 router.use("/", require("./api/transfer"));
 router.use("/", require("./api/query"));
+router.use("/", require("./api/journal"));
+router.use("/", require("./api/approvals"));
 router.use("/", require("./api/collection"));
 router.use("/", require("./api/documents"));
 
@@ -5,6 +5,9 @@
 const config = require("../../config");
 const audit = require("../../utils/audit");
 const usersService = require("../../services/users");
+const mongoService = require("../../services/mongodb");
+const approvals = require("../../services/approvals");
+const protection = require("../../services/protection");
 
 function redactConnectionString(uri) {
   if (!uri) return uri;
@@ -14,27 +17,148 @@ function redactConnectionString(uri) {
 // Routes that use POST/PUT/DELETE but are NOT considered "writes" against the DB.
 // (Connection management, query helpers that don't mutate.)
 const NON_WRITE_PATHS = new Set(["/connect", "/disconnect"]);
+// Aggregate routes check the namespaces their pipeline reads and writes
+// themselves (see query.js).
 const NON_WRITE_SUFFIXES = ["/explain", "/aggregate"];
+// [method, path] pairs, matched exactly so a database that happens to share
+// a name (e.g. "accounts") cannot use them to skip the write check.
+const NON_WRITE_ROUTES = [
+  ["POST", /^\/connections\/[^/]+\/activate$/],
+  ["POST", /^\/copy-jobs\/[^/]+\/cancel$/],
+  ["POST", /^\/import-jobs\/[^/]+\/cancel$/],
+  // Reads a sample of an import file; writes nothing.
+  ["POST", /^\/import-preview$/],
+  // Dashboard accounts live in users.json, not MongoDB; gated by userAdmin.
+  ["POST", /^\/accounts$/],
+  ["PATCH", /^\/accounts\/[^/]+$/],
+  ["POST", /^\/accounts\/[^/]+\/(password|2fa\/reset)$/],
+  ["PUT", /^\/account-roles\/[^/]+$/],
+  ["DELETE", /^\/account-roles\/[^/]+$/],
+  ["DELETE", /^\/account-sessions\/[^/]+$/],
+  // A user's own 2FA settings and API tokens.
+  ["POST", /^\/account\/2fa\/(setup|enable|disable|recovery-codes)$/],
+  ["POST", /^\/account\/tokens$/],
+  ["DELETE", /^\/account\/tokens\/[^/]+$/],
+  ["DELETE", /^\/api-tokens\/[^/]+$/],
+  // Checks write access on the journaled namespace itself.
+  ["POST", /^\/change-journal\/undo$/],
+  // Gated by `approve` (and write access on the request's namespace).
+  ["POST", /^\/approvals\/[^/]+\/(approve|reject)$/],
+  // Breaking glass on a READ_ONLY deployment; gated by `breakGlass`.
+  ["POST", /^\/read-only\/elevation$/],
+  ["DELETE", /^\/read-only\/elevation$/],
+];
+
+// First path segments that belong to fixed routes rather than the
+// /:db/:collection family, so they never name a namespace.
+const GLOBAL_SEGMENTS = new Set([
+  "account",
+  "account-roles",
+  "account-sessions",
+  "accounts",
+  "api-tokens",
+  "approvals",
+  "audit",
+  "backups",
+  "change-journal",
+  "changelog",
+  "connect",
+  "connections",
+  "copy-jobs",
+  "disconnect",
+  "import-jobs",
+  "import-preview",
+  "plugins",
+  "read-only",
+  "self-check",
+  "server",
+  "server-info",
+  "shell",
+  "status",
+]);
+
+function decodeSegment(s) {
+  try {
+    return decodeURIComponent(s);
+  } catch {
+    return s;
+  }
+}
+
+/**
+ * The `{ db, collection }` an API request targets, or null for routes that
+ * are not about one namespace (connections, audit, shell, …). Used to scope
+ * RBAC checks for custom roles.
+ */
+function namespaceFromRequest(req) {
+  const [first, second, third] = req.path.split("/").filter(Boolean).map(decodeSegment);
+  if (!first) return null;
+  if (first === "databases") {
+    if (second) return { db: second };
+    const name = req.method === "POST" ? req.body?.name : null;
+    return typeof name === "string" && name ? { db: name } : null;
+  }
+  if (first === "access") return second ? { db: second } : null;
+  if (first === "copy-jobs") {
+    // Starting a copy writes to the target; the route checks the source.
+    const target = req.method === "POST" && !second ? req.body?.target : null;
+    return target && typeof target.db === "string"
+      ? { db: target.db, collection: target.collection }
+      : null;
+  }
+  if (first === "import-jobs") {
+    // Creating an import job names the collection it will write to.
+    const body = req.method === "POST" && !second ? req.body : null;
+    return body && typeof body.db === "string" && typeof body.collection === "string"
+      ? { db: body.db, collection: body.collection }
+      : null;
+  }
+  if (GLOBAL_SEGMENTS.has(first)) return null;
+  if (second === "collections") return third ? { db: first, collection: third } : { db: first };
+  return second ? { db: first, collection: second } : { db: first };
+}
+
+function canRead(session, ns) {
+  return ns.collection
+    ? usersService.hasPermission(session, "read", ns)
+    : usersService.canSeeDatabase(session, ns.db);
+}
 
 /**
- * Express middleware: enforce READ_ONLY mode at the API boundary, and
- * append every actual write op to the audit log.
+ * Express middleware: enforce RBAC namespace scopes, READ_ONLY mode and
+ * production connection protection at the API boundary, and append every actual write op to the audit log
+ * (with document before/after images where the handler captured them).
  *
  * Mounted once on the top-level api router so every sub-router inherits
  * it — no need for individual handlers to remember to check.
  */
 function readOnlyAndAuditMiddleware(req, res, next) {
   const method = req.method;
+  const p = req.path;
+  const ns = config.auth.enabled ? namespaceFromRequest(req) : null;
+
+  if (ns && !canRead(req.session, ns)) {
+    audit.log({
+      event: "read_blocked_rbac",
+      method,
+      path: p,
+      ip: req.ip,
+      username: req.session?.username || null,
+      role: req.session?.role || null,
+    });
+    return res.status(403).json({ error: "Access to this namespace denied by RBAC" });
+  }
+
   if (method === "GET" || method === "HEAD" || method === "OPTIONS")
     return next();
 
-  const p = req.path;
   if (NON_WRITE_PATHS.has(p)) return next();
   if (NON_WRITE_SUFFIXES.some((s) => p.endsWith(s))) return next();
+  if (NON_WRITE_ROUTES.some(([m, re]) => m === method && re.test(p))) return next();
   // Shell exec is gated separately (read-only ops are still allowed inside).
   if (p === "/shell/exec") return next();
 
-  if (config.auth.enabled && !usersService.hasPermission(req.session, "write")) {
+  if (config.auth.enabled && !usersService.hasPermission(req.session, "write", ns)) {
     audit.log({
       event: "write_blocked_rbac",
       method,
@@ -46,7 +170,7 @@ function readOnlyAndAuditMiddleware(req, res, next) {
     return res.status(403).json({ error: "Write access denied by RBAC" });
   }
 
-  if (config.readOnly) {
+  if (protection.readOnly(req)) {
     audit.log({
       event: "write_blocked_read_only",
       method,
@@ -58,6 +182,29 @@ function readOnlyAndAuditMiddleware(req, res, next) {
       .json({ error: "Dashboard is in read-only mode (READ_ONLY=true)" });
   }
 
+  // Writes against a database also honour the connection's protection
+  // level; connection, account and other dashboard settings do not.
+  if (!namespaceFromRequest(req)) return auditWrite(req, res, ns, next);
+  protection.writeBlock(req).then((blocked) => {
+    if (!blocked) return auditWrite(req, res, ns, next);
+    audit.log({
+      event: "write_blocked_protection",
+      method,
+      path: p,
+      connectionId: mongoService.getConnectionId(req),
+      level: blocked.level,
+      ip: req.ip,
+      username: req.session?.username || null,
+      role: req.session?.role || null,
+    });
+    res.status(403).json({ error: blocked.error, protection: blocked.level });
+  }, next);
+}
+
+// A write that passed every check: queue its audit entry and run it.
+function auditWrite(req, res, ns, next) {
+  const method = req.method;
+  const p = req.path;
   if (
     method === "DELETE" ||
     p === "/databases" ||
@@ -67,7 +214,23 @@ function readOnlyAndAuditMiddleware(req, res, next) {
     p.match(/^\/[^/]+\/collections/) ||
     /^\/[^/]+\/[^/]+(\/[^/]+)?$/.test(p)
   ) {
-    audit.log({ event: "write", method, path: p, ip: req.ip });
+    const target = ns || namespaceFromRequest(req);
+    // Logged once the response is done, with its status and any document
+    // snapshots the handler left in res.locals.auditChange.
+    res.once("close", () => {
+      audit.log({
+        event: "write",
+        method,
+        path: p,
+        ...(target ? { db: target.db, collection: target.collection } : {}),
+        ip: req.ip,
+        username: req.session?.username || null,
+        role: req.session?.role || null,
+        ...(req.apiToken ? { tokenId: req.apiToken.id } : {}),
+        status: res.statusCode,
+        ...res.locals.auditChange,
+      });
+    });
   }
   next();
 }
@@ -167,9 +330,125 @@ function buildSearchQuery(searchTerm, sampleDoc = null) {
   };
 }
 
+/**
+ * In four-eyes mode (FOUR_EYES_APPROVAL), file the operation described by
+ * `spec` as a change request and answer 202 with it instead of running it.
+ * Returns true when the request was deferred.
+ */
+async function deferToApproval(req, res, spec) {
+  if (!approvals.enabled()) return false;
+  const approval = await approvals.submit(req, {
+    connectionId: mongoService.getConnectionId(req),
+    ...spec,
+  });
+  res.status(202).json({
+    pending: true,
+    approval,
+    message: "Waiting for a second approver",
+  });
+  return true;
+}
+
+// `{ db, collection }` for a stage's collection argument: a name in `db`,
+// or `{ db, coll }`. Null when it names nothing we can check.
+function stageTarget(value, db) {
+  if (typeof value === "string" && value) return { db, collection: value };
+  if (value && typeof value === "object" && typeof value.coll === "string" && value.coll) {
+    if (value.db !== undefined && (typeof value.db !== "string" || !value.db)) return null;
+    return { db: value.db || db, collection: value.coll };
+  }
+  return null;
+}
+
+/**
+ * The namespaces a pipeline run in `db` reads besides its own collection
+ * ($lookup, $graphLookup, $unionWith) and writes ($out, $merge), including
+ * those of sub-pipelines. A null entry is an argument that names nothing
+ * checkable; callers refuse the pipeline.
+ */
+function pipelineNamespaces(pipeline, db, found = { reads: [], writes: [] }) {
+  for (const stage of pipeline) {
+    if (!stage || typeof stage !== "object") continue;
+    for (const [op, spec] of Object.entries(stage)) {
+      if (op === "$lookup" || op === "$graphLookup" || op === "$unionWith") {
+        const from = op === "$unionWith" ? (typeof spec === "string" ? spec : spec?.coll) : spec?.from;
+        // With only a pipeline (starting with $documents) it reads no collection.
+        const target = from === undefined && op !== "$graphLookup" ? { db } : stageTarget(from, db);
+        if (!target || target.collection) found.reads.push(target);
+        if (Array.isArray(spec?.pipeline)) pipelineNamespaces(spec.pipeline, target?.db || db, found);
+      } else if (op === "$facet" && spec && typeof spec === "object") {
+        for (const sub of Object.values(spec)) {
+          if (Array.isArray(sub)) pipelineNamespaces(sub, db, found);
+        }
+      } else if (op === "$out") {
+        found.writes.push(stageTarget(spec, db));
+      } else if (op === "$merge") {
+        found.writes.push(stageTarget(typeof spec === "string" ? spec : spec?.into, db));
+      }
+    }
+  }
+  return found;
+}
+
+/**
+ * The API middleware lets aggregate requests through as reads, checking
+ * only the collection in the URL, and the shell checks only the collection
+ * it runs on. Check everything else a pipeline run in `db` touches: read access on the collections it pulls in, and for $out and
+ * $merge the same write checks (RBAC, READ_ONLY, connection protection) as
+ * any other write. Returns `{ status, body }` to refuse with, or null.
+ */
+async function pipelineBlock(req, pipeline, db = req.params.db) {
+  const { reads, writes } = pipelineNamespaces(pipeline, db);
+  if (reads.includes(null) || writes.includes(null)) {
+    return { status: 400, body: { error: "Pipeline stages must name their collections as strings" } };
+  }
+  const blockedEntry = (event, extra) => ({
+    event,
+    method: req.method,
+    path: req.path,
+    ...extra,
+    ip: req.ip,
+    username: req.session?.username || null,
+    role: req.session?.role || null,
+  });
+  if (config.auth.enabled) {
+    const hidden = reads.find((ns) => !canRead(req.session, ns));
+    if (hidden) {
+      audit.log(blockedEntry("read_blocked_rbac", hidden));
+      return { status: 403, body: { error: "Access to this namespace denied by RBAC" } };
+    }
+    const denied = writes.find((ns) => !usersService.hasPermission(req.session, "write", ns));
+    if (denied) {
+      audit.log(blockedEntry("write_blocked_rbac", denied));
+      return { status: 403, body: { error: "Write access denied by RBAC" } };
+    }
+  }
+  if (!writes.length) return null;
+  if (protection.readOnly(req)) {
+    audit.log({ event: "write_blocked_read_only", method: req.method, path: req.path, ip: req.ip });
+    return { status: 403, body: { error: "Dashboard is in read-only mode (READ_ONLY=true)" } };
+  }
+  const blocked = await protection.writeBlock(req);
+  if (blocked) {
+    audit.log(
+      blockedEntry("write_blocked_protection", {
+        connectionId: mongoService.getConnectionId(req),
+        level: blocked.level,
+      }),
+    );
+    return { status: 403, body: { error: blocked.error, protection: blocked.level } };
+  }
+  return null;
+}
+
 module.exports = {
   redactConnectionString,
+  deferToApproval,
   readOnlyAndAuditMiddleware,
+  namespaceFromRequest,
+  canRead,
+  pipelineNamespaces,
+  pipelineBlock,
   extractSearchableFields,
   buildSearchQuery,
 };
@@ -0,0 +1,242 @@
+const express = require("express");
+const router = express.Router();
+const mongoService = require("../../services/mongodb");
+const config = require("../../config");
+const usersService = require("../../services/users");
+const {
+  bad,
+  requireStringField,
+  isPlainObject,
+} = require("../../middleware/validate-body");
+const audit = require("../../utils/audit");
+const logger = require("../../utils/logger");
+
+// MongoDB user and role management for a database.
+//
+// Mounted under /access/:db rather than /:db/users so a collection that
+// happens to be called "users" or "roles" keeps working in the browser.
+//
+//   GET    /access/:db/users                    usersInfo
+//   POST   /access/:db/users                    createUser
+//   PATCH  /access/:db/users/:user              updateUser (pwd, roles, customData)
+//   DELETE /access/:db/users/:user              dropUser
+//   POST   /access/:db/users/:user/grant        grantRolesToUser
+//   POST   /access/:db/users/:user/revoke       revokeRolesFromUser
+//   GET    /access/:db/roles                    rolesInfo
+//   POST   /access/:db/roles                    createRole
+//   PATCH  /access/:db/roles/:role              updateRole
+//   DELETE /access/:db/roles/:role              dropRole
+
+const MIN_PASSWORD_LENGTH = 8;
+const NAME_MAX = 256;
+
+function denied(req) {
+  return config.auth.enabled && !usersService.hasPermission(req.session, "dbUserAdmin");
+}
+
+// Every handler needs the same permission and client checks.
+function withDb(handler) {
+  return async (req, res) => {
+    try {
+      if (denied(req)) {
+        return res.status(403).json({ error: "Database user admin denied by RBAC" });
+      }
+      const client = mongoService.getClient(req);
+      if (!client) return res.status(400).json({ error: "Not connected" });
+      await handler(req, res, client.db(req.params.db));
+    } catch (err) {
+      logger.error(err);
+      // Server-side command errors (duplicate user, unknown role, …) are the
+      // caller's to fix, so surface them as 400 rather than 500.
+      const status = err.status || (typeof err.code === "number" ? 400 : 500);
+      res.status(status).json({ error: err.message });
+    }
+  };
+}
+
+/**
+ * Accept `["readWrite", { role: "read", db: "reporting" }]` and return the
+ * form the server expects, or throw a 400.
+ */
+function normalizeRoles(roles, field = "roles") {
+  if (!Array.isArray(roles)) throw inputError(`${field} must be an array`);
+  return roles.map((r) => {
+    if (typeof r === "string" && r.trim()) return r.trim();
+    if (
+      isPlainObject(r) &&
+      typeof r.role === "string" && r.role.trim() &&
+      typeof r.db === "string" && r.db.trim()
+    ) {
+      return { role: r.role.trim(), db: r.db.trim() };
+    }
+    throw inputError(`${field} entries must be a role name or { role, db }`);
+  });
+}
+
+function normalizePrivileges(privileges) {
+  if (!Array.isArray(privileges)) throw inputError("privileges must be an array");
+  return privileges.map((p) => {
+    if (!isPlainObject(p) || !isPlainObject(p.resource)) {
+      throw inputError("each privilege needs a resource object");
+    }
+    if (!Array.isArray(p.actions) || !p.actions.length || p.actions.some((a) => typeof a !== "string")) {
+      throw inputError("each privilege needs a non-empty actions array");
+    }
+    return { resource: p.resource, actions: p.actions };
+  });
+}
+
+function inputError(message) {
+  const err = new Error(message);
+  err.status = 400;
+  return err;
+}
+
+function readPassword(body, { required }) {
+  if (body?.pwd === undefined && !required) return undefined;
+  const field = requireStringField(body, "pwd", { min: MIN_PASSWORD_LENGTH, max: 1024 });
+  if (!field.ok) {
+    throw inputError(
+      field.error === "pwd is required"
+        ? `pwd must be at least ${MIN_PASSWORD_LENGTH} characters`
+        : field.error
+    );
+  }
+  return field.value;
+}
+
+function toPublicUser(u) {
+  return {
+    user: u.user,
+    db: u.db,
+    roles: u.roles || [],
+    mechanisms: u.mechanisms || [],
+    customData: u.customData || null,
+  };
+}
+
+function toPublicRole(r) {
+  return {
+    role: r.role,
+    db: r.db,
+    isBuiltin: !!r.isBuiltin,
+    roles: r.roles || [],
+    inheritedRoles: r.inheritedRoles || [],
+    privileges: r.privileges || [],
+  };
+}
+
+function logChange(req, event, extra) {
+  audit.log({
+    event,
+    db: req.params.db,
+    ip: req.ip,
+    username: req.session?.username || null,
+    ...extra,
+  });
+}
+
+// ── Users ─────────────────────────────────────────────────────────────────
+
+router.get("/access/:db/users", withDb(async (req, res, db) => {
+  const result = await db.command({ usersInfo: 1, showCredentials: false });
+  res.json({ users: (result.users || []).map(toPublicUser) });
+}));
+
+router.post("/access/:db/users", withDb(async (req, res, db) => {
+  const userField = requireStringField(req.body, "user", { max: NAME_MAX });
+  if (!userField.ok) return bad(res, userField.error);
+  const pwd = readPassword(req.body, { required: true });
+  const roles = normalizeRoles(req.body?.roles ?? []);
+  const cmd = { createUser: userField.value, pwd, roles };
+  if (req.body?.customData !== undefined) {
+    if (!isPlainObject(req.body.customData)) return bad(res, "customData must be an object");
+    cmd.customData = req.body.customData;
+  }
+  await db.command(cmd);
+  logChange(req, "db_user_created", { user: userField.value, roles });
+  res.status(201).json({ success: true });
+}));
+
+router.patch("/access/:db/users/:user", withDb(async (req, res, db) => {
+  const cmd = { updateUser: req.params.user };
+  const pwd = readPassword(req.body, { required: false });
+  if (pwd !== undefined) cmd.pwd = pwd;
+  if (req.body?.roles !== undefined) cmd.roles = normalizeRoles(req.body.roles);
+  if (req.body?.customData !== undefined) {
+    if (!isPlainObject(req.body.customData)) return bad(res, "customData must be an object");
+    cmd.customData = req.body.customData;
+  }
+  if (Object.keys(cmd).length === 1) return bad(res, "Nothing to update");
+  await db.command(cmd);
+  logChange(req, "db_user_updated", {
+    user: req.params.user,
+    passwordChanged: pwd !== undefined,
+    roles: cmd.roles,
+  });
+  res.json({ success: true });
+}));
+
+router.delete("/access/:db/users/:user", withDb(async (req, res, db) => {
+  await db.command({ dropUser: req.params.user });
+  logChange(req, "db_user_dropped", { user: req.params.user });
+  res.json({ success: true });
+}));
+
+router.post("/access/:db/users/:user/grant", withDb(async (req, res, db) => {
+  const roles = normalizeRoles(req.body?.roles);
+  if (!roles.length) return bad(res, "roles cannot be empty");
+  await db.command({ grantRolesToUser: req.params.user, roles });
+  logChange(req, "db_user_roles_granted", { user: req.params.user, roles });
+  res.json({ success: true });
+}));
+
+router.post("/access/:db/users/:user/revoke", withDb(async (req, res, db) => {
+  const roles = normalizeRoles(req.body?.roles);
+  if (!roles.length) return bad(res, "roles cannot be empty");
+  await db.command({ revokeRolesFromUser: req.params.user, roles });
+  logChange(req, "db_user_roles_revoked", { user: req.params.user, roles });
+  res.json({ success: true });
+}));
+
+// ── Roles ─────────────────────────────────────────────────────────────────
+
+router.get("/access/:db/roles", withDb(async (req, res, db) => {
+  const result = await db.command({
+    rolesInfo: 1,
+    showPrivileges: true,
+    showBuiltinRoles: req.query.builtin === "true",
+  });
+  res.json({ roles: (result.roles || []).map(toPublicRole) });
+}));
+
+router.post("/access/:db/roles", withDb(async (req, res, db) => {
+  const roleField = requireStringField(req.body, "role", { max: NAME_MAX });
+  if (!roleField.ok) return bad(res, roleField.error);
+  const privileges = normalizePrivileges(req.body?.privileges ?? []);
+  const roles = normalizeRoles(req.body?.roles ?? []);
+  if (!privileges.length && !roles.length) {
+    return bad(res, "A role needs at least one privilege or inherited role");
+  }
+  await db.command({ createRole: roleField.value, privileges, roles });
+  logChange(req, "db_role_created", { role: roleField.value, roles });
+  res.status(201).json({ success: true });
+}));
+
+router.patch("/access/:db/roles/:role", withDb(async (req, res, db) => {
+  const cmd = { updateRole: req.params.role };
+  if (req.body?.privileges !== undefined) cmd.privileges = normalizePrivileges(req.body.privileges);
+  if (req.body?.roles !== undefined) cmd.roles = normalizeRoles(req.body.roles);
+  if (Object.keys(cmd).length === 1) return bad(res, "Nothing to update");
+  await db.command(cmd);
+  logChange(req, "db_role_updated", { role: req.params.role });
+  res.json({ success: true });
+}));
+
+router.delete("/access/:db/roles/:role", withDb(async (req, res, db) => {
+  await db.command({ dropRole: req.params.role });
+  logChange(req, "db_role_dropped", { role: req.params.role });
+  res.json({ success: true });
+}));
+
+module.exports = router;
@@ -0,0 +1,446 @@
+const express = require("express");
+const router = express.Router();
+const config = require("../../config");
+const usersService = require("../../services/users");
+const rolesService = require("../../services/roles");
+const apiTokens = require("../../services/apiTokens");
+const mongoService = require("../../services/mongodb");
+const { sessionHandle } = require("../../services/sessionStore");
+const totp = require("../../utils/totp");
+const { bad, requireStringField } = require("../../middleware/validate-body");
+const audit = require("../../utils/audit");
+const logger = require("../../utils/logger");
+
+// Dashboard accounts (data/users.json) — the web equivalent of
+// scripts/create-user.js. Every change is audited with the acting user.
+
+function denied(req) {
+  return config.auth.enabled && !usersService.hasPermission(req.session, "userAdmin");
+}
+
+function actor(req) {
+  return {
+    ip: req.ip,
+    username: req.session?.username || null,
+    role: req.session?.role || null,
+  };
+}
+
+function sendError(res, err) {
+  if (!err.status) logger.error(err);
+  res.status(err.status || 500).json({ error: err.message });
+}
+
+router.get("/accounts", async (req, res) => {
+  try {
+    if (denied(req)) return res.status(403).json({ error: "Account admin denied by RBAC" });
+    res.json({ users: await usersService.listUsers(), roles: usersService.listRoleNames() });
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+router.post("/accounts", async (req, res) => {
+  try {
+    if (denied(req)) return res.status(403).json({ error: "Account admin denied by RBAC" });
+    const usernameField = requireStringField(req.body, "username", { max: 64 });
+    if (!usernameField.ok) return bad(res, usernameField.error);
+    const passwordField = requireStringField(req.body, "password", { max: 1024 });
+    if (!passwordField.ok) return bad(res, passwordField.error);
+    const user = await usersService.createUser({
+      username: usernameField.value,
+      password: passwordField.value,
+      role: req.body?.role || "viewer",
+    });
+    audit.log({ event: "account_created", target: user.username, targetRole: user.role, ...actor(req) });
+    res.status(201).json({ user });
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+// Change role and/or enable/disable. Signed-in sessions of the account are
+// ended so the change takes effect immediately.
+router.patch("/accounts/:username", async (req, res) => {
+  try {
+    if (denied(req)) return res.status(403).json({ error: "Account admin denied by RBAC" });
+    const { role, disabled } = req.body || {};
+    if (role === undefined && disabled === undefined) return bad(res, "Nothing to update");
+    if (disabled !== undefined && typeof disabled !== "boolean") {
+      return bad(res, "disabled must be a boolean");
+    }
+    const self = String(req.session?.username || "").toLowerCase();
+    if (disabled === true && self && self === req.params.username.toLowerCase()) {
+      return bad(res, "You cannot disable your own account");
+    }
+    const { before, after } = await usersService.updateUser(req.params.username, { role, disabled });
+    if (before.role !== after.role || before.disabled !== after.disabled) {
+      await endSessionsOf(req, after.username);
+    }
+    audit.log({
+      event: "account_updated",
+      target: after.username,
+      before: { role: before.role, disabled: before.disabled },
+      after: { role: after.role, disabled: after.disabled },
+      ...actor(req),
+    });
+    res.json({ user: after });
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+router.post("/accounts/:username/password", async (req, res) => {
+  try {
+    if (denied(req)) return res.status(403).json({ error: "Account admin denied by RBAC" });
+    const passwordField = requireStringField(req.body, "password", { max: 1024 });
+    if (!passwordField.ok) return bad(res, passwordField.error);
+    const user = await usersService.setPassword(req.params.username, passwordField.value);
+    await endSessionsOf(req, user.username);
+    audit.log({ event: "account_password_reset", target: user.username, ...actor(req) });
+    res.json({ user });
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+// Turn off someone's 2FA after they lose their device. They re-enroll at
+// next sign-in when their role requires it.
+router.post("/accounts/:username/2fa/reset", async (req, res) => {
+  try {
+    if (denied(req)) return res.status(403).json({ error: "Account admin denied by RBAC" });
+    const wasEnabled = await usersService.disableTwoFactor(req.params.username);
+    audit.log({ event: "two_factor_reset", target: req.params.username, wasEnabled, ...actor(req) });
+    res.json({ success: true });
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+// ── Own two-factor settings ───────────────────────────────────────────────
+// Open to every signed-in user for their own users.json account.
+
+// The users.json account a session may manage as its own. Only password
+// sign-ins prove they own it: an SSO or LDAP user whose name matches a
+// local account is someone else.
+function ownUsername(req) {
+  return req.session?.authMethod === "password" ? req.session.username : null;
+}
+
+async function ownStatus(req) {
+  const username = ownUsername(req);
+  const status = username ? await usersService.getTwoFactorStatus(username) : null;
+  if (!status) {
+    const err = new Error(
+      req.session?.authMethod === "oidc" || req.session?.authMethod === "ldap"
+        ? "Two-factor authentication is managed by your identity provider"
+        : "Two-factor authentication needs a user account"
+    );
+    err.status = 400;
+    throw err;
+  }
+  return status;
+}
+
+async function requireCurrentCode(req) {
+  const result = await usersService.verifySecondFactor(req.session.username, req.body?.code);
+  if (!result) {
+    const err = new Error("Incorrect code");
+    err.status = 400;
+    throw err;
+  }
+}
+
+router.get("/account/2fa", async (req, res) => {
+  try {
+    if (!config.auth.enabled) return bad(res, "Authentication is disabled");
+    res.json(await ownStatus(req));
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+router.post("/account/2fa/setup", async (req, res) => {
+  try {
+    if (!config.auth.enabled) return bad(res, "Authentication is disabled");
+    const status = await ownStatus(req);
+    if (status.enabled) return res.status(409).json({ error: "Two-factor authentication is already on" });
+    const secret = totp.generateSecret();
+    req.session.totpSetup = secret;
+    res.json({
+      secret,
+      otpauthUri: totp.otpauthUri({ secret, account: req.session.username, issuer: config.auth.totpIssuer }),
+    });
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+router.post("/account/2fa/enable", async (req, res) => {
+  try {
+    if (!config.auth.enabled) return bad(res, "Authentication is disabled");
+    await ownStatus(req);
+    const secret = req.session.totpSetup;
+    if (!secret) return bad(res, "Start setup first");
+    const recoveryCodes = await usersService.enableTwoFactor(req.session.username, secret, req.body?.code);
+    delete req.session.totpSetup;
+    audit.log({ event: "two_factor_enabled", ...actor(req) });
+    res.json({ recoveryCodes });
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+router.post("/account/2fa/recovery-codes", async (req, res) => {
+  try {
+    if (!config.auth.enabled) return bad(res, "Authentication is disabled");
+    await ownStatus(req);
+    await requireCurrentCode(req);
+    const recoveryCodes = await usersService.regenerateRecoveryCodes(req.session.username);
+    audit.log({ event: "two_factor_recovery_codes_regenerated", ...actor(req) });
+    res.json({ recoveryCodes });
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+router.post("/account/2fa/disable", async (req, res) => {
+  try {
+    if (!config.auth.enabled) return bad(res, "Authentication is disabled");
+    const status = await ownStatus(req);
+    if (status.required) {
+      return res.status(409).json({ error: "Two-factor authentication is required for your role" });
+    }
+    await requireCurrentCode(req);
+    await usersService.disableTwoFactor(req.session.username);
+    audit.log({ event: "two_factor_disabled", ...actor(req) });
+    res.json({ success: true });
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+// ── API tokens ────────────────────────────────────────────────────────────
+// Users issue tokens for their own account; userAdmin can list and revoke
+// everyone's. Tokens themselves cannot reach these routes.
+
+async function requireOwnAccount(req) {
+  const username = ownUsername(req);
+  const user = username ? await usersService.getUser(username) : null;
+  if (!user) {
+    const err = new Error("API tokens need a user account");
+    err.status = 400;
+    throw err;
+  }
+  return user;
+}
+
+router.get("/account/tokens", async (req, res) => {
+  try {
+    if (!config.auth.enabled) return bad(res, "Authentication is disabled");
+    await requireOwnAccount(req);
+    res.json({
+      tokens: await apiTokens.listTokens({ username: req.session.username }),
+      permissions: usersService.grantedPermissions(req.session),
+      maxDays: config.auth.tokenMaxDays,
+    });
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+router.post("/account/tokens", async (req, res) => {
+  try {
+    if (!config.auth.enabled) return bad(res, "Authentication is disabled");
+    const user = await requireOwnAccount(req);
+    const { token, record } = await apiTokens.createToken({
+      username: user.username,
+      name: req.body?.name,
+      permissions: req.body?.permissions,
+      expiresInDays: req.body?.expiresInDays,
+      allowed: usersService.grantedPermissions(req.session),
+    });
+    audit.log({
+      event: "api_token_created",
+      tokenId: record.id,
+      tokenName: record.name,
+      permissions: record.permissions,
+      expiresAt: record.expiresAt,
+      ...actor(req),
+    });
+    res.status(201).json({ token, record });
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+router.delete("/account/tokens/:id", async (req, res) => {
+  try {
+    if (!config.auth.enabled) return bad(res, "Authentication is disabled");
+    const user = await requireOwnAccount(req);
+    const record = await apiTokens.revokeToken(req.params.id, { username: user.username });
+    audit.log({ event: "api_token_revoked", tokenId: record.id, tokenName: record.name, ...actor(req) });
+    res.json({ success: true });
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+router.get("/api-tokens", async (req, res) => {
+  try {
+    if (denied(req)) return res.status(403).json({ error: "Account admin denied by RBAC" });
+    res.json({ tokens: await apiTokens.listTokens() });
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+router.delete("/api-tokens/:id", async (req, res) => {
+  try {
+    if (denied(req)) return res.status(403).json({ error: "Account admin denied by RBAC" });
+    const record = await apiTokens.revokeToken(req.params.id);
+    audit.log({
+      event: "api_token_revoked",
+      tokenId: record.id,
+      tokenName: record.name,
+      owner: record.username,
+      ...actor(req),
+    });
+    res.json({ success: true });
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+// ── Active sessions ───────────────────────────────────────────────────────
+// Signed-in browser sessions from the session store. Sessions are
+// addressed by a hash of their id so the list never exposes cookies.
+
+function storeCall(store, method, ...args) {
+  return new Promise((resolve, reject) => {
+    store[method](...args, (err, value) => (err ? reject(err) : resolve(value)));
+  });
+}
+
+async function signedInSessions(req) {
+  const all = (await storeCall(req.sessionStore, "all")) || {};
+  return Object.entries(all)
+    .filter(([, sess]) => sess && sess.authenticated)
+    .map(([sid, sess]) => ({ sid, sess }));
+}
+
+// End every signed-in session of `username` (after a role, status or
+// password change) by deleting it from the session store. The revocation
+// usersService keeps is per process; the store is what other replicas see.
+async function endSessionsOf(req, username) {
+  if (!req.sessionStore) return;
+  const name = String(username).toLowerCase();
+  for (const { sid, sess } of await signedInSessions(req)) {
+    if (String(sess.username || "").toLowerCase() !== name) continue;
+    if (sid === req.sessionID) {
+      // Destroyed through the request, or express-session saves it again.
+      await new Promise((resolve, reject) => req.session.destroy((err) => (err ? reject(err) : resolve())));
+    } else {
+      await storeCall(req.sessionStore, "destroy", sid);
+    }
+    await mongoService.disconnect({ sessionID: sid });
+  }
+}
+
+router.get("/account-sessions", async (req, res) => {
+  try {
+    if (denied(req)) return res.status(403).json({ error: "Account admin denied by RBAC" });
+    if (!req.sessionStore) return bad(res, "No session store");
+    const sessions = (await signedInSessions(req))
+      .map(({ sid, sess }) => ({
+        id: sessionHandle(sid),
+        username: sess.username || null,
+        role: sess.role || null,
+        authMethod: sess.authMethod || "password",
+        ip: sess.ip || null,
+        userAgent: sess.userAgent || null,
+        loginAt: sess.loginAt ? new Date(sess.loginAt).toISOString() : null,
+        lastSeenAt: sess.lastSeenAt ? new Date(sess.lastSeenAt).toISOString() : null,
+        current: sid === req.sessionID,
+      }))
+      .sort((a, b) => String(b.lastSeenAt).localeCompare(String(a.lastSeenAt)));
+    res.json({ store: config.sessionStore.type, sessions });
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+router.delete("/account-sessions/:id", async (req, res) => {
+  try {
+    if (denied(req)) return res.status(403).json({ error: "Account admin denied by RBAC" });
+    if (!req.sessionStore) return bad(res, "No session store");
+    const match = (await signedInSessions(req)).find(({ sid }) => sessionHandle(sid) === req.params.id);
+    if (!match) return res.status(404).json({ error: "Session not found" });
+    if (match.sid === req.sessionID) {
+      return res.status(409).json({ error: "Sign out to end your own session" });
+    }
+    await storeCall(req.sessionStore, "destroy", match.sid);
+    await mongoService.disconnect({ sessionID: match.sid });
+    audit.log({
+      event: "session_revoked",
+      target: match.sess.username || null,
+      sessionId: req.params.id,
+      ...actor(req),
+    });
+    res.json({ success: true });
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+// ── Custom roles ──────────────────────────────────────────────────────────
+// Built-in roles (viewer/editor/admin) are read-only here; custom roles
+// carry namespace-scoped grants (see services/roles.js).
+
+router.get("/account-roles", (req, res) => {
+  if (denied(req)) return res.status(403).json({ error: "Account admin denied by RBAC" });
+  res.json({
+    builtin: usersService.ROLE_PERMISSIONS,
+    roles: rolesService.listRoles(),
+    permissions: rolesService.PERMISSIONS,
+  });
+});
+
+router.put("/account-roles/:name", async (req, res) => {
+  try {
+    if (denied(req)) return res.status(403).json({ error: "Account admin denied by RBAC" });
+    const existed = !!rolesService.getRole(req.params.name);
+    const role = await rolesService.saveRole(
+      { name: req.params.name, description: req.body?.description, grants: req.body?.grants },
+      { reserved: usersService.BUILTIN_ROLES }
+    );
+    audit.log({
+      event: existed ? "account_role_updated" : "account_role_created",
+      target: role.name,
+      grants: role.grants,
+      ...actor(req),
+    });
+    res.status(existed ? 200 : 201).json({ role });
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+router.delete("/account-roles/:name", async (req, res) => {
+  try {
+    if (denied(req)) return res.status(403).json({ error: "Account admin denied by RBAC" });
+    const holders = (await usersService.listUsers()).filter((u) => u.role === req.params.name);
+    if (holders.length) {
+      return res.status(409).json({
+        error: `Role is assigned to ${holders.map((u) => u.username).join(", ")}`,
+      });
+    }
+    await rolesService.deleteRole(req.params.name);
+    audit.log({ event: "account_role_deleted", target: req.params.name, ...actor(req) });
+    res.json({ success: true });
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,83 @@
+const express = require("express");
+const router = express.Router();
+const config = require("../../config");
+const usersService = require("../../services/users");
+const mongoService = require("../../services/mongodb");
+const approvals = require("../../services/approvals");
+const protection = require("../../services/protection");
+
+function canApprove(req) {
+  return !config.auth.enabled || usersService.hasPermission(req.session, "approve");
+}
+
+const STATUSES = new Set(["pending", "approved", "executed", "failed", "rejected", "cancelled", "expired"]);
+
+// Approvers see every request; everyone else sees their own.
+router.get("/approvals", async (req, res) => {
+  try {
+    const status = req.query.status ? String(req.query.status) : null;
+    if (status && !STATUSES.has(status)) {
+      return res.status(400).json({ error: "Invalid status" });
+    }
+    const requests = await approvals.list({
+      status,
+      requestedBy: canApprove(req) ? null : req.session?.username || null,
+    });
+    res.json({
+      enabled: approvals.enabled(),
+      canApprove: canApprove(req),
+      username: req.session?.username || null,
+      requests: requests.slice(0, 200),
+    });
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+router.post("/approvals/:id/approve", async (req, res) => {
+  try {
+    if (!canApprove(req)) {
+      return res.status(403).json({ error: "Approving changes denied by RBAC" });
+    }
+    const pending = await approvals.get(req.params.id);
+    if (!pending) return res.status(404).json({ error: "Change request not found" });
+    // The approver runs the operation, so needs write access to it as well.
+    const ns = { db: pending.db, collection: pending.collection || undefined };
+    if (config.auth.enabled && !usersService.hasPermission(req.session, "write", ns)) {
+      return res.status(403).json({ error: "Write access denied by RBAC" });
+    }
+    if (protection.readOnly(req)) {
+      return res.status(403).json({ error: "Dashboard is in read-only mode (READ_ONLY=true)" });
+    }
+    if (mongoService.isConnected(req, pending.connectionId || undefined)) {
+      const blocked = await protection.writeBlock(req, pending.connectionId || undefined);
+      if (blocked) return res.status(403).json({ error: blocked.error, protection: blocked.level });
+    }
+    const comment = typeof req.body?.comment === "string" ? req.body.comment.slice(0, 500) : null;
+    const request = await approvals.approve(req, req.params.id, {
+      comment,
+      getClient: (connectionId) => mongoService.getClient(req, connectionId || undefined),
+    });
+    res.json({ request });
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+// Reject a request, or withdraw one's own.
+router.post("/approvals/:id/reject", async (req, res) => {
+  try {
+    const pending = await approvals.get(req.params.id);
+    if (!pending) return res.status(404).json({ error: "Change request not found" });
+    const own = pending.requestedBy?.toLowerCase() === String(req.session?.username || "").toLowerCase();
+    if (!own && !canApprove(req)) {
+      return res.status(403).json({ error: "Rejecting changes denied by RBAC" });
+    }
+    const comment = typeof req.body?.comment === "string" ? req.body.comment.slice(0, 500) : null;
+    res.json({ request: await approvals.reject(req, req.params.id, { comment }) });
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+module.exports = router;
@@ -3,15 +3,87 @@ const router = express.Router();
 const config = require("../../config");
 const usersService = require("../../services/users");
 const audit = require("../../utils/audit");
+const { toCsvRow } = require("../../utils/csv");
 
+function canAudit(req) {
+  return !config.auth.enabled || usersService.hasPermission(req.session, "audit");
+}
+
+const EXPORT_MAX = 100000;
+const CSV_COLUMNS = ["ts", "event", "username", "role", "ip", "method", "path", "db", "collection", "seq"];
+const CHAIN_FIELDS = new Set(["prevHash", "hash", "hmac"]);
+
+// Filters: event (comma-separated), username, role, ip, db, collection,
+// from/to (dates). `cursor` comes from the previous page's `nextCursor`.
 router.get("/audit/logs", async (req, res) => {
   try {
-    if (config.auth.enabled && !usersService.hasPermission(req.session, "audit")) {
+    if (!canAudit(req)) {
+      return res.status(403).json({ error: "Audit access denied by RBAC" });
+    }
+    const limit = Math.min(Math.max(parseInt(req.query.limit || "300", 10) || 300, 1), 1000);
+    const filters = audit.parseFilters(req.query);
+    res.json(await audit.search({ filters, cursor: req.query.cursor || null, limit }));
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+router.get("/audit/export", async (req, res) => {
+  try {
+    if (!canAudit(req)) {
+      return res.status(403).json({ error: "Audit access denied by RBAC" });
+    }
+    const format = req.query.format || "jsonl";
+    if (format !== "csv" && format !== "jsonl") {
+      return res.status(400).json({ error: "Invalid export format" });
+    }
+    const filters = audit.parseFilters(req.query);
+    audit.log({
+      event: "audit_exported",
+      format,
+      filters: Object.fromEntries(Object.entries(req.query).filter(([k]) => k !== "format")),
+      ip: req.ip,
+      username: req.session?.username || null,
+      role: req.session?.role || null,
+    });
+
+    const stamp = new Date().toISOString().replace(/[:.]/g, "-");
+    if (format === "csv") {
+      res.setHeader("Content-Type", "text/csv; charset=utf-8");
+      res.setHeader("Content-Disposition", `attachment; filename="audit-${stamp}.csv"`);
+      res.write([...CSV_COLUMNS, "details"].join(",") + "\n");
+    } else {
+      res.setHeader("Content-Type", "application/x-ndjson; charset=utf-8");
+      res.setHeader("Content-Disposition", `attachment; filename="audit-${stamp}.jsonl"`);
+    }
+    let count = 0;
+    for await (const { entry } of audit.scan({ filters })) {
+      if (++count > EXPORT_MAX) break;
+      if (format === "jsonl") {
+        res.write(JSON.stringify(entry) + "\n");
+        continue;
+      }
+      // Everything outside the fixed columns (and the chain hashes) as JSON.
+      const details = Object.fromEntries(
+        Object.entries(entry).filter(([k]) => !CSV_COLUMNS.includes(k) && !CHAIN_FIELDS.has(k))
+      );
+      const row = { ...entry, details: Object.keys(details).length ? details : null };
+      res.write(toCsvRow([...CSV_COLUMNS, "details"], row) + "\n");
+    }
+    res.end();
+  } catch (err) {
+    if (res.headersSent) return res.end();
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+// Walks the hash chain across rotated files; `broken` names the first bad link.
+router.get("/audit/verify", async (req, res) => {
+  try {
+    if (!canAudit(req)) {
       return res.status(403).json({ error: "Audit access denied by RBAC" });
     }
-    const limit = Math.min(parseInt(req.query.limit || "300", 10), 1000);
-    const entries = await audit.readRecent(limit);
-    res.json({ entries });
+    res.json(await audit.verify());
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
@@ -15,7 +15,7 @@ const SSE_MAX_CONNECTION_MS = 10 * 60 * 1000;
 // Get collection validation rules
 router.get("/:db/:collection/validation", async (req, res) => {
   try {
-    const client = mongoService.getClient();
+    const client = mongoService.getClient(req);
     if (!client) return res.status(400).json({ error: "Not connected" });
 
     const db = client.db(req.params.db);
@@ -37,7 +37,7 @@ router.get("/:db/:collection/validation", async (req, res) => {
 // Update collection validation rules
 router.put("/:db/:collection/validation", async (req, res) => {
   try {
-    const client = mongoService.getClient();
+    const client = mongoService.getClient(req);
     if (!client) return res.status(400).json({ error: "Not connected" });
 
     const { validator, validationLevel, validationAction } = req.body;
@@ -59,7 +59,7 @@ router.put("/:db/:collection/validation", async (req, res) => {
 // Get collection schema
 router.get("/:db/:collection/schema", async (req, res) => {
   try {
-    const client = mongoService.getClient();
+    const client = mongoService.getClient(req);
     if (!client) return res.status(400).json({ error: "Not connected" });
 
     const { db: dbName, collection: colName } = req.params;
@@ -76,7 +76,7 @@ router.get("/:db/:collection/schema", async (req, res) => {
 // Rich schema analysis for the Schema tab
 router.get("/:db/:collection/schema-analysis", async (req, res) => {
   try {
-    const client = mongoService.getClient();
+    const client = mongoService.getClient(req);
     if (!client) return res.status(400).json({ error: "Not connected" });
 
     const { db: dbName, collection: colName } = req.params;
@@ -203,7 +203,7 @@ router.get("/:db/:collection/schema-analysis", async (req, res) => {
 // Collection stats
 router.get("/:db/:collection/stats", async (req, res) => {
   try {
-    const client = mongoService.getClient();
+    const client = mongoService.getClient(req);
     if (!client) return res.status(400).json({ error: "Not connected" });
 
     const db = client.db(req.params.db);
@@ -234,7 +234,7 @@ router.get("/:db/:collection/stats", async (req, res) => {
 // Watch collection change stream (SSE)
 router.get("/:db/:collection/watch", async (req, res) => {
   try {
-    const client = mongoService.getClient();
+    const client = mongoService.getClient(req);
     if (!client) return res.status(400).json({ error: "Not connected" });
 
     const { db: dbName, collection: colName } = req.params;
@@ -4,6 +4,12 @@
 //   POST   /connect
 //   POST   /disconnect
 //   GET    /status
+//   GET    /connections/open
+//   POST   /connections/:id/activate
+//   POST   /connections/:id/elevation
+//   DELETE /connections/:id/elevation
+//   POST   /read-only/elevation
+//   DELETE /read-only/elevation
 //   GET    /self-check
 //   GET    /server-info
 //   GET    /server/stats
@@ -16,6 +22,8 @@ const mongoService = require("../../services/mongodb");
 const config = require("../../config");
 const { redactConnectionString } = require("./_shared");
 const connectionVault = require("../../services/connectionVault");
+const protection = require("../../services/protection");
+const audit = require("../../utils/audit");
 const usersService = require("../../services/users");
 const { bad, requireStringField } = require("../../middleware/validate-body");
 
@@ -105,8 +113,10 @@ function buildSelfCheck() {
   };
 }
 
-// Test connection and return database list. Refused when MONGODB_URI is set
-// at the env level — in that mode the dashboard is locked to one cluster.
+// Test connection and return database list. The connection is bound to the
+// caller's session only and becomes its active one; connections the session
+// already has open stay open. Refused when MONGODB_URI is set at the env level — in that mode the
+// dashboard is locked to one cluster.
 router.post("/connect", async (req, res) => {
   try {
     if (config.presetMongoUri) {
@@ -126,12 +136,15 @@ router.post("/connect", async (req, res) => {
       return res.status(400).json({ error: "Connection string is required" });
     }
 
-    const client = await mongoService.connect(resolvedConnectionString);
+    const client = await mongoService.connect(resolvedConnectionString, req, {
+      connectionId: connectionString ? undefined : connectionId,
+    });
     const adminDb = client.db().admin();
     const { databases } = await adminDb.listDatabases();
 
     res.json({
       success: true,
+      connectionId: mongoService.getConnectionId(req, null),
       databases: databases.map((db) => ({
         name: db.name,
         sizeOnDisk: db.sizeOnDisk,
@@ -139,7 +152,7 @@ router.post("/connect", async (req, res) => {
       })),
     });
   } catch (err) {
-    res.status(400).json({ error: err.message });
+    res.status(err.status || 400).json({ error: err.message });
   }
 });
 
@@ -150,8 +163,10 @@ router.post("/disconnect", async (req, res) => {
       .json({ error: "Disconnect is disabled when MONGODB_URI is preset." });
   }
   try {
-    await mongoService.disconnect();
-    res.json({ success: true });
+    const connectionId =
+      typeof req.body?.connectionId === "string" ? req.body.connectionId : null;
+    await mongoService.disconnect(req, connectionId);
+    res.json({ success: true, open: mongoService.listOpen(req) });
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
@@ -159,8 +174,8 @@ router.post("/disconnect", async (req, res) => {
 
 router.get("/status", async (req, res) => {
   try {
-    const client = mongoService.getClient();
-    const isConnected = mongoService.isConnected();
+    const client = mongoService.getClient(req);
+    const isConnected = mongoService.isConnected(req);
 
     if (isConnected && client) {
       try {
@@ -168,13 +183,17 @@ router.get("/status", async (req, res) => {
         res.json({
           connected: true,
           connectionString: redactConnectionString(
-            mongoService.getConnectionString()
+            mongoService.getConnectionString(req)
           ),
+          connectionId: mongoService.getConnectionId(req),
+          openConnections: mongoService.listOpen(req),
           presetLocked: !!config.presetMongoUri,
-          readOnly: !!config.readOnly,
+          readOnly: protection.readOnly(req),
+          readOnlyState: { ...protection.describeReadOnly(req), canElevate: canBreakGlass(req) },
+          protection: await protection.describe(req),
         });
       } catch (_err) {
-        await mongoService.disconnect();
+        await mongoService.disconnect(req, mongoService.getConnectionId(req));
         res.json({ connected: false, presetLocked: !!config.presetMongoUri });
       }
     } else {
@@ -185,6 +204,70 @@ router.get("/status", async (req, res) => {
   }
 });
 
+// Connections open in this session. The header switcher uses this to flip
+// between them via /activate instead of reconnecting.
+router.get("/connections/open", (req, res) => {
+  res.json({ connections: mongoService.listOpen(req) });
+});
+
+router.post("/connections/:id/activate", (req, res) => {
+  if (!mongoService.activate(req, req.params.id)) {
+    return res
+      .status(404)
+      .json({ error: "Connection is not open in this session" });
+  }
+  res.json({ success: true, connections: mongoService.listOpen(req) });
+});
+
+// Time-boxed writes on a production connection for this session:
+// { reason, minutes }. DELETE ends the elevation early.
+router.post("/connections/:id/elevation", async (req, res) => {
+  try {
+    if (!mongoService.isConnected(req, req.params.id)) {
+      return res.status(404).json({ error: "Connection is not open in this session" });
+    }
+    const { reason, minutes } = req.body || {};
+    res.json({ protection: await protection.elevate(req, req.params.id, { reason, minutes }) });
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+router.delete("/connections/:id/elevation", async (req, res) => {
+  try {
+    res.json({ protection: await protection.endElevation(req, req.params.id) });
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+// Break glass on a READ_ONLY deployment: writes for this session only, for
+// { minutes }, with a { reason }. Needs accounts so the audit trail names
+// who did it. DELETE ends it early.
+function canBreakGlass(req) {
+  return config.auth.enabled && usersService.hasPermission(req.session, "breakGlass");
+}
+
+router.post("/read-only/elevation", (req, res) => {
+  try {
+    if (!canBreakGlass(req)) {
+      return res.status(403).json({
+        error: config.auth.enabled
+          ? "Write elevation denied by RBAC"
+          : "Write elevation needs AUTH_ENABLED: it is tied to an account",
+      });
+    }
+    const { reason, minutes } = req.body || {};
+    res.json({ readOnly: protection.breakGlass(req, { reason, minutes }) });
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+router.delete("/read-only/elevation", (req, res) => {
+  res.json({ readOnly: protection.endBreakGlass(req) });
+});
+
 router.get("/self-check", async (req, res) => {
   if (config.auth.enabled && !usersService.hasPermission(req.session, "audit")) {
     return res.status(403).json({ error: "Deployment self-check denied by RBAC" });
@@ -195,7 +278,7 @@ router.get("/self-check", async (req, res) => {
 
 router.get("/server-info", async (req, res) => {
   try {
-    const client = mongoService.getClient();
+    const client = mongoService.getClient(req);
     if (!client) return res.status(400).json({ error: "Not connected" });
 
     const admin = client.db().admin();
@@ -221,7 +304,7 @@ router.get("/server-info", async (req, res) => {
 
 router.get("/server/stats", async (req, res) => {
   try {
-    const client = mongoService.getClient();
+    const client = mongoService.getClient(req);
     if (!client) return res.status(400).json({ error: "Not connected" });
 
     const admin = client.db().admin();
@@ -254,7 +337,7 @@ router.get("/server/stats", async (req, res) => {
 
 router.get("/server/currentop", async (req, res) => {
   try {
-    const client = mongoService.getClient();
+    const client = mongoService.getClient(req);
     if (!client) return res.status(400).json({ error: "Not connected" });
 
     const admin = client.db().admin();
@@ -273,7 +356,7 @@ router.delete("/server/currentop/:opid", async (req, res) => {
     if (config.auth.enabled && !usersService.hasPermission(req.session, "write")) {
       return res.status(403).json({ error: "Operation kill denied by RBAC" });
     }
-    const client = mongoService.getClient();
+    const client = mongoService.getClient(req);
     if (!client) return res.status(400).json({ error: "Not connected" });
 
     const admin = client.db().admin();
@@ -286,7 +369,7 @@ router.delete("/server/currentop/:opid", async (req, res) => {
 
 router.get("/server/profiler", async (req, res) => {
   try {
-    const client = mongoService.getClient();
+    const client = mongoService.getClient(req);
     if (!client) return res.status(400).json({ error: "Not connected" });
     const dbName = String(req.query.db || "admin");
     const db = client.db(dbName);
@@ -307,7 +390,7 @@ router.post("/server/profiler", async (req, res) => {
     if (config.auth.enabled && !usersService.hasPermission(req.session, "write")) {
       return res.status(403).json({ error: "Profiler update denied by RBAC" });
     }
-    const client = mongoService.getClient();
+    const client = mongoService.getClient(req);
     if (!client) return res.status(400).json({ error: "Not connected" });
     const dbName = String(req.body?.db || "admin");
     const level = Number(req.body?.level ?? 1);
@@ -327,7 +410,7 @@ router.post("/server/profiler", async (req, res) => {
 
 router.get("/server/slow-ops", async (req, res) => {
   try {
-    const client = mongoService.getClient();
+    const client = mongoService.getClient(req);
     if (!client) return res.status(400).json({ error: "Not connected" });
     const limit = Math.min(parseInt(req.query.limit || "50", 10), 200);
     const dbName = String(req.query.db || "admin");
@@ -353,6 +436,12 @@ router.get("/server/slow-ops", async (req, res) => {
   }
 });
 
+// Saved connections are shared by every account, so only account admins
+// may change how strictly one is protected.
+function canSetProtection(req) {
+  return !config.auth.enabled || usersService.hasPermission(req.session, "userAdmin");
+}
+
 router.get("/connections", async (_req, res) => {
   try {
     const connections = await connectionVault.listConnections();
@@ -369,11 +458,15 @@ router.post("/connections", async (req, res) => {
       max: 4096,
     });
     if (!parsed.ok) return bad(res, parsed.error);
-    const { name, color } = req.body;
+    const { name, color, protection: level } = req.body;
+    if (level !== undefined && level !== "development" && !canSetProtection(req)) {
+      return res.status(403).json({ error: "Setting protection levels denied by RBAC" });
+    }
     const connection = await connectionVault.upsertConnection({
       connectionString: parsed.value,
       name,
       color,
+      protection: level,
     });
     res.status(201).json({ connection });
   } catch (err) {
@@ -383,11 +476,28 @@ router.post("/connections", async (req, res) => {
 
 router.patch("/connections/:id", async (req, res) => {
   try {
+    const level = req.body?.protection;
+    const before = level === undefined ? null : await connectionVault.getConnection(req.params.id);
+    if (before && before.protection !== level && !canSetProtection(req)) {
+      return res.status(403).json({ error: "Setting protection levels denied by RBAC" });
+    }
     const connection = await connectionVault.updateConnectionMeta(req.params.id, {
       name: req.body?.name,
       color: req.body?.color,
+      protection: level,
     });
     if (!connection) return res.status(404).json({ error: "Not found" });
+    if (before && before.protection !== connection.protection) {
+      audit.log({
+        event: "connection_protection_changed",
+        connectionId: connection.id,
+        from: before.protection,
+        to: connection.protection,
+        ip: req.ip,
+        username: req.session?.username || null,
+        role: req.session?.role || null,
+      });
+    }
     res.json({ connection });
   } catch (err) {
     res.status(400).json({ error: err.message });
@@ -396,8 +506,28 @@ router.patch("/connections/:id", async (req, res) => {
 
 router.delete("/connections/:id", async (req, res) => {
   try {
+    // Deleting a protected entry sheds its protection, so it takes the same
+    // permission as lowering it.
+    const before = await connectionVault.getConnection(req.params.id);
+    if (!before) return res.status(404).json({ error: "Not found" });
+    const level = before.protection || "development";
+    if (level !== "development" && !canSetProtection(req)) {
+      return res.status(403).json({ error: "Deleting protected connections denied by RBAC" });
+    }
     const removed = await connectionVault.removeConnection(req.params.id);
     if (!removed) return res.status(404).json({ error: "Not found" });
+    if (level !== "development") {
+      audit.log({
+        event: "connection_protection_changed",
+        connectionId: before.id,
+        from: level,
+        to: null,
+        deleted: true,
+        ip: req.ip,
+        username: req.session?.username || null,
+        role: req.session?.role || null,
+      });
+    }
     res.json({ success: true });
   } catch (err) {
     res.status(400).json({ error: err.message });
@@ -15,6 +15,11 @@
 const express = require("express");
 const router = express.Router();
 const mongoService = require("../../services/mongodb");
+const config = require("../../config");
+const usersService = require("../../services/users");
+const approvals = require("../../services/approvals");
+const protection = require("../../services/protection");
+const { deferToApproval } = require("./_shared");
 
 function isNonEmptyString(v) {
   return typeof v === "string" && v.trim().length > 0;
@@ -22,13 +27,16 @@ function isNonEmptyString(v) {
 
 router.get("/databases", async (req, res) => {
   try {
-    const client = mongoService.getClient();
+    const client = mongoService.getClient(req);
     if (!client) return res.status(400).json({ error: "Not connected" });
 
     const adminDb = client.db().admin();
     const { databases } = await adminDb.listDatabases();
+    const visible = databases.filter(
+      (db) => !config.auth.enabled || usersService.canSeeDatabase(req.session, db.name)
+    );
     res.json({
-      databases: databases.map((db) => ({
+      databases: visible.map((db) => ({
         name: db.name,
         sizeOnDisk: db.sizeOnDisk,
         empty: db.empty,
@@ -42,7 +50,7 @@ router.get("/databases", async (req, res) => {
 // MongoDB creates a db lazily, so we create an initial collection.
 router.post("/databases", async (req, res) => {
   try {
-    const client = mongoService.getClient();
+    const client = mongoService.getClient(req);
     if (!client) return res.status(400).json({ error: "Not connected" });
 
     const { name, initialCollection = "_init" } = req.body;
@@ -60,11 +68,36 @@ router.post("/databases", async (req, res) => {
   }
 });
 
+// Staging and production connections only drop when the request body
+// carries the name being dropped as `confirm`. Answers 400 otherwise.
+async function typedConfirmation(req, res, name) {
+  const level = await protection.levelOf(req);
+  if (!protection.needsTypedConfirmation(level) || req.body?.confirm === name) return true;
+  res.status(400).json({
+    error: `Type "${name}" to confirm dropping it on a ${level} connection`,
+    confirmRequired: name,
+    protection: level,
+  });
+  return false;
+}
+
+// Run on approval in four-eyes mode.
+approvals.registerExecutor("dropDatabase", async (client, { db }) => {
+  await client.db(db).dropDatabase();
+  return { dropped: true };
+});
+approvals.registerExecutor("dropCollection", async (client, { db, collection }) => {
+  await client.db(db).collection(collection).drop();
+  return { dropped: true };
+});
+
 router.delete("/databases/:db", async (req, res) => {
   try {
-    const client = mongoService.getClient();
+    const client = mongoService.getClient(req);
     if (!client) return res.status(400).json({ error: "Not connected" });
 
+    if (!(await typedConfirmation(req, res, req.params.db))) return;
+    if (await deferToApproval(req, res, { kind: "dropDatabase", db: req.params.db })) return;
     await client.db(req.params.db).dropDatabase();
     res.json({ success: true });
   } catch (err) {
@@ -74,11 +107,15 @@ router.delete("/databases/:db", async (req, res) => {
 
 router.get("/:db/collections", async (req, res) => {
   try {
-    const client = mongoService.getClient();
+    const client = mongoService.getClient(req);
     if (!client) return res.status(400).json({ error: "Not connected" });
 
     const db = client.db(req.params.db);
-    const collections = await db.listCollections().toArray();
+    const collections = (await db.listCollections().toArray()).filter(
+      (col) =>
+        !config.auth.enabled ||
+        usersService.canSeeCollection(req.session, req.params.db, col.name)
+    );
     const collectionsWithCounts = await Promise.all(
       collections.map(async (col) => {
         let count = 0;
@@ -103,7 +140,7 @@ router.get("/:db/collections", async (req, res) => {
 
 router.post("/:db/collections", async (req, res) => {
   try {
-    const client = mongoService.getClient();
+    const client = mongoService.getClient(req);
     if (!client) return res.status(400).json({ error: "Not connected" });
 
     const { name, options = {}, isView, viewOn, pipeline } = req.body;
@@ -131,10 +168,13 @@ router.post("/:db/collections", async (req, res) => {
 
 router.delete("/:db/collections/:collection", async (req, res) => {
   try {
-    const client = mongoService.getClient();
+    const client = mongoService.getClient(req);
     if (!client) return res.status(400).json({ error: "Not connected" });
 
-    await client.db(req.params.db).collection(req.params.collection).drop();
+    const { db, collection } = req.params;
+    if (!(await typedConfirmation(req, res, collection))) return;
+    if (await deferToApproval(req, res, { kind: "dropCollection", db, collection })) return;
+    await client.db(db).collection(collection).drop();
     res.json({ success: true });
   } catch (err) {
     res.status(500).json({ error: err.message });
@@ -143,7 +183,7 @@ router.delete("/:db/collections/:collection", async (req, res) => {
 
 router.put("/:db/collections/:collection", async (req, res) => {
   try {
-    const client = mongoService.getClient();
+    const client = mongoService.getClient(req);
     if (!client) return res.status(400).json({ error: "Not connected" });
 
     const { newName } = req.body;
@@ -4,8 +4,9 @@
 //   GET    /:db/:collection         — paginated list with filter/search/sort
 //   GET    /:db/:collection/:id     — single document
 //   POST   /:db/:collection         — insert
-//   PUT    /:db/:collection/:id     — replace
+//   PUT    /:db/:collection/:id     — replace (?upsert=true recreates a deleted one)
 //   DELETE /:db/:collection/:id     — delete
+//   GET    /:db/:collection/:id/versions — the document's history
 //
 // Note ordering: this router must be mounted AFTER any router that owns
 // concrete top-level segments under /api/ (e.g. /databases, /server, /status,
@@ -13,12 +14,15 @@
 
 const express = require("express");
 const logger = require("../../utils/logger");
+const config = require("../../config");
 
 const router = express.Router();
 const mongoService = require("../../services/mongodb");
 const { ObjectId } = require("mongodb");
 const { serializeDocument, parseDocument } = require("../../utils/bson");
 const { buildSearchQuery } = require("./_shared");
+const auditSnapshot = require("../../utils/auditSnapshot");
+const changeJournal = require("../../services/changeJournal");
 const {
   readJsonQueryParam,
   normalizePositiveInt,
@@ -42,6 +46,72 @@ function isPlainObject(v) {
   return !!v && typeof v === "object" && !Array.isArray(v);
 }
 
+function toIdList(ids) {
+  return ids.map((id) => {
+    try {
+      return new ObjectId(id);
+    } catch (_) {
+      return id;
+    }
+  });
+}
+
+// Document images feed the audit snapshots and the undo journal. They are
+// best effort: a failed read is logged and yields null, never a failed write.
+async function readImage(read, { journal = true } = {}) {
+  const journaled = journal && (changeJournal.enabled() || changeJournal.historyEnabled());
+  if (!auditSnapshot.enabled() && !journaled) return null;
+  try {
+    return await read();
+  } catch (err) {
+    logger.warn({ err }, "Document snapshot read failed");
+    return null;
+  }
+}
+
+// Pre- and (with `post`) post-images of a bulk write's documents; `write`
+// runs between the two reads. Reads one document past the larger of the
+// audit and journal limits so callers can tell the set was cut short.
+async function bulkImages(collection, query, write, { post = true, journal = true } = {}) {
+  const limit = Math.max(
+    auditSnapshot.enabled() ? config.auditSnapshots.maxDocs : 0,
+    journal && changeJournal.enabled() ? config.changeJournal.maxDocs : 0
+  ) + 1;
+  const before = await readImage(() => collection.find(query).limit(limit).toArray(), { journal });
+  const result = await write();
+  if (!before) return { result, pairs: [], complete: false };
+  const complete = before.length < limit;
+  if (!post) return { result, pairs: before.map((d) => ({ before: d })), complete };
+  const after = await readImage(() =>
+    collection.find({ _id: { $in: before.map((d) => d._id) } }).toArray(), { journal }
+  );
+  const afterById = new Map((after || []).map((d) => [String(d._id), d]));
+  return {
+    result,
+    pairs: before.map((d) => ({ before: d, after: afterById.get(String(d._id)) || null })),
+    complete,
+  };
+}
+
+// Journal a change for undo; returns the entry id, or null when the journal
+// is off or the write to it failed.
+async function journal(req, op, docs) {
+  if (!docs.length) return null;
+  try {
+    return await changeJournal.record({
+      username: req.session?.username,
+      connectionId: mongoService.getConnectionId(req),
+      db: req.params.db,
+      collection: req.params.collection,
+      op,
+      docs,
+    });
+  } catch (err) {
+    logger.warn({ err }, "Change journal write failed");
+    return null;
+  }
+}
+
 function toClientError(err) {
   if (!err) return "Operation failed";
   if (err.code === 11000) return "Duplicate key error";
@@ -52,7 +122,7 @@ function toClientError(err) {
 // array-filters and either cursor- or offset-based pagination).
 router.get("/:db/:collection", async (req, res) => {
   try {
-    const client = mongoService.getClient();
+    const client = mongoService.getClient(req);
     if (!client) {
       return res.status(400).json({ error: "Not connected" });
     }
@@ -255,7 +325,7 @@ router.get("/:db/:collection", async (req, res) => {
 // Single document.
 router.get("/:db/:collection/:id", async (req, res) => {
   try {
-    const client = mongoService.getClient();
+    const client = mongoService.getClient(req);
     if (!client) return res.status(400).json({ error: "Not connected" });
 
     const { db: dbName, collection: colName, id } = req.params;
@@ -276,7 +346,7 @@ router.get("/:db/:collection/:id", async (req, res) => {
 
 router.post("/:db/:collection", async (req, res) => {
   try {
-    const client = mongoService.getClient();
+    const client = mongoService.getClient(req);
     if (!client) return res.status(400).json({ error: "Not connected" });
 
     const { db: dbName, collection: colName } = req.params;
@@ -290,7 +360,10 @@ router.post("/:db/:collection", async (req, res) => {
       return res.status(400).json({ error: "Document body must be a JSON object" });
     }
     const result = await collection.insertOne(doc);
-    res.json({ success: true, insertedId: result.insertedId.toString() });
+    const journalId = await journal(req, "insert", [
+      { id: result.insertedId, before: null, after: { _id: result.insertedId, ...doc } },
+    ]);
+    res.json({ success: true, insertedId: result.insertedId.toString(), journalId });
   } catch (err) {
     res.status(500).json({ error: toClientError(err) });
   }
@@ -298,7 +371,7 @@ router.post("/:db/:collection", async (req, res) => {
 
 router.put("/:db/:collection/:id", async (req, res) => {
   try {
-    const client = mongoService.getClient();
+    const client = mongoService.getClient(req);
     if (!client) return res.status(400).json({ error: "Not connected" });
 
     const { db: dbName, collection: colName, id } = req.params;
@@ -315,11 +388,20 @@ router.put("/:db/:collection/:id", async (req, res) => {
     }
     delete updates._id;
 
-    const result = await collection.replaceOne(query, updates);
-    if (result.matchedCount === 0) {
+    // Restoring a version of a deleted document from its history puts it
+    // back under the same _id.
+    const upsert = req.query.upsert === "true";
+    const before = await readImage(() => collection.findOne(query));
+    const result = await collection.replaceOne(query, updates, { upsert });
+    if (result.matchedCount === 0 && !upsert) {
       return res.status(404).json({ error: "Document not found" });
     }
-    res.json({ success: true, modifiedCount: result.modifiedCount });
+    const upserted = result.matchedCount === 0;
+    const after = before || upserted ? { _id: before ? before._id : query._id, ...updates } : null;
+    res.locals.auditChange = auditSnapshot.describeChange({ documentId: id, before, after });
+    const journalId =
+      before || upserted ? await journal(req, "replace", [{ id: after._id, before, after }]) : null;
+    res.json({ success: true, modifiedCount: result.modifiedCount, journalId });
   } catch (err) {
     res.status(500).json({ error: toClientError(err) });
   }
@@ -327,7 +409,7 @@ router.put("/:db/:collection/:id", async (req, res) => {
 
 router.patch("/:db/:collection/:id", async (req, res) => {
   try {
-    const client = mongoService.getClient();
+    const client = mongoService.getClient(req);
     if (!client) return res.status(400).json({ error: "Not connected" });
 
     const { db: dbName, collection: colName, id } = req.params;
@@ -345,11 +427,22 @@ router.patch("/:db/:collection/:id", async (req, res) => {
     if (hasSet) updateDoc.$set = parseDocument($set);
     if (hasUnset) updateDoc.$unset = $unset;
 
+    const before = await readImage(() => collection.findOne(query));
     const result = await collection.updateOne(query, updateDoc);
     if (result.matchedCount === 0) {
       return res.status(404).json({ error: "Document not found" });
     }
-    res.json({ success: true, matchedCount: result.matchedCount, modifiedCount: result.modifiedCount });
+    const after = before ? await readImage(() => collection.findOne(query)) : null;
+    res.locals.auditChange = auditSnapshot.describeChange({ documentId: id, before, after });
+    const journalId = before
+      ? await journal(req, "patch", [{ id: before._id, before, after: after || undefined }])
+      : null;
+    res.json({
+      success: true,
+      matchedCount: result.matchedCount,
+      modifiedCount: result.modifiedCount,
+      journalId,
+    });
   } catch (err) {
     res.status(500).json({ error: toClientError(err) });
   }
@@ -357,7 +450,7 @@ router.patch("/:db/:collection/:id", async (req, res) => {
 
 router.delete("/:db/:collection/:id", async (req, res) => {
   try {
-    const client = mongoService.getClient();
+    const client = mongoService.getClient(req);
     if (!client) return res.status(400).json({ error: "Not connected" });
 
     const { db: dbName, collection: colName, id } = req.params;
@@ -365,11 +458,14 @@ router.delete("/:db/:collection/:id", async (req, res) => {
 
     const query = parseIdQuery(id);
 
+    const before = await readImage(() => collection.findOne(query));
     const result = await collection.deleteOne(query);
     if (result.deletedCount === 0) {
       return res.status(404).json({ error: "Document not found" });
     }
-    res.json({ success: true });
+    res.locals.auditChange = auditSnapshot.describeChange({ documentId: id, before });
+    const journalId = before ? await journal(req, "delete", [{ id: before._id, before, after: null }]) : null;
+    res.json({ success: true, journalId });
   } catch (err) {
     res.status(500).json({ error: toClientError(err) });
   }
@@ -377,7 +473,7 @@ router.delete("/:db/:collection/:id", async (req, res) => {
 
 router.delete("/:db/:collection", async (req, res) => {
   try {
-    const client = mongoService.getClient();
+    const client = mongoService.getClient(req);
     if (!client) return res.status(400).json({ error: "Not connected" });
 
     const { db: dbName, collection: colName } = req.params;
@@ -389,24 +485,42 @@ router.delete("/:db/:collection", async (req, res) => {
 
     const collection = client.db(dbName).collection(colName);
 
-    const objectIds = ids.map((id) => {
-      try {
-        return new ObjectId(id);
-      } catch (_) {
-        return id;
-      }
+    const query = { _id: { $in: toIdList(ids) } };
+    const { result, pairs, complete } = await bulkImages(collection, query, () => collection.deleteMany(query), {
+      post: false,
     });
-
-    const result = await collection.deleteMany({ _id: { $in: objectIds } });
-    res.json({ success: true, deletedCount: result.deletedCount });
+    res.locals.auditChange = auditSnapshot.describeBulk({ pairs, matched: result.deletedCount });
+    // Only journal deletes whose every document was captured.
+    const journalId =
+      complete && pairs.length <= config.changeJournal.maxDocs
+        ? await journal(req, "bulk-delete", pairs.map(({ before }) => ({ id: before._id, before, after: null })))
+        : null;
+    res.json({ success: true, deletedCount: result.deletedCount, journalId });
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
 });
 
+// A document's history from the change journal, newest first.
+router.get("/:db/:collection/:id/versions", async (req, res) => {
+  try {
+    if (!mongoService.getClient(req)) return res.status(400).json({ error: "Not connected" });
+    const { db, collection, id } = req.params;
+    const versions = await changeJournal.versions({
+      connectionId: mongoService.getConnectionId(req),
+      db,
+      collection,
+      id: parseIdQuery(id)._id,
+    });
+    res.json({ enabled: changeJournal.historyEnabled(), versions });
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
 router.post("/:db/:collection/bulk-update", async (req, res) => {
   try {
-    const client = mongoService.getClient();
+    const client = mongoService.getClient(req);
     if (!client) return res.status(400).json({ error: "Not connected" });
 
     const { db: dbName, collection: colName } = req.params;
@@ -420,14 +534,7 @@ router.post("/:db/:collection/bulk-update", async (req, res) => {
 
     let query = null;
     if (Array.isArray(ids) && ids.length > 0) {
-      const objectIds = ids.map((id) => {
-        try {
-          return new ObjectId(id);
-        } catch (_) {
-          return id;
-        }
-      });
-      query = { _id: { $in: objectIds } };
+      query = { _id: { $in: toIdList(ids) } };
     } else if (filter && typeof filter === "object") {
       query = filter;
     }
@@ -451,7 +558,10 @@ router.post("/:db/:collection/bulk-update", async (req, res) => {
     }
 
     const parsedUpdate = parseDocument(update);
-    const result = await collection.updateMany(query, parsedUpdate);
+    const { result, pairs } = await bulkImages(collection, query, () => collection.updateMany(query, parsedUpdate), {
+      journal: false,
+    });
+    res.locals.auditChange = auditSnapshot.describeBulk({ pairs, matched: result.matchedCount });
     return res.json({
       success: true,
       matchedCount: result.matchedCount,
@@ -15,7 +15,7 @@ const { bad, isPlainObject } = require("../../middleware/validate-body");
 
 router.get("/:db/:collection/indexes", async (req, res) => {
   try {
-    const client = mongoService.getClient();
+    const client = mongoService.getClient(req);
     if (!client) return res.status(400).json({ error: "Not connected" });
 
     const col = client.db(req.params.db).collection(req.params.collection);
@@ -49,10 +49,10 @@ router.get("/:db/:collection/indexes", async (req, res) => {
 
 router.post("/:db/:collection/indexes", async (req, res) => {
   try {
-    if (config.auth.enabled && !usersService.hasPermission(req.session, "indexAdmin")) {
+    if (config.auth.enabled && !usersService.hasPermission(req.session, "indexAdmin", req.params)) {
       return res.status(403).json({ error: "Index admin access denied by RBAC" });
     }
-    const client = mongoService.getClient();
+    const client = mongoService.getClient(req);
     if (!client) return res.status(400).json({ error: "Not connected" });
 
     const { key, options = {} } = req.body;
@@ -70,10 +70,10 @@ router.post("/:db/:collection/indexes", async (req, res) => {
 
 router.delete("/:db/:collection/indexes/:indexName", async (req, res) => {
   try {
-    if (config.auth.enabled && !usersService.hasPermission(req.session, "indexAdmin")) {
+    if (config.auth.enabled && !usersService.hasPermission(req.session, "indexAdmin", req.params)) {
       return res.status(403).json({ error: "Index admin access denied by RBAC" });
     }
-    const client = mongoService.getClient();
+    const client = mongoService.getClient(req);
     if (!client) return res.status(400).json({ error: "Not connected" });
 
     if (req.params.indexName === "_id_") {
@@ -90,10 +90,10 @@ router.delete("/:db/:collection/indexes/:indexName", async (req, res) => {
 
 router.put("/:db/:collection/indexes/:indexName", async (req, res) => {
   try {
-    if (config.auth.enabled && !usersService.hasPermission(req.session, "indexAdmin")) {
+    if (config.auth.enabled && !usersService.hasPermission(req.session, "indexAdmin", req.params)) {
       return res.status(403).json({ error: "Index admin access denied by RBAC" });
     }
-    const client = mongoService.getClient();
+    const client = mongoService.getClient(req);
     if (!client) return res.status(400).json({ error: "Not connected" });
 
     const { hidden } = req.body;
@@ -109,7 +109,7 @@ router.put("/:db/:collection/indexes/:indexName", async (req, res) => {
 
 router.post("/:db/:collection/indexes/advisor", async (req, res) => {
   try {
-    const client = mongoService.getClient();
+    const client = mongoService.getClient(req);
     if (!client) return res.status(400).json({ error: "Not connected" });
     const db = client.db(req.params.db);
     const col = db.collection(req.params.collection);
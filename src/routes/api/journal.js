@@ -0,0 +1,97 @@
+const express = require("express");
+const router = express.Router();
+const config = require("../../config");
+const usersService = require("../../services/users");
+const mongoService = require("../../services/mongodb");
+const changeJournal = require("../../services/changeJournal");
+const protection = require("../../services/protection");
+const audit = require("../../utils/audit");
+
+// The signed-in user's recent document changes, newest first.
+router.get("/change-journal", async (req, res) => {
+  try {
+    res.json({
+      enabled: changeJournal.enabled(),
+      entries: await changeJournal.list(req.session?.username),
+    });
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+// Undo one of the user's journaled changes: entry `id`, or their most
+// recent change not undone yet. `force` overrides the check that the
+// documents were not changed again since.
+router.post("/change-journal/undo", async (req, res) => {
+  try {
+    const username = req.session?.username || null;
+    const { id, force = false } = req.body || {};
+    const entry = id
+      ? await changeJournal.get(String(id))
+      : (await changeJournal.list(username)).find((e) => !e.undoneAt);
+    if (!entry || entry.username !== username) {
+      return res.status(404).json({ error: id ? "Change not found" : "Nothing to undo" });
+    }
+    if (entry.undoneAt) {
+      return res.status(409).json({ error: "Change was already undone" });
+    }
+
+    const ns = { db: entry.db, collection: entry.collection };
+    if (config.auth.enabled && !usersService.hasPermission(req.session, "write", ns)) {
+      audit.log({
+        event: "write_blocked_rbac",
+        method: req.method,
+        path: req.path,
+        ...ns,
+        ip: req.ip,
+        username,
+        role: req.session?.role || null,
+      });
+      return res.status(403).json({ error: "Write access denied by RBAC" });
+    }
+    if (protection.readOnly(req)) {
+      audit.log({ event: "write_blocked_read_only", method: req.method, path: req.path, ip: req.ip });
+      return res.status(403).json({ error: "Dashboard is in read-only mode (READ_ONLY=true)" });
+    }
+
+    // The change belongs to the connection it was made on, not whichever
+    // one is active now.
+    const client = mongoService.getClient(req, entry.connectionId || undefined);
+    if (!client) {
+      return res.status(409).json({ error: "The connection this change was made on is not open" });
+    }
+    const blocked = await protection.writeBlock(req, entry.connectionId || undefined);
+    if (blocked) return res.status(403).json({ error: blocked.error, protection: blocked.level });
+    // Claim the entry first so a concurrent undo of it stops here, and give
+    // the claim back if the restore does not go through.
+    const undone = await changeJournal.claimUndo(entry.id);
+    if (!undone) return res.status(409).json({ error: "Change was already undone" });
+    const collection = client.db(entry.db).collection(entry.collection);
+    let result;
+    try {
+      result = await changeJournal.restore(collection, entry, { force: !!force, username });
+    } catch (err) {
+      await changeJournal.releaseUndo(entry.id, undone.undoneAt);
+      throw err;
+    }
+    audit.log({
+      event: "change_undone",
+      journalId: entry.id,
+      op: entry.op,
+      ...ns,
+      count: entry.count,
+      forced: !!force,
+      ip: req.ip,
+      username,
+      role: req.session?.role || null,
+    });
+    res.json({ success: true, entry: undone, ...result });
+  } catch (err) {
+    res.status(err.status || 500).json({
+      error: err.message,
+      ...(err.conflicts ? { conflicts: err.conflicts } : {}),
+    });
+  }
+});
+
+module.exports = router;
@@ -2,8 +2,10 @@ const express = require("express");
 const router = express.Router();
 const mongoService = require("../../services/mongodb");
 const { serializeDocument } = require("../../utils/bson");
+const audit = require("../../utils/audit");
 const logger = require("../../utils/logger");
 const { normalizePositiveInt } = require("../../middleware/validate");
+const { pipelineNamespaces, pipelineBlock } = require("./_shared");
 
 const ALLOWED_EXPLAIN_VERBOSITY = new Set([
   "queryPlanner",
@@ -14,7 +16,7 @@ const ALLOWED_EXPLAIN_VERBOSITY = new Set([
 // Explain plan for find queries
 router.post("/:db/:collection/explain", async (req, res) => {
   try {
-    const client = mongoService.getClient();
+    const client = mongoService.getClient(req);
     if (!client) return res.status(400).json({ error: "Not connected" });
 
     const { filter = {}, sort, projection, verbosity = "executionStats" } = req.body;
@@ -38,7 +40,7 @@ router.post("/:db/:collection/explain", async (req, res) => {
 // Aggregation pipeline execution
 router.post("/:db/:collection/aggregate", async (req, res) => {
   try {
-    const client = mongoService.getClient();
+    const client = mongoService.getClient(req);
     if (!client) return res.status(400).json({ error: "Not connected" });
 
     const { pipeline = [], options = {} } = req.body;
@@ -47,6 +49,9 @@ router.post("/:db/:collection/aggregate", async (req, res) => {
       return res.status(400).json({ error: "Pipeline is too large (max 200 stages)" });
     }
 
+    const refused = await pipelineBlock(req, pipeline);
+    if (refused) return res.status(refused.status).json(refused.body);
+
     const col = client.db(req.params.db).collection(req.params.collection);
     const limit = normalizePositiveInt(options.limit, 20, 1000);
 
@@ -55,6 +60,26 @@ router.post("/:db/:collection/aggregate", async (req, res) => {
     const hasLimit = lastStage && (lastStage.$limit != null || lastStage.$out || lastStage.$merge);
     if (!hasLimit) safePipeline.push({ $limit: limit });
 
+    const { writes } = pipelineNamespaces(pipeline, req.params.db);
+    if (writes.length) {
+      res.once("close", () => {
+        for (const ns of writes) {
+          audit.log({
+            event: "write",
+            method: req.method,
+            path: req.path,
+            db: ns.db,
+            collection: ns.collection,
+            ip: req.ip,
+            username: req.session?.username || null,
+            role: req.session?.role || null,
+            ...(req.apiToken ? { tokenId: req.apiToken.id } : {}),
+            status: res.statusCode,
+          });
+        }
+      });
+    }
+
     const docs = await col.aggregate(safePipeline, { allowDiskUse: true }).toArray();
     res.json({ documents: docs.map(serializeDocument), count: docs.length });
   } catch (err) {
@@ -65,12 +90,14 @@ router.post("/:db/:collection/aggregate", async (req, res) => {
 
 router.post("/:db/:collection/aggregate/explain", async (req, res) => {
   try {
-    const client = mongoService.getClient();
+    const client = mongoService.getClient(req);
     if (!client) return res.status(400).json({ error: "Not connected" });
     const { pipeline = [], verbosity = "executionStats" } = req.body;
     if (!Array.isArray(pipeline)) {
       return res.status(400).json({ error: "Pipeline must be an array" });
     }
+    const refused = await pipelineBlock(req, pipeline);
+    if (refused) return res.status(refused.status).json(refused.body);
     const safeVerbosity = ALLOWED_EXPLAIN_VERBOSITY.has(verbosity)
       ? verbosity
       : "executionStats";
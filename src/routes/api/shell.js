@@ -4,9 +4,12 @@ const mongoService = require("../../services/mongodb");
 const config = require("../../config");
 const audit = require("../../utils/audit");
 const usersService = require("../../services/users");
-const { serializeDocument } = require("../../utils/bson");
+const approvals = require("../../services/approvals");
+const protection = require("../../services/protection");
+const { serializeDocument, parseDocument } = require("../../utils/bson");
 const { evalArg, splitTopLevelArgs } = require("../../utils/shellArg");
 const logger = require("../../utils/logger");
+const { deferToApproval, canRead, pipelineBlock } = require("./_shared");
 
 const ALLOWED_RUN_COMMANDS = new Set([
   "ping",
@@ -18,10 +21,21 @@ const ALLOWED_RUN_COMMANDS = new Set([
   "listIndexes",
   "connectionStatus",
 ]);
+// Allowed commands that read one collection (named by the command's value)
+// or the database they run in; the rest are server-wide.
+const COLLECTION_COMMANDS = new Set(["collStats", "listIndexes"]);
+const DATABASE_COMMANDS = new Set(["dbStats", "listCollections"]);
+
+// A shell deleteMany waits for approval in four-eyes mode (a shell drop()
+// is filed as an ordinary dropCollection request).
+approvals.registerExecutor("shellDeleteMany", async (client, { db, collection, params }) => {
+  const { deletedCount } = await client.db(db).collection(collection).deleteMany(parseDocument(params.filter));
+  return { deletedCount };
+});
 
 router.post("/shell/exec", async (req, res) => {
   try {
-    const client = mongoService.getClient();
+    const client = mongoService.getClient(req);
     if (!client) return res.status(400).json({ error: "Not connected" });
 
     const { command, db: dbName } = req.body;
@@ -32,17 +46,41 @@ router.post("/shell/exec", async (req, res) => {
     if (config.auth.enabled && !usersService.hasPermission(req.session, "shell")) {
       return res.status(403).json({ error: "Shell access denied by RBAC" });
     }
+    // The shell permission only opens the shell: what a command reads or
+    // writes is checked against the role's namespace grants, as the
+    // document routes do.
+    const readDenied = (ns) => {
+      if (!config.auth.enabled || canRead(req.session, ns)) return false;
+      audit.log({
+        event: "read_blocked_rbac",
+        method: "shell",
+        ...ns,
+        ip: req.ip,
+        username: req.session?.username || null,
+        role: req.session?.role || null,
+      });
+      res.status(403).json({ error: "Access to this namespace denied by RBAC" });
+      return true;
+    };
+    const visibleCollections = (names) =>
+      config.auth.enabled
+        ? names.filter((name) => usersService.canSeeCollection(req.session, db.databaseName, name))
+        : names;
 
     // show dbs
     if (/^show\s+(dbs|databases)$/i.test(cmd)) {
       const { databases } = await client.db().admin().listDatabases();
-      return res.json({ result: databases.map((d) => `${d.name}\t${d.sizeOnDisk} B`).join("\n"), type: "text" });
+      const visible = databases.filter(
+        (d) => !config.auth.enabled || usersService.canSeeDatabase(req.session, d.name)
+      );
+      return res.json({ result: visible.map((d) => `${d.name}\t${d.sizeOnDisk} B`).join("\n"), type: "text" });
     }
 
     // show collections
     if (/^show\s+collections$/i.test(cmd)) {
+      if (readDenied({ db: db.databaseName })) return;
       const cols = await db.listCollections().toArray();
-      return res.json({ result: cols.map((c) => c.name).join("\n"), type: "text" });
+      return res.json({ result: visibleCollections(cols.map((c) => c.name)).join("\n"), type: "text" });
     }
 
     // use dbname
@@ -64,7 +102,18 @@ router.post("/shell/exec", async (req, res) => {
           error: `runCommand '${commandName || "unknown"}' is not allowed from dashboard shell`,
         });
       }
+      if (COLLECTION_COMMANDS.has(commandName) && typeof arg[commandName] !== "string") {
+        return res.status(400).json({ error: `${commandName} takes a collection name` });
+      }
+      if (COLLECTION_COMMANDS.has(commandName) && readDenied({ db: db.databaseName, collection: arg[commandName] })) {
+        return;
+      }
+      if (DATABASE_COMMANDS.has(commandName) && readDenied({ db: db.databaseName })) return;
       const result = await db.command(arg);
+      if (commandName === "listCollections" && Array.isArray(result?.cursor?.firstBatch)) {
+        const names = new Set(visibleCollections(result.cursor.firstBatch.map((c) => c.name)));
+        result.cursor.firstBatch = result.cursor.firstBatch.filter((c) => names.has(c.name));
+      }
       return res.json({ result, type: "json" });
     }
 
@@ -73,6 +122,7 @@ router.post("/shell/exec", async (req, res) => {
     if (colMatch) {
       const [, colName, method, argsStr] = colMatch;
       const col = db.collection(colName);
+      const ns = { db: db.databaseName, collection: colName };
 
       const WRITE_METHODS = new Set([
         "insertOne",
@@ -87,7 +137,7 @@ router.post("/shell/exec", async (req, res) => {
         "dropIndex",
         "renameCollection",
       ]);
-      if (config.readOnly && WRITE_METHODS.has(method)) {
+      if (WRITE_METHODS.has(method) && protection.readOnly(req)) {
         audit.log({
           event: "shell_write_blocked_read_only",
           method,
@@ -98,11 +148,13 @@ router.post("/shell/exec", async (req, res) => {
           .status(403)
           .json({ error: "Dashboard is in read-only mode (READ_ONLY=true)" });
       }
+      if (!WRITE_METHODS.has(method) && readDenied(ns)) return;
       if (WRITE_METHODS.has(method)) {
-        if (config.auth.enabled && !usersService.hasPermission(req.session, "write")) {
+        if (config.auth.enabled && !usersService.hasPermission(req.session, "write", ns)) {
           audit.log({
             event: "shell_write_blocked_rbac",
             method,
+            db: ns.db,
             colName,
             ip: req.ip,
             username: req.session?.username || null,
@@ -110,17 +162,51 @@ router.post("/shell/exec", async (req, res) => {
           });
           return res.status(403).json({ error: "Write access denied by RBAC" });
         }
+        const blocked = await protection.writeBlock(req);
+        const level = blocked?.level || (await protection.levelOf(req));
+        if (blocked || (method === "drop" && protection.needsTypedConfirmation(level))) {
+          audit.log({
+            event: "shell_write_blocked_protection",
+            method,
+            colName,
+            level,
+            ip: req.ip,
+            username: req.session?.username || null,
+            role: req.session?.role || null,
+          });
+          return res.status(403).json({
+            error: blocked
+              ? blocked.error
+              : `Drop ${level} collections from the collection menu, which asks for typed confirmation`,
+            protection: level,
+          });
+        }
+      }
+
+      // Parse args: split by top-level commas
+      const args = argsStr.trim() ? splitTopLevelArgs(argsStr).map((a) => evalArg(a)) : [];
+
+      if (method === "deleteMany" || method === "drop") {
+        const target = { db: db.databaseName, collection: colName };
+        const spec =
+          method === "drop"
+            ? { kind: "dropCollection", ...target }
+            : { kind: "shellDeleteMany", ...target, params: { filter: serializeDocument(args[0] || {}) } };
+        // Filed for approval (audited as approval_requested), not run yet.
+        if (await deferToApproval(req, res, spec)) return;
+      }
+      if (WRITE_METHODS.has(method)) {
         audit.log({
           event: "shell_write",
           method,
+          db: dbName,
           colName,
           ip: req.ip,
+          username: req.session?.username || null,
+          role: req.session?.role || null,
         });
       }
 
-      // Parse args: split by top-level commas
-      const args = argsStr.trim() ? splitTopLevelArgs(argsStr).map((a) => evalArg(a)) : [];
-
       let result;
       switch (method) {
         case "find": {
@@ -136,6 +222,9 @@ router.post("/shell/exec", async (req, res) => {
           if (!Array.isArray(pipeline)) {
             return res.status(400).json({ error: "aggregate pipeline must be an array" });
           }
+          // $lookup/$unionWith sources and $out/$merge targets.
+          const refused = await pipelineBlock(req, pipeline, db.databaseName);
+          if (refused) return res.status(refused.status).json(refused.body);
           result = await col.aggregate(pipeline).limit(200).toArray();
           break;
         }
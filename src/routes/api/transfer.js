@@ -2,28 +2,46 @@ const express = require("express");
 const router = express.Router();
 const fs = require("fs/promises");
 const path = require("path");
+const { pipeline, Readable } = require("stream");
 const mongoService = require("../../services/mongodb");
+const copyJobs = require("../../services/copyJobs");
+const importJobs = require("../../services/importJobs");
 const config = require("../../config");
 const usersService = require("../../services/users");
+const protection = require("../../services/protection");
 const {
   bad,
   requireStringField,
   isPlainObject,
 } = require("../../middleware/validate-body");
 const { serializeDocument, parseDocument } = require("../../utils/bson");
-const { parseCsv, toCsvRow } = require("../../utils/csv");
+const { createCsvParser, toCsvRow } = require("../../utils/csv");
+const { normalizeMapping, compileMapping } = require("../../utils/csvMapping");
+const { multipartBoundary, createFileExtractor } = require("../../utils/multipart");
+const { openWorkbook, flattenDocument, createXlsxWriter } = require("../../utils/xlsx");
+const { xlsxRecords } = require("../../utils/importParser");
+const { inferSchema } = require("../../utils/schema");
+const { columnsFromInferred, columnsFromSchema } = require("../../utils/columnar");
+const { createParquetWriter } = require("../../utils/parquet");
+const { createAvroWriter } = require("../../utils/avro");
 const audit = require("../../utils/audit");
 const logger = require("../../utils/logger");
+const approvals = require("../../services/approvals");
+const { deferToApproval } = require("./_shared");
 const { GridFSBucket, ObjectId } = require("mongodb");
 const {
   readJsonQueryParam,
   normalizePositiveInt,
 } = require("../../middleware/validate");
+const { extendRequestDeadline } = require("../../middleware/request-deadline");
+const { assertSafeMongoQueryShape } = require("../../utils/queryGuard");
 
-const SUPPORTED_IMPORT_FORMATS = new Set(["json", "jsonl", "csv"]);
-const SUPPORTED_EXPORT_FORMATS = new Set(["json", "jsonl", "csv"]);
+const SUPPORTED_EXPORT_FORMATS = new Set(["json", "jsonl", "csv", "xlsx", "parquet", "avro"]);
+// Formats with a schema, streamed without a cap on the document count.
+const COLUMNAR_EXPORT_FORMATS = new Set(["parquet", "avro"]);
+const SCHEMA_SAMPLE_SIZE = 1000;
 
-const MAX_IMPORT_DOCS = 50000;
+const SSE_HEARTBEAT_MS = 20000;
 const BACKUP_RUNS_PATH = path.resolve(process.cwd(), "data", "backup-runs.json");
 
 async function appendBackupRun(run) {
@@ -60,95 +78,214 @@ function parseRestorePayload(content) {
   return docs;
 }
 
-// Import documents (JSON array, NDJSON, or CSV)
+// Write restored documents, emptying the collection first in replace mode.
+// With `strict` it stops at the first failed write (`stopped: true`).
+async function restoreDocuments(col, docs, { mode, strict }) {
+  let restored = 0;
+  let failed = 0;
+  const errors = [];
+  if (mode === "replace") {
+    await col.deleteMany({});
+  }
+  for (const d of docs) {
+    try {
+      if (d && d._id) {
+        await col.replaceOne({ _id: d._id }, d, { upsert: true });
+      } else {
+        await col.insertOne(d);
+      }
+      restored += 1;
+    } catch (err) {
+      failed += 1;
+      if (errors.length < 20) {
+        errors.push(String(err?.message || "restore write error"));
+      }
+      if (strict) return { restored, failed, errors, stopped: true };
+    }
+  }
+  return { restored, failed, errors, stopped: false };
+}
+
+// Replace-mode restores run on approval in four-eyes mode.
+approvals.registerExecutor("restoreReplace", async (client, { db, collection, params }, content) => {
+  const docs = parseRestorePayload(content);
+  const col = client.db(db).collection(collection);
+  const { restored, failed, errors, stopped } = await restoreDocuments(col, docs, {
+    mode: "replace",
+    strict: params.strict,
+  });
+  if (stopped) throw new Error(`Restore stopped on first write error: ${errors[0]}`);
+  await appendBackupRun({
+    ts: new Date().toISOString(),
+    db,
+    collection,
+    restored,
+    failed,
+    mode: "replace",
+    event: "restore",
+  });
+  return { restored, failed, total: docs.length, errors };
+});
+
+function readImportOptions(source) {
+  const format = String(source?.format || "json");
+  if (!importJobs.FORMATS.has(format)) return { ok: false, error: "Invalid import format" };
+  const mode = String(source?.mode || "insert");
+  if (!importJobs.MODES.has(mode)) {
+    return { ok: false, error: "mode must be insert, upsert, replace, update or skip" };
+  }
+  let keyFields;
+  let mapping = null;
+  try {
+    keyFields = importJobs.normalizeKeyFields(source?.keyFields);
+    // In a query string the mapping comes as JSON text.
+    const rawMapping = typeof source?.mapping === "string" ? JSON.parse(source.mapping) : source?.mapping;
+    if (rawMapping) mapping = normalizeMapping(rawMapping);
+  } catch (err) {
+    return { ok: false, error: err instanceof SyntaxError ? "mapping is not valid JSON" : err.message };
+  }
+  if (mapping && format !== "csv") return { ok: false, error: "A column mapping applies to CSV imports only" };
+  const headerRow = source?.headerRow === undefined || source?.headerRow === "" ? 1 : Number(source.headerRow);
+  if (!Number.isInteger(headerRow) || headerRow < 1) return { ok: false, error: "headerRow must be a row number" };
+  return {
+    ok: true,
+    value: {
+      format,
+      mode,
+      keyFields,
+      mapping,
+      sheet: typeof source?.sheet === "string" && source.sheet ? source.sheet : null,
+      headerRow,
+      ordered: source?.ordered === true || source?.ordered === "true",
+      batchSize: normalizePositiveInt(source?.batchSize, config.import.batchSize, 10000),
+    },
+  };
+}
+
+// Whose copy and import jobs a request sees: its session, or for a bearer
+// request (which has none) its API token.
+function jobOwner(req) {
+  if (req.sessionID) return req.sessionID;
+  return req.apiToken ? `token:${req.apiToken.id}` : null;
+}
+
+function createImportJob(req, { db, collection }, options) {
+  const username = req.session?.username || null;
+  return importJobs.create({
+    owner: jobOwner(req),
+    createdBy: username,
+    // The connection the import writes through: getClient(req) honours the
+    // X-Connection-Id header, so this has to as well.
+    connectionId: mongoService.getConnectionId(req),
+    db,
+    collection,
+    ...options,
+    onFinish: (done) => {
+      audit.log({
+        event: "import_finished",
+        jobId: done.id,
+        status: done.status,
+        format: done.format,
+        mode: done.mode,
+        keyFields: done.keyFields,
+        rows: done.rows,
+        inserted: done.inserted,
+        updated: done.updated,
+        skipped: done.skipped,
+        failed: done.failed,
+        db: done.db,
+        collection: done.collection,
+        username,
+      });
+    },
+  });
+}
+
+// Import documents (JSON array, NDJSON, CSV or XLSX). The file is streamed
+// and written in bulk batches, so it is not bound by the JSON body limit:
+// send it as the raw request body or as the file of a multipart/form-data
+// upload, with `format`, `mode`, `keyFields` (comma-separated), `mapping`
+// (JSON, CSV only), `sheet` and `headerRow` (XLSX only), `ordered` and
+// `batchSize` in the query string (or `jobId`, for a job created through
+// POST /import-jobs to follow its progress). A JSON body `{ format,
+// content, stopOnError }` still works for small text imports.
 router.post("/:db/:collection/import", express.json({ limit: "50mb" }), async (req, res) => {
+  let jobId = null;
+  // A large upload may take longer than other requests are allowed.
+  extendRequestDeadline(req, res, config.import.requestTimeoutMs);
   try {
-    if (config.auth.enabled && !usersService.hasPermission(req.session, "write")) {
+    if (config.auth.enabled && !usersService.hasPermission(req.session, "write", req.params)) {
       return res.status(403).json({ error: "Import denied by RBAC" });
     }
-    const client = mongoService.getClient();
+    const client = mongoService.getClient(req);
     if (!client) return res.status(400).json({ error: "Not connected" });
 
     const { db: dbName, collection: colName } = req.params;
-    const { format = "json", content, stopOnError = false } = req.body;
-
-    if (!SUPPORTED_IMPORT_FORMATS.has(format)) {
-      return res.status(400).json({ error: "Invalid import format" });
+    const inline = req.is("application/json");
+    let source;
+    let options;
+    if (inline) {
+      const { content } = req.body || {};
+      if (!content || typeof content !== "string") return res.status(400).json({ error: "No content provided" });
+      options = readImportOptions({ ...req.body, ordered: req.body.stopOnError === true });
+      if (options.ok && options.value.format === "xlsx") return bad(res, "Upload XLSX workbooks as a file, not as JSON text");
+      source = Readable.from([content]);
+    } else {
+      const boundary = multipartBoundary(req.get("content-type"));
+      if (req.is("multipart/form-data") && !boundary) return bad(res, "Multipart upload without a boundary");
+      options = readImportOptions(req.query);
+      source = boundary ? pipeline(req, createFileExtractor(boundary), () => {}) : req;
     }
+    if (!options.ok) return bad(res, options.error);
 
-    if (!content) return res.status(400).json({ error: "No content provided" });
-
-    const collection = client.db(dbName).collection(colName);
-
-    let docs = [];
-    if (format === "csv") {
-      const normalized = String(content).replace(/^\uFEFF/, "").trim();
-      const rows = parseCsv(normalized);
-      if (rows.length < 2) return res.status(400).json({ error: "CSV must have a header row and at least one data row" });
-      const headers = rows[0].map((h) => String(h || "").trim());
-      if (headers.some((h) => !h)) {
-        return res.status(400).json({ error: "CSV header contains an empty column name" });
+    if (!inline && req.query.jobId) {
+      const reserved = importJobs.get(String(req.query.jobId), jobOwner(req));
+      if (!reserved) return res.status(404).json({ error: "Import job not found" });
+      if (reserved.db !== dbName || reserved.collection !== colName) {
+        return bad(res, "The import job is for another collection");
       }
-      if (new Set(headers).size !== headers.length) {
-        return res.status(400).json({ error: "CSV header contains duplicate column names" });
+      if (reserved.connectionId !== mongoService.getConnectionId(req)) {
+        return bad(res, "The import job is for another connection");
       }
-      docs = rows.slice(1).map((row) => {
-        const doc = {};
-        headers.forEach((h, i) => {
-          let val = row[i] ?? "";
-          if (val === "true") val = true;
-          else if (val === "false") val = false;
-          else if (val !== "" && !isNaN(Number(val))) val = Number(val);
-          if (val !== "") doc[h] = val;
-        });
-        return doc;
-      });
+      jobId = reserved.id;
     } else {
-      const trimmed = content.trim();
-      if (trimmed.startsWith("[")) {
-        docs = JSON.parse(trimmed);
-      } else {
-        docs = trimmed
-          .split(/\r?\n/)
-          .filter((l) => l.trim())
-          .map((l) => JSON.parse(l));
-      }
-      docs = docs.map(parseDocument);
-    }
-
-    if (!Array.isArray(docs)) {
-      return res.status(400).json({ error: "Import payload must resolve to an array of documents" });
-    }
-    if (docs.length > MAX_IMPORT_DOCS) {
-      return res.status(413).json({ error: `Import too large: max ${MAX_IMPORT_DOCS} documents per request` });
-    }
-
-    let inserted = 0;
-    let errors = [];
-    for (const doc of docs) {
-      try {
-        if (!doc || typeof doc !== "object" || Array.isArray(doc)) {
-          throw new Error("Each imported row must be a JSON object/document");
-        }
-        await collection.insertOne(doc);
-        inserted++;
-      } catch (err) {
-        if (stopOnError) throw err;
-        errors.push(err.message);
-      }
+      jobId = createImportJob(req, req.params, options.value).id;
     }
 
-    res.json({ success: true, inserted, errors: errors.slice(0, 20), total: docs.length });
+    const contentLength = parseInt(req.get("content-length"), 10);
+    // A workbook is held in memory until it can be read.
+    const xlsx = importJobs.get(jobId, jobOwner(req))?.format === "xlsx";
+    const job = await importJobs.run(jobId, jobOwner(req), {
+      collection: client.db(dbName).collection(colName),
+      source,
+      totalBytes: inline || !Number.isFinite(contentLength) ? null : contentLength,
+      maxBytes: xlsx ? Math.min(config.import.maxBytes, config.import.xlsxMaxBytes) : config.import.maxBytes,
+    });
+    // Stopped or cancelled early: drop the rest of the upload.
+    if (!req.complete) res.set("Connection", "close");
+    res.json({
+      success: job.status === "completed" && job.failed === 0,
+      inserted: job.inserted,
+      updated: job.updated,
+      skipped: job.skipped,
+      failed: job.failed,
+      total: job.rows,
+      errors: job.errors,
+      job,
+    });
   } catch (err) {
-    logger.error(err);
-    res.status(500).json({ error: err.message });
+    if (!err.status) logger.error(err);
+    if (!req.complete) res.set("Connection", "close");
+    res.status(err.status || 500).json({
+      error: err.message,
+      job: jobId ? importJobs.get(jobId, jobOwner(req)) : null,
+    });
   }
 });
 
-// Export documents (JSON or CSV) - now with streaming!
 router.get("/:db/:collection/export", async (req, res) => {
   try {
-    const client = mongoService.getClient();
+    const client = mongoService.getClient(req);
     if (!client) return res.status(400).json({ error: "Not connected" });
 
     const { db: dbName, collection: colName } = req.params;
@@ -164,6 +301,39 @@ router.get("/:db/:collection/export", async (req, res) => {
     const sort = readJsonQueryParam(req, res, "sort", {});
     if (sort === null) return;
 
+    if (COLUMNAR_EXPORT_FORMATS.has(format)) {
+      const schema = readJsonQueryParam(req, res, "schema", false);
+      if (schema === null) return;
+      // No limit means every matching document.
+      const limit = normalizePositiveInt(limitParam, 0, Number.MAX_SAFE_INTEGER);
+      let columns;
+      try {
+        columns = schema
+          ? columnsFromSchema(schema)
+          : columnsFromInferred(
+              await inferSchema(collection, SCHEMA_SAMPLE_SIZE, { filter: query, includeId: true, promoteValues: false })
+            );
+      } catch (err) {
+        if (err.status === 400) return res.status(400).json({ error: err.message });
+        throw err;
+      }
+
+      const types = { parquet: "application/vnd.apache.parquet", avro: "application/avro" };
+      res.setHeader("Content-Type", types[format]);
+      res.setHeader("Content-Disposition", `attachment; filename="${colName}.${format}"`);
+      // Unpromoted values keep int, long and double apart.
+      const cursor = collection.find(query, { promoteValues: false }).sort(sort).limit(limit);
+      const file =
+        format === "parquet"
+          ? createParquetWriter(res, { columns })
+          : createAvroWriter(res, { columns, name: colName });
+      for await (const doc of cursor) {
+        await file.addRow(doc);
+      }
+      await file.end();
+      return res.end();
+    }
+
     const limit = normalizePositiveInt(limitParam, 10000, 100000);
 
     const cursor = collection.find(query).sort(sort).limit(limit);
@@ -184,6 +354,23 @@ router.get("/:db/:collection/export", async (req, res) => {
       return res.end();
     }
 
+    if (format === "xlsx") {
+      res.setHeader("Content-Type", "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet");
+      res.setHeader("Content-Disposition", `attachment; filename="${colName}.xlsx"`);
+
+      // Columns come from the first documents, as for CSV; nested fields
+      // become dotted columns.
+      const sampleDocs = await collection.find(query).sort(sort).limit(Math.min(limit, 100)).toArray();
+      const columns = [...new Set(sampleDocs.flatMap((d) => Object.keys(flattenDocument(d))))];
+      const sheet = await createXlsxWriter(res, { sheet: colName, columns });
+      for await (const doc of cursor) {
+        const row = flattenDocument(doc);
+        await sheet.addRow(columns.map((c) => row[c]));
+      }
+      await sheet.end();
+      return res.end();
+    }
+
     if (format === "jsonl") {
       res.setHeader("Content-Type", "application/x-ndjson");
       res.setHeader("Content-Disposition", `attachment; filename="${colName}.jsonl"`);
@@ -218,7 +405,7 @@ router.get("/:db/:collection/export", async (req, res) => {
 // Stream the entire collection as JSONL with a metadata header line.
 router.get("/:db/:collection/backup", async (req, res) => {
   try {
-    const client = mongoService.getClient();
+    const client = mongoService.getClient(req);
     if (!client) return res.status(400).json({ error: "Not connected" });
 
     const { db: dbName, collection: colName } = req.params;
@@ -311,12 +498,354 @@ router.get("/backups/history", async (_req, res) => {
   }
 });
 
+// ── Cross-connection copy ─────────────────────────────────────────────────
+// Copies run server-side between two connections open in the caller's
+// session, so documents never pass through the browser or the restore body
+// limit. Progress is available by polling or as an SSE feed.
+
+function readCopyEndpoint(body, field) {
+  const value = body?.[field];
+  if (!isPlainObject(value)) return { ok: false, error: `${field} must be an object` };
+  const dbField = requireStringField(value, "db", { max: 64 });
+  if (!dbField.ok) return { ok: false, error: `${field}.${dbField.error}` };
+  const colField = requireStringField(value, "collection", { max: 255 });
+  if (!colField.ok) return { ok: false, error: `${field}.${colField.error}` };
+  const connectionId = value.connectionId;
+  if (connectionId !== undefined && (typeof connectionId !== "string" || !connectionId)) {
+    return { ok: false, error: `${field}.connectionId must be a string` };
+  }
+  return {
+    ok: true,
+    value: { connectionId: connectionId || null, db: dbField.value, collection: colField.value },
+  };
+}
+
+function readCopyFilter(raw) {
+  if (raw === undefined || raw === null || raw === "") return {};
+  // The filter arrives as a JSON string so $-operators survive mongoSanitize.
+  const parsed = parseDocument(typeof raw === "string" ? JSON.parse(raw) : raw);
+  if (!isPlainObject(parsed)) throw new Error("filter must be an object");
+  assertSafeMongoQueryShape(parsed);
+  return parsed;
+}
+
+router.get("/copy-jobs", (req, res) => {
+  res.json({ jobs: copyJobs.list(jobOwner(req)) });
+});
+
+router.post("/copy-jobs", async (req, res) => {
+  try {
+    const source = readCopyEndpoint(req.body, "source");
+    if (!source.ok) return bad(res, source.error);
+    const target = readCopyEndpoint(req.body, "target");
+    if (!target.ok) return bad(res, target.error);
+    if (
+      config.auth.enabled &&
+      !(
+        usersService.hasPermission(req.session, "read", source.value) &&
+        usersService.hasPermission(req.session, "write", target.value)
+      )
+    ) {
+      return res.status(403).json({ error: "Copy denied by RBAC" });
+    }
+    const mode = String(req.body?.mode || "insert");
+    if (!copyJobs.MODES.has(mode)) return bad(res, "mode must be insert or upsert");
+    let filter;
+    try {
+      filter = readCopyFilter(req.body?.filter);
+    } catch (err) {
+      return bad(res, `Invalid filter: ${err.message}`);
+    }
+
+    if (!jobOwner(req)) return bad(res, "Copy jobs need a session or an API token");
+
+    const sourceId = source.value.connectionId || mongoService.getConnectionId(req);
+    const targetId = target.value.connectionId || sourceId;
+    // The write-protection check only sees the active connection; the
+    // target may be another one.
+    const blocked = targetId ? await protection.writeBlock(req, targetId) : null;
+    if (blocked) {
+      audit.log({
+        event: "write_blocked_protection",
+        method: req.method,
+        path: req.path,
+        connectionId: targetId,
+        level: blocked.level,
+        ip: req.ip,
+        username: req.session?.username || null,
+        role: req.session?.role || null,
+      });
+      return res.status(403).json({ error: blocked.error, protection: blocked.level });
+    }
+    const sourceLease = sourceId ? mongoService.lease(req, sourceId) : null;
+    if (!sourceLease) return bad(res, "Source connection is not open in this session");
+    const targetLease = mongoService.lease(req, targetId);
+    if (!targetLease) {
+      await sourceLease.release();
+      return bad(res, "Target connection is not open in this session");
+    }
+    if (
+      sourceLease.uri === targetLease.uri &&
+      source.value.db === target.value.db &&
+      source.value.collection === target.value.collection
+    ) {
+      await Promise.all([sourceLease.release(), targetLease.release()]);
+      return bad(res, "Source and target are the same collection");
+    }
+
+    const username = req.session?.username || null;
+    const job = copyJobs.start({
+      owner: jobOwner(req),
+      createdBy: username,
+      source: { ...source.value, connectionId: sourceId, ...sourceLease },
+      target: { ...target.value, connectionId: targetId, ...targetLease },
+      filter,
+      mode,
+      copyIndexes: req.body?.copyIndexes !== false,
+      copyOptions: req.body?.copyOptions !== false,
+      batchSize: normalizePositiveInt(req.body?.batchSize, 1000, 10000),
+      onFinish: (done) => {
+        audit.log({
+          event: "copy_finished",
+          jobId: done.id,
+          status: done.status,
+          copied: done.copied,
+          failed: done.failed,
+          db: done.target.db,
+          collection: done.target.collection,
+          username,
+        });
+      },
+    });
+    audit.log({
+      event: "copy_started",
+      jobId: job.id,
+      source: job.source,
+      target: job.target,
+      mode,
+      db: job.target.db,
+      collection: job.target.collection,
+      ip: req.ip,
+      username,
+    });
+    res.status(202).json({ job });
+  } catch (err) {
+    logger.error(err);
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+router.get("/copy-jobs/:id", (req, res) => {
+  const job = copyJobs.get(req.params.id, jobOwner(req));
+  if (!job) return res.status(404).json({ error: "Copy job not found" });
+  res.json({ job });
+});
+
+router.post("/copy-jobs/:id/cancel", (req, res) => {
+  const job = copyJobs.cancel(req.params.id, jobOwner(req));
+  if (!job) return res.status(404).json({ error: "Copy job not found" });
+  res.json({ job });
+});
+
+// Progress feed (SSE) of a copy or import job: `progress` events while it
+// runs, then one `done`.
+function streamJobEvents(req, res, registry, notFound) {
+  if (!registry.get(req.params.id, jobOwner(req))) {
+    return res.status(404).json({ error: notFound });
+  }
+  res.writeHead(200, {
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache, no-transform",
+    Connection: "keep-alive",
+    "X-Accel-Buffering": "no",
+  });
+  if (typeof res.flushHeaders === "function") res.flushHeaders();
+
+  let closed = false;
+  let unsubscribe = () => {};
+  const heartbeat = setInterval(() => {
+    if (!closed) res.write(`: heartbeat ${Date.now()}\n\n`);
+  }, SSE_HEARTBEAT_MS);
+
+  function cleanup() {
+    if (closed) return;
+    closed = true;
+    clearInterval(heartbeat);
+    unsubscribe();
+    if (!res.writableEnded) {
+      try {
+        res.end();
+      } catch (_) {}
+    }
+  }
+
+  res.write(`event: progress\ndata: ${JSON.stringify(registry.get(req.params.id, jobOwner(req)))}\n\n`);
+  unsubscribe = registry.subscribe(
+    req.params.id,
+    jobOwner(req),
+    (job) => {
+      if (!closed) res.write(`event: progress\ndata: ${JSON.stringify(job)}\n\n`);
+    },
+    (job) => {
+      if (!closed) res.write(`event: done\ndata: ${JSON.stringify(job)}\n\n`);
+      cleanup();
+    }
+  ) || (() => {});
+
+  req.on("close", cleanup);
+  res.on("close", cleanup);
+}
+
+router.get("/copy-jobs/:id/events", (req, res) => {
+  streamJobEvents(req, res, copyJobs, "Copy job not found");
+});
+
+const PREVIEW_ROWS = 10;
+
+// Cells as the import dialog shows them.
+function previewCell(value) {
+  if (value === undefined || value === null) return "";
+  if (value instanceof Date) return value.toISOString();
+  if (value.error !== undefined) return value.error;
+  return String(value);
+}
+
+// A workbook's sheets and the first rows of one of them, from the header
+// row down. The whole file is needed: its table of contents is at the end.
+async function previewWorkbook(req, res) {
+  const maxBytes = Math.min(config.import.maxBytes, config.import.xlsxMaxBytes);
+  const tooLarge = () => res.status(413).json({ error: `Workbook too large: the limit is ${maxBytes} bytes` });
+  if (parseInt(req.get("content-length"), 10) > maxBytes) {
+    res.set("Connection", "close");
+    return tooLarge();
+  }
+  const chunks = [];
+  let size = 0;
+  // Read to the end even when over the limit, so the answer can still be sent.
+  for await (const chunk of req) {
+    size += chunk.length;
+    if (size <= maxBytes) chunks.push(chunk);
+  }
+  if (size > maxBytes) return tooLarge();
+  const headerRow = req.query.headerRow ? Number(req.query.headerRow) : 1;
+  if (!Number.isInteger(headerRow) || headerRow < 1) return bad(res, "headerRow must be a row number");
+  const buffer = Buffer.concat(chunks);
+  const book = openWorkbook(buffer);
+  const sheet = typeof req.query.sheet === "string" && req.query.sheet ? req.query.sheet : book.sheets[0];
+
+  const shown = [];
+  for await (const { row, cells } of book.rows(sheet)) {
+    if (row < headerRow) continue;
+    shown.push({ row, cells: Array.from(cells, previewCell) });
+    if (shown.length > PREVIEW_ROWS) break;
+  }
+  const header = shown[0]?.row === headerRow ? shown.shift() : null;
+  const documents = [];
+  let error = null;
+  try {
+    for await (const record of xlsxRecords(buffer, { sheet, headerRow })) {
+      documents.push(record.error ? record : { row: record.row, doc: serializeDocument(record.doc) });
+      if (documents.length >= PREVIEW_ROWS) break;
+    }
+  } catch (err) {
+    if (!err.status) throw err;
+    // A bad header is shown rather than refused, so another row can be picked.
+    error = err.message;
+  }
+  res.json({
+    sheets: book.sheets,
+    sheet,
+    headerRow,
+    headers: header ? header.cells : [],
+    rows: shown.slice(0, PREVIEW_ROWS).map((r) => r.cells),
+    documents,
+    error,
+  });
+}
+
+// The first rows of a CSV file as read with `mapping`, for the import
+// dialog's mapping step. `content` is the start of the file; nothing is
+// written. An XLSX workbook is sent whole as the raw body instead, with
+// `sheet` and `headerRow` in the query string.
+router.post("/import-preview", async (req, res) => {
+  try {
+    if (!req.is("application/json")) return await previewWorkbook(req, res);
+    const content = requireStringField(req.body, "content", { min: 1, max: 1024 * 1024 });
+    if (!content.ok) return bad(res, content.error);
+    const csv = createCsvParser();
+    const rows = csv.push(content.value.replace(/^\uFEFF/, ""));
+    try {
+      rows.push(...csv.end());
+    } catch (_) {
+      // The sample ends inside a quoted field; its last row is incomplete.
+    }
+    const headers = (rows[0] || []).map((h) => String(h || "").trim());
+    if (!headers.length) return bad(res, "CSV header row is empty");
+    const mapping = req.body?.mapping ? normalizeMapping(req.body.mapping) : { columns: [], onInvalid: "reject" };
+    const toDocument = compileMapping(mapping, headers);
+    const sample = rows.slice(1, PREVIEW_ROWS + 1);
+    res.json({
+      headers,
+      rows: sample,
+      documents: sample.map((values, i) => {
+        try {
+          return { row: i + 1, doc: serializeDocument(toDocument(values)) };
+        } catch (err) {
+          return { row: i + 1, error: err.message };
+        }
+      }),
+    });
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+router.get("/import-jobs", (req, res) => {
+  res.json({ jobs: importJobs.list(jobOwner(req)) });
+});
+
+// Create an import job ahead of its upload, so its progress can be
+// followed from the start; the file then goes to
+// POST /:db/:collection/import?jobId=…
+router.post("/import-jobs", (req, res) => {
+  try {
+    const ns = { db: req.body?.db, collection: req.body?.collection };
+    if (typeof ns.db !== "string" || !ns.db || typeof ns.collection !== "string" || !ns.collection) {
+      return bad(res, "db and collection are required");
+    }
+    if (config.auth.enabled && !usersService.hasPermission(req.session, "write", ns)) {
+      return res.status(403).json({ error: "Import denied by RBAC" });
+    }
+    const options = readImportOptions(req.body);
+    if (!options.ok) return bad(res, options.error);
+    res.status(201).json({ job: createImportJob(req, ns, options.value) });
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+router.get("/import-jobs/:id", (req, res) => {
+  const job = importJobs.get(req.params.id, jobOwner(req));
+  if (!job) return res.status(404).json({ error: "Import job not found" });
+  res.json({ job });
+});
+
+router.post("/import-jobs/:id/cancel", (req, res) => {
+  const job = importJobs.cancel(req.params.id, jobOwner(req));
+  if (!job) return res.status(404).json({ error: "Import job not found" });
+  res.json({ job });
+});
+
+router.get("/import-jobs/:id/events", (req, res) => {
+  streamJobEvents(req, res, importJobs, "Import job not found");
+});
+
 router.post("/:db/:collection/restore", express.json({ limit: "100mb" }), async (req, res) => {
   try {
-    if (config.auth.enabled && !usersService.hasPermission(req.session, "write")) {
+    if (config.auth.enabled && !usersService.hasPermission(req.session, "write", req.params)) {
       return res.status(403).json({ error: "Restore denied by RBAC" });
     }
-    const client = mongoService.getClient();
+    const client = mongoService.getClient(req);
     if (!client) return res.status(400).json({ error: "Not connected" });
     const { db: dbName, collection: colName } = req.params;
     const contentField = requireStringField(req.body, "content", { min: 2, max: 100000000 });
@@ -349,38 +878,30 @@ router.post("/:db/:collection/restore", express.json({ limit: "100mb" }), async
         code: "RESTORE_CONFIRM_REQUIRED",
       });
     }
-    const col = client.db(dbName).collection(colName);
-    let restored = 0;
-    let failed = 0;
-    const errors = [];
-    if (mode === "replace") {
-      await col.deleteMany({});
+    if (
+      mode === "replace" &&
+      (await deferToApproval(req, res, {
+        kind: "restoreReplace",
+        db: dbName,
+        collection: colName,
+        params: { total: docs.length, withId, withoutId, strict },
+        payload: content,
+      }))
+    ) {
+      return;
     }
-    for (const d of docs) {
-      try {
-        if (d && d._id) {
-          await col.replaceOne({ _id: d._id }, d, { upsert: true });
-        } else {
-          await col.insertOne(d);
-        }
-        restored += 1;
-      } catch (err) {
-        failed += 1;
-        if (errors.length < 20) {
-          errors.push(String(err?.message || "restore write error"));
-        }
-        if (strict) {
-          return res.status(409).json({
-            success: false,
-            restored,
-            failed,
-            total: docs.length,
-            strict: true,
-            error: `Restore stopped on first write error: ${errors[0]}`,
-            errors,
-          });
-        }
-      }
+    const col = client.db(dbName).collection(colName);
+    const { restored, failed, errors, stopped } = await restoreDocuments(col, docs, { mode, strict });
+    if (stopped) {
+      return res.status(409).json({
+        success: false,
+        restored,
+        failed,
+        total: docs.length,
+        strict: true,
+        error: `Restore stopped on first write error: ${errors[0]}`,
+        errors,
+      });
     }
     appendBackupRun({
       ts: new Date().toISOString(),
@@ -408,7 +929,7 @@ router.post("/:db/:collection/restore", express.json({ limit: "100mb" }), async
 // Download file from GridFS
 router.get("/:db/:bucket/gridfs/:id", async (req, res) => {
   try {
-    const client = mongoService.getClient();
+    const client = mongoService.getClient(req);
     if (!client) return res.status(400).json({ error: "Not connected" });
 
     const { db: dbName, bucket, id } = req.params;
@@ -442,7 +963,7 @@ router.get("/:db/:bucket/gridfs/:id", async (req, res) => {
 
 router.get("/:db/:bucket/gridfs", async (req, res) => {
   try {
-    const client = mongoService.getClient();
+    const client = mongoService.getClient(req);
     if (!client) return res.status(400).json({ error: "Not connected" });
     const { db: dbName, bucket } = req.params;
     const db = client.db(dbName);
@@ -463,10 +984,11 @@ router.get("/:db/:bucket/gridfs", async (req, res) => {
 
 router.post("/:db/:bucket/gridfs", express.json({ limit: "50mb" }), async (req, res) => {
   try {
-    if (config.auth.enabled && !usersService.hasPermission(req.session, "write")) {
+    const scope = { db: req.params.db, collection: req.params.bucket };
+    if (config.auth.enabled && !usersService.hasPermission(req.session, "write", scope)) {
       return res.status(403).json({ error: "GridFS upload denied by RBAC" });
     }
-    const client = mongoService.getClient();
+    const client = mongoService.getClient(req);
     if (!client) return res.status(400).json({ error: "Not connected" });
     const { db: dbName, bucket } = req.params;
     const filenameField = requireStringField(req.body, "filename", { min: 1, max: 512 });
@@ -496,10 +1018,11 @@ router.post("/:db/:bucket/gridfs", express.json({ limit: "50mb" }), async (req,
 
 router.delete("/:db/:bucket/gridfs/:id", async (req, res) => {
   try {
-    if (config.auth.enabled && !usersService.hasPermission(req.session, "write")) {
+    const scope = { db: req.params.db, collection: req.params.bucket };
+    if (config.auth.enabled && !usersService.hasPermission(req.session, "write", scope)) {
       return res.status(403).json({ error: "GridFS delete denied by RBAC" });
     }
-    const client = mongoService.getClient();
+    const client = mongoService.getClient(req);
     if (!client) return res.status(400).json({ error: "Not connected" });
     const { db: dbName, bucket, id } = req.params;
     const db = client.db(dbName);
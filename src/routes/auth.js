@@ -1,7 +1,13 @@
 const express = require("express");
+const cookieParser = require("cookie-parser");
 const router = express.Router();
 const config = require("../config");
 const audit = require("../utils/audit");
+const logger = require("../utils/logger");
+const mongoService = require("../services/mongodb");
+const oidc = require("../services/oidc");
+const usersService = require("../services/users");
+const totp = require("../utils/totp");
 const {
   verifyCredentials,
   recordFailure,
@@ -9,14 +15,42 @@ const {
   isLocked,
 } = require("../middleware/auth");
 
+function loginView(error, next) {
+  return {
+    title: "Sign in",
+    error,
+    next,
+    ssoLabel: oidc.isEnabled() ? config.auth.oidc.label : null,
+  };
+}
+
+function safeNextUrl(nextUrl) {
+  return typeof nextUrl === "string" && nextUrl.startsWith("/") && !nextUrl.startsWith("//")
+    ? nextUrl
+    : "/";
+}
+
+function startSession(req, user, done) {
+  req.session.regenerate((err) => {
+    if (err) return done(err);
+    req.session.authenticated = true;
+    req.session.loginAt = Date.now();
+    req.session.lastSeenAt = req.session.loginAt;
+    req.session.username = user.username;
+    req.session.role = user.role;
+    req.session.permissions = user.permissions;
+    req.session.authMethod = user.authMethod || "password";
+    // Shown on the admin sessions list.
+    req.session.ip = req.ip;
+    req.session.userAgent = String(req.get("user-agent") || "").slice(0, 200);
+    done(null);
+  });
+}
+
 router.get("/", (req, res) => {
   if (!config.auth.enabled) return res.redirect("/");
   if (req.session && req.session.authenticated) return res.redirect("/");
-  res.render("login", {
-    title: "Sign in",
-    error: null,
-    next: typeof req.query.next === "string" ? req.query.next : "/",
-  });
+  res.render("login", loginView(null, typeof req.query.next === "string" ? req.query.next : "/"));
 });
 
 router.post(
@@ -28,13 +62,13 @@ router.post(
     const ip = req.ip;
     const lockedFor = isLocked(ip);
     if (lockedFor) {
-      return res.status(429).render("login", {
-        title: "Sign in",
-        error: `Too many failed attempts. Try again in ${Math.ceil(
-          lockedFor / 60
-        )} minute(s).`,
-        next: typeof req.body.next === "string" ? req.body.next : "/",
-      });
+      return res.status(429).render(
+        "login",
+        loginView(
+          `Too many failed attempts. Try again in ${Math.ceil(lockedFor / 60)} minute(s).`,
+          typeof req.body.next === "string" ? req.body.next : "/"
+        )
+      );
     }
 
     const username = (req.body && req.body.username) || "";
@@ -49,41 +83,240 @@ router.post(
         ip,
         username: username || null,
       });
-      return res.status(401).render("login", {
-        title: "Sign in",
-        error: "Incorrect credentials.",
-        next: nextUrl,
-      });
+      return res.status(401).render("login", loginView("Incorrect credentials.", nextUrl));
     }
 
-    clearFailures(ip);
-    audit.log({
-      event: "login_success",
-      ip,
-      username: user.username,
-      role: user.role,
-    });
-    req.session.regenerate((err) => {
-      if (err) {
-        return res.status(500).render("login", {
-          title: "Sign in",
-          error: "Session error. Please try again.",
-          next: nextUrl,
-        });
-      }
-      req.session.authenticated = true;
-      req.session.loginAt = Date.now();
-      req.session.lastSeenAt = req.session.loginAt;
-      req.session.username = user.username;
-      req.session.role = user.role;
-      req.session.permissions = user.permissions;
-      const safeNext =
-        nextUrl.startsWith("/") && !nextUrl.startsWith("//") ? nextUrl : "/";
-      res.redirect(safeNext);
-    });
+    // Directory accounts have no local record to hold a TOTP secret; their
+    // MFA belongs in the directory.
+    if (user.authMethod !== "ldap" && (user.twoFactor || usersService.requiresTwoFactor(user.role))) {
+      return beginSecondFactor(req, res, user, nextUrl);
+    }
+    finishLogin(req, res, user, nextUrl);
   }
 );
 
+function finishLogin(req, res, user, nextUrl, { secondFactor, render } = {}) {
+  clearFailures(req.ip);
+  audit.log({
+    event: "login_success",
+    ip: req.ip,
+    username: user.username,
+    role: user.role,
+    method: user.authMethod || "password",
+    ...(secondFactor ? { secondFactor } : {}),
+  });
+  startSession(req, user, (err) => {
+    if (err) {
+      return res.status(500).render("login", loginView("Session error. Please try again.", nextUrl));
+    }
+    if (render) return render();
+    res.redirect(safeNextUrl(nextUrl));
+  });
+}
+
+// ── Second factor ─────────────────────────────────────────────────────────
+// A correct password parks the login in session.pendingLogin until a TOTP
+// or recovery code is given. Admins who must use 2FA but have not set it
+// up enroll here before their first session starts.
+
+const PENDING_LOGIN_MS = 5 * 60 * 1000;
+
+function secondFactorView(pending, error) {
+  const view = { ...loginView(error, pending.next), step: "totp", username: pending.username };
+  if (pending.enrollSecret) {
+    view.step = "enroll";
+    view.enroll = {
+      secret: pending.enrollSecret,
+      uri: totp.otpauthUri({
+        secret: pending.enrollSecret,
+        account: pending.username,
+        issuer: config.auth.totpIssuer,
+      }),
+    };
+  }
+  return view;
+}
+
+async function beginSecondFactor(req, res, user, nextUrl) {
+  const status = await usersService.getTwoFactorStatus(user.username);
+  if (!status) {
+    // AUTH_PASSWORD fallback with no users.json record: nowhere to keep a secret.
+    audit.log({ event: "login_failed", ip: req.ip, username: user.username, reason: "two_factor_unavailable" });
+    return res.status(403).render(
+      "login",
+      loginView("Two-factor authentication is required for admins. Sign in with a user account.", nextUrl)
+    );
+  }
+  req.session.pendingLogin = {
+    username: user.username,
+    role: user.role,
+    permissions: user.permissions,
+    next: nextUrl,
+    expiresAt: Date.now() + PENDING_LOGIN_MS,
+    enrollSecret: status.enabled ? null : totp.generateSecret(),
+  };
+  res.render("login", secondFactorView(req.session.pendingLogin));
+}
+
+router.post("/2fa", express.urlencoded({ extended: false }), async (req, res) => {
+  if (!config.auth.enabled) return res.redirect("/");
+  const pending = req.session?.pendingLogin;
+  if (!pending || !(pending.expiresAt > Date.now())) {
+    if (req.session) delete req.session.pendingLogin;
+    return res.status(401).render("login", loginView("Your sign-in expired. Please start again.", "/"));
+  }
+
+  const ip = req.ip;
+  const lockedFor = isLocked(ip);
+  if (lockedFor) {
+    delete req.session.pendingLogin;
+    return res.status(429).render(
+      "login",
+      loginView(`Too many failed attempts. Try again in ${Math.ceil(lockedFor / 60)} minute(s).`, pending.next)
+    );
+  }
+
+  const code = typeof req.body?.code === "string" ? req.body.code.trim() : "";
+  const fail = (message) => {
+    recordFailure(ip);
+    audit.log({ event: "login_failed", ip, username: pending.username, reason: "second_factor" });
+    res.status(401).render("login", secondFactorView(pending, message));
+  };
+  const user = { username: pending.username, role: pending.role, permissions: pending.permissions };
+
+  try {
+    if (pending.enrollSecret) {
+      const recoveryCodes = await usersService.enableTwoFactor(pending.username, pending.enrollSecret, code);
+      audit.log({ event: "two_factor_enabled", ip, username: pending.username, during: "login" });
+      return finishLogin(req, res, user, pending.next, {
+        secondFactor: "totp",
+        render: () =>
+          res.render("login", {
+            ...loginView(null, pending.next),
+            step: "recovery-codes",
+            recoveryCodes,
+            next: safeNextUrl(pending.next),
+          }),
+      });
+    }
+    const result = await usersService.verifySecondFactor(pending.username, code);
+    if (!result) return fail("Incorrect code.");
+    finishLogin(req, res, user, pending.next, { secondFactor: result.method });
+  } catch (err) {
+    if (err.status === 400) return fail(err.message);
+    logger.error({ err }, "[2fa] verification failed");
+    res.status(500).render("login", loginView("Session error. Please try again.", pending.next));
+  }
+});
+
+// ── OpenID Connect ────────────────────────────────────────────────────────
+// The session cookie is SameSite=Strict, so it is not sent when the
+// provider redirects back. State, nonce and the PKCE verifier travel in a
+// short-lived signed SameSite=Lax cookie scoped to the OIDC paths instead.
+
+const OIDC_COOKIE = "mdb.oidc";
+const OIDC_COOKIE_OPTIONS = {
+  httpOnly: true,
+  sameSite: "lax",
+  secure: config.cookieSecure,
+  signed: true,
+  path: "/login/oidc",
+};
+const OIDC_TRANSACTION_MS = 10 * 60 * 1000;
+
+function oidcRedirectUri(req) {
+  if (config.auth.oidc.redirectUri) return config.auth.oidc.redirectUri;
+  const origin = config.publicUrl
+    ? config.publicUrl.replace(/\/+$/, "")
+    : `${req.protocol}://${req.get("host")}`;
+  return `${origin}/login/oidc/callback`;
+}
+
+function escapeAttr(s) {
+  return String(s).replace(/[&<>"']/g, (c) => `&#${c.charCodeAt(0)};`);
+}
+
+router.use("/oidc", cookieParser(config.auth.sessionSecret));
+
+router.get("/oidc", async (req, res) => {
+  if (!config.auth.enabled || !oidc.isEnabled()) return res.redirect("/login");
+  const nextUrl = safeNextUrl(req.query.next);
+  try {
+    const { url, transaction } = await oidc.beginLogin({ redirectUri: oidcRedirectUri(req) });
+    res.cookie(
+      OIDC_COOKIE,
+      { ...transaction, next: nextUrl, expiresAt: Date.now() + OIDC_TRANSACTION_MS },
+      { ...OIDC_COOKIE_OPTIONS, maxAge: OIDC_TRANSACTION_MS }
+    );
+    res.redirect(url);
+  } catch (err) {
+    logger.error({ err }, "[oidc] could not start sign-in");
+    res.status(502).render("login", loginView("Single sign-on is unavailable right now.", nextUrl));
+  }
+});
+
+router.get("/oidc/callback", async (req, res) => {
+  if (!config.auth.enabled || !oidc.isEnabled()) return res.redirect("/login");
+  const transaction = req.signedCookies?.[OIDC_COOKIE];
+  res.clearCookie(OIDC_COOKIE, OIDC_COOKIE_OPTIONS);
+  const nextUrl = safeNextUrl(transaction?.next);
+  const fail = (status, reason, message) => {
+    audit.log({ event: "login_failed", method: "oidc", ip: req.ip, reason });
+    res.status(status).render("login", loginView(message, nextUrl));
+  };
+
+  if (req.query.error) {
+    return fail(401, String(req.query.error), `Sign-in was not completed: ${req.query.error_description || req.query.error}`);
+  }
+  if (
+    !transaction ||
+    typeof transaction.state !== "string" ||
+    transaction.state !== req.query.state ||
+    !(transaction.expiresAt > Date.now())
+  ) {
+    return fail(400, "state_mismatch", "Sign-in expired or was started elsewhere. Please try again.");
+  }
+
+  let identity;
+  try {
+    const claims = await oidc.completeLogin({ code: req.query.code, transaction });
+    identity = oidc.mapClaims(claims, usersService.listRoleNames());
+  } catch (err) {
+    if (!err.status || err.status >= 500) logger.error({ err }, "[oidc] sign-in failed");
+    return fail(err.status === 403 ? 403 : 401, err.message, err.status === 403 ? err.message : "Single sign-on failed.");
+  }
+
+  audit.log({
+    event: "login_success",
+    method: "oidc",
+    ip: req.ip,
+    username: identity.username,
+    role: identity.role,
+    groups: identity.groups,
+  });
+  const user = {
+    username: identity.username,
+    role: identity.role,
+    permissions: usersService.resolvePermissions(identity.role),
+    authMethod: "oidc",
+  };
+  startSession(req, user, (err) => {
+    if (err) {
+      return res.status(500).render("login", loginView("Session error. Please try again.", nextUrl));
+    }
+    // This response belongs to a cross-site navigation, so a plain redirect
+    // would arrive without the new Strict session cookie. Continue from a
+    // same-origin page instead.
+    const target = escapeAttr(nextUrl);
+    res
+      .type("html")
+      .send(
+        `<!DOCTYPE html><meta http-equiv="refresh" content="0;url=${target}">` +
+          `<title>Signing in…</title><p><a href="${target}">Continue</a></p>`
+      );
+  });
+});
+
 const logoutRouter = express.Router();
 logoutRouter.post("/", (req, res) => {
   audit.log({
@@ -93,6 +326,7 @@ logoutRouter.post("/", (req, res) => {
     role: req.session?.role || null,
   });
   if (req.session) {
+    mongoService.disconnect(req).catch(() => {});
     req.session.destroy(() => {
       res.clearCookie("mdb.sid", {
         httpOnly: true,
@@ -4,11 +4,21 @@ const mongoService = require("../services/mongodb");
 const config = require("../config");
 const usersService = require("../services/users");
 
+// Custom roles can be limited to some databases and collections; the
+// sidebar and database list only show what the session may read.
+function canSeeDb(req, dbName) {
+  return !config.auth.enabled || usersService.canSeeDatabase(req.session, dbName);
+}
+
+function canSeeCollection(req, dbName, colName) {
+  return !config.auth.enabled || usersService.canSeeCollection(req.session, dbName, colName);
+}
+
 // Home / Connect page
 router.get("/", async (req, res) => {
   try {
     // Check if already connected
-    const client = mongoService.getClient();
+    const client = mongoService.getClient(req);
     if (client) {
       // Test the connection
       try {
@@ -17,7 +27,7 @@ router.get("/", async (req, res) => {
         return res.redirect("/databases");
       } catch (err) {
         // Connection exists but is invalid, disconnect it
-        await mongoService.disconnect();
+        await mongoService.disconnect(req);
       }
     }
     // Not connected, show connect page
@@ -31,7 +41,7 @@ router.get("/", async (req, res) => {
 // Database list
 router.get("/databases", async (req, res) => {
   try {
-    const client = mongoService.getClient();
+    const client = mongoService.getClient(req);
     if (!client) {
       return res.redirect("/");
     }
@@ -42,7 +52,7 @@ router.get("/databases", async (req, res) => {
     res.render("databases", {
       title: "Databases",
       databases: databases.filter(
-        (db) => !["admin", "local", "config"].includes(db.name)
+        (db) => !["admin", "local", "config"].includes(db.name) && canSeeDb(req, db.name)
       ),
     });
   } catch (err) {
@@ -53,8 +63,9 @@ router.get("/databases", async (req, res) => {
 // Collection browser
 router.get("/browse/:db", async (req, res) => {
   try {
-    const client = mongoService.getClient();
+    const client = mongoService.getClient(req);
     const dbName = req.params.db;
+    if (!canSeeDb(req, dbName)) return res.status(403).send("Access denied");
 
     // If not connected, render page with empty collections to allow client-side reconnection
     if (!client) {
@@ -67,7 +78,9 @@ router.get("/browse/:db", async (req, res) => {
     }
 
     const db = client.db(dbName);
-    const collections = await db.listCollections().toArray();
+    const collections = (await db.listCollections().toArray()).filter((col) =>
+      canSeeCollection(req, dbName, col.name)
+    );
 
     // Get counts for all collections
     const collectionsWithCounts = await Promise.all(
@@ -105,8 +118,9 @@ router.get("/browse/:db", async (req, res) => {
 // Collection view
 router.get("/browse/:db/:collection", async (req, res) => {
   try {
-    const client = mongoService.getClient();
+    const client = mongoService.getClient(req);
     const { db: dbName, collection: colName } = req.params;
+    if (!canSeeCollection(req, dbName, colName)) return res.status(403).send("Access denied");
 
     // If not connected, render page with empty collections to allow client-side reconnection
     if (!client) {
@@ -119,7 +133,9 @@ router.get("/browse/:db/:collection", async (req, res) => {
     }
 
     const db = client.db(dbName);
-    const collections = await db.listCollections().toArray();
+    const collections = (await db.listCollections().toArray()).filter((col) =>
+      canSeeCollection(req, dbName, col.name)
+    );
 
     // Get counts for all collections
     const collectionsWithCounts = await Promise.all(
@@ -157,7 +173,7 @@ router.get("/browse/:db/:collection", async (req, res) => {
 // Performance page
 router.get("/performance", async (req, res) => {
   try {
-    const client = mongoService.getClient();
+    const client = mongoService.getClient(req);
     if (!client) return res.redirect("/");
     res.render("performance", { title: "Performance" });
   } catch (err) {
@@ -165,6 +181,32 @@ router.get("/performance", async (req, res) => {
   }
 });
 
+// MongoDB users & roles
+router.get("/access", async (req, res) => {
+  try {
+    if (config.auth.enabled && !usersService.hasPermission(req.session, "dbUserAdmin")) {
+      return res.status(403).send("Access denied");
+    }
+    const client = mongoService.getClient(req);
+    if (!client) return res.redirect("/");
+    res.render("access", { title: "Database Access" });
+  } catch (err) {
+    res.redirect("/");
+  }
+});
+
+router.get("/account", (req, res) => {
+  if (!config.auth.enabled) return res.redirect("/");
+  res.render("account", { title: "My Account", username: req.session?.username || "" });
+});
+
+router.get("/accounts", (req, res) => {
+  if (config.auth.enabled && !usersService.hasPermission(req.session, "userAdmin")) {
+    return res.status(403).send("Access denied");
+  }
+  res.render("accounts", { title: "Accounts", authEnabled: config.auth.enabled });
+});
+
 router.get("/audit", async (req, res) => {
   try {
     if (config.auth.enabled && !usersService.hasPermission(req.session, "audit")) {
@@ -176,6 +218,11 @@ router.get("/audit", async (req, res) => {
   }
 });
 
+// Everyone may look: non-approvers see (and can withdraw) their own requests.
+router.get("/approvals", (req, res) => {
+  res.render("approvals", { title: "Approvals" });
+});
+
 router.get("/plugins", async (_req, res) => {
   if (config.auth.enabled && !usersService.hasPermission(_req.session, "audit")) {
     return res.status(403).send("Access denied");
@@ -186,7 +233,7 @@ router.get("/plugins", async (_req, res) => {
 // Document detail page
 router.get("/browse/:db/:collection/:id", async (req, res) => {
   try {
-    const client = mongoService.getClient();
+    const client = mongoService.getClient(req);
     if (!client) {
       return res.redirect("/");
     }
@@ -0,0 +1,177 @@
+const crypto = require("crypto");
+const fs = require("fs/promises");
+const path = require("path");
+const config = require("../config");
+
+// Personal access tokens for scripted use of /api (CI exports, backups).
+// A token belongs to a dashboard account and carries a subset of that
+// account's permissions; only its SHA-256 is stored, so the plaintext is
+// shown once at creation. Records in data/api-tokens.json:
+//
+//   { id, name, username, permissions, prefix, tokenHash,
+//     createdAt, expiresAt, lastUsedAt, lastUsedIp, revokedAt }
+
+const TOKENS_PATH = path.resolve(
+  process.cwd(),
+  config.auth.tokensFile || "data/api-tokens.json"
+);
+
+const TOKEN_PREFIX = "mdb_";
+// lastUsedAt is tracked in memory on every request but written back at
+// most once a minute per token.
+const TOUCH_INTERVAL_MS = 60 * 1000;
+// Revoked or expired tokens stay listed for a while, then are dropped.
+const RETAIN_MS = 30 * 24 * 60 * 60 * 1000;
+
+let cache = null;
+
+async function all() {
+  if (cache) return cache;
+  try {
+    const parsed = JSON.parse(await fs.readFile(TOKENS_PATH, "utf8"));
+    cache = Array.isArray(parsed?.tokens) ? parsed.tokens : [];
+  } catch {
+    cache = [];
+  }
+  return cache;
+}
+
+async function persist(tokens) {
+  await fs.mkdir(path.dirname(TOKENS_PATH), { recursive: true });
+  const tmp = `${TOKENS_PATH}.${process.pid}.tmp`;
+  await fs.writeFile(tmp, JSON.stringify({ version: 1, tokens }, null, 2), "utf8");
+  await fs.rename(tmp, TOKENS_PATH);
+  cache = tokens;
+}
+
+// Serialize read-modify-write cycles on the tokens file.
+let mutationQueue = Promise.resolve();
+function mutate(fn) {
+  const run = mutationQueue.then(async () => {
+    const now = Date.now();
+    const tokens = (await all()).filter((t) => {
+      const endedAt = t.revokedAt ? Date.parse(t.revokedAt) : Date.parse(t.expiresAt);
+      return now - endedAt < RETAIN_MS;
+    });
+    const result = await fn(tokens);
+    await persist(tokens);
+    return result;
+  });
+  mutationQueue = run.catch(() => {});
+  return run;
+}
+
+function tokenError(message, status = 400) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+function hashToken(token) {
+  return crypto.createHash("sha256").update(String(token)).digest("hex");
+}
+
+function toPublicToken(t) {
+  const { tokenHash, ...rest } = t;
+  return rest;
+}
+
+function isActive(t, now = Date.now()) {
+  return !t.revokedAt && Date.parse(t.expiresAt) > now;
+}
+
+/**
+ * Issue a token for `username`. `allowed` is every permission the owner
+ * holds; the token may carry any subset of it. Returns the plaintext token
+ * (never stored) and the public record.
+ */
+async function createToken({ username, name, permissions, expiresInDays, allowed }) {
+  const label = typeof name === "string" ? name.trim() : "";
+  if (!label || label.length > 64) throw tokenError("Token name must be 1-64 characters");
+  if (!Array.isArray(permissions) || !permissions.length) {
+    throw tokenError("A token needs at least one permission");
+  }
+  const excess = permissions.filter((p) => !allowed.includes(p));
+  if (excess.length) throw tokenError(`You do not hold: ${excess.join(", ")}`, 403);
+  const days = Number(expiresInDays);
+  if (!Number.isInteger(days) || days < 1 || days > config.auth.tokenMaxDays) {
+    throw tokenError(`Expiry must be 1-${config.auth.tokenMaxDays} days`);
+  }
+
+  const token = TOKEN_PREFIX + crypto.randomBytes(32).toString("base64url");
+  const now = new Date();
+  const record = {
+    id: crypto.randomUUID(),
+    name: label,
+    username,
+    permissions: [...new Set(permissions)],
+    prefix: token.slice(0, TOKEN_PREFIX.length + 6),
+    tokenHash: hashToken(token),
+    createdAt: now.toISOString(),
+    expiresAt: new Date(now.getTime() + days * 24 * 60 * 60 * 1000).toISOString(),
+    lastUsedAt: null,
+    lastUsedIp: null,
+    revokedAt: null,
+  };
+  await mutate((tokens) => {
+    tokens.push(record);
+  });
+  return { token, record: toPublicToken(record) };
+}
+
+/** Tokens, newest first; only `username`'s when given. */
+async function listTokens({ username = null } = {}) {
+  const key = username ? String(username).toLowerCase() : null;
+  return (await all())
+    .filter((t) => !key || String(t.username).toLowerCase() === key)
+    .map((t) => ({ ...toPublicToken(t), active: isActive(t) }))
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+
+/** Revoke a token. With `username`, only that user's own tokens match. */
+async function revokeToken(id, { username = null } = {}) {
+  return mutate((tokens) => {
+    const t = tokens.find(
+      (x) =>
+        x.id === id &&
+        (!username || String(x.username).toLowerCase() === String(username).toLowerCase())
+    );
+    if (!t) throw tokenError("Token not found", 404);
+    if (!t.revokedAt) t.revokedAt = new Date().toISOString();
+    return toPublicToken(t);
+  });
+}
+
+/**
+ * Look up a presented token. Returns `{ token, touched }` for an active
+ * token — `touched` is true when this use was written back as lastUsedAt —
+ * or null.
+ */
+async function authenticate(presented, { ip = null, now = Date.now() } = {}) {
+  if (typeof presented !== "string" || !presented.startsWith(TOKEN_PREFIX)) return null;
+  const hash = Buffer.from(hashToken(presented), "hex");
+  const t = (await all()).find((x) =>
+    crypto.timingSafeEqual(Buffer.from(x.tokenHash, "hex"), hash)
+  );
+  if (!t || !isActive(t, now)) return null;
+
+  const last = t.lastUsedAt ? Date.parse(t.lastUsedAt) : 0;
+  const touched = now - last >= TOUCH_INTERVAL_MS;
+  t.lastUsedAt = new Date(now).toISOString();
+  t.lastUsedIp = ip;
+  if (touched) {
+    mutate((tokens) => {
+      const stored = tokens.find((x) => x.id === t.id);
+      if (stored) Object.assign(stored, { lastUsedAt: t.lastUsedAt, lastUsedIp: ip });
+    }).catch(() => {});
+  }
+  return { token: toPublicToken(t), touched };
+}
+
+module.exports = {
+  TOKEN_PREFIX,
+  createToken,
+  listTokens,
+  revokeToken,
+  authenticate,
+};
@@ -0,0 +1,289 @@
+const crypto = require("crypto");
+const fs = require("fs/promises");
+const path = require("path");
+const config = require("../config");
+const audit = require("../utils/audit");
+const { encrypt, decrypt } = require("../utils/secretBox");
+
+// Four-eyes approval for destructive operations (FOUR_EYES_APPROVAL=true).
+// Instead of running, such a request becomes a pending change request that
+// a second account with the `approve` permission has to approve; the server
+// then executes it on the approver's connection of the same id.
+//
+// APPROVALS_DIR holds index.json with the requests
+//
+//   { id, kind, summary, connectionId, db, collection, params, requestedBy,
+//     requestedAt, expiresAt, status, decidedBy, decidedAt, comment, result,
+//     error }
+//
+// and, for requests that carry bulk data (a restore's documents), one
+// sealed <id>.json payload. `status` moves from pending to approved and then
+// executed or failed, or to rejected, cancelled or expired.
+
+const APPROVALS_DIR = path.resolve(process.cwd(), config.approvals.dir);
+const INDEX_PATH = path.join(APPROVALS_DIR, "index.json");
+
+// What each kind of request does, for the approval list.
+const KINDS = {
+  dropDatabase: ({ db }) => `Drop database ${db}`,
+  dropCollection: ({ db, collection }) => `Drop collection ${db}.${collection}`,
+  shellDeleteMany: ({ db, collection }) => `deleteMany on ${db}.${collection} from the shell`,
+  restoreReplace: ({ db, collection, params }) =>
+    `Replace ${db}.${collection} with ${params.total} restored document(s)`,
+};
+
+// kind -> async (client, request, payload) => result; registered by the
+// route module that owns the operation.
+const executors = new Map();
+
+let cache = null;
+
+const enabled = () => config.approvals.enabled;
+
+function approvalError(message, status = 400) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+async function all() {
+  if (cache) return cache;
+  try {
+    const parsed = JSON.parse(await fs.readFile(INDEX_PATH, "utf8"));
+    cache = Array.isArray(parsed?.requests) ? parsed.requests : [];
+  } catch {
+    cache = [];
+  }
+  return cache;
+}
+
+async function persist(requests) {
+  await fs.mkdir(APPROVALS_DIR, { recursive: true });
+  const tmp = `${INDEX_PATH}.${process.pid}.tmp`;
+  await fs.writeFile(tmp, JSON.stringify({ version: 1, requests }, null, 2), "utf8");
+  await fs.rename(tmp, INDEX_PATH);
+  cache = requests;
+}
+
+// Serialize read-modify-write cycles on the index.
+let mutationQueue = Promise.resolve();
+function mutate(fn) {
+  const run = mutationQueue.then(async () => {
+    const requests = (await all()).map((r) => ({ ...r }));
+    expire(requests);
+    const result = await fn(requests);
+    await persist(requests);
+    return result;
+  });
+  mutationQueue = run.catch(() => {});
+  return run;
+}
+
+const payloadPath = (id) => path.join(APPROVALS_DIR, `${id}.json`);
+
+function expire(requests) {
+  const now = new Date().toISOString();
+  for (const r of requests) {
+    if (r.status === "pending" && r.expiresAt <= now) r.status = "expired";
+  }
+}
+
+const sameUser = (a, b) => String(a || "").toLowerCase() === String(b || "").toLowerCase();
+
+function registerExecutor(kind, execute) {
+  if (!KINDS[kind]) throw new Error(`Unknown approval kind: ${kind}`);
+  executors.set(kind, execute);
+}
+
+/**
+ * File a change request on behalf of `req`'s user. `params` must be plain
+ * JSON; `payload` (optional) is sealed on disk. An identical pending
+ * request by the same user is returned instead of filing a second one.
+ */
+async function submit(req, { kind, connectionId, db, collection = null, params = {}, payload }) {
+  if (!KINDS[kind]) throw approvalError(`Unknown approval kind: ${kind}`);
+  const username = req.session?.username || null;
+  const id = crypto.randomUUID();
+  if (payload !== undefined) {
+    await fs.mkdir(APPROVALS_DIR, { recursive: true });
+    await fs.writeFile(payloadPath(id), JSON.stringify(encrypt(JSON.stringify(payload))), "utf8");
+  }
+  const request = await mutate((requests) => {
+    const existing =
+      payload === undefined &&
+      requests.find(
+        (r) =>
+          r.status === "pending" &&
+          r.kind === kind &&
+          sameUser(r.requestedBy, username) &&
+          r.connectionId === (connectionId || null) &&
+          r.db === db &&
+          r.collection === collection &&
+          JSON.stringify(r.params) === JSON.stringify(params)
+      );
+    if (existing) return { ...existing, duplicate: true };
+    const now = new Date();
+    const created = {
+      id,
+      kind,
+      summary: KINDS[kind]({ db, collection, params }),
+      connectionId: connectionId || null,
+      db,
+      collection,
+      params,
+      hasPayload: payload !== undefined,
+      requestedBy: username,
+      requestedAt: now.toISOString(),
+      expiresAt: new Date(now.getTime() + config.approvals.ttlHours * 3600 * 1000).toISOString(),
+      status: "pending",
+      decidedBy: null,
+      decidedAt: null,
+      comment: null,
+      result: null,
+      error: null,
+    };
+    requests.push(created);
+    return created;
+  });
+  if (request.duplicate) return request;
+  audit.log({
+    event: "approval_requested",
+    approvalId: request.id,
+    kind,
+    db,
+    collection,
+    ip: req.ip,
+    username,
+    role: req.session?.role || null,
+  });
+  return request;
+}
+
+/** Requests newest first, optionally of one status and/or one requester. */
+async function list({ status = null, requestedBy = null } = {}) {
+  const requests = (await all()).map((r) => ({ ...r }));
+  expire(requests);
+  return requests
+    .filter((r) => !status || r.status === status)
+    .filter((r) => !requestedBy || sameUser(r.requestedBy, requestedBy))
+    .reverse();
+}
+
+async function get(id) {
+  return (await list()).find((r) => r.id === id) || null;
+}
+
+// Move a pending request to `status`; throws unless `check` passes.
+async function settle(id, status, fields, check = () => {}) {
+  return mutate((requests) => {
+    const r = requests.find((x) => x.id === id);
+    if (!r) throw approvalError("Change request not found", 404);
+    if (r.status !== "pending") throw approvalError(`Change request is ${r.status}`, 409);
+    check(r);
+    Object.assign(r, { status, ...fields });
+    return { ...r };
+  });
+}
+
+async function dropPayload(id) {
+  await fs.rm(payloadPath(id), { force: true });
+}
+
+/**
+ * Approve and execute a request. The approver may not be the requester.
+ * `getClient(connectionId)` returns the approver's client for the request's
+ * connection, or null when it is not open.
+ */
+async function approve(req, id, { comment = null, getClient }) {
+  const username = req.session?.username || null;
+  const pending = await get(id);
+  if (!pending) throw approvalError("Change request not found", 404);
+  if (pending.status !== "pending") throw approvalError(`Change request is ${pending.status}`, 409);
+  if (sameUser(pending.requestedBy, username)) {
+    throw approvalError("A change request needs a second person to approve it", 403);
+  }
+  const client = getClient(pending.connectionId);
+  if (!client) {
+    throw approvalError(`Open connection "${pending.connectionId}" to approve this request`, 409);
+  }
+  const execute = executors.get(pending.kind);
+  if (!execute) throw approvalError(`No executor for ${pending.kind}`, 500);
+
+  const approved = await settle(
+    id,
+    "approved",
+    { decidedBy: username, decidedAt: new Date().toISOString(), comment },
+    (r) => {
+      if (sameUser(r.requestedBy, username)) {
+        throw approvalError("A change request needs a second person to approve it", 403);
+      }
+    }
+  );
+  const base = {
+    approvalId: id,
+    kind: approved.kind,
+    db: approved.db,
+    collection: approved.collection,
+    requestedBy: approved.requestedBy,
+    ip: req.ip,
+    username,
+    role: req.session?.role || null,
+  };
+  audit.log({ event: "approval_approved", ...base });
+
+  let outcome;
+  try {
+    const payload = approved.hasPayload
+      ? JSON.parse(decrypt(JSON.parse(await fs.readFile(payloadPath(id), "utf8"))))
+      : undefined;
+    const result = await execute(client, approved, payload);
+    outcome = { status: "executed", result: result ?? null };
+    audit.log({ event: "approval_executed", ...base, result: result ?? null });
+  } catch (err) {
+    outcome = { status: "failed", error: err.message };
+    audit.log({ event: "approval_failed", ...base, error: err.message });
+  }
+  await dropPayload(id);
+  return mutate((requests) => {
+    const r = requests.find((x) => x.id === id);
+    Object.assign(r, outcome);
+    return { ...r };
+  });
+}
+
+/** Reject someone else's request, or cancel (withdraw) one's own. */
+async function reject(req, id, { comment = null } = {}) {
+  const username = req.session?.username || null;
+  const existing = await get(id);
+  const own = existing && sameUser(existing.requestedBy, username);
+  const request = await settle(id, own ? "cancelled" : "rejected", {
+    decidedBy: username,
+    decidedAt: new Date().toISOString(),
+    comment,
+  });
+  await dropPayload(id);
+  audit.log({
+    event: own ? "approval_cancelled" : "approval_rejected",
+    approvalId: id,
+    kind: request.kind,
+    db: request.db,
+    collection: request.collection,
+    requestedBy: request.requestedBy,
+    ip: req.ip,
+    username,
+    role: req.session?.role || null,
+  });
+  return request;
+}
+
+module.exports = {
+  KINDS,
+  enabled,
+  registerExecutor,
+  submit,
+  list,
+  get,
+  approve,
+  reject,
+  approvalError,
+};
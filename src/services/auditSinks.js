@@ -0,0 +1,263 @@
+const crypto = require("crypto");
+const dgram = require("dgram");
+const net = require("net");
+const os = require("os");
+const { MongoClient } = require("mongodb");
+const config = require("../config");
+const audit = require("../utils/audit");
+const logger = require("../utils/logger");
+
+// Audit sinks ship a copy of every audit entry somewhere else:
+//
+//   syslog   RFC 5424 messages over UDP, or TCP with octet-counting framing
+//   webhook  one JSON POST per entry, retried with exponential backoff
+//   mongodb  a capped collection in a designated database
+//
+// Each sink has its own bounded queue drained off the request path. A slow
+// or failing sink drops its oldest entries (and logs, at most once a minute)
+// instead of holding requests, the file log or the other sinks back.
+
+const MAX_QUEUE = 1000;
+const WARN_INTERVAL_MS = 60 * 1000;
+const CLOSE_TIMEOUT_MS = 2000;
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms).unref());
+
+function queued(name, send, { close = async () => {}, maxQueue = MAX_QUEUE } = {}) {
+  const queue = [];
+  let draining = null;
+  let dropped = 0;
+  let lastWarn = 0;
+
+  const warn = (err) => {
+    if (Date.now() - lastWarn < WARN_INTERVAL_MS) return;
+    lastWarn = Date.now();
+    logger.warn({ err, sink: name, dropped, queued: queue.length }, "Audit sink failed");
+  };
+
+  async function drain() {
+    while (queue.length) {
+      const entry = queue.shift();
+      try {
+        await send(entry);
+      } catch (err) {
+        dropped += 1;
+        warn(err);
+      }
+    }
+    draining = null;
+  }
+
+  const sink = {
+    name,
+    write(entry) {
+      if (queue.length >= maxQueue) {
+        queue.shift();
+        dropped += 1;
+        warn(new Error("queue full"));
+      }
+      queue.push(entry);
+      // Start on the next turn so no sink work runs inside the request.
+      if (!draining) draining = new Promise(setImmediate).then(drain);
+    },
+    /** Resolves once everything queued so far was sent (or dropped). */
+    async flush() {
+      while (draining) await draining;
+    },
+    stats: () => ({ queued: queue.length, dropped }),
+    async close() {
+      await Promise.race([sink.flush(), sleep(CLOSE_TIMEOUT_MS)]);
+      await close();
+    },
+  };
+  return sink;
+}
+
+// ── Syslog ────────────────────────────────────────────────────────────────
+
+const WARNING_EVENT = /(failed|blocked|rejected|denied)/;
+
+/** Printable US-ASCII without spaces, as HOSTNAME/APP-NAME/MSGID require. */
+const header = (value, max) => String(value || "-").replace(/[^!-~]/g, "_").slice(0, max) || "-";
+
+/**
+ * RFC 5424 line: <PRI>1 TIMESTAMP HOSTNAME APP-NAME PROCID MSGID SD MSG.
+ * MSGID is the event; the chain position goes in the registered `meta`
+ * SD-ID and the whole entry is the UTF-8 JSON message.
+ */
+function formatSyslog(entry, { appName, facility, hostname = os.hostname() }) {
+  const severity = WARNING_EVENT.test(entry.event || "") ? 4 : 5;
+  const sd = Number.isInteger(entry.seq) && entry.seq > 0 ? `[meta sequenceId="${entry.seq}"]` : "-";
+  return [
+    `<${facility * 8 + severity}>1`,
+    entry.ts || new Date().toISOString(),
+    header(hostname, 255),
+    header(appName, 48),
+    process.pid,
+    header(entry.event, 32),
+    sd,
+    "\uFEFF" + JSON.stringify(entry),
+  ].join(" ");
+}
+
+function udpTransport(host, port) {
+  let socket = null;
+  return {
+    send(message) {
+      if (!socket) {
+        socket = dgram.createSocket(net.isIPv6(host) ? "udp6" : "udp4");
+        socket.on("error", () => {});
+        socket.unref();
+      }
+      return new Promise((resolve, reject) =>
+        socket.send(Buffer.from(message), port, host, (err) => (err ? reject(err) : resolve()))
+      );
+    },
+    async close() {
+      socket?.close();
+      socket = null;
+    },
+  };
+}
+
+function tcpTransport(host, port, timeoutMs = 5000) {
+  let connecting = null;
+
+  function connect() {
+    if (!connecting) {
+      connecting = new Promise((resolve, reject) => {
+        const socket = net.connect({ host, port });
+        socket.setTimeout(timeoutMs, () => socket.destroy(new Error("syslog connection timed out")));
+        socket.once("connect", () => {
+          socket.setTimeout(0);
+          socket.unref();
+          resolve(socket);
+        });
+        socket.on("error", reject);
+        // Reconnect with the next message once the server drops us.
+        socket.on("close", () => {
+          connecting = null;
+        });
+      });
+      connecting.catch(() => {
+        connecting = null;
+      });
+    }
+    return connecting;
+  }
+
+  return {
+    async send(message) {
+      const socket = await connect();
+      // RFC 6587 octet counting: "<byte length> <message>".
+      const payload = Buffer.from(message);
+      await new Promise((resolve, reject) =>
+        socket.write(Buffer.concat([Buffer.from(`${payload.length} `), payload]), (err) =>
+          err ? reject(err) : resolve()
+        )
+      );
+    },
+    async close() {
+      const socket = await connecting?.catch(() => null);
+      socket?.end();
+    },
+  };
+}
+
+function createSyslogSink({ url, appName, facility, hostname }) {
+  const { protocol, hostname: host, port } = new URL(url);
+  const bareHost = host.replace(/^\[|\]$/g, "");
+  const transport = protocol === "tcp:"
+    ? tcpTransport(bareHost, Number(port) || 601)
+    : udpTransport(bareHost, Number(port) || 514);
+  return queued(
+    "syslog",
+    (entry) => transport.send(formatSyslog(entry, { appName, facility, hostname })),
+    { close: transport.close }
+  );
+}
+
+// ── Webhook ───────────────────────────────────────────────────────────────
+
+function createWebhookSink({ url, secret, timeoutMs, retries, backoffMs }) {
+  async function post(entry) {
+    const body = JSON.stringify(entry);
+    const headers = { "Content-Type": "application/json" };
+    if (secret) {
+      headers["X-Audit-Signature"] =
+        "sha256=" + crypto.createHmac("sha256", secret).update(body).digest("hex");
+    }
+    for (let attempt = 0; ; attempt++) {
+      let error;
+      try {
+        const res = await fetch(url, { method: "POST", headers, body, signal: AbortSignal.timeout(timeoutMs) });
+        await res.body?.cancel();
+        if (res.ok) return;
+        error = new Error(`Webhook answered HTTP ${res.status}`);
+        // Other 4xx answers will not change on retry.
+        if (res.status < 500 && res.status !== 408 && res.status !== 429) throw error;
+      } catch (err) {
+        if (err === error) throw err;
+        error = err;
+      }
+      if (attempt >= retries) throw error;
+      await sleep(Math.min(backoffMs * 2 ** attempt, 60000));
+    }
+  }
+  return queued("webhook", post);
+}
+
+// ── MongoDB ───────────────────────────────────────────────────────────────
+
+function createMongoSink({ uri, db, collection, cappedBytes, client = null }) {
+  const mongo = client || new MongoClient(uri, { maxPoolSize: 2, serverSelectionTimeoutMS: 10000 });
+  let ready = null;
+
+  function target() {
+    if (!ready) {
+      ready = (async () => {
+        await mongo.connect();
+        const database = mongo.db(db);
+        try {
+          await database.createCollection(collection, { capped: true, size: cappedBytes });
+        } catch (err) {
+          // Already there (capped or not, the operator's choice).
+          if (err.codeName !== "NamespaceExists" && err.code !== 48) throw err;
+        }
+        return database.collection(collection);
+      })();
+      ready.catch(() => {
+        ready = null;
+      });
+    }
+    return ready;
+  }
+
+  return queued(
+    "mongodb",
+    async (entry) => {
+      const coll = await target();
+      await coll.insertOne({ ...entry, ts: new Date(entry.ts) });
+    },
+    { close: () => mongo.close() }
+  );
+}
+
+/** Create the sinks configured in `config.auditSinks` and attach them. */
+function installAuditSinks(settings = config.auditSinks) {
+  const sinks = [];
+  if (settings.syslog.url) sinks.push(createSyslogSink(settings.syslog));
+  if (settings.webhook.url) sinks.push(createWebhookSink(settings.webhook));
+  if (settings.mongodb.uri) sinks.push(createMongoSink(settings.mongodb));
+  for (const sink of sinks) audit.addSink(sink);
+  if (sinks.length) logger.info(`Audit sinks: ${sinks.map((s) => s.name).join(", ")}`);
+  return sinks;
+}
+
+module.exports = {
+  formatSyslog,
+  createSyslogSink,
+  createWebhookSink,
+  createMongoSink,
+  installAuditSinks,
+};
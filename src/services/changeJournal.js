@@ -0,0 +1,319 @@
+const crypto = require("crypto");
+const fs = require("fs/promises");
+const path = require("path");
+const config = require("../config");
+const { serializeDocument, parseDocument } = require("../utils/bson");
+const { encrypt, decrypt } = require("../utils/secretBox");
+
+// Server-side journal of recent document changes (insert, replace, patch,
+// delete, bulk delete) with the documents' pre-images, so a change can be
+// undone or a document restored without going to backups.
+//
+// CHANGE_JOURNAL_DIR holds index.json with the entry metadata
+//
+//   { id, username, connectionId, db, collection, op, at, keys, count, undoneAt }
+//
+// and one <id>.json per entry with the documents' before and after images
+// (the undo conflict check hashes the latter), encrypted with the
+// secretBox key since they are copies of database content. Each user keeps
+// their last CHANGE_JOURNAL_DEPTH entries.
+//
+// Separately, history/<hash>.jsonl holds one document's versions, one
+// sealed change per line, for the document page's history. It is kept per
+// document rather than per user, so other users' edits do not push a
+// document's versions out: each keeps its last CHANGE_HISTORY_DEPTH.
+
+const JOURNAL_DIR = path.resolve(process.cwd(), config.changeJournal.dir);
+const INDEX_PATH = path.join(JOURNAL_DIR, "index.json");
+const HISTORY_DIR = path.join(JOURNAL_DIR, "history");
+
+let cache = null;
+
+const enabled = () => config.changeJournal.depth > 0;
+const historyEnabled = () => config.changeJournal.historyDepth > 0;
+
+function journalError(message, status = 400) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+/** Stable string for a document _id (ObjectId, string, number…). */
+function docKey(id) {
+  return JSON.stringify(serializeDocument(id));
+}
+
+function hashDoc(doc) {
+  return crypto.createHash("sha256").update(JSON.stringify(serializeDocument(doc))).digest("hex");
+}
+
+const ABSENT = "absent";
+
+async function all() {
+  if (cache) return cache;
+  try {
+    const parsed = JSON.parse(await fs.readFile(INDEX_PATH, "utf8"));
+    cache = Array.isArray(parsed?.entries) ? parsed.entries : [];
+  } catch {
+    cache = [];
+  }
+  return cache;
+}
+
+async function persist(entries) {
+  await fs.mkdir(JOURNAL_DIR, { recursive: true });
+  const tmp = `${INDEX_PATH}.${process.pid}.tmp`;
+  await fs.writeFile(tmp, JSON.stringify({ version: 1, entries }, null, 2), "utf8");
+  await fs.rename(tmp, INDEX_PATH);
+  cache = entries;
+}
+
+// Serialize read-modify-write cycles on the index.
+let mutationQueue = Promise.resolve();
+function mutate(fn) {
+  const run = mutationQueue.then(async () => {
+    const entries = [...(await all())];
+    const result = await fn(entries);
+    await persist(entries);
+    return result;
+  });
+  mutationQueue = run.catch(() => {});
+  return run;
+}
+
+const payloadPath = (id) => path.join(JOURNAL_DIR, `${id}.json`);
+
+function historyPath({ connectionId, db, collection, key }) {
+  const name = crypto
+    .createHash("sha256")
+    .update(JSON.stringify([connectionId || null, db, collection, key]))
+    .digest("hex");
+  return path.join(HISTORY_DIR, `${name}.jsonl`);
+}
+
+async function readHistory(file) {
+  try {
+    return (await fs.readFile(file, "utf8")).split("\n").filter(Boolean);
+  } catch (err) {
+    if (err.code === "ENOENT") return [];
+    throw err;
+  }
+}
+
+// Serialize appends and trims of history files.
+let historyQueue = Promise.resolve();
+
+/** Add one change per document to the documents' histories. */
+function recordHistory({ username, connectionId, db, collection, op, docs }) {
+  if (!historyEnabled() || !docs.length) return Promise.resolve();
+  const at = new Date().toISOString();
+  const run = historyQueue.then(async () => {
+    await fs.mkdir(HISTORY_DIR, { recursive: true });
+    for (const d of docs) {
+      const file = historyPath({ connectionId, db, collection, key: docKey(d.id) });
+      const line = JSON.stringify({
+        id: crypto.randomUUID(),
+        at,
+        username: username || null,
+        op,
+        sealed: encrypt(
+          JSON.stringify({
+            before: d.before ? serializeDocument(d.before) : null,
+            ...(d.after === undefined ? {} : { after: d.after ? serializeDocument(d.after) : null }),
+          })
+        ),
+      });
+      const lines = [...(await readHistory(file)), line];
+      if (lines.length > config.changeJournal.historyDepth) {
+        const tmp = `${file}.${process.pid}.tmp`;
+        await fs.writeFile(tmp, `${lines.slice(-config.changeJournal.historyDepth).join("\n")}\n`, "utf8");
+        await fs.rename(tmp, file);
+      } else {
+        await fs.appendFile(file, `${line}\n`, "utf8");
+      }
+    }
+  });
+  historyQueue = run.catch(() => {});
+  return run;
+}
+
+/**
+ * Journal one change. `docs` holds `{ id, before, after }` per document in
+ * driver form: `before` null means the document did not exist, `after` null
+ * that it no longer does, `after` undefined that it is unknown. The change
+ * goes into each document's history and, unless the journal is off, into
+ * the user's undo entries. Returns the entry id, or null when the journal
+ * is off.
+ */
+async function record({ username, connectionId, db, collection, op, docs }) {
+  if (!docs.length) return null;
+  await recordHistory({ username, connectionId, db, collection, op, docs });
+  if (!enabled()) return null;
+  const id = crypto.randomUUID();
+  const sealed = encrypt(
+    JSON.stringify(
+      docs.map((d) => ({
+        id: serializeDocument(d.id),
+        before: d.before ? serializeDocument(d.before) : null,
+        ...(d.after === undefined ? {} : { after: d.after ? serializeDocument(d.after) : null }),
+        afterHash: d.after === undefined ? null : d.after ? hashDoc(d.after) : ABSENT,
+      }))
+    )
+  );
+  await fs.mkdir(JOURNAL_DIR, { recursive: true });
+  await fs.writeFile(payloadPath(id), JSON.stringify(sealed), "utf8");
+
+  const dropped = await mutate((entries) => {
+    entries.push({
+      id,
+      username: username || null,
+      connectionId: connectionId || null,
+      db,
+      collection,
+      op,
+      at: new Date().toISOString(),
+      keys: docs.map((d) => docKey(d.id)),
+      count: docs.length,
+      undoneAt: null,
+    });
+    // Keep the newest `depth` entries of this user.
+    const mine = entries.filter((e) => e.username === (username || null));
+    const excess = mine.slice(0, Math.max(0, mine.length - config.changeJournal.depth));
+    for (const old of excess) entries.splice(entries.indexOf(old), 1);
+    return excess;
+  });
+  await Promise.all(dropped.map((e) => fs.rm(payloadPath(e.id), { force: true })));
+  return id;
+}
+
+function toPublicEntry(e) {
+  const { keys, ...rest } = e;
+  return { ...rest, documentIds: keys.slice(0, 20).map((k) => JSON.parse(k)) };
+}
+
+/** A user's entries, newest first. */
+async function list(username) {
+  return (await all())
+    .filter((e) => e.username === (username || null))
+    .reverse()
+    .map(toPublicEntry);
+}
+
+async function get(id) {
+  return (await all()).find((e) => e.id === id) || null;
+}
+
+async function open(entry) {
+  const sealed = JSON.parse(await fs.readFile(payloadPath(entry.id), "utf8"));
+  return JSON.parse(decrypt(sealed));
+}
+
+function matchesNamespace(entry, { connectionId, db, collection }) {
+  return entry.connectionId === (connectionId || null) && entry.db === db && entry.collection === collection;
+}
+
+/**
+ * One document's history, newest first: each change with the document as
+ * it was before (`document`, null if it did not exist) and after (`after`,
+ * null once deleted, absent if unknown).
+ */
+async function versions({ connectionId, db, collection, id }) {
+  const lines = await readHistory(historyPath({ connectionId, db, collection, key: docKey(id) }));
+  const out = [];
+  for (const line of lines.reverse()) {
+    try {
+      const { sealed, ...meta } = JSON.parse(line);
+      const { before, ...rest } = JSON.parse(decrypt(sealed));
+      out.push({ ...meta, document: before, ...rest });
+    } catch {
+      // Torn line or sealed with an old key: nothing to offer.
+    }
+  }
+  return out;
+}
+
+/**
+ * Put every document of `entry` back to its pre-image (deleting those that
+ * did not exist), adding the undo to their histories as `username`'s.
+ * Refuses with 409 when a document changed after the journaled change,
+ * unless `force`.
+ */
+async function restore(collection, entry, { force = false, username = null } = {}) {
+  const docs = (await open(entry)).map((d) => ({
+    id: parseDocument(d.id),
+    before: d.before ? parseDocument(d.before) : null,
+    afterHash: d.afterHash,
+  }));
+  const current = await collection.find({ _id: { $in: docs.map((d) => d.id) } }).toArray();
+  const byKey = new Map(current.map((doc) => [docKey(doc._id), doc]));
+  if (!force) {
+    const conflicts = docs.filter((d) => {
+      if (!d.afterHash) return false;
+      const now = byKey.get(docKey(d.id));
+      return (now ? hashDoc(now) : ABSENT) !== d.afterHash;
+    });
+    if (conflicts.length) {
+      const err = journalError(
+        `${conflicts.length} document(s) changed since; restore them from their history or force the undo`,
+        409
+      );
+      err.conflicts = conflicts.slice(0, 20).map((d) => serializeDocument(d.id));
+      throw err;
+    }
+  }
+  let restored = 0;
+  let removed = 0;
+  for (const d of docs) {
+    if (d.before) {
+      await collection.replaceOne({ _id: d.id }, d.before, { upsert: true });
+      restored += 1;
+    } else {
+      removed += (await collection.deleteOne({ _id: d.id })).deletedCount;
+    }
+  }
+  await recordHistory({
+    username,
+    connectionId: entry.connectionId,
+    db: entry.db,
+    collection: entry.collection,
+    op: "undo",
+    docs: docs.map((d) => ({ id: d.id, before: byKey.get(docKey(d.id)) || null, after: d.before })),
+  });
+  return { restored, removed };
+}
+
+/**
+ * Mark entry `id` undone, unless it already is: the claim two concurrent
+ * undos race for, taken before restoring. Returns the entry, or null when
+ * it was already undone (or is gone).
+ */
+async function claimUndo(id) {
+  return mutate((entries) => {
+    const entry = entries.find((e) => e.id === id);
+    if (!entry || entry.undoneAt) return null;
+    entry.undoneAt = new Date().toISOString();
+    return toPublicEntry(entry);
+  });
+}
+
+/** Give back a claim from `claimUndo` whose restore failed. */
+async function releaseUndo(id, undoneAt) {
+  return mutate((entries) => {
+    const entry = entries.find((e) => e.id === id);
+    if (entry && entry.undoneAt === undoneAt) entry.undoneAt = null;
+  });
+}
+
+module.exports = {
+  enabled,
+  historyEnabled,
+  docKey,
+  record,
+  list,
+  get,
+  versions,
+  restore,
+  claimUndo,
+  releaseUndo,
+  journalError,
+};
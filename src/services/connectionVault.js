@@ -1,43 +1,26 @@
 const fs = require("fs/promises");
 const path = require("path");
 const crypto = require("crypto");
-const config = require("../config");
+const { encrypt, decrypt } = require("../utils/secretBox");
 
 const VAULT_PATH = path.resolve(process.cwd(), "data", "connection-vault.json");
 
-function getKey() {
-  return crypto
-    .createHash("sha256")
-    .update(String(config.connectionVaultSecret || config.auth.sessionSecret))
-    .digest();
-}
+// Environment protection, least to most strict. Staging asks for typed
+// confirmation on drops; production is also read-only until a user elevates.
+const PROTECTION_LEVELS = ["development", "staging", "production"];
 
-function encrypt(text) {
-  const iv = crypto.randomBytes(12);
-  const key = getKey();
-  const cipher = crypto.createCipheriv("aes-256-gcm", key, iv);
-  const encrypted = Buffer.concat([cipher.update(text, "utf8"), cipher.final()]);
-  const tag = cipher.getAuthTag();
-  return {
-    iv: iv.toString("base64"),
-    tag: tag.toString("base64"),
-    data: encrypted.toString("base64"),
-  };
+function normalizeProtection(value) {
+  const level = String(value || "development").trim().toLowerCase();
+  if (!PROTECTION_LEVELS.includes(level)) {
+    const err = new Error(`protection must be one of: ${PROTECTION_LEVELS.join(", ")}`);
+    err.status = 400;
+    throw err;
+  }
+  return level;
 }
 
-function decrypt(payload) {
-  const key = getKey();
-  const decipher = crypto.createDecipheriv(
-    "aes-256-gcm",
-    key,
-    Buffer.from(payload.iv, "base64")
-  );
-  decipher.setAuthTag(Buffer.from(payload.tag, "base64"));
-  const decrypted = Buffer.concat([
-    decipher.update(Buffer.from(payload.data, "base64")),
-    decipher.final(),
-  ]);
-  return decrypted.toString("utf8");
+function stricter(a, b) {
+  return PROTECTION_LEVELS.indexOf(a) >= PROTECTION_LEVELS.indexOf(b) ? a : b;
 }
 
 function nowIso() {
@@ -69,6 +52,7 @@ function toPublicEntry(entry) {
     id: entry.id,
     name: entry.name || "",
     color: entry.color || "",
+    protection: entry.protection || "development",
     createdAt: entry.createdAt,
     updatedAt: entry.updatedAt,
   };
@@ -89,13 +73,14 @@ async function getConnectionUri(id) {
   return decrypt(entry.secret);
 }
 
-async function upsertConnection({ id, connectionString, name, color }) {
+async function upsertConnection({ id, connectionString, name, color, protection }) {
   const vault = await readVaultFile();
   const at = nowIso();
   const next = {
     id: id || crypto.randomUUID(),
     name: (name || "").trim(),
     color: (color || "").trim(),
+    protection: normalizeProtection(protection),
     secret: encrypt(connectionString),
     updatedAt: at,
   };
@@ -115,7 +100,7 @@ async function upsertConnection({ id, connectionString, name, color }) {
   return toPublicEntry(next);
 }
 
-async function updateConnectionMeta(id, { name, color }) {
+async function updateConnectionMeta(id, { name, color, protection }) {
   const vault = await readVaultFile();
   const idx = vault.connections.findIndex((c) => c.id === id);
   if (idx < 0) return null;
@@ -125,6 +110,7 @@ async function updateConnectionMeta(id, { name, color }) {
     ...curr,
     name: name === undefined ? curr.name : String(name || "").trim(),
     color: color === undefined ? curr.color : String(color || "").trim(),
+    protection: protection === undefined ? curr.protection : normalizeProtection(protection),
     updatedAt: nowIso(),
   };
   vault.connections[idx] = next;
@@ -132,6 +118,61 @@ async function updateConnectionMeta(id, { name, color }) {
   return toPublicEntry(next);
 }
 
+async function getConnection(id) {
+  const vault = await readVaultFile();
+  const entry = vault.connections.find((c) => c.id === id);
+  return entry ? toPublicEntry(entry) : null;
+}
+
+/**
+ * The hosts a connection string points at, as `scheme://host:port`
+ * (lower-cased, default port filled in). Credentials, database and options
+ * are left out: another user, `/db` path or `?retryWrites=false` on the same
+ * cluster is still the same cluster. Empty for anything that is not a
+ * MongoDB URI.
+ */
+function deploymentHosts(uri) {
+  const match = /^(mongodb(?:\+srv)?):\/\/(?:[^@/]*@)?([^/?]+)/i.exec(String(uri || "").trim());
+  if (!match) return [];
+  const scheme = match[1].toLowerCase();
+  return match[2]
+    .split(",")
+    .map((host) => host.trim().toLowerCase())
+    .filter(Boolean)
+    .map((host) => (scheme === "mongodb" && !/(:\d+|\])$/.test(host) ? `${host}:27017` : host))
+    .map((host) => `${scheme}://${host}`);
+}
+
+/** True when two connection strings share a host, i.e. reach one cluster. */
+function sameDeployment(a, b) {
+  const hosts = new Set(deploymentHosts(a));
+  return deploymentHosts(b).some((host) => hosts.has(host));
+}
+
+/**
+ * Protection level of a connection: the strictest level of the vault entry
+ * with `id` and of every entry saved for the same cluster (see
+ * sameDeployment), so reopening a production cluster by typing its URI,
+ * with other credentials, database or options, or with only some of its
+ * members, does not shed its protection.
+ */
+async function protectionFor({ id = null, uri = null }) {
+  const vault = await readVaultFile();
+  let level = "development";
+  for (const entry of vault.connections) {
+    let same = entry.id === id;
+    if (!same && uri) {
+      try {
+        same = sameDeployment(decrypt(entry.secret), uri);
+      } catch {
+        // Sealed with another secret; it cannot be this connection.
+      }
+    }
+    if (same) level = stricter(level, entry.protection || "development");
+  }
+  return level;
+}
+
 async function removeConnection(id) {
   const vault = await readVaultFile();
   const before = vault.connections.length;
@@ -142,7 +183,12 @@ async function removeConnection(id) {
 }
 
 module.exports = {
+  PROTECTION_LEVELS,
+  stricter,
+  sameDeployment,
   listConnections,
+  getConnection,
+  protectionFor,
   getConnectionUri,
   upsertConnection,
   updateConnectionMeta,
@@ -0,0 +1,317 @@
+const crypto = require("crypto");
+const { EventEmitter } = require("events");
+const logger = require("../utils/logger");
+
+const DEFAULT_BATCH_SIZE = 1000;
+const MAX_BATCH_SIZE = 10000;
+const MAX_REPORTED_ERRORS = 50;
+// Finished jobs are kept around so the UI can still read their outcome.
+const MAX_RETAINED_JOBS = 100;
+
+const MODES = new Set(["insert", "upsert"]);
+
+// Collection options that make sense to carry over to a fresh target.
+// Anything describing a view is rejected before we get here.
+const COPYABLE_OPTIONS = [
+  "capped",
+  "size",
+  "max",
+  "collation",
+  "timeseries",
+  "expireAfterSeconds",
+  "clusteredIndex",
+  "changeStreamPreAndPostImages",
+  "validator",
+  "validationLevel",
+  "validationAction",
+];
+
+const jobs = new Map();
+
+function pickOptions(options = {}) {
+  const out = {};
+  for (const key of COPYABLE_OPTIONS) {
+    if (options[key] !== undefined) out[key] = options[key];
+  }
+  return out;
+}
+
+// listIndexes output -> createIndexes spec. `v` and `ns` are server-managed.
+function toIndexSpec(index) {
+  const { v, ns, ...spec } = index;
+  return spec;
+}
+
+function toPublic(job) {
+  return {
+    id: job.id,
+    status: job.status,
+    source: job.source,
+    target: job.target,
+    mode: job.mode,
+    copyIndexes: job.copyIndexes,
+    copyOptions: job.copyOptions,
+    total: job.total,
+    copied: job.copied,
+    failed: job.failed,
+    errors: job.errors,
+    indexes: job.indexes,
+    createdBy: job.createdBy,
+    createdAt: job.createdAt,
+    startedAt: job.startedAt,
+    finishedAt: job.finishedAt,
+    error: job.error,
+  };
+}
+
+function prune() {
+  if (jobs.size <= MAX_RETAINED_JOBS) return;
+  for (const [id, job] of jobs) {
+    if (jobs.size <= MAX_RETAINED_JOBS) break;
+    if (job.finishedAt) jobs.delete(id);
+  }
+}
+
+function recordErrors(job, messages) {
+  for (const message of messages) {
+    if (job.errors.length >= MAX_REPORTED_ERRORS) return;
+    job.errors.push(message);
+  }
+}
+
+// BulkWriteResult and MongoBulkWriteError expose the same counters.
+function countWritten(result) {
+  return (
+    (result?.insertedCount || 0) +
+    (result?.upsertedCount || 0) +
+    (result?.matchedCount || 0)
+  );
+}
+
+async function writeBatch(job, collection, batch) {
+  const ops = job.mode === "upsert"
+    ? batch.map((doc) => ({
+      replaceOne: { filter: { _id: doc._id }, replacement: doc, upsert: true },
+    }))
+    : batch.map((doc) => ({ insertOne: { document: doc } }));
+  try {
+    const result = await collection.bulkWrite(ops, { ordered: false });
+    job.copied += countWritten(result);
+  } catch (err) {
+    const writeErrors = [].concat(err.writeErrors || []);
+    if (!writeErrors.length) throw err;
+    const written = countWritten(err);
+    job.copied += written;
+    job.failed += batch.length - written;
+    recordErrors(job, writeErrors.map((e) => e.errmsg || e.message || String(e)));
+  }
+}
+
+async function prepareTarget(job, sourceDb, targetDb) {
+  const [info] = await sourceDb
+    .listCollections({ name: job.source.collection })
+    .toArray();
+  if (!info) throw new Error(`Source collection ${job.source.db}.${job.source.collection} not found`);
+  if (info.type === "view") throw new Error("Views cannot be copied");
+
+  const existing = await targetDb
+    .listCollections({ name: job.target.collection }, { nameOnly: true })
+    .toArray();
+  const options = job.copyOptions ? pickOptions(info.options) : {};
+  if (!existing.length) {
+    await targetDb.createCollection(job.target.collection, options);
+    return;
+  }
+  // Existing target: only the validator can be changed in place.
+  if (job.copyOptions && options.validator) {
+    const cmd = { collMod: job.target.collection, validator: options.validator };
+    if (options.validationLevel) cmd.validationLevel = options.validationLevel;
+    if (options.validationAction) cmd.validationAction = options.validationAction;
+    await targetDb.command(cmd);
+  }
+}
+
+async function copyIndexes(job, sourceCol, targetCol) {
+  const specs = (await sourceCol.indexes())
+    .filter((index) => index.name !== "_id_")
+    .map(toIndexSpec);
+  for (const spec of specs) {
+    try {
+      await targetCol.createIndexes([spec]);
+      job.indexes.created.push(spec.name);
+    } catch (err) {
+      job.indexes.failed.push({ name: spec.name, error: err.message });
+    }
+  }
+}
+
+async function run(job, source, target) {
+  const sourceDb = source.client.db(job.source.db);
+  const targetDb = target.client.db(job.target.db);
+  const sourceCol = sourceDb.collection(job.source.collection);
+  const targetCol = targetDb.collection(job.target.collection);
+
+  job.status = "running";
+  job.startedAt = new Date().toISOString();
+  job.emit();
+
+  await prepareTarget(job, sourceDb, targetDb);
+  job.total = Object.keys(job.filter).length
+    ? await sourceCol.countDocuments(job.filter)
+    : await sourceCol.estimatedDocumentCount();
+  job.emit();
+
+  // Documents first, then indexes: building indexes over a full collection
+  // is cheaper than maintaining them through every insert.
+  const cursor = sourceCol.find(job.filter).batchSize(job.batchSize);
+  let batch = [];
+  try {
+    for await (const doc of cursor) {
+      if (job.cancelRequested) break;
+      batch.push(doc);
+      if (batch.length >= job.batchSize) {
+        await writeBatch(job, targetCol, batch);
+        batch = [];
+        job.emit();
+      }
+    }
+  } finally {
+    await cursor.close().catch(() => {});
+  }
+  if (batch.length && !job.cancelRequested) {
+    await writeBatch(job, targetCol, batch);
+  }
+
+  if (job.cancelRequested) {
+    job.status = "cancelled";
+    return;
+  }
+  if (job.copyIndexes) await copyIndexes(job, sourceCol, targetCol);
+  job.status = "completed";
+}
+
+/**
+ * Start a copy of `source` into `target` in the background.
+ *
+ * `source`/`target` are leases from the connection registry
+ * (`{ client, release }`) plus `{ connectionId, db, collection }`; both
+ * leases are released when the job ends. Returns the job immediately;
+ * progress is published through `subscribe` and `get`.
+ */
+function start({
+  owner,
+  createdBy = null,
+  source,
+  target,
+  filter = {},
+  mode = "insert",
+  copyIndexes: withIndexes = true,
+  copyOptions = true,
+  batchSize = DEFAULT_BATCH_SIZE,
+  onFinish = () => {},
+}) {
+  // Jobs are looked up by owner; one without would be anyone's.
+  if (!owner) throw new Error("A copy job needs an owner");
+  if (!MODES.has(mode)) throw new Error("mode must be insert or upsert");
+
+  const events = new EventEmitter();
+  const job = {
+    id: crypto.randomUUID(),
+    owner,
+    createdBy,
+    status: "queued",
+    source: { connectionId: source.connectionId, db: source.db, collection: source.collection },
+    target: { connectionId: target.connectionId, db: target.db, collection: target.collection },
+    filter,
+    mode,
+    copyIndexes: withIndexes,
+    copyOptions,
+    batchSize: Math.min(Math.max(1, batchSize), MAX_BATCH_SIZE),
+    total: null,
+    copied: 0,
+    failed: 0,
+    errors: [],
+    indexes: { created: [], failed: [] },
+    createdAt: new Date().toISOString(),
+    startedAt: null,
+    finishedAt: null,
+    error: null,
+    cancelRequested: false,
+    events,
+    emit: () => events.emit("progress", toPublic(job)),
+  };
+  jobs.set(job.id, job);
+  prune();
+
+  run(job, source, target)
+    .catch((err) => {
+      logger.error({ err, jobId: job.id }, "Collection copy failed");
+      job.status = "failed";
+      job.error = err.message;
+    })
+    .finally(async () => {
+      job.finishedAt = new Date().toISOString();
+      await Promise.all([source.release(), target.release()]).catch(() => {});
+      const snapshot = toPublic(job);
+      events.emit("progress", snapshot);
+      events.emit("done", snapshot);
+      events.removeAllListeners();
+      try {
+        onFinish(snapshot);
+      } catch (_) {}
+    });
+
+  return toPublic(job);
+}
+
+function get(id, owner) {
+  const job = jobs.get(id);
+  if (!job || job.owner !== owner) return null;
+  return toPublic(job);
+}
+
+function list(owner) {
+  return [...jobs.values()]
+    .filter((job) => job.owner === owner)
+    .map(toPublic)
+    .reverse();
+}
+
+/** Stop a running job after its current batch. */
+function cancel(id, owner) {
+  const job = jobs.get(id);
+  if (!job || job.owner !== owner) return null;
+  if (!job.finishedAt) job.cancelRequested = true;
+  return toPublic(job);
+}
+
+/**
+ * Listen for progress snapshots. `onDone` fires once with the final
+ * snapshot (immediately when the job has already finished). Returns an
+ * unsubscribe function.
+ */
+function subscribe(id, owner, onProgress, onDone) {
+  const job = jobs.get(id);
+  if (!job || job.owner !== owner) return null;
+  if (job.finishedAt) {
+    onDone(toPublic(job));
+    return () => {};
+  }
+  job.events.on("progress", onProgress);
+  job.events.once("done", onDone);
+  return () => {
+    job.events.off("progress", onProgress);
+    job.events.off("done", onDone);
+  };
+}
+
+module.exports = {
+  MODES,
+  start,
+  get,
+  list,
+  cancel,
+  subscribe,
+  pickOptions,
+  toIndexSpec,
+};
@@ -0,0 +1,394 @@
+const crypto = require("crypto");
+const { EventEmitter } = require("events");
+const { createImportParser } = require("../utils/importParser");
+const { normalizeMapping } = require("../utils/csvMapping");
+
+// Streamed imports. A job is created first (so the browser can follow its
+// progress feed), then fed the upload as it arrives: records are parsed
+// incrementally and written in bulk batches, and every row that could not
+// be parsed or written lands in the job's error report.
+//
+// Ordered jobs stop at the first failed row, like an ordered bulk write;
+// unordered ones carry on and report every failure.
+//
+// Modes decide what a row does to the collection; all but `insert` and
+// `replace` find their document by the job's key fields:
+//
+//   insert   insert every row
+//   upsert   merge the row into the document with the same key ($set), or
+//            insert it
+//   replace  replace the document with the same _id, or insert it
+//   update   merge the row into the document with the same key; rows that
+//            match nothing are skipped
+//   skip     insert rows whose key is not in the collection yet; skip the rest
+
+const FORMATS = new Set(["json", "jsonl", "csv", "xlsx"]);
+const MODES = new Set(["insert", "upsert", "replace", "update", "skip"]);
+const KEYED_MODES = new Set(["upsert", "update", "skip"]);
+const MAX_KEY_FIELDS = 10;
+const MAX_BATCH_SIZE = 10000;
+const MAX_REPORTED_ERRORS = 1000;
+// Finished jobs are kept around so the UI can still read their outcome.
+const MAX_RETAINED_JOBS = 100;
+// A created job whose upload never arrives is given up after this long.
+const UPLOAD_WAIT_MS = 10 * 60 * 1000;
+
+const jobs = new Map();
+
+function jobError(message, status = 400) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+// Progress snapshots leave the error report out; it can be large.
+function toPublic(job, { withErrors = true } = {}) {
+  return {
+    id: job.id,
+    status: job.status,
+    db: job.db,
+    collection: job.collection,
+    connectionId: job.connectionId,
+    format: job.format,
+    mode: job.mode,
+    keyFields: job.keyFields,
+    mapping: job.mapping,
+    sheet: job.sheet,
+    headerRow: job.headerRow,
+    ordered: job.ordered,
+    batchSize: job.batchSize,
+    totalBytes: job.totalBytes,
+    bytesRead: job.bytesRead,
+    rows: job.rows,
+    inserted: job.inserted,
+    updated: job.updated,
+    skipped: job.skipped,
+    failed: job.failed,
+    ...(withErrors ? { errors: job.errors, errorsTruncated: job.errorsTruncated } : {}),
+    createdBy: job.createdBy,
+    createdAt: job.createdAt,
+    startedAt: job.startedAt,
+    finishedAt: job.finishedAt,
+    error: job.error,
+  };
+}
+
+function finish(job, status, error = null) {
+  job.status = status;
+  job.error = error;
+  job.finishedAt = new Date().toISOString();
+  // Parse errors are recorded as they are read, write errors per batch.
+  job.errors.sort((a, b) => (a.row ?? 0) - (b.row ?? 0));
+  const snapshot = toPublic(job);
+  job.events.emit("progress", toPublic(job, { withErrors: false }));
+  job.events.emit("done", snapshot);
+  job.events.removeAllListeners();
+  try {
+    job.onFinish(snapshot);
+  } catch (_) {}
+  return snapshot;
+}
+
+function prune() {
+  const stale = Date.now() - UPLOAD_WAIT_MS;
+  for (const job of jobs.values()) {
+    if (job.status === "created" && Date.parse(job.createdAt) < stale) {
+      finish(job, "failed", "The upload never arrived");
+    }
+  }
+  if (jobs.size <= MAX_RETAINED_JOBS) return;
+  for (const [id, job] of jobs) {
+    if (jobs.size <= MAX_RETAINED_JOBS) break;
+    if (job.finishedAt) jobs.delete(id);
+  }
+}
+
+function recordError(job, row, message) {
+  job.failed += 1;
+  if (job.errors.length >= MAX_REPORTED_ERRORS) {
+    job.errorsTruncated = true;
+    return;
+  }
+  job.errors.push({ row, error: message });
+}
+
+/** Key field names: a list or a comma-separated string; throws on anything unusable. */
+function normalizeKeyFields(value) {
+  const fields = (Array.isArray(value) ? value : String(value ?? "").split(","))
+    .map((f) => String(f).trim())
+    .filter(Boolean);
+  if (fields.length > MAX_KEY_FIELDS) throw jobError(`At most ${MAX_KEY_FIELDS} key fields`);
+  for (const f of fields) {
+    if (f.startsWith("$") || f.split(".").some((part) => !part)) {
+      throw jobError(`Invalid key field: ${f}`);
+    }
+  }
+  return [...new Set(fields)];
+}
+
+function valueAt(doc, path) {
+  return path.split(".").reduce((v, key) => (v && typeof v === "object" ? v[key] : undefined), doc);
+}
+
+// The filter that finds a row's document; throws when the row lacks a key.
+function keyFilter(job, doc) {
+  const filter = {};
+  for (const field of job.keyFields) {
+    const value = valueAt(doc, field);
+    if (value === undefined) throw new Error(`Row has no value for key field "${field}"`);
+    filter[field] = value;
+  }
+  return filter;
+}
+
+// The bulk write operation for one row in the job's mode.
+function toOperation(job, doc) {
+  if (job.mode === "insert") return { insertOne: { document: doc } };
+  if (job.mode === "replace") {
+    if (doc._id === undefined) throw new Error("Row has no _id to replace by");
+    return { replaceOne: { filter: { _id: doc._id }, replacement: doc, upsert: true } };
+  }
+  const filter = keyFilter(job, doc);
+  if (job.mode === "skip") {
+    return { updateOne: { filter, update: { $setOnInsert: doc }, upsert: true } };
+  }
+  // An existing document keeps its _id; a row's own _id only applies on insert.
+  const { _id, ...fields } = doc;
+  const update = { $set: fields };
+  if (_id !== undefined && job.mode === "upsert") update.$setOnInsert = { _id };
+  return { updateOne: { filter, update, upsert: job.mode === "upsert" } };
+}
+
+// BulkWriteResult and MongoBulkWriteError expose the same counters.
+function countBatch(job, result, attempted, failed) {
+  const matched = result?.matchedCount || 0;
+  job.inserted += (result?.insertedCount || 0) + (result?.upsertedCount || 0);
+  if (job.mode === "skip") {
+    job.skipped += matched;
+  } else {
+    job.updated += matched;
+    if (job.mode === "update") job.skipped += attempted - failed - matched;
+  }
+}
+
+async function writeBatch(job, collection, batch) {
+  const ops = batch.map(({ op }) => op);
+  try {
+    const result = await collection.bulkWrite(ops, { ordered: job.ordered });
+    countBatch(job, result, ops.length, 0);
+  } catch (err) {
+    // MongoBulkWriteError: some rows failed, the rest went through.
+    const writeErrors = [].concat(err.writeErrors || []);
+    if (!writeErrors.length) throw err;
+    // An ordered write gives up at its first error.
+    const attempted = job.ordered ? writeErrors[0].index + 1 : ops.length;
+    countBatch(job, err, attempted, writeErrors.length);
+    for (const e of writeErrors) {
+      recordError(job, batch[e.index]?.row ?? null, e.errmsg || e.message || String(e));
+    }
+    if (job.ordered) job.stopped = true;
+  }
+}
+
+/**
+ * Create an import job for `{ db, collection }` that waits for its upload
+ * (see `run`). `onFinish(job)` is called once with the final snapshot.
+ */
+function create({
+  owner,
+  createdBy = null,
+  connectionId = null,
+  db,
+  collection,
+  format = "json",
+  mode = "insert",
+  keyFields = [],
+  mapping = null,
+  sheet = null,
+  headerRow = 1,
+  ordered = false,
+  batchSize = 1000,
+  onFinish = () => {},
+}) {
+  // Jobs are looked up by owner; one without would be anyone's.
+  if (!owner) throw jobError("An import job needs an owner");
+  if (!FORMATS.has(format)) throw jobError("format must be json, jsonl, csv or xlsx");
+  if (!MODES.has(mode)) throw jobError("mode must be insert, upsert, replace, update or skip");
+  let keys = normalizeKeyFields(keyFields);
+  if (mode === "replace") keys = ["_id"];
+  else if (!KEYED_MODES.has(mode)) keys = [];
+  else if (!keys.length) keys = ["_id"];
+  if (mapping && format !== "csv") throw jobError("A column mapping applies to CSV imports only");
+  const xlsx = format === "xlsx";
+  if (xlsx && (!Number.isInteger(headerRow) || headerRow < 1)) throw jobError("headerRow must be a row number");
+  prune();
+  const job = {
+    id: crypto.randomUUID(),
+    owner,
+    createdBy,
+    status: "created",
+    db,
+    collection,
+    connectionId,
+    format,
+    mode,
+    keyFields: keys,
+    mapping: mapping ? normalizeMapping(mapping) : null,
+    sheet: xlsx && sheet ? String(sheet) : null,
+    headerRow: xlsx ? headerRow : null,
+    ordered: ordered === true,
+    batchSize: Math.min(Math.max(1, batchSize), MAX_BATCH_SIZE),
+    totalBytes: null,
+    bytesRead: 0,
+    rows: 0,
+    inserted: 0,
+    updated: 0,
+    skipped: 0,
+    failed: 0,
+    errors: [],
+    errorsTruncated: false,
+    createdAt: new Date().toISOString(),
+    startedAt: null,
+    finishedAt: null,
+    error: null,
+    stopped: false,
+    cancelRequested: false,
+    events: new EventEmitter(),
+    onFinish,
+  };
+  job.emit = () => job.events.emit("progress", toPublic(job, { withErrors: false }));
+  jobs.set(job.id, job);
+  return toPublic(job);
+}
+
+/**
+ * Feed job `id` its file: `source` is an async iterable of Buffer (or
+ * string) chunks, typically the request itself. Reading stops early when
+ * the job is cancelled, an ordered job hits a bad row, or the upload grows
+ * past `maxBytes`. Resolves with the final snapshot; rejects (the job then
+ * being `failed`) when the file as a whole is unusable.
+ */
+async function run(id, owner, { collection, source, totalBytes = null, maxBytes = Infinity }) {
+  const job = jobs.get(id);
+  if (!job || job.owner !== owner) throw jobError("Import job not found", 404);
+  if (job.status !== "created") throw jobError(`Import job is ${job.status}`, 409);
+
+  job.status = "running";
+  job.startedAt = new Date().toISOString();
+  job.totalBytes = totalBytes;
+  job.emit();
+
+  const parser = createImportParser(job.format, {
+    mapping: job.mapping,
+    sheet: job.sheet,
+    headerRow: job.headerRow || 1,
+  });
+  let batch = [];
+  const halted = () => job.cancelRequested || job.stopped;
+
+  // `records` is an array, or an async iterable for a workbook.
+  async function take(records) {
+    for await (const record of records) {
+      if (halted()) return;
+      job.rows += 1;
+      let op;
+      try {
+        if (record.error) throw new Error(record.error);
+        op = toOperation(job, record.doc);
+      } catch (err) {
+        recordError(job, record.row, err.message);
+        if (job.ordered) job.stopped = true;
+        continue;
+      }
+      batch.push({ row: record.row, op });
+      if (batch.length >= job.batchSize) {
+        const full = batch;
+        batch = [];
+        await writeBatch(job, collection, full);
+        job.emit();
+      }
+    }
+  }
+
+  try {
+    if (totalBytes !== null && totalBytes > maxBytes) {
+      throw jobError(`Import too large: the limit is ${maxBytes} bytes`, 413);
+    }
+    // Not for-await: leaving that loop early would destroy the request, and
+    // with it the socket the response still has to go out on.
+    const chunks = source[Symbol.asyncIterator]();
+    for (;;) {
+      const { value: chunk, done } = await chunks.next();
+      if (done) break;
+      job.bytesRead += chunk.length;
+      if (job.bytesRead > maxBytes) {
+        throw jobError(`Import too large: the limit is ${maxBytes} bytes`, 413);
+      }
+      await take(parser.push(chunk));
+      if (halted()) break;
+    }
+    if (!halted()) await take(parser.end());
+    if (batch.length && !job.cancelRequested) await writeBatch(job, collection, batch);
+  } catch (err) {
+    finish(job, "failed", err.message);
+    throw err;
+  }
+
+  if (job.cancelRequested) return finish(job, "cancelled");
+  return finish(job, job.stopped ? "stopped" : "completed");
+}
+
+function get(id, owner) {
+  const job = jobs.get(id);
+  if (!job || job.owner !== owner) return null;
+  return toPublic(job);
+}
+
+function list(owner) {
+  return [...jobs.values()]
+    .filter((job) => job.owner === owner)
+    .map((job) => toPublic(job, { withErrors: false }))
+    .reverse();
+}
+
+/** Stop a job after its current batch; one still waiting for its upload ends now. */
+function cancel(id, owner) {
+  const job = jobs.get(id);
+  if (!job || job.owner !== owner) return null;
+  if (job.status === "created") return finish(job, "cancelled");
+  if (!job.finishedAt) job.cancelRequested = true;
+  return toPublic(job);
+}
+
+/**
+ * Listen for progress snapshots. `onDone` fires once with the final
+ * snapshot (immediately when the job has already finished). Returns an
+ * unsubscribe function.
+ */
+function subscribe(id, owner, onProgress, onDone) {
+  const job = jobs.get(id);
+  if (!job || job.owner !== owner) return null;
+  if (job.finishedAt) {
+    onDone(toPublic(job));
+    return () => {};
+  }
+  job.events.on("progress", onProgress);
+  job.events.once("done", onDone);
+  return () => {
+    job.events.off("progress", onProgress);
+    job.events.off("done", onDone);
+  };
+}
+
+module.exports = {
+  FORMATS,
+  MODES,
+  normalizeKeyFields,
+  MAX_REPORTED_ERRORS,
+  create,
+  run,
+  get,
+  list,
+  cancel,
+  subscribe,
+};
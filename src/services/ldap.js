@@ -0,0 +1,355 @@
+const net = require("net");
+const tls = require("tls");
+const config = require("../config");
+const ber = require("../utils/ber");
+
+// LDAP / Active Directory sign-in: bind with the service account, find the
+// user with LDAP_USER_FILTER, collect their groups, then bind as the user
+// to check the password. Speaks just enough LDAPv3 (RFC 4511) over
+// net/tls for that — bind, search and unbind.
+
+const OP = {
+  BIND_REQUEST: 0x60,
+  BIND_RESPONSE: 0x61,
+  UNBIND_REQUEST: 0x42,
+  SEARCH_REQUEST: 0x63,
+  SEARCH_ENTRY: 0x64,
+  SEARCH_DONE: 0x65,
+};
+const RESULT = {
+  SUCCESS: 0,
+  SIZE_LIMIT_EXCEEDED: 4,
+  NO_SUCH_OBJECT: 32,
+  INVALID_CREDENTIALS: 49,
+};
+const SCOPE_SUBTREE = 2;
+const DEREF_NEVER = 0;
+
+function ldapError(message, status = 502) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+function settings() {
+  return config.auth.ldap;
+}
+
+function isEnabled() {
+  return !!settings().enabled;
+}
+
+/** RFC 4515 escaping for values substituted into a filter. */
+function escapeFilterValue(value) {
+  return String(value).replace(
+    /[\\*()\0]/g,
+    (c) => "\\" + c.charCodeAt(0).toString(16).padStart(2, "0")
+  );
+}
+
+function unescapeFilterValue(raw) {
+  const bytes = [];
+  for (let i = 0; i < raw.length; i++) {
+    if (raw[i] === "\\" && /^[0-9a-fA-F]{2}$/.test(raw.slice(i + 1, i + 3))) {
+      bytes.push(parseInt(raw.slice(i + 1, i + 3), 16));
+      i += 2;
+    } else {
+      bytes.push(...Buffer.from(raw[i], "utf8"));
+    }
+  }
+  return Buffer.from(bytes);
+}
+
+/** Compile an RFC 4515 filter string such as "(&(uid=alice)(objectClass=*))". */
+function encodeFilter(text) {
+  const src = String(text || "").trim().startsWith("(") ? String(text).trim() : `(${String(text || "").trim()})`;
+  let pos = 0;
+  const fail = () => {
+    throw ldapError(`Invalid LDAP filter: ${src}`, 500);
+  };
+
+  function item(s) {
+    const m = s.match(/^([A-Za-z0-9.;-]+)(~=|>=|<=|=)(.*)$/);
+    if (!m) fail();
+    const [, attr, op, value] = m;
+    if (op === "=" && value === "*") return ber.octetString(attr, 0x87);
+    if (op === "=" && value.includes("*")) {
+      const pieces = value.split("*");
+      const subs = pieces
+        .map((p, i) => {
+          if (!p) return null;
+          const tag = i === 0 ? 0x80 : i === pieces.length - 1 ? 0x82 : 0x81;
+          return ber.octetString(unescapeFilterValue(p), tag);
+        })
+        .filter(Boolean);
+      return ber.sequence([ber.octetString(attr), ber.sequence(subs)], 0xa4);
+    }
+    const tag = { "=": 0xa3, ">=": 0xa5, "<=": 0xa6, "~=": 0xa8 }[op];
+    return ber.sequence([ber.octetString(attr), ber.octetString(unescapeFilterValue(value))], tag);
+  }
+
+  function parse() {
+    if (src[pos] !== "(") fail();
+    pos++;
+    let out;
+    const ch = src[pos];
+    if (ch === "&" || ch === "|") {
+      pos++;
+      const parts = [];
+      while (src[pos] === "(") parts.push(parse());
+      out = ber.sequence(parts, ch === "&" ? 0xa0 : 0xa1);
+    } else if (ch === "!") {
+      pos++;
+      out = ber.sequence([parse()], 0xa2);
+    } else {
+      // Values escape ")" as \29, so the first ")" closes the item.
+      const end = src.indexOf(")", pos);
+      if (end < 0) fail();
+      out = item(src.slice(pos, end));
+      pos = end;
+    }
+    if (src[pos] !== ")") fail();
+    pos++;
+    return out;
+  }
+
+  const filter = parse();
+  if (pos !== src.length) fail();
+  return filter;
+}
+
+function parseResult(op) {
+  const [code, matchedDn, message] = ber.children(op.value);
+  return {
+    code: ber.decodeInteger(code.value),
+    matchedDn: matchedDn ? matchedDn.value.toString("utf8") : "",
+    message: message ? message.value.toString("utf8") : "",
+  };
+}
+
+function parseEntry(op) {
+  const [dn, attrs] = ber.children(op.value);
+  const attributes = {};
+  for (const attr of ber.children(attrs.value)) {
+    const [type, vals] = ber.children(attr.value);
+    attributes[type.value.toString("utf8").toLowerCase()] = ber
+      .children(vals.value)
+      .map((v) => v.value.toString("utf8"));
+  }
+  return { dn: dn.value.toString("utf8"), attributes };
+}
+
+/** One LDAP connection; requests are matched to responses by message id. */
+class LdapConnection {
+  constructor(socket, timeoutMs) {
+    this.socket = socket;
+    this.timeoutMs = timeoutMs;
+    this.buffer = Buffer.alloc(0);
+    this.nextId = 1;
+    this.pending = new Map(); // messageId -> (op) => void
+    this.failure = null;
+    socket.on("data", (chunk) => this.onData(chunk));
+    socket.on("error", (err) => this.failAll(err));
+    socket.on("close", () => this.failAll(ldapError("LDAP connection closed")));
+  }
+
+  static open(url, { timeoutMs = 5000, rejectUnauthorized = true } = {}) {
+    const u = new URL(url);
+    const secure = u.protocol === "ldaps:";
+    if (!secure && u.protocol !== "ldap:") throw ldapError(`Unsupported LDAP URL: ${url}`, 500);
+    const port = Number(u.port) || (secure ? 636 : 389);
+    return new Promise((resolve, reject) => {
+      const socket = secure
+        ? tls.connect({ host: u.hostname, port, servername: u.hostname, rejectUnauthorized })
+        : net.connect({ host: u.hostname, port });
+      const timer = setTimeout(() => {
+        socket.destroy();
+        reject(ldapError("LDAP server did not answer in time"));
+      }, timeoutMs);
+      socket.once(secure ? "secureConnect" : "connect", () => {
+        clearTimeout(timer);
+        resolve(new LdapConnection(socket, timeoutMs));
+      });
+      socket.once("error", (err) => {
+        clearTimeout(timer);
+        reject(ldapError(`LDAP connection failed: ${err.message}`));
+      });
+    });
+  }
+
+  onData(chunk) {
+    this.buffer = Buffer.concat([this.buffer, chunk]);
+    try {
+      let el;
+      while ((el = ber.readElement(this.buffer))) {
+        this.buffer = this.buffer.subarray(el.end);
+        const [id, op] = ber.children(el.value);
+        const handler = this.pending.get(ber.decodeInteger(id.value));
+        if (handler) handler(op);
+      }
+    } catch (err) {
+      this.failAll(ldapError(`Malformed LDAP response: ${err.message}`));
+      this.socket.destroy();
+    }
+  }
+
+  failAll(err) {
+    if (this.failure) return;
+    this.failure = err;
+    for (const handler of this.pending.values()) handler(null, err);
+    this.pending.clear();
+  }
+
+  /** Send `op`; `onOp` gets each response op and returns a value once done. */
+  request(op, onOp) {
+    if (this.failure) return Promise.reject(this.failure);
+    const id = this.nextId++;
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        this.pending.delete(id);
+        reject(ldapError("LDAP request timed out"));
+      }, this.timeoutMs);
+      this.pending.set(id, (response, err) => {
+        try {
+          if (err) throw err;
+          const done = onOp(response);
+          if (done === undefined) return;
+          clearTimeout(timer);
+          this.pending.delete(id);
+          resolve(done);
+        } catch (e) {
+          clearTimeout(timer);
+          this.pending.delete(id);
+          reject(e);
+        }
+      });
+      this.socket.write(ber.sequence([ber.encodeInteger(id), op]));
+    });
+  }
+
+  /** Simple bind. Resolves with the LDAP result code. */
+  async bind(dn, password) {
+    const op = ber.sequence(
+      [ber.encodeInteger(3), ber.octetString(dn), ber.octetString(password, 0x80)],
+      OP.BIND_REQUEST
+    );
+    const result = await this.request(op, (res) => {
+      if (res.tag !== OP.BIND_RESPONSE) throw ldapError("Unexpected LDAP bind response");
+      return parseResult(res);
+    });
+    return result.code;
+  }
+
+  async search(base, filter, attributes = [], { sizeLimit = 0 } = {}) {
+    const op = ber.sequence(
+      [
+        ber.octetString(base),
+        ber.enumerated(SCOPE_SUBTREE),
+        ber.enumerated(DEREF_NEVER),
+        ber.encodeInteger(sizeLimit),
+        ber.encodeInteger(Math.ceil(this.timeoutMs / 1000)),
+        ber.boolean(false),
+        encodeFilter(filter),
+        ber.sequence(attributes.map((a) => ber.octetString(a))),
+      ],
+      OP.SEARCH_REQUEST
+    );
+    const entries = [];
+    return this.request(op, (res) => {
+      if (res.tag === OP.SEARCH_ENTRY) {
+        entries.push(parseEntry(res));
+        return undefined;
+      }
+      if (res.tag !== OP.SEARCH_DONE) return undefined; // referrals are ignored
+      const { code, message } = parseResult(res);
+      if (code === RESULT.NO_SUCH_OBJECT) return [];
+      if (code !== RESULT.SUCCESS && code !== RESULT.SIZE_LIMIT_EXCEEDED) {
+        throw ldapError(`LDAP search failed (${code}${message ? `: ${message}` : ""})`);
+      }
+      return entries;
+    });
+  }
+
+  close() {
+    try {
+      if (!this.failure) this.socket.write(ber.sequence([ber.encodeInteger(this.nextId++), ber.tlv(OP.UNBIND_REQUEST)]));
+    } catch {
+      // already gone
+    }
+    this.socket.end();
+  }
+}
+
+/** "cn=dash-admins,ou=groups,dc=example" -> "dash-admins"; other values as is. */
+function groupName(value) {
+  const m = String(value).match(/^\s*cn=((?:\\.|[^,])*)/i);
+  return (m ? m[1].replace(/\\(.)/g, "$1") : String(value)).trim();
+}
+
+/**
+ * Pick a dashboard role for the user's groups: the first LDAP_ROLE_MAP
+ * entry that matches wins, else LDAP_DEFAULT_ROLE, else null.
+ */
+function mapGroups(groups, validRoles) {
+  const { roleMap, defaultRole } = settings();
+  const names = new Set(groups.map((g) => groupName(g).toLowerCase()));
+  const match = roleMap.find(([group, role]) => names.has(group.toLowerCase()) && validRoles.includes(role));
+  if (match) return match[1];
+  return validRoles.includes(defaultRole) ? defaultRole : null;
+}
+
+/**
+ * Check a username/password against the directory. Returns
+ * `{ dn, username, groups }` on success, with the username as the
+ * directory spells it, null for unknown users or wrong passwords;
+ * throws when the directory cannot be reached or refuses the service bind.
+ */
+async function authenticate(username, password) {
+  // An empty password would be an unauthenticated bind, which succeeds.
+  if (typeof username !== "string" || !username || typeof password !== "string" || !password) {
+    return null;
+  }
+  const s = settings();
+  const conn = await LdapConnection.open(s.url, {
+    timeoutMs: s.timeoutMs,
+    rejectUnauthorized: s.tlsRejectUnauthorized,
+  });
+  try {
+    if (s.bindDn) {
+      const code = await conn.bind(s.bindDn, s.bindPassword);
+      if (code !== RESULT.SUCCESS) throw ldapError(`LDAP service bind failed (${code})`);
+    }
+    const filter = s.userFilter.split("{username}").join(escapeFilterValue(username));
+    const groupAttr = s.groupAttribute.toLowerCase();
+    const nameAttrs = s.usernameAttribute ? [s.usernameAttribute] : ["sAMAccountName", "uid"];
+    const found = await conn.search(s.searchBase, filter, [s.groupAttribute, ...nameAttrs], { sizeLimit: 2 });
+    if (found.length !== 1) return null;
+    const [entry] = found;
+    // The directory's spelling, not what was typed: filters usually match
+    // case-insensitively, and "Alice" must not become a second user.
+    const canonical = nameAttrs.map((a) => entry.attributes[a.toLowerCase()]?.[0]).find(Boolean);
+    if (!canonical) throw ldapError(`LDAP entry ${entry.dn} has no ${nameAttrs.join(" or ")} attribute`);
+
+    const groups = [...(entry.attributes[groupAttr] || [])];
+    if (s.groupSearchBase) {
+      const groupFilter = s.groupFilter.split("{dn}").join(escapeFilterValue(entry.dn));
+      const memberOf = await conn.search(s.groupSearchBase, groupFilter, ["cn"]);
+      groups.push(...memberOf.map((g) => g.dn));
+    }
+
+    const code = await conn.bind(entry.dn, password);
+    if (code === RESULT.INVALID_CREDENTIALS) return null;
+    if (code !== RESULT.SUCCESS) throw ldapError(`LDAP bind failed (${code})`);
+    return { dn: entry.dn, username: canonical, groups };
+  } finally {
+    conn.close();
+  }
+}
+
+module.exports = {
+  isEnabled,
+  authenticate,
+  mapGroups,
+  escapeFilterValue,
+  encodeFilter,
+};
@@ -1,60 +1,366 @@
+const crypto = require("crypto");
 const { MongoClient } = require("mongodb");
+const config = require("../config");
 const logger = require("../utils/logger");
 
-class MongoDBService {
-  constructor() {
-    this.client = null;
-    this.connectionString = null;
+const CLIENT_OPTIONS = {
+  maxPoolSize: 10,
+  minPoolSize: 2,
+  maxIdleTimeMS: 30000,
+  connectTimeoutMS: 10000,
+  serverSelectionTimeoutMS: 10000,
+};
+
+// Id reported for the sessionless default connection (MONGODB_URI preset).
+const DEFAULT_CONNECTION_ID = "preset";
+
+function sessionKeyOf(req) {
+  if (!req) return null;
+  return req.sessionID || req.session?.id || null;
+}
+
+// Which open connection a request addresses: the X-Connection-Id header, or
+// a `connectionId` query param where headers can't be set (EventSource,
+// download links). Otherwise the session's active connection is used.
+function requestedConnectionId(req) {
+  if (!req) return null;
+  const raw = req.headers?.["x-connection-id"] || req.query?.connectionId;
+  return typeof raw === "string" && raw.trim() ? raw.trim() : null;
+}
+
+// Ad-hoc URIs typed into the connect form have no vault id; derive a stable
+// one so the same URI maps to the same handle.
+const ADHOC_PREFIX = "uri-";
+
+function adhocConnectionId(uri) {
+  return ADHOC_PREFIX + crypto.createHash("sha256").update(uri).digest("hex").slice(0, 12);
+}
+
+/**
+ * Registry of live MongoClients, bound per browser session.
+ *
+ * A session may hold several open connections at once (up to
+ * `maxPerSession`), each addressed by its vault id, with one of them
+ * active. Sessions that use the same URI share a single pooled MongoClient;
+ * a client that nothing references any more is closed. Connections that go
+ * unused for `idleTimeoutMs` are dropped by a periodic sweep, and at most
+ * `maxClients` distinct clients may be open at once.
+ *
+ * A connect without a session (the MONGODB_URI preset at boot) becomes the
+ * default connection, served to every session that has none of its own.
+ */
+class ConnectionRegistry {
+  constructor({
+    maxClients = config.mongo.maxClients,
+    maxPerSession = config.mongo.maxSessionConnections,
+    idleTimeoutMs = config.mongo.idleTimeoutMs,
+    createClient = (uri) => new MongoClient(uri, CLIENT_OPTIONS),
+  } = {}) {
+    this.maxClients = maxClients;
+    this.maxPerSession = maxPerSession;
+    this.idleTimeoutMs = idleTimeoutMs;
+    this.createClient = createClient;
+    this.pools = new Map(); // uri -> { uri, client, ready, refs, lastUsedAt }
+    this.sessions = new Map(); // sessionKey -> { active, connections: Map<id, { uri, connectedAt, lastUsedAt }> }
+    this.defaultUri = null;
+    this.sweepTimer = null;
   }
 
-  async connect(connectionString) {
-    // If already connected to same string, reuse
-    if (this.client && this.connectionString === connectionString) {
-      return this.client;
+  /**
+   * Open (or reuse) a connection for the caller's session and make it the
+   * active one. Connections already open in the session stay open.
+   */
+  async connect(connectionString, req, { connectionId } = {}) {
+    const key = sessionKeyOf(req);
+    if (!key) {
+      await this.acquire(connectionString);
+      if (this.defaultUri !== connectionString) {
+        const previous = this.defaultUri;
+        this.defaultUri = connectionString;
+        if (previous) await this.closeIfUnused(previous);
+      }
+      return this.pools.get(connectionString).client;
+    }
+
+    const id = connectionId || adhocConnectionId(connectionString);
+    const session = this.sessions.get(key);
+    if (
+      session &&
+      !session.connections.has(id) &&
+      session.connections.size >= this.maxPerSession
+    ) {
+      const err = new Error(
+        `At most ${this.maxPerSession} connections can be open at once. Disconnect one first.`
+      );
+      err.status = 409;
+      throw err;
     }
 
-    // Disconnect existing connection
-    if (this.client) {
-      await this.disconnect();
+    const pool = await this.acquire(connectionString);
+    this.bind(key, id, connectionString);
+    return pool.client;
+  }
+
+  getClient(req, connectionId = requestedConnectionId(req)) {
+    const resolved = this.resolve(req, connectionId);
+    if (!resolved) return null;
+    const now = Date.now();
+    resolved.pool.lastUsedAt = now;
+    if (resolved.entry) resolved.entry.lastUsedAt = now;
+    return resolved.pool.client;
+  }
+
+  isConnected(req, connectionId = requestedConnectionId(req)) {
+    return this.resolve(req, connectionId) !== null;
+  }
+
+  getConnectionString(req, connectionId = requestedConnectionId(req)) {
+    const resolved = this.resolve(req, connectionId);
+    return resolved ? resolved.pool.uri : null;
+  }
+
+  getConnectionId(req, connectionId = requestedConnectionId(req)) {
+    const resolved = this.resolve(req, connectionId);
+    return resolved ? resolved.id : null;
+  }
+
+  /**
+   * Pin the client behind one of the caller's connections so it outlives a
+   * disconnect or idle sweep (background jobs). Call `release()` when done.
+   */
+  lease(req, connectionId = requestedConnectionId(req)) {
+    const resolved = this.resolve(req, connectionId);
+    if (!resolved) return null;
+    const { pool } = resolved;
+    const ref = `lease\0${crypto.randomUUID()}`;
+    pool.refs.add(ref);
+    let released = false;
+    return {
+      client: pool.client,
+      uri: pool.uri,
+      release: async () => {
+        if (released) return;
+        released = true;
+        pool.refs.delete(ref);
+        if (this.pools.get(pool.uri) === pool) await this.closeIfUnused(pool.uri);
+      },
+    };
+  }
+
+  /** Make an already-open connection the session's active one. */
+  activate(req, connectionId) {
+    const session = this.sessions.get(sessionKeyOf(req));
+    if (!session || !session.connections.has(connectionId)) return false;
+    session.active = connectionId;
+    session.connections.get(connectionId).lastUsedAt = Date.now();
+    return true;
+  }
+
+  /** Connections open in the caller's session, most recently used first. */
+  listOpen(req) {
+    const session = this.sessions.get(sessionKeyOf(req));
+    if (!session) {
+      return this.defaultUri
+        ? [{ id: DEFAULT_CONNECTION_ID, active: true, shared: true }]
+        : [];
     }
+    return [...session.connections.entries()]
+      .map(([id, entry]) => ({
+        id,
+        active: id === session.active,
+        connectedAt: new Date(entry.connectedAt).toISOString(),
+        lastUsedAt: new Date(entry.lastUsedAt).toISOString(),
+      }))
+      .sort((a, b) => b.lastUsedAt.localeCompare(a.lastUsedAt));
+  }
 
-    // Create new connection with optimized settings
-    this.client = new MongoClient(connectionString, {
-      maxPoolSize: 10,
-      minPoolSize: 2,
-      maxIdleTimeMS: 30000,
-      connectTimeoutMS: 10000,
-      serverSelectionTimeoutMS: 10000,
+  /**
+   * Close one of the caller's connections, or all of them when no id is
+   * given. Without a session this clears the default connection instead.
+   * The underlying client is only closed once nothing else references it.
+   */
+  async disconnect(req, connectionId = null) {
+    const key = sessionKeyOf(req);
+    if (!key) {
+      const previous = this.defaultUri;
+      this.defaultUri = null;
+      if (previous) await this.closeIfUnused(previous);
+      return;
+    }
+    const session = this.sessions.get(key);
+    if (!session) return;
+    const ids = connectionId ? [connectionId] : [...session.connections.keys()];
+    for (const id of ids) {
+      await this.unbind(key, id);
+    }
+  }
+
+  async closeAll() {
+    if (this.sweepTimer) {
+      clearInterval(this.sweepTimer);
+      this.sweepTimer = null;
+    }
+    const pools = [...this.pools.values()];
+    this.pools.clear();
+    this.sessions.clear();
+    this.defaultUri = null;
+    await Promise.all(pools.map((pool) => this.closePool(pool)));
+  }
+
+  stats() {
+    return { clients: this.pools.size, sessions: this.sessions.size };
+  }
+
+  // ── internals ────────────────────────────────────────────────────────────
+
+  resolve(req, connectionId) {
+    const session = this.sessions.get(sessionKeyOf(req));
+    let id = null;
+    let entry = null;
+    let uri = null;
+    if (session) {
+      id = connectionId || session.active;
+      entry = session.connections.get(id) || null;
+      uri = entry ? entry.uri : null;
+    } else if (!connectionId || connectionId === DEFAULT_CONNECTION_ID) {
+      id = DEFAULT_CONNECTION_ID;
+      uri = this.defaultUri;
+    }
+    const pool = uri ? this.pools.get(uri) : null;
+    return pool && pool.client ? { id, entry, pool } : null;
+  }
+
+  async acquire(uri) {
+    const existing = this.pools.get(uri);
+    if (existing) {
+      await existing.ready;
+      existing.lastUsedAt = Date.now();
+      return existing;
+    }
+
+    await this.sweep();
+    if (this.pools.size >= this.maxClients) {
+      const err = new Error(
+        `Connection limit reached (${this.maxClients} open MongoDB clients). Try again later.`
+      );
+      err.status = 503;
+      throw err;
+    }
+
+    const pool = {
+      uri,
+      client: null,
+      refs: new Set(),
+      lastUsedAt: Date.now(),
+    };
+    pool.ready = (async () => {
+      const client = this.createClient(uri);
+      await client.connect();
+      pool.client = client;
+    })();
+    this.pools.set(uri, pool);
+    this.ensureSweeper();
+
+    try {
+      await pool.ready;
+    } catch (err) {
+      this.pools.delete(uri);
+      throw err;
+    }
+    logger.info({ clients: this.pools.size }, "Connected to MongoDB");
+    return pool;
+  }
+
+  bind(key, id, uri) {
+    let session = this.sessions.get(key);
+    if (!session) {
+      session = { active: id, connections: new Map() };
+      this.sessions.set(key, session);
+    }
+    const now = Date.now();
+    const previous = session.connections.get(id);
+    if (previous && previous.uri !== uri) {
+      this.detach(key, id, previous.uri);
+      this.closeIfUnused(previous.uri).catch(() => {});
+    }
+    session.connections.set(id, {
+      uri,
+      connectedAt: previous && previous.uri === uri ? previous.connectedAt : now,
+      lastUsedAt: now,
     });
+    session.active = id;
+    this.pools.get(uri)?.refs.add(`${key}\0${id}`);
 
-    await this.client.connect();
-    this.connectionString = connectionString;
+    // A typed URI is opened under an ad-hoc handle and saved to the vault
+    // afterwards; once it is reopened by vault id, fold the ad-hoc handle in.
+    for (const [otherId, other] of session.connections) {
+      if (otherId !== id && other.uri === uri && otherId.startsWith(ADHOC_PREFIX)) {
+        session.connections.delete(otherId);
+        this.detach(key, otherId, uri);
+      }
+    }
+  }
 
-    logger.info("Connected to MongoDB");
-    return this.client;
+  async unbind(key, id) {
+    const session = this.sessions.get(key);
+    const entry = session?.connections.get(id);
+    if (!entry) return;
+    session.connections.delete(id);
+    if (!session.connections.size) {
+      this.sessions.delete(key);
+    } else if (session.active === id) {
+      session.active = [...session.connections.entries()].sort(
+        (a, b) => b[1].lastUsedAt - a[1].lastUsedAt
+      )[0][0];
+    }
+    this.detach(key, id, entry.uri);
+    await this.closeIfUnused(entry.uri);
   }
 
-  getClient() {
-    return this.client;
+  detach(key, id, uri) {
+    const pool = this.pools.get(uri);
+    if (pool) pool.refs.delete(`${key}\0${id}`);
   }
 
-  isConnected() {
-    return this.client !== null;
+  async closeIfUnused(uri) {
+    const pool = this.pools.get(uri);
+    if (!pool || pool.refs.size || uri === this.defaultUri) return;
+    this.pools.delete(uri);
+    await this.closePool(pool);
   }
 
-  getConnectionString() {
-    return this.connectionString;
+  async closePool(pool) {
+    try {
+      await pool.ready;
+      if (pool.client) await pool.client.close();
+      logger.info({ clients: this.pools.size }, "Disconnected from MongoDB");
+    } catch (err) {
+      logger.warn({ err }, "Failed to close MongoDB client cleanly");
+    }
   }
 
-  async disconnect() {
-    if (this.client) {
-      await this.client.close();
-      this.client = null;
-      this.connectionString = null;
-      logger.info("Disconnected from MongoDB");
+  async sweep(now = Date.now()) {
+    if (!this.idleTimeoutMs) return;
+    for (const [key, session] of this.sessions) {
+      for (const [id, entry] of session.connections) {
+        if (now - entry.lastUsedAt > this.idleTimeoutMs) {
+          await this.unbind(key, id);
+        }
+      }
     }
   }
+
+  ensureSweeper() {
+    if (this.sweepTimer || !this.idleTimeoutMs) return;
+    const every = Math.max(1000, Math.min(this.idleTimeoutMs, 60000));
+    this.sweepTimer = setInterval(() => {
+      this.sweep().catch((err) => logger.warn({ err }, "Connection sweep failed"));
+    }, every);
+    this.sweepTimer.unref();
+  }
 }
 
-// Singleton instance
-module.exports = new MongoDBService();
+// One registry per process; sessions are isolated inside it.
+module.exports = new ConnectionRegistry();
+module.exports.ConnectionRegistry = ConnectionRegistry;
+module.exports.DEFAULT_CONNECTION_ID = DEFAULT_CONNECTION_ID;
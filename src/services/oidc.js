@@ -0,0 +1,239 @@
+const crypto = require("crypto");
+const config = require("../config");
+
+// OpenID Connect authorization-code flow with PKCE, using only node:crypto
+// and fetch. The provider is found through discovery
+// (<issuer>/.well-known/openid-configuration); ID tokens are verified
+// against its JWKS.
+
+const FETCH_TIMEOUT_MS = 10000;
+const METADATA_TTL_MS = 60 * 60 * 1000;
+const CLOCK_SKEW_SEC = 60;
+
+// JWS alg -> how node:crypto verifies it. "none" and HMAC are not accepted.
+const ALGORITHMS = {
+  RS256: { hash: "sha256" },
+  RS384: { hash: "sha384" },
+  RS512: { hash: "sha512" },
+  PS256: { hash: "sha256", padding: crypto.constants.RSA_PKCS1_PSS_PADDING },
+  PS384: { hash: "sha384", padding: crypto.constants.RSA_PKCS1_PSS_PADDING },
+  PS512: { hash: "sha512", padding: crypto.constants.RSA_PKCS1_PSS_PADDING },
+  ES256: { hash: "sha256", dsaEncoding: "ieee-p1363" },
+  ES384: { hash: "sha384", dsaEncoding: "ieee-p1363" },
+  ES512: { hash: "sha512", dsaEncoding: "ieee-p1363" },
+};
+
+let metadata = null; // { value, fetchedAt }
+let jwks = null; // { keys, fetchedAt }
+
+function oidcError(message, status = 401) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+function settings() {
+  return config.auth.oidc;
+}
+
+function isEnabled() {
+  return !!settings().enabled;
+}
+
+const trimSlash = (s) => String(s || "").replace(/\/+$/, "");
+
+async function fetchJson(url, init = {}) {
+  const res = await fetch(url, {
+    ...init,
+    headers: { accept: "application/json", ...(init.headers || {}) },
+    signal: AbortSignal.timeout(FETCH_TIMEOUT_MS),
+  });
+  let body = null;
+  try {
+    body = await res.json();
+  } catch {
+    // fall through with body = null
+  }
+  if (!res.ok) {
+    const detail = body?.error_description || body?.error || `HTTP ${res.status}`;
+    throw oidcError(`Identity provider request failed: ${detail}`, 502);
+  }
+  return body;
+}
+
+async function discover() {
+  if (metadata && Date.now() - metadata.fetchedAt < METADATA_TTL_MS) return metadata.value;
+  const issuer = trimSlash(settings().issuer);
+  const value = await fetchJson(`${issuer}/.well-known/openid-configuration`);
+  if (trimSlash(value?.issuer) !== issuer) {
+    throw oidcError(`Discovery issuer mismatch: ${value?.issuer}`, 502);
+  }
+  for (const field of ["authorization_endpoint", "token_endpoint", "jwks_uri"]) {
+    if (typeof value[field] !== "string") throw oidcError(`Discovery is missing ${field}`, 502);
+  }
+  metadata = { value, fetchedAt: Date.now() };
+  return value;
+}
+
+async function signingKey(kid) {
+  const find = () => jwks.keys.find((k) => (kid ? k.kid === kid : k.use !== "enc"));
+  if (jwks && Date.now() - jwks.fetchedAt < METADATA_TTL_MS) {
+    const cached = find();
+    if (cached) return cached;
+  }
+  // Unknown kid: the provider may have rotated keys, so refetch once.
+  const { jwks_uri: uri } = await discover();
+  const body = await fetchJson(uri);
+  jwks = { keys: Array.isArray(body?.keys) ? body.keys : [], fetchedAt: Date.now() };
+  const key = find();
+  if (!key) throw oidcError("No matching signing key for ID token");
+  return key;
+}
+
+const base64url = (buf) => Buffer.from(buf).toString("base64url");
+const randomToken = () => base64url(crypto.randomBytes(32));
+
+function decodeJwt(token) {
+  const parts = String(token || "").split(".");
+  if (parts.length !== 3) throw oidcError("Malformed ID token");
+  try {
+    return {
+      header: JSON.parse(Buffer.from(parts[0], "base64url").toString("utf8")),
+      payload: JSON.parse(Buffer.from(parts[1], "base64url").toString("utf8")),
+      signingInput: `${parts[0]}.${parts[1]}`,
+      signature: Buffer.from(parts[2], "base64url"),
+    };
+  } catch {
+    throw oidcError("Malformed ID token");
+  }
+}
+
+/**
+ * Verify an ID token's signature and standard claims (iss, aud, azp, exp,
+ * iat/nbf, nonce) and return its payload.
+ */
+async function verifyIdToken(idToken, { nonce, now = Date.now() } = {}) {
+  const { header, payload, signingInput, signature } = decodeJwt(idToken);
+  const alg = ALGORITHMS[header.alg];
+  if (!alg) throw oidcError(`Unsupported ID token algorithm: ${header.alg}`);
+
+  const jwk = await signingKey(header.kid);
+  let key;
+  try {
+    key = crypto.createPublicKey({ key: jwk, format: "jwk" });
+  } catch {
+    throw oidcError("Identity provider published an unusable signing key", 502);
+  }
+  const verifyKey = { key };
+  if (alg.padding) {
+    verifyKey.padding = alg.padding;
+    verifyKey.saltLength = crypto.constants.RSA_PSS_SALTLEN_DIGEST;
+  }
+  if (alg.dsaEncoding) verifyKey.dsaEncoding = alg.dsaEncoding;
+  if (!crypto.verify(alg.hash, Buffer.from(signingInput), verifyKey, signature)) {
+    throw oidcError("ID token signature is invalid");
+  }
+
+  const { clientId } = settings();
+  const nowSec = Math.floor(now / 1000);
+  if (trimSlash(payload.iss) !== trimSlash(settings().issuer)) {
+    throw oidcError("ID token issuer does not match");
+  }
+  const audiences = Array.isArray(payload.aud) ? payload.aud : [payload.aud];
+  if (!audiences.includes(clientId)) throw oidcError("ID token audience does not match");
+  if (audiences.length > 1 && payload.azp !== clientId) {
+    throw oidcError("ID token authorized party does not match");
+  }
+  if (typeof payload.exp !== "number" || payload.exp + CLOCK_SKEW_SEC < nowSec) {
+    throw oidcError("ID token has expired");
+  }
+  if (typeof payload.iat === "number" && payload.iat - CLOCK_SKEW_SEC > nowSec) {
+    throw oidcError("ID token was issued in the future");
+  }
+  if (typeof payload.nbf === "number" && payload.nbf - CLOCK_SKEW_SEC > nowSec) {
+    throw oidcError("ID token is not valid yet");
+  }
+  if (!nonce || payload.nonce !== nonce) throw oidcError("ID token nonce does not match");
+  return payload;
+}
+
+/**
+ * Start a sign-in. Returns the provider URL to redirect to and the
+ * transaction (state, nonce, PKCE verifier) to keep until the callback.
+ */
+async function beginLogin({ redirectUri }) {
+  const meta = await discover();
+  const transaction = {
+    state: randomToken(),
+    nonce: randomToken(),
+    codeVerifier: randomToken(),
+    redirectUri,
+  };
+  const url = new URL(meta.authorization_endpoint);
+  url.search = new URLSearchParams({
+    response_type: "code",
+    client_id: settings().clientId,
+    redirect_uri: redirectUri,
+    scope: settings().scopes,
+    state: transaction.state,
+    nonce: transaction.nonce,
+    code_challenge: base64url(crypto.createHash("sha256").update(transaction.codeVerifier).digest()),
+    code_challenge_method: "S256",
+  }).toString();
+  return { url: url.toString(), transaction };
+}
+
+/** Exchange the authorization code and return the verified ID token claims. */
+async function completeLogin({ code, transaction }) {
+  if (typeof code !== "string" || !code) throw oidcError("Missing authorization code", 400);
+  const meta = await discover();
+  const { clientId, clientSecret } = settings();
+  const form = new URLSearchParams({
+    grant_type: "authorization_code",
+    code,
+    redirect_uri: transaction.redirectUri,
+    code_verifier: transaction.codeVerifier,
+    client_id: clientId,
+  });
+  const headers = { "content-type": "application/x-www-form-urlencoded" };
+  if (clientSecret) {
+    const basic = `${encodeURIComponent(clientId)}:${encodeURIComponent(clientSecret)}`;
+    headers.authorization = `Basic ${Buffer.from(basic).toString("base64")}`;
+  }
+  const tokens = await fetchJson(meta.token_endpoint, { method: "POST", headers, body: form });
+  if (!tokens?.id_token) throw oidcError("Token response did not include an ID token", 502);
+  return verifyIdToken(tokens.id_token, { nonce: transaction.nonce });
+}
+
+function claimAt(claims, dottedPath) {
+  return String(dottedPath)
+    .split(".")
+    .reduce((value, key) => (value && typeof value === "object" ? value[key] : undefined), claims);
+}
+
+/**
+ * Turn ID token claims into a dashboard identity. `validRoles` is the list
+ * of role names the dashboard knows; a mapping to anything else is ignored.
+ */
+function mapClaims(claims, validRoles) {
+  const { usernameClaim, groupsClaim, roleMap, defaultRole } = settings();
+  const username = claimAt(claims, usernameClaim) || claims.email || claims.sub;
+  if (typeof username !== "string" || !username) {
+    throw oidcError("ID token has no usable username claim");
+  }
+  const raw = claimAt(claims, groupsClaim);
+  const groups = Array.isArray(raw) ? raw.map(String) : typeof raw === "string" ? [raw] : [];
+  const match = roleMap.find(([group, role]) => groups.includes(group) && validRoles.includes(role));
+  const role = match ? match[1] : validRoles.includes(defaultRole) ? defaultRole : null;
+  if (!role) throw oidcError(`No dashboard role is mapped to ${username}'s groups`, 403);
+  return { username, role, groups };
+}
+
+module.exports = {
+  isEnabled,
+  discover,
+  beginLogin,
+  completeLogin,
+  verifyIdToken,
+  mapClaims,
+};
@@ -0,0 +1,181 @@
+const config = require("../config");
+const audit = require("../utils/audit");
+const mongoService = require("./mongodb");
+const connectionVault = require("./connectionVault");
+
+// Environment protection for the connection a request works on. Saved
+// connections carry a level (development, staging, production; the preset
+// connection takes MONGODB_PROTECTION):
+//
+//   - staging and production: drops need the name typed as confirmation
+//   - production: writes are refused unless the session holds a write
+//     elevation for that connection, taken with a reason for a few minutes
+//
+// Elevations live in the session as
+//
+//   req.session.elevations = { [connectionId]: { until, reason, at } }
+//
+// and lapse on their own once `until` has passed.
+//
+// The same mechanism lets accounts with `breakGlass` write to a READ_ONLY
+// deployment for a while, under the "read-only" key.
+
+const READ_ONLY_KEY = "read-only";
+
+/** Protection level of connection `connectionId` as open in `req`'s session. */
+async function levelOf(req, connectionId = mongoService.getConnectionId(req)) {
+  const uri = mongoService.getConnectionString(req, connectionId);
+  let level = await connectionVault.protectionFor({ id: connectionId, uri });
+  if (
+    connectionId === mongoService.DEFAULT_CONNECTION_ID ||
+    (uri && connectionVault.sameDeployment(uri, config.presetMongoUri))
+  ) {
+    level = connectionVault.stricter(level, config.protection.preset);
+  }
+  return level;
+}
+
+const needsTypedConfirmation = (level) => level !== "development";
+
+function protectionError(message, status = 400) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+// protection_elevated, read_only_elevation_ended, …
+function auditEntry(req, key, what) {
+  const readOnlyKey = key === READ_ONLY_KEY;
+  return {
+    event: `${readOnlyKey ? "read_only" : "protection"}_${what}`,
+    ...(readOnlyKey ? {} : { connectionId: key }),
+    ip: req.ip,
+    username: req.session?.username || null,
+    role: req.session?.role || null,
+  };
+}
+
+/**
+ * The session's live elevation under `key` (a connection id, or the
+ * read-only key), or null. An elapsed one is dropped and audited.
+ */
+function elevation(req, key) {
+  const elevations = req.session?.elevations;
+  const current = elevations?.[key];
+  if (!current) return null;
+  if (current.until <= Date.now()) {
+    delete elevations[key];
+    audit.log({ ...auditEntry(req, key, "elevation_expired"), reason: current.reason });
+    return null;
+  }
+  return current;
+}
+
+function grant(req, key, { reason, minutes }) {
+  const why = typeof reason === "string" ? reason.trim() : "";
+  if (!why) throw protectionError("A reason is required to enable writes");
+  if (why.length > 500) throw protectionError("Reason is too long (500 characters max)");
+  const max = config.protection.maxElevationMinutes;
+  const span = Number(minutes);
+  if (!Number.isInteger(span) || span < 1 || span > max) {
+    throw protectionError(`minutes must be a whole number from 1 to ${max}`);
+  }
+  const at = Date.now();
+  const until = at + span * 60000;
+  req.session.elevations = { ...req.session.elevations, [key]: { until, reason: why, at } };
+  audit.log({
+    ...auditEntry(req, key, "elevated"),
+    minutes: span,
+    until: new Date(until).toISOString(),
+    reason: why,
+  });
+}
+
+function revoke(req, key) {
+  if (!elevation(req, key)) return;
+  delete req.session.elevations[key];
+  audit.log(auditEntry(req, key, "elevation_ended"));
+}
+
+const publicElevation = (current) =>
+  current ? { until: new Date(current.until).toISOString(), reason: current.reason } : null;
+
+/** Allow writes on a production connection for `minutes`, with a reason. */
+async function elevate(req, connectionId, { reason, minutes }) {
+  const level = await levelOf(req, connectionId);
+  if (level !== "production") {
+    throw protectionError(`Writes are already allowed on ${level} connections`, 409);
+  }
+  grant(req, connectionId, { reason, minutes });
+  return describe(req, connectionId);
+}
+
+/** End the session's elevation for `connectionId` early. */
+async function endElevation(req, connectionId) {
+  revoke(req, connectionId);
+  return describe(req, connectionId);
+}
+
+/** Whether READ_ONLY holds for `req`: it is set and the session has not broken glass. */
+function readOnly(req) {
+  return config.readOnly && !elevation(req, READ_ONLY_KEY);
+}
+
+/** Let the session write to a READ_ONLY deployment for `minutes`, with a reason. */
+function breakGlass(req, { reason, minutes }) {
+  if (!config.readOnly) throw protectionError("The dashboard is not in read-only mode", 409);
+  grant(req, READ_ONLY_KEY, { reason, minutes });
+  return describeReadOnly(req);
+}
+
+function endBreakGlass(req) {
+  revoke(req, READ_ONLY_KEY);
+  return describeReadOnly(req);
+}
+
+/** `{ readOnly, elevation, maxElevationMinutes }` for the read-only banner. */
+function describeReadOnly(req) {
+  return {
+    readOnly: config.readOnly,
+    elevation: config.readOnly ? publicElevation(elevation(req, READ_ONLY_KEY)) : null,
+    maxElevationMinutes: config.protection.maxElevationMinutes,
+  };
+}
+
+/** What the banner shows: `{ connectionId, level, elevation, maxElevationMinutes }`. */
+async function describe(req, connectionId = mongoService.getConnectionId(req)) {
+  return {
+    connectionId,
+    level: await levelOf(req, connectionId),
+    elevation: publicElevation(elevation(req, connectionId)),
+    maxElevationMinutes: config.protection.maxElevationMinutes,
+  };
+}
+
+/**
+ * Why a write on `connectionId` must be refused, or null when it may run.
+ * Resolves to `{ level, error }`.
+ */
+async function writeBlock(req, connectionId = mongoService.getConnectionId(req)) {
+  const level = await levelOf(req, connectionId);
+  if (level !== "production" || elevation(req, connectionId)) return null;
+  return {
+    level,
+    error: "This is a production connection and is read-only. Enable writes for a while, with a reason, first.",
+  };
+}
+
+module.exports = {
+  levelOf,
+  needsTypedConfirmation,
+  elevation,
+  elevate,
+  endElevation,
+  describe,
+  readOnly,
+  breakGlass,
+  endBreakGlass,
+  describeReadOnly,
+  writeBlock,
+  protectionError,
+};
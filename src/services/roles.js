@@ -0,0 +1,163 @@
+const fs = require("fs");
+const fsp = require("fs/promises");
+const path = require("path");
+const config = require("../config");
+
+// Custom dashboard roles, stored next to users.json. A role is a list of
+// grants; each grant gives permissions on a namespace pattern:
+//
+//   { name: "orders-team", grants: [
+//       { ns: "orders.*",  permissions: ["read", "write"] },
+//       { ns: "billing.*", permissions: ["read"] },
+//   ] }
+//
+// `ns` is "<db>.<collection>" with `*` wildcards; "*" alone (or a bare db
+// name) covers every collection. Permissions such as shell or audit only
+// make sense on the global "*" namespace.
+
+const ROLES_PATH = path.resolve(
+  process.cwd(),
+  config.auth.rolesFile || "data/roles.json"
+);
+
+const PERMISSIONS = [
+  "read",
+  "write",
+  "indexAdmin",
+  "shell",
+  "audit",
+  "dbUserAdmin",
+  "userAdmin",
+  "approve",
+  "breakGlass",
+];
+const ROLE_NAME_PATTERN = /^[A-Za-z0-9._-]{1,64}$/;
+const NS_PATTERN = /^[^\s$]{1,200}$/;
+
+// Loaded synchronously once so permission checks can stay synchronous;
+// saveRole/deleteRole keep it in step with the file.
+let cache = null;
+
+function loadSync() {
+  try {
+    const parsed = JSON.parse(fs.readFileSync(ROLES_PATH, "utf8"));
+    return Array.isArray(parsed?.roles) ? parsed.roles : [];
+  } catch {
+    return [];
+  }
+}
+
+function all() {
+  if (!cache) cache = loadSync();
+  return cache;
+}
+
+async function persist(roles) {
+  await fsp.mkdir(path.dirname(ROLES_PATH), { recursive: true });
+  const tmp = `${ROLES_PATH}.${process.pid}.tmp`;
+  await fsp.writeFile(tmp, JSON.stringify({ version: 1, roles }, null, 2), "utf8");
+  await fsp.rename(tmp, ROLES_PATH);
+  cache = roles;
+}
+
+function roleError(message, status = 400) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+/** "orders" | "orders.*" | "orders.inv*" | "*" -> [dbPattern, collectionPattern] */
+function parseNamespace(ns) {
+  const value = String(ns || "*");
+  const dot = value.indexOf(".");
+  if (dot < 0) return [value, "*"];
+  return [value.slice(0, dot) || "*", value.slice(dot + 1) || "*"];
+}
+
+function globMatch(pattern, value) {
+  if (pattern === "*") return true;
+  if (value === undefined || value === null) return false;
+  const re = new RegExp(
+    "^" + pattern.split("*").map((p) => p.replace(/[.+?^${}()|[\]\\]/g, "\\$&")).join(".*") + "$"
+  );
+  return re.test(String(value));
+}
+
+/**
+ * Does `grant` apply to `scope`? No scope means a global check, which only
+ * a "*" grant satisfies. A db-only scope needs the grant to cover every
+ * collection in that db.
+ */
+function grantCovers(grant, scope) {
+  const [dbPattern, colPattern] = parseNamespace(grant.ns);
+  if (!scope || !scope.db) return dbPattern === "*" && colPattern === "*";
+  if (!globMatch(dbPattern, scope.db)) return false;
+  if (!scope.collection) return colPattern === "*";
+  return globMatch(colPattern, scope.collection);
+}
+
+/** Does `grant` reach anything inside `db` (for listing databases)? */
+function grantTouchesDb(grant, db) {
+  return globMatch(parseNamespace(grant.ns)[0], db);
+}
+
+function normalizeGrants(grants) {
+  if (!Array.isArray(grants) || !grants.length) {
+    throw roleError("A role needs at least one grant");
+  }
+  return grants.map((g) => {
+    const ns = typeof g?.ns === "string" && g.ns.trim() ? g.ns.trim() : "*";
+    if (!NS_PATTERN.test(ns)) throw roleError(`Invalid namespace pattern: ${ns}`);
+    if (!Array.isArray(g?.permissions) || !g.permissions.length) {
+      throw roleError(`Grant on ${ns} needs at least one permission`);
+    }
+    const unknown = g.permissions.filter((p) => !PERMISSIONS.includes(p));
+    if (unknown.length) throw roleError(`Unknown permission(s): ${unknown.join(", ")}`);
+    return { ns, permissions: [...new Set(g.permissions)] };
+  });
+}
+
+function listRoles() {
+  return all().map((r) => ({ ...r }));
+}
+
+function getRole(name) {
+  return all().find((r) => r.name === name) || null;
+}
+
+async function saveRole({ name, description = "", grants }, { reserved = [] } = {}) {
+  if (typeof name !== "string" || !ROLE_NAME_PATTERN.test(name)) {
+    throw roleError("Role name must be 1-64 characters: letters, digits, . _ -");
+  }
+  if (reserved.includes(name)) throw roleError(`${name} is a built-in role`, 409);
+  const role = {
+    name,
+    description: String(description || "").slice(0, 500),
+    grants: normalizeGrants(grants),
+    updatedAt: new Date().toISOString(),
+  };
+  const roles = loadSync();
+  const idx = roles.findIndex((r) => r.name === name);
+  if (idx >= 0) roles[idx] = { ...roles[idx], ...role };
+  else roles.push({ ...role, createdAt: role.updatedAt });
+  await persist(roles);
+  return getRole(name);
+}
+
+async function deleteRole(name) {
+  const roles = loadSync();
+  const next = roles.filter((r) => r.name !== name);
+  if (next.length === roles.length) throw roleError(`Role ${name} not found`, 404);
+  await persist(next);
+}
+
+module.exports = {
+  PERMISSIONS,
+  listRoles,
+  getRole,
+  saveRole,
+  deleteRole,
+  parseNamespace,
+  grantCovers,
+  grantTouchesDb,
+};
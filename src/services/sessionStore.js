@@ -0,0 +1,209 @@
+const crypto = require("crypto");
+const fs = require("fs/promises");
+const path = require("path");
+const session = require("express-session");
+const { MongoClient } = require("mongodb");
+const config = require("../config");
+const logger = require("../utils/logger");
+const { encrypt, decrypt } = require("../utils/secretBox");
+
+// express-session stores selected by SESSION_STORE:
+//
+//   memory   express-session's MemoryStore (sessions end on restart)
+//   file     one file per session under SESSION_STORE_DIR
+//   mongodb  a collection in SESSION_STORE_DB, shared by every replica
+//
+// Persisted sessions are encrypted with the secretBox key, since they can
+// hold pending 2FA enrollment secrets. Sessions that no longer decrypt
+// (the secret changed) are treated as missing.
+
+const PRUNE_INTERVAL_MS = 15 * 60 * 1000;
+
+/** Stable, non-secret handle for a session id (file names, admin views). */
+function sessionHandle(sid) {
+  return crypto.createHash("sha256").update(String(sid)).digest("hex").slice(0, 32);
+}
+
+function expiryOf(sess) {
+  const expires = sess?.cookie?.expires ? Date.parse(sess.cookie.expires) : NaN;
+  return Number.isFinite(expires) ? expires : Date.now() + config.auth.sessionMaxAgeMs;
+}
+
+function seal(sid, sess) {
+  return encrypt(JSON.stringify({ sid, sess }));
+}
+
+function unseal(payload) {
+  try {
+    return JSON.parse(decrypt(payload));
+  } catch {
+    return null;
+  }
+}
+
+// express-session calls stores with node-style callbacks.
+function callback(promise, cb) {
+  promise.then((value) => cb && cb(null, value), (err) => cb && cb(err));
+}
+
+class FileSessionStore extends session.Store {
+  constructor({ dir = config.sessionStore.dir } = {}) {
+    super();
+    this.dir = path.resolve(process.cwd(), dir);
+    this.pruneTimer = setInterval(() => this.prune().catch(() => {}), PRUNE_INTERVAL_MS);
+    this.pruneTimer.unref();
+  }
+
+  fileOf(sid) {
+    return path.join(this.dir, `${sessionHandle(sid)}.json`);
+  }
+
+  async read(file) {
+    let record;
+    try {
+      record = JSON.parse(await fs.readFile(file, "utf8"));
+    } catch {
+      return null;
+    }
+    if (!record || record.expires <= Date.now()) {
+      await fs.rm(file, { force: true });
+      return null;
+    }
+    return unseal(record.data);
+  }
+
+  get(sid, cb) {
+    callback(this.read(this.fileOf(sid)).then((r) => (r && r.sid === sid ? r.sess : null)), cb);
+  }
+
+  set(sid, sess, cb) {
+    callback((async () => {
+      await fs.mkdir(this.dir, { recursive: true, mode: 0o700 });
+      const file = this.fileOf(sid);
+      const tmp = `${file}.${process.pid}.tmp`;
+      const record = { expires: expiryOf(sess), data: seal(sid, sess) };
+      await fs.writeFile(tmp, JSON.stringify(record), { encoding: "utf8", mode: 0o600 });
+      await fs.rename(tmp, file);
+    })(), cb);
+  }
+
+  touch(sid, sess, cb) {
+    this.set(sid, sess, cb);
+  }
+
+  destroy(sid, cb) {
+    callback(fs.rm(this.fileOf(sid), { force: true }), cb);
+  }
+
+  async entries() {
+    let names;
+    try {
+      names = await fs.readdir(this.dir);
+    } catch (err) {
+      if (err.code === "ENOENT") return [];
+      throw err;
+    }
+    const out = [];
+    for (const name of names.filter((n) => n.endsWith(".json"))) {
+      const r = await this.read(path.join(this.dir, name));
+      if (r) out.push(r);
+    }
+    return out;
+  }
+
+  all(cb) {
+    callback(this.entries().then((list) => Object.fromEntries(list.map((r) => [r.sid, r.sess]))), cb);
+  }
+
+  async prune() {
+    await this.entries();
+  }
+
+  async close() {
+    clearInterval(this.pruneTimer);
+  }
+}
+
+class MongoSessionStore extends session.Store {
+  constructor({
+    uri = config.sessionStore.mongoUri,
+    dbName = config.sessionStore.db,
+    collection = config.sessionStore.collection,
+    client = null,
+  } = {}) {
+    super();
+    this.client = client || new MongoClient(uri, { maxPoolSize: 5, serverSelectionTimeoutMS: 10000 });
+    this.dbName = dbName;
+    this.collectionName = collection;
+    this.ready = null;
+  }
+
+  // Connect on first use and make sure expired sessions are removed by a
+  // TTL index, so no sweep is needed here.
+  collection() {
+    if (!this.ready) {
+      this.ready = (async () => {
+        await this.client.connect();
+        const coll = this.client.db(this.dbName).collection(this.collectionName);
+        await coll.createIndex({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+        return coll;
+      })();
+      this.ready.catch((err) => {
+        logger.error({ err }, "Session store connection failed");
+        this.ready = null;
+      });
+    }
+    return this.ready;
+  }
+
+  async find(filter) {
+    const coll = await this.collection();
+    const docs = await coll.find({ ...filter, expiresAt: { $gt: new Date() } }).toArray();
+    return docs.map((d) => unseal(d.data)).filter(Boolean);
+  }
+
+  get(sid, cb) {
+    callback(this.find({ _id: sessionHandle(sid) }).then(([r]) => (r && r.sid === sid ? r.sess : null)), cb);
+  }
+
+  set(sid, sess, cb) {
+    callback((async () => {
+      const coll = await this.collection();
+      await coll.updateOne(
+        { _id: sessionHandle(sid) },
+        { $set: { expiresAt: new Date(expiryOf(sess)), data: seal(sid, sess) } },
+        { upsert: true }
+      );
+    })(), cb);
+  }
+
+  touch(sid, sess, cb) {
+    this.set(sid, sess, cb);
+  }
+
+  destroy(sid, cb) {
+    callback(this.collection().then((coll) => coll.deleteOne({ _id: sessionHandle(sid) })), cb);
+  }
+
+  all(cb) {
+    callback(this.find({}).then((list) => Object.fromEntries(list.map((r) => [r.sid, r.sess]))), cb);
+  }
+
+  async close() {
+    await this.client.close();
+  }
+}
+
+/** The store configured by SESSION_STORE. */
+function createSessionStore(type = config.sessionStore.type) {
+  if (type === "file") return new FileSessionStore();
+  if (type === "mongodb") return new MongoSessionStore();
+  return new session.MemoryStore();
+}
+
+module.exports = {
+  FileSessionStore,
+  MongoSessionStore,
+  createSessionStore,
+  sessionHandle,
+};
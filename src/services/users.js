@@ -2,6 +2,9 @@ const fs = require("fs/promises");
 const path = require("path");
 const bcrypt = require("bcryptjs");
 const config = require("../config");
+const roles = require("./roles");
+const totp = require("../utils/totp");
+const { encrypt, decrypt } = require("../utils/secretBox");
 
 const USERS_PATH = path.resolve(
   process.cwd(),
@@ -11,9 +14,17 @@ const USERS_PATH = path.resolve(
 const ROLE_PERMISSIONS = {
   viewer: ["read"],
   editor: ["read", "write"],
-  admin: ["read", "write", "indexAdmin", "shell", "audit"],
+  admin: ["read", "write", "indexAdmin", "shell", "audit", "dbUserAdmin", "userAdmin", "approve", "breakGlass"],
 };
 
+const BUILTIN_ROLES = Object.keys(ROLE_PERMISSIONS);
+const USERNAME_PATTERN = /^[A-Za-z0-9._@-]{1,64}$/;
+const MIN_PASSWORD_LENGTH = 8;
+
+// username (lowercased) -> ms timestamp. Sessions that signed in before this
+// are no longer valid (account disabled, role changed, password reset).
+const revocations = new Map();
+
 async function ensureUsersFile() {
   try {
     await fs.access(USERS_PATH);
@@ -81,11 +92,212 @@ async function readUsers() {
   if (!parsed || !Array.isArray(parsed.users)) {
     return [];
   }
+  for (const u of parsed.users) {
+    if (u.sessionsRevokedAt) {
+      revocations.set(String(u.username).toLowerCase(), Date.parse(u.sessionsRevokedAt));
+    }
+  }
   return parsed.users;
 }
 
+async function writeUsers(users) {
+  // Write-then-rename so a crash never leaves a truncated users.json.
+  const tmp = `${USERS_PATH}.${process.pid}.tmp`;
+  await fs.writeFile(tmp, JSON.stringify({ version: 1, users }, null, 2), "utf8");
+  await fs.rename(tmp, USERS_PATH);
+}
+
+// Serialize read-modify-write cycles on the users file.
+let mutationQueue = Promise.resolve();
+function mutateUsers(fn) {
+  const run = mutationQueue.then(async () => {
+    const users = await readUsers();
+    const result = await fn(users);
+    await writeUsers(users);
+    return result;
+  });
+  mutationQueue = run.catch(() => {});
+  return run;
+}
+
+function userError(message, status = 400) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+function findIndex(users, username) {
+  const key = String(username || "").toLowerCase();
+  return users.findIndex((u) => String(u.username || "").toLowerCase() === key);
+}
+
+function toPublicUser(u) {
+  return {
+    username: u.username,
+    role: u.role || "viewer",
+    disabled: !!u.disabled,
+    twoFactor: !!u.totp,
+    createdAt: u.createdAt || null,
+    updatedAt: u.updatedAt || null,
+  };
+}
+
+function activeAdmins(users) {
+  return users.filter((u) => (u.role || "viewer") === "admin" && !u.disabled).length;
+}
+
+function validatePassword(password) {
+  if (typeof password !== "string" || password.length < MIN_PASSWORD_LENGTH) {
+    throw userError(`Password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+  }
+  if (password.length > 1024) throw userError("Password is too long");
+}
+
+function revokeSessions(user, at = new Date()) {
+  user.sessionsRevokedAt = at.toISOString();
+  revocations.set(String(user.username).toLowerCase(), at.getTime());
+}
+
+async function listUsers() {
+  const users = await readUsers();
+  return users.map(toPublicUser);
+}
+
+async function createUser({ username, password, role = "viewer" }) {
+  if (typeof username !== "string" || !USERNAME_PATTERN.test(username)) {
+    throw userError("Username must be 1-64 characters: letters, digits, . _ @ -");
+  }
+  if (!isValidRole(role)) throw userError(`Invalid role: ${role}`);
+  validatePassword(password);
+  const passwordHash = await bcrypt.hash(password, 12);
+  return mutateUsers((users) => {
+    if (findIndex(users, username) >= 0) {
+      throw userError(`User ${username} already exists`, 409);
+    }
+    const now = new Date().toISOString();
+    const user = { username, passwordHash, role, createdAt: now, updatedAt: now };
+    users.push(user);
+    return toPublicUser(user);
+  });
+}
+
+/**
+ * Change role and/or disabled flag. Refuses any change that would leave no
+ * enabled admin, since the UI is then the only way back in.
+ */
+async function updateUser(username, { role, disabled } = {}) {
+  if (role !== undefined && !isValidRole(role)) {
+    throw userError(`Invalid role: ${role}`);
+  }
+  return mutateUsers((users) => {
+    const idx = findIndex(users, username);
+    if (idx < 0) throw userError(`User ${username} not found`, 404);
+    const user = users[idx];
+    const before = toPublicUser(user);
+    const next = {
+      ...user,
+      role: role === undefined ? user.role : role,
+      disabled: disabled === undefined ? !!user.disabled : !!disabled,
+    };
+    const remaining = users.map((u, i) => (i === idx ? next : u));
+    if (activeAdmins(users) > 0 && activeAdmins(remaining) === 0) {
+      throw userError("Cannot remove or disable the last active admin", 409);
+    }
+    if (next.role !== before.role || next.disabled !== before.disabled) {
+      next.updatedAt = new Date().toISOString();
+      revokeSessions(next);
+    }
+    users[idx] = next;
+    return { before, after: toPublicUser(next) };
+  });
+}
+
+async function setPassword(username, password) {
+  validatePassword(password);
+  const passwordHash = await bcrypt.hash(password, 12);
+  return mutateUsers((users) => {
+    const idx = findIndex(users, username);
+    if (idx < 0) throw userError(`User ${username} not found`, 404);
+    users[idx].passwordHash = passwordHash;
+    users[idx].updatedAt = new Date().toISOString();
+    revokeSessions(users[idx]);
+    return toPublicUser(users[idx]);
+  });
+}
+
+/** Read users.json once so isSessionRevoked knows every revocation. */
+async function loadRevocations() {
+  await readUsers();
+}
+
+/** True when an account change since sign-in invalidated this session. */
+function isSessionRevoked(session) {
+  if (!session || !session.username) return false;
+  const at = revocations.get(String(session.username).toLowerCase());
+  return !!at && Number(session.loginAt || 0) < at;
+}
+
+function isValidRole(role) {
+  return BUILTIN_ROLES.includes(role) || !!roles.getRole(role);
+}
+
+/** Every role a user can be given: built-ins first, then custom roles. */
+function listRoleNames() {
+  return [...BUILTIN_ROLES, ...roles.listRoles().map((r) => r.name)];
+}
+
+/**
+ * Global permissions for a role. For a custom role that is only what its
+ * "*" grants give; scoped grants are checked per namespace by hasPermission.
+ */
 function resolvePermissions(role) {
-  return ROLE_PERMISSIONS[role] || ROLE_PERMISSIONS.viewer;
+  if (ROLE_PERMISSIONS[role]) return ROLE_PERMISSIONS[role];
+  const custom = roles.getRole(role);
+  if (!custom) return ROLE_PERMISSIONS.viewer;
+  return [
+    ...new Set(
+      custom.grants
+        .filter((g) => roles.grantCovers(g, null))
+        .flatMap((g) => g.permissions)
+    ),
+  ];
+}
+
+// Built-in roles are one global grant. Custom roles are resolved on every
+// check so editing a role applies to signed-in users straight away.
+function roleGrants(session) {
+  const role = session.role || "viewer";
+  if (!ROLE_PERMISSIONS[role]) {
+    const custom = roles.getRole(role);
+    if (custom) return custom.grants;
+  }
+  const permissions = Array.isArray(session.permissions)
+    ? session.permissions
+    : resolvePermissions(role);
+  return [{ ns: "*", permissions }];
+}
+
+// An API token narrows its owner's grants to the token's permissions.
+function sessionGrants(session) {
+  const grants = roleGrants(session);
+  if (!Array.isArray(session.tokenPermissions)) return grants;
+  return grants.map((g) => ({
+    ns: g.ns,
+    permissions: g.permissions.filter((p) => session.tokenPermissions.includes(p)),
+  }));
+}
+
+/** Every permission the session holds on at least one namespace. */
+function grantedPermissions(session) {
+  if (!session || !session.authenticated) return [];
+  return [...new Set(sessionGrants(session).flatMap((g) => g.permissions))];
+}
+
+/** The stored account for `username`, or null if there is none. */
+async function getUser(username) {
+  const users = await readUsers();
+  const idx = findIndex(users, username);
+  return idx < 0 ? null : toPublicUser(users[idx]);
 }
 
 async function verifyUser(username, password) {
@@ -93,27 +305,152 @@ async function verifyUser(username, password) {
   const user = users.find(
     (u) => String(u.username || "").toLowerCase() === String(username || "").toLowerCase()
   );
-  if (!user || !user.passwordHash) return null;
+  if (!user || !user.passwordHash || user.disabled) return null;
   const ok = await bcrypt.compare(password, user.passwordHash);
   if (!ok) return null;
   return {
     username: user.username,
     role: user.role || "viewer",
     permissions: resolvePermissions(user.role || "viewer"),
+    twoFactor: !!user.totp,
   };
 }
 
-function hasPermission(session, permission) {
+// ── Two-factor (TOTP) ─────────────────────────────────────────────────────
+// users.json keeps `totp: { secret (encrypted), enabledAt, lastStep }` and
+// `recoveryCodes: [sha256, …]`. lastStep stops a code being used twice.
+
+function requiresTwoFactor(role) {
+  return config.auth.requireTwoFactorForAdmin && role === "admin";
+}
+
+async function getTwoFactorStatus(username) {
+  const users = await readUsers();
+  const idx = findIndex(users, username);
+  if (idx < 0) return null;
+  const user = users[idx];
+  return {
+    enabled: !!user.totp,
+    enabledAt: user.totp?.enabledAt || null,
+    recoveryCodesLeft: Array.isArray(user.recoveryCodes) ? user.recoveryCodes.length : 0,
+    required: requiresTwoFactor(user.role || "viewer"),
+  };
+}
+
+function issueRecoveryCodes(user) {
+  const codes = totp.generateRecoveryCodes();
+  user.recoveryCodes = codes.map(totp.hashRecoveryCode);
+  return codes;
+}
+
+/**
+ * Turn on TOTP with a secret the user has just proven with `code`.
+ * Returns the plaintext recovery codes, which are never shown again.
+ */
+async function enableTwoFactor(username, secret, code) {
+  const step = totp.verifyCode(secret, code);
+  if (step === null) throw userError("That code is not valid. Check your device's clock and try again.");
+  return mutateUsers((users) => {
+    const idx = findIndex(users, username);
+    if (idx < 0) throw userError(`User ${username} not found`, 404);
+    const user = users[idx];
+    user.totp = { secret: encrypt(secret), enabledAt: new Date().toISOString(), lastStep: step };
+    user.updatedAt = user.totp.enabledAt;
+    return issueRecoveryCodes(user);
+  });
+}
+
+/**
+ * Check a TOTP or recovery code for `username`. Recovery codes are single
+ * use. Returns { method, recoveryCodesLeft } or null.
+ */
+async function verifySecondFactor(username, code) {
+  return mutateUsers((users) => {
+    const idx = findIndex(users, username);
+    if (idx < 0 || !users[idx].totp) return null;
+    const user = users[idx];
+    const step = totp.verifyCode(decrypt(user.totp.secret), code, {
+      afterStep: Number(user.totp.lastStep ?? -1),
+    });
+    if (step !== null) {
+      user.totp.lastStep = step;
+      return { method: "totp", recoveryCodesLeft: (user.recoveryCodes || []).length };
+    }
+    const hash = totp.hashRecoveryCode(code);
+    const codes = Array.isArray(user.recoveryCodes) ? user.recoveryCodes : [];
+    if (!codes.includes(hash)) return null;
+    user.recoveryCodes = codes.filter((h) => h !== hash);
+    return { method: "recovery", recoveryCodesLeft: user.recoveryCodes.length };
+  });
+}
+
+async function regenerateRecoveryCodes(username) {
+  return mutateUsers((users) => {
+    const idx = findIndex(users, username);
+    if (idx < 0) throw userError(`User ${username} not found`, 404);
+    if (!users[idx].totp) throw userError("Two-factor authentication is not enabled", 409);
+    return issueRecoveryCodes(users[idx]);
+  });
+}
+
+async function disableTwoFactor(username) {
+  return mutateUsers((users) => {
+    const idx = findIndex(users, username);
+    if (idx < 0) throw userError(`User ${username} not found`, 404);
+    const user = users[idx];
+    const wasEnabled = !!user.totp;
+    delete user.totp;
+    delete user.recoveryCodes;
+    if (wasEnabled) user.updatedAt = new Date().toISOString();
+    return wasEnabled;
+  });
+}
+
+/**
+ * Check `permission` for the session, optionally scoped to a namespace
+ * (`{ db, collection }` — route params can be passed straight in). Without
+ * a scope only a global grant counts.
+ */
+function hasPermission(session, permission, scope = null) {
   if (!session || !session.authenticated) return false;
-  const perms = Array.isArray(session.permissions)
-    ? session.permissions
-    : resolvePermissions(session.role || "viewer");
-  return perms.includes(permission);
+  return sessionGrants(session).some(
+    (g) => g.permissions.includes(permission) && roles.grantCovers(g, scope)
+  );
+}
+
+/** Whether any readable namespace lives in `db` (database listings). */
+function canSeeDatabase(session, db) {
+  if (!session || !session.authenticated) return false;
+  return sessionGrants(session).some(
+    (g) => g.permissions.includes("read") && roles.grantTouchesDb(g, db)
+  );
+}
+
+function canSeeCollection(session, db, collection) {
+  return hasPermission(session, "read", { db, collection });
 }
 
 module.exports = {
   verifyUser,
   hasPermission,
+  grantedPermissions,
+  canSeeDatabase,
+  canSeeCollection,
   resolvePermissions,
+  listRoleNames,
+  listUsers,
+  getUser,
+  createUser,
+  updateUser,
+  setPassword,
+  isSessionRevoked,
+  loadRevocations,
+  requiresTwoFactor,
+  getTwoFactorStatus,
+  enableTwoFactor,
+  verifySecondFactor,
+  regenerateRecoveryCodes,
+  disableTwoFactor,
   ROLE_PERMISSIONS,
+  BUILTIN_ROLES,
 };
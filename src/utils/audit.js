@@ -1,5 +1,7 @@
 const fs = require("fs");
 const path = require("path");
+const crypto = require("crypto");
+const readline = require("readline");
 
 const LOG_DIR = process.env.AUDIT_LOG_DIR || path.join(process.cwd(), "logs");
 const LOG_FILE = path.join(LOG_DIR, "audit.log");
@@ -8,21 +10,114 @@ const MAX_BYTES = parseInt(
   process.env.AUDIT_LOG_MAX_BYTES || String(10 * 1024 * 1024),
   10
 );
+const HMAC_SECRET = process.env.AUDIT_HMAC_SECRET || "";
+
+// Each line carries `seq`, the previous line's hash and its own:
+//   hash = sha256(JSON of the entry including seq and prevHash)
+//   hmac = HMAC-SHA256(AUDIT_HMAC_SECRET, hash)   (when a secret is set)
+// Editing, dropping or reordering a line breaks every link after it. The
+// hash alone can be recomputed by whoever edits the file; the HMAC cannot
+// without the secret. One process should own a log directory, otherwise
+// two writers fork the chain.
+const GENESIS = "0".repeat(64);
 
 let stream = null;
+let bytes = 0;
+let chain = null;
+// Lines handed to a stream but not yet written, and flush() callers
+// waiting for that to reach zero.
+let pending = 0;
+let drained = [];
+// Extra destinations (syslog, webhook, MongoDB…): objects with a
+// non-blocking `write(entry)` and an optional async `close()`.
+const sinks = [];
+
+const sha256 = (s) => crypto.createHash("sha256").update(s).digest("hex");
+const sign = (hash, secret) =>
+  crypto.createHmac("sha256", secret).update(hash).digest("hex");
+
+/** Rotated files oldest first, then the live file. */
+function logFiles(dir = LOG_DIR) {
+  let names;
+  try {
+    names = fs.readdirSync(dir);
+  } catch {
+    return [];
+  }
+  const rotated = names
+    .map((name) => ({ name, ts: Number(name.match(/^audit\.log\.(\d+)$/)?.[1]) }))
+    .filter((f) => f.ts)
+    .sort((a, b) => a.ts - b.ts)
+    .map((f) => f.name);
+  if (names.includes("audit.log")) rotated.push("audit.log");
+  return rotated.map((name) => path.join(dir, name));
+}
+
+/** Last non-empty line of a file, reading backwards from the end. */
+function lastLine(file) {
+  const fd = fs.openSync(file, "r");
+  try {
+    const { size } = fs.fstatSync(fd);
+    let chunk = 64 * 1024;
+    for (;;) {
+      const start = Math.max(0, size - chunk);
+      const buf = Buffer.alloc(size - start);
+      fs.readSync(fd, buf, 0, buf.length, start);
+      const lines = buf.toString("utf8").split("\n").filter((l) => l.trim());
+      // Unless we read from the start, the first line may be cut off.
+      if (start === 0 || lines.length > 1) {
+        return lines.length ? lines[lines.length - 1] : null;
+      }
+      chunk *= 4;
+    }
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+/** Pick the chain up where the newest entry on disk left it. */
+function loadChain() {
+  for (const file of logFiles().reverse()) {
+    try {
+      const line = lastLine(file);
+      if (!line) continue;
+      const last = JSON.parse(line);
+      if (typeof last.hash === "string" && Number.isInteger(last.seq)) {
+        return { seq: last.seq, hash: last.hash };
+      }
+      break; // newest entry predates chaining: start a fresh chain
+    } catch {
+      break;
+    }
+  }
+  return { seq: 0, hash: GENESIS };
+}
+
+function rotate() {
+  if (stream) {
+    // Writes still queued on the old stream land in the renamed file.
+    stream.end();
+    stream = null;
+  }
+  let target = LOG_FILE + "." + Date.now();
+  while (fs.existsSync(target)) target = LOG_FILE + "." + (Number(target.split(".").pop()) + 1);
+  fs.renameSync(LOG_FILE, target);
+}
 
 function ensureStream() {
   if (!ENABLED) return null;
   if (stream) return stream;
   try {
     fs.mkdirSync(LOG_DIR, { recursive: true });
+    if (!chain) chain = loadChain();
+    bytes = 0;
     if (fs.existsSync(LOG_FILE)) {
       const { size } = fs.statSync(LOG_FILE);
-      if (size > MAX_BYTES) {
-        fs.renameSync(LOG_FILE, LOG_FILE + "." + Date.now());
-      }
+      if (size > MAX_BYTES) rotate();
+      else bytes = size;
     }
-    stream = fs.createWriteStream(LOG_FILE, { flags: "a" });
+    // Open synchronously so a rotation right after this still finds the file.
+    stream = fs.createWriteStream(null, { fd: fs.openSync(LOG_FILE, "a") });
     stream.on("error", () => {
       stream = null;
     });
@@ -35,37 +130,269 @@ function ensureStream() {
 
 function log(entry) {
   if (!ENABLED) return;
-  const s = ensureStream();
-  if (!s) return;
   try {
+    if (stream && bytes > MAX_BYTES) rotate();
+    const s = ensureStream();
+    if (!s) return;
+    const record = {
+      ts: new Date().toISOString(),
+      ...entry,
+      seq: chain.seq + 1,
+      prevHash: chain.hash,
+    };
+    const hash = sha256(JSON.stringify(record));
     const line =
-      JSON.stringify({ ts: new Date().toISOString(), ...entry }) + "\n";
-    s.write(line);
+      JSON.stringify({
+        ...record,
+        hash,
+        ...(HMAC_SECRET ? { hmac: sign(hash, HMAC_SECRET) } : {}),
+      }) + "\n";
+    chain = { seq: record.seq, hash };
+    bytes += Buffer.byteLength(line);
+    pending += 1;
+    s.write(line, () => {
+      pending -= 1;
+      if (!pending) drained.splice(0).forEach((resolve) => resolve());
+    });
+    const shipped = sinks.length ? JSON.parse(line) : null;
+    for (const sink of sinks) {
+      try {
+        sink.write(shipped);
+      } catch (_) {
+        /* a broken sink must not affect the others */
+      }
+    }
   } catch (_) {
     /* ignore */
   }
 }
 
-module.exports = { log };
-async function readRecent(limit = 500) {
-  const fsPromises = require("fs/promises");
+/** Resolves once every entry logged so far is written to the file. */
+function flush() {
+  return pending ? new Promise((resolve) => drained.push(resolve)) : Promise.resolve();
+}
+
+function addSink(sink) {
+  sinks.push(sink);
+}
+
+/** Flush and close every sink (on shutdown). */
+async function closeSinks() {
+  await Promise.allSettled(sinks.splice(0).map((sink) => sink.close?.()));
+}
+
+const FILTER_KEYS = ["event", "username", "role", "ip", "db", "collection", "documentId", "from", "to"];
+
+/**
+ * Normalize query-string filters. `event` takes a comma-separated list;
+ * `from`/`to` take anything Date.parse accepts. Throws a 400 on bad input.
+ */
+function parseFilters(query = {}) {
+  const filters = {};
+  for (const key of FILTER_KEYS) {
+    const value = typeof query[key] === "string" ? query[key].trim() : "";
+    if (!value) continue;
+    if (key === "from" || key === "to") {
+      const ms = Date.parse(value);
+      if (Number.isNaN(ms)) {
+        const err = new Error(`Invalid '${key}' date`);
+        err.status = 400;
+        throw err;
+      }
+      filters[key] = ms;
+    } else if (key === "event") {
+      filters.event = new Set(value.split(",").map((e) => e.trim()).filter(Boolean));
+    } else {
+      filters[key] = key === "username" ? value.toLowerCase() : value;
+    }
+  }
+  return filters;
+}
+
+// Single-document writes carry `documentId`; bulk ones `documents[]._id`
+// in extended JSON.
+function touchesDocument(entry, id) {
+  if (entry.documentId === id) return true;
+  return Array.isArray(entry.documents) &&
+    entry.documents.some((d) => d._id === id || d._id?.$oid === id);
+}
+
+function matches(entry, f) {
+  if (f.event && !f.event.has(entry.event)) return false;
+  if (f.username && String(entry.username || "").toLowerCase() !== f.username) return false;
+  if (f.role && entry.role !== f.role) return false;
+  if (f.ip && entry.ip !== f.ip) return false;
+  if (f.db && entry.db !== f.db) return false;
+  if (f.collection && (entry.collection ?? entry.colName) !== f.collection) return false;
+  if (f.documentId && !touchesDocument(entry, f.documentId)) return false;
+  const ts = Date.parse(entry.ts);
+  if (f.to != null && !(ts <= f.to)) return false;
+  return true;
+}
+
+// Cursors point at the last entry of a page: `seq` plus a hash prefix for
+// chained entries, file + line for legacy ones. The seq form survives the
+// live file being rotated between pages.
+const encodeCursor = (c) => Buffer.from(JSON.stringify(c)).toString("base64url");
+
+function decodeCursor(cursor) {
   try {
-    const raw = await fsPromises.readFile(LOG_FILE, "utf8");
-    const lines = raw.trim().split("\n").filter(Boolean);
-    const tail = lines.slice(Math.max(0, lines.length - Math.max(1, limit)));
-    return tail
-      .map((line) => {
-        try {
-          return JSON.parse(line);
-        } catch {
-          return null;
-        }
-      })
-      .filter(Boolean)
-      .reverse();
+    const c = JSON.parse(Buffer.from(String(cursor), "base64url").toString("utf8"));
+    if ((Number.isInteger(c.s) && typeof c.h === "string") || (typeof c.f === "string" && Number.isInteger(c.l))) {
+      return c;
+    }
   } catch {
-    return [];
+    /* fall through */
+  }
+  const err = new Error("Invalid cursor");
+  err.status = 400;
+  throw err;
+}
+
+/**
+ * Entries matching `filters`, newest first across the live log and every
+ * rotated file, each with the cursor that resumes after it.
+ */
+async function* scan({ filters = {}, cursor = null, dir = LOG_DIR } = {}) {
+  const after = cursor ? decodeCursor(cursor) : null;
+  let skipping = !!after;
+  const files = logFiles(dir).reverse();
+  for (const file of files) {
+    const name = path.basename(file);
+    if (after?.f && skipping && name !== after.f) continue;
+    let raw;
+    try {
+      raw = await fs.promises.readFile(file, "utf8");
+    } catch {
+      continue;
+    }
+    const lines = raw.split("\n");
+    for (let i = lines.length - 1; i >= 0; i--) {
+      if (!lines[i].trim()) continue;
+      let entry;
+      try {
+        entry = JSON.parse(lines[i]);
+      } catch {
+        continue;
+      }
+      const here = typeof entry.hash === "string" && Number.isInteger(entry.seq)
+        ? { s: entry.seq, h: entry.hash.slice(0, 16) }
+        : { f: name, l: i + 1 };
+      if (skipping) {
+        if (after.f ? i + 1 === after.l : here.s === after.s && here.h === after.h) skipping = false;
+        continue;
+      }
+      // Entries are appended in time order, so nothing older can match.
+      if (filters.from != null && Date.parse(entry.ts) < filters.from) return;
+      if (matches(entry, filters)) yield { entry, cursor: encodeCursor(here) };
+    }
+  }
+}
+
+/** The newest `limit` entries, across rotations. */
+async function readRecent(limit = 500) {
+  return (await search({ limit: Math.max(1, limit) })).entries;
+}
+
+/** One page of matching entries plus `nextCursor` (null on the last page). */
+async function search({ filters = {}, cursor = null, limit = 100 } = {}) {
+  const entries = [];
+  let last = null;
+  for await (const hit of scan({ filters, cursor })) {
+    // A hit past the page means there is a next page.
+    if (entries.length === limit) return { entries, nextCursor: last };
+    entries.push(hit.entry);
+    last = hit.cursor;
+  }
+  return { entries, nextCursor: null };
+}
+
+/**
+ * Walk the chain through every rotated file and the live log. Lines written
+ * before chaining was introduced are counted as `legacy` and skipped. If the
+ * oldest files were pruned the chain starts at `firstSeq` > 1. Returns the
+ * first broken link as `broken: { file, line, seq, reason }`.
+ */
+async function verify({ dir = LOG_DIR, secret = HMAC_SECRET } = {}) {
+  const result = {
+    ok: true,
+    files: [],
+    entries: 0,
+    legacy: 0,
+    firstSeq: null,
+    lastSeq: null,
+    lastHash: null,
+    hmac: secret ? "verified" : "unchecked",
+    broken: null,
+  };
+  let prev = null;
+
+  for (const file of logFiles(dir)) {
+    result.files.push(path.basename(file));
+    const input = fs.createReadStream(file, "utf8");
+    const rl = readline.createInterface({ input, crlfDelay: Infinity });
+    let lineNo = 0;
+    for await (const line of rl) {
+      lineNo += 1;
+      if (!line.trim()) continue;
+      const fail = (reason, seq = null) => {
+        result.ok = false;
+        result.broken = { file: path.basename(file), line: lineNo, seq, reason };
+      };
+      let parsed;
+      try {
+        parsed = JSON.parse(line);
+      } catch {
+        fail("unparseable line");
+      }
+      if (!result.broken) {
+        const { hash, hmac, ...record } = parsed;
+        if (typeof hash !== "string") {
+          if (prev) fail("entry has no hash");
+          else result.legacy += 1;
+        } else if (!Number.isInteger(record.seq)) {
+          fail("entry has no seq");
+        } else if (prev && record.seq !== prev.seq + 1) {
+          fail(`expected seq ${prev.seq + 1}`, record.seq);
+        } else if (prev ? record.prevHash !== prev.hash : record.seq === 1 && record.prevHash !== GENESIS) {
+          fail("prevHash does not match the previous entry", record.seq);
+        } else if (sha256(JSON.stringify(record)) !== hash) {
+          fail("hash does not match the entry", record.seq);
+        } else if (secret && !hmac) {
+          // Otherwise stripping every HMAC and recomputing the plain
+          // hashes would verify.
+          fail("HMAC missing", record.seq);
+        } else if (secret && sign(hash, secret) !== hmac) {
+          fail("HMAC mismatch", record.seq);
+        } else {
+          if (!prev) result.firstSeq = record.seq;
+          prev = { seq: record.seq, hash };
+          result.entries += 1;
+        }
+      }
+      if (result.broken) {
+        input.destroy();
+        break;
+      }
+    }
+    if (result.broken) break;
+  }
+
+  if (prev) {
+    result.lastSeq = prev.seq;
+    result.lastHash = prev.hash;
   }
+  return result;
 }
 
-module.exports = { log, readRecent };
+module.exports = {
+  log,
+  readRecent,
+  verify,
+  parseFilters,
+  scan,
+  search,
+  flush,
+  addSink,
+  closeSinks,
+};
@@ -0,0 +1,118 @@
+const config = require("../config");
+const { serializeDocument } = require("./bson");
+
+// Before/after document images for audited writes, so the trail can answer
+// "who changed this and what was it before". Images are extended JSON (the
+// same shape the document API returns), redacted per AUDIT_REDACT_FIELDS and
+// capped at AUDIT_SNAPSHOT_MAX_BYTES each.
+
+const REDACTED = "[REDACTED]";
+
+const enabled = () => config.auditSnapshots.mode !== "off";
+
+function isPlainObject(v) {
+  return !!v && typeof v === "object" && !Array.isArray(v);
+}
+
+// { $oid }, { $date }, { $binary, $type }… are values, not sub-documents.
+function isWrappedValue(v) {
+  const keys = Object.keys(v);
+  return keys.length > 0 && keys.every((k) => k.startsWith("$"));
+}
+
+function globSegment(pattern, segment) {
+  return pattern === "*" || pattern.toLowerCase() === segment.toLowerCase();
+}
+
+function isRedacted(path, rules) {
+  return rules.some((rule) => {
+    if (!rule.includes(".")) return globSegment(rule, path[path.length - 1]);
+    const parts = rule.split(".");
+    return parts.length === path.length && parts.every((p, i) => globSegment(p, path[i]));
+  });
+}
+
+/** Copy of a serialized document with redacted fields replaced. */
+function redact(value, rules = config.auditSnapshots.redact, path = []) {
+  if (Array.isArray(value)) return value.map((v) => redact(v, rules, path));
+  if (!isPlainObject(value) || isWrappedValue(value)) return value;
+  const out = {};
+  for (const [key, v] of Object.entries(value)) {
+    const at = [...path, key];
+    out[key] = rules.length && isRedacted(at, rules) ? REDACTED : redact(v, rules, at);
+  }
+  return out;
+}
+
+/**
+ * Changed leaf paths between two serialized documents, as
+ * `{ path, before, after }`; a missing side means the field was added or
+ * removed. Arrays compare as whole values.
+ */
+function diffDocuments(before = {}, after = {}, prefix = "") {
+  const changes = [];
+  const keys = [...new Set([...Object.keys(before), ...Object.keys(after)])];
+  for (const key of keys) {
+    const path = prefix ? `${prefix}.${key}` : key;
+    const a = before[key];
+    const b = after[key];
+    if (isPlainObject(a) && isPlainObject(b) && !isWrappedValue(a) && !isWrappedValue(b)) {
+      changes.push(...diffDocuments(a, b, path));
+    } else if (JSON.stringify(a) !== JSON.stringify(b)) {
+      changes.push({
+        path,
+        ...(key in before ? { before: a } : {}),
+        ...(key in after ? { after: b } : {}),
+      });
+    }
+  }
+  return changes;
+}
+
+function cap(value) {
+  const bytes = Buffer.byteLength(JSON.stringify(value));
+  return bytes > config.auditSnapshots.maxBytes ? { truncated: true, bytes } : value;
+}
+
+function images(before, after) {
+  const pre = before ? redact(serializeDocument(before)) : undefined;
+  const post = after ? redact(serializeDocument(after)) : undefined;
+  if (config.auditSnapshots.mode === "full" || !pre || !post) {
+    return {
+      ...(pre ? { before: cap(pre) } : {}),
+      ...(post ? { after: cap(post) } : {}),
+    };
+  }
+  return { changes: cap(diffDocuments(pre, post)) };
+}
+
+/** Audit fields for a single-document write (no `after` for deletes). */
+function describeChange({ documentId, before = null, after = null }) {
+  if (!enabled() || !before) return { documentId };
+  return { documentId, ...images(before, after) };
+}
+
+/**
+ * Audit fields for a bulk write: the first AUDIT_SNAPSHOT_MAX_DOCS of the
+ * `{ before, after }` pairs; `matched` is how many documents it touched.
+ */
+function describeBulk({ pairs = [], matched = pairs.length }) {
+  if (!enabled()) return {};
+  const shown = pairs.slice(0, config.auditSnapshots.maxDocs);
+  return {
+    documents: shown.map(({ before, after }) => ({
+      _id: serializeDocument(before._id),
+      ...images(before, after),
+    })),
+    ...(matched > shown.length ? { snapshotsTruncated: true } : {}),
+  };
+}
+
+module.exports = {
+  REDACTED,
+  enabled,
+  redact,
+  diffDocuments,
+  describeChange,
+  describeBulk,
+};
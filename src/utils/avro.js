@@ -0,0 +1,220 @@
+const crypto = require("crypto");
+const zlib = require("zlib");
+const { promisify } = require("util");
+const {
+  DECIMAL_PRECISION,
+  converter,
+  isRecordValue,
+  twosComplement,
+  createByteWriter,
+  createOutput,
+} = require("./columnar");
+
+// Writes Avro object container files: the schema in the header, then
+// deflated blocks of binary-encoded records, each closed by the file's
+// sync marker. Every field is a union with null.
+
+const deflateRaw = promisify(zlib.deflateRaw);
+
+const MAGIC = Buffer.from([0x4f, 0x62, 0x6a, 0x01]);
+const BLOCK_BYTES = 1024 * 1024;
+const BLOCK_ROWS = 50000;
+
+// Avro names are [A-Za-z_][A-Za-z0-9_]*; MongoDB field names are not.
+function avroName(name) {
+  const clean = String(name).replace(/[^A-Za-z0-9_]/g, "_");
+  return /^[A-Za-z_]/.test(clean) ? clean : `_${clean}`;
+}
+
+function uniqueName(name, used) {
+  let candidate = name;
+  for (let i = 2; used.has(candidate); i++) candidate = `${name}_${i}`;
+  used.add(candidate);
+  return candidate;
+}
+
+/**
+ * The Avro schema for `columns` as a record called `name`. Fields renamed
+ * to fit Avro keep their MongoDB name in `doc`.
+ */
+function buildSchema(columns, name) {
+  const typeNames = new Set();
+
+  function typeOf(column, path) {
+    switch (column.type) {
+      case "string":
+      case "json":
+        return "string";
+      case "int":
+      case "long":
+      case "double":
+      case "boolean":
+        return column.type;
+      case "binary":
+        return "bytes";
+      case "date":
+        return { type: "long", logicalType: "timestamp-millis" };
+      case "decimal":
+        return { type: "bytes", logicalType: "decimal", precision: DECIMAL_PRECISION, scale: column.scale };
+      case "list":
+        return { type: "array", items: ["null", typeOf(column.items, `${path}_element`)] };
+      case "record":
+        return record(column.fields, path);
+      default:
+        throw new Error(`Unknown column type: ${column.type}`);
+    }
+  }
+
+  function record(fields, path) {
+    const used = new Set();
+    return {
+      type: "record",
+      name: uniqueName(path, typeNames),
+      fields: fields.map((column) => {
+        const field = { name: uniqueName(avroName(column.name), used) };
+        if (field.name !== column.name) field.doc = column.name;
+        field.type = ["null", typeOf(column, `${path}_${field.name}`)];
+        field.default = null;
+        return field;
+      }),
+    };
+  }
+
+  return record(columns, avroName(name));
+}
+
+// Encoders write the union branch (0 for null, 1 as a zigzag 2) and then
+// the value.
+function recordEncoder(columns) {
+  const fields = columns.map((column) => ({ name: column.name, encode: encoderFor(column) }));
+  return (w, doc) => {
+    for (const field of fields) field.encode(w, doc[field.name]);
+  };
+}
+
+function encoderFor(column) {
+  if (column.type === "record") {
+    const encode = recordEncoder(column.fields);
+    return (w, value) => {
+      if (!isRecordValue(value)) return w.byte(0);
+      w.byte(2);
+      encode(w, value);
+    };
+  }
+  if (column.type === "list") {
+    const item = encoderFor(column.items);
+    return (w, value) => {
+      if (!Array.isArray(value)) return w.byte(0);
+      w.byte(2);
+      if (value.length) {
+        w.zigzag(value.length);
+        for (const v of value) item(w, v);
+      }
+      w.byte(0);
+    };
+  }
+  const convert = converter(column);
+  const write = scalarWriter(column);
+  return (w, value) => {
+    const converted = value === null || value === undefined ? undefined : convert(value);
+    if (converted === undefined) return w.byte(0);
+    w.byte(2);
+    write(w, converted);
+  };
+}
+
+function scalarWriter(column) {
+  switch (column.type) {
+    case "string":
+    case "json":
+    case "binary":
+      return (w, value) => {
+        const bytes = typeof value === "string" ? Buffer.from(value, "utf8") : value;
+        w.zigzag(bytes.length);
+        w.bytes(bytes);
+      };
+    case "int":
+    case "long":
+    case "date":
+      return (w, value) => w.zigzag(value);
+    case "double":
+      return (w, value) => w.double(value);
+    case "boolean":
+      return (w, value) => w.byte(value ? 1 : 0);
+    case "decimal":
+      return (w, value) => {
+        const bytes = twosComplement(value, 1);
+        w.zigzag(bytes.length);
+        w.bytes(bytes);
+      };
+    default:
+      throw new Error(`Unknown column type: ${column.type}`);
+  }
+}
+
+/**
+ * Write an Avro file to the writable `out`, a block at a time, for
+ * documents shaped by `columns` (see ./columnar). `name` names the
+ * top-level record. `out` is left open.
+ *
+ *   const file = createAvroWriter(res, { columns, name: "orders" });
+ *   for await (const doc of cursor) await file.addRow(doc);
+ *   await file.end();
+ */
+function createAvroWriter(out, { columns, name, blockRows = BLOCK_ROWS, blockBytes = BLOCK_BYTES }) {
+  const output = createOutput(out);
+  const schema = buildSchema(columns, name);
+  const encode = recordEncoder(columns);
+  const sync = crypto.randomBytes(16);
+  const block = createByteWriter(blockBytes + 64 * 1024);
+  let started = false;
+  let rows = 0;
+
+  async function start() {
+    if (started) return;
+    started = true;
+    const header = createByteWriter(1024);
+    header.bytes(MAGIC);
+    const meta = { "avro.schema": JSON.stringify(schema), "avro.codec": "deflate" };
+    header.zigzag(Object.keys(meta).length);
+    for (const [key, value] of Object.entries(meta)) {
+      for (const text of [key, value]) {
+        const bytes = Buffer.from(text, "utf8");
+        header.zigzag(bytes.length);
+        header.bytes(bytes);
+      }
+    }
+    header.byte(0);
+    header.bytes(sync);
+    await output.write(header.take());
+  }
+
+  async function flush() {
+    if (!rows) return;
+    const data = await deflateRaw(block.take());
+    const head = createByteWriter(32);
+    head.zigzag(rows);
+    head.zigzag(data.length);
+    rows = 0;
+    await output.write(Buffer.concat([head.take(), data, sync]));
+  }
+
+  return {
+    schema,
+    async addRow(doc) {
+      await start();
+      encode(block, doc);
+      rows++;
+      if (rows >= blockRows || block.length >= blockBytes) await flush();
+    },
+    async end() {
+      await start();
+      await flush();
+    },
+  };
+}
+
+module.exports = {
+  createAvroWriter,
+  avroName,
+};
@@ -0,0 +1,102 @@
+// Minimal ASN.1 BER encoding/decoding — just the definite-length subset
+// LDAPv3 (RFC 4511) uses.
+
+const TAG = {
+  BOOLEAN: 0x01,
+  INTEGER: 0x02,
+  OCTET_STRING: 0x04,
+  NULL: 0x05,
+  ENUMERATED: 0x0a,
+  SEQUENCE: 0x30,
+  SET: 0x31,
+};
+
+function encodeLength(n) {
+  if (n < 0x80) return Buffer.from([n]);
+  const bytes = [];
+  for (let v = n; v > 0; v = Math.floor(v / 256)) bytes.unshift(v & 0xff);
+  return Buffer.from([0x80 | bytes.length, ...bytes]);
+}
+
+/** One TLV. `content` is a Buffer, a string, or an array of encoded TLVs. */
+function tlv(tag, content = Buffer.alloc(0)) {
+  const body = Array.isArray(content)
+    ? Buffer.concat(content)
+    : Buffer.isBuffer(content)
+      ? content
+      : Buffer.from(String(content), "utf8");
+  return Buffer.concat([Buffer.from([tag]), encodeLength(body.length), body]);
+}
+
+function encodeInteger(n, tag = TAG.INTEGER) {
+  const bytes = [];
+  let v = n;
+  do {
+    bytes.unshift(v & 0xff);
+    v >>= 8;
+  } while (v !== 0 && v !== -1);
+  // Keep the sign bit right: 128 needs a leading 0x00.
+  if (n >= 0 && bytes[0] & 0x80) bytes.unshift(0);
+  if (n < 0 && !(bytes[0] & 0x80)) bytes.unshift(0xff);
+  return tlv(tag, Buffer.from(bytes));
+}
+
+const octetString = (s, tag = TAG.OCTET_STRING) => tlv(tag, Buffer.isBuffer(s) ? s : Buffer.from(String(s), "utf8"));
+const boolean = (b) => tlv(TAG.BOOLEAN, Buffer.from([b ? 0xff : 0]));
+const enumerated = (n) => encodeInteger(n, TAG.ENUMERATED);
+const sequence = (items, tag = TAG.SEQUENCE) => tlv(tag, items);
+
+/**
+ * Read one TLV at `offset`. Returns `{ tag, value, end }`, or null when the
+ * buffer does not hold the whole element yet.
+ */
+function readElement(buf, offset = 0) {
+  if (buf.length < offset + 2) return null;
+  const tag = buf[offset];
+  let len = buf[offset + 1];
+  let pos = offset + 2;
+  if (len & 0x80) {
+    const count = len & 0x7f;
+    if (count === 0 || count > 4) throw new Error("Unsupported BER length");
+    if (buf.length < pos + count) return null;
+    len = 0;
+    for (let i = 0; i < count; i++) len = len * 256 + buf[pos + i];
+    pos += count;
+  }
+  if (buf.length < pos + len) return null;
+  return { tag, value: buf.subarray(pos, pos + len), end: pos + len };
+}
+
+/** The elements inside a constructed element's value. */
+function children(value) {
+  const out = [];
+  let offset = 0;
+  while (offset < value.length) {
+    const el = readElement(value, offset);
+    if (!el) throw new Error("Truncated BER element");
+    out.push(el);
+    offset = el.end;
+  }
+  return out;
+}
+
+function decodeInteger(value) {
+  if (!value.length) return 0;
+  const negative = value[0] & 0x80;
+  let n = 0;
+  for (const byte of value) n = n * 256 + (negative ? byte ^ 0xff : byte);
+  return negative ? -(n + 1) : n;
+}
+
+module.exports = {
+  TAG,
+  tlv,
+  encodeInteger,
+  octetString,
+  boolean,
+  enumerated,
+  sequence,
+  readElement,
+  children,
+  decodeInteger,
+};
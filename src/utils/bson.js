@@ -1,4 +1,4 @@
-const { ObjectId, Binary, Decimal128, Long, Timestamp } = require("mongodb");
+const { ObjectId, Binary, Decimal128, Double, Int32, Long, Timestamp } = require("mongodb");
 
 /**
  * Serialize a MongoDB document for JSON transmission
@@ -32,12 +32,18 @@ function serializeDocument(doc) {
     return { $numberDecimal: doc.toString() };
   }
 
+  // Timestamp extends Long, so it goes first
+  if (doc instanceof Timestamp) {
+    return { $timestamp: { t: doc.high, i: doc.low } };
+  }
+
   if (doc instanceof Long) {
     return { $numberLong: doc.toString() };
   }
 
-  if (doc instanceof Timestamp) {
-    return { $timestamp: { t: doc.high, i: doc.low } };
+  // Read with promoteValues: false, plain numbers arrive wrapped
+  if (doc instanceof Int32 || doc instanceof Double) {
+    return doc.valueOf();
   }
 
   if (typeof doc === "object") {
@@ -0,0 +1,409 @@
+const { serializeDocument } = require("./bson");
+
+// What the Parquet and Avro exports share: the column tree a collection is
+// written as, how BSON values fit each column, and byte-level helpers.
+//
+// A column is { name, type } where type is one of
+//
+//   string   UTF-8 text; ObjectIds are written as their hex string
+//   json     any value as Extended JSON text, for fields of mixed types
+//   int      32-bit integer
+//   long     64-bit integer
+//   double   64-bit float
+//   decimal  fixed point with `scale` digits after the point, 38 in all
+//   boolean
+//   date     milliseconds since the epoch, UTC
+//   binary   raw bytes
+//   record   a nested document, with `fields` (columns)
+//   list     an array, with `items` (a column named "element")
+//
+// Every column is nullable. A value that does not fit its column (a string
+// in an int column, a fraction in a long one) is written as null.
+
+const DECIMAL_PRECISION = 38;
+const DEFAULT_DECIMAL_SCALE = 6;
+const DECIMAL_LIMIT = 10n ** BigInt(DECIMAL_PRECISION);
+const MAX_DEPTH = 32;
+const MAX_COLUMNS = 2000;
+const INT32_MIN = -(2 ** 31);
+const INT32_MAX = 2 ** 31 - 1;
+const INT64_MIN = -(2n ** 63n);
+const INT64_MAX = 2n ** 63n - 1n;
+const DECIMAL_TEXT_RE = /^([+-]?)(\d*)(?:\.(\d*))?(?:[eE]([+-]?\d+))?$/;
+
+// inferSchema's BSON types, by the column they are written as. Anything
+// not listed (timestamps, regexes, code, ...) is written as JSON.
+const KIND_TYPES = {
+  string: "string",
+  enum: "string",
+  objectId: "string",
+  int: "int",
+  long: "long",
+  double: "double",
+  number: "double",
+  decimal: "decimal",
+  boolean: "boolean",
+  date: "date",
+  binary: "binary",
+  json: "json",
+};
+const NUMBER_KINDS = new Set(["int", "long", "double"]);
+
+function schemaError(message) {
+  const err = new Error(message);
+  err.status = 400;
+  return err;
+}
+
+/** A plain nested document, as opposed to an array, a Date or a BSON value. */
+function isRecordValue(value) {
+  return (
+    value !== null &&
+    typeof value === "object" &&
+    !Array.isArray(value) &&
+    !(value instanceof Date) &&
+    !(value instanceof RegExp) &&
+    !(value instanceof Uint8Array) &&
+    !value._bsontype
+  );
+}
+
+function numberColumn(kinds) {
+  if (kinds.includes("double")) return "double";
+  return kinds.includes("long") ? "long" : "int";
+}
+
+function inferredColumn(name, field, depth) {
+  const kinds = field.types || [];
+  if (field.fields && kinds.every((k) => k === "object") && depth < MAX_DEPTH) {
+    const fields = inferredColumns(field.fields, depth + 1);
+    if (fields.length) return { name, type: "record", fields };
+  }
+  if (!kinds.length) return { name, type: "string" };
+  if (kinds.length > 1) {
+    return { name, type: kinds.every((k) => NUMBER_KINDS.has(k)) ? numberColumn(kinds) : "json" };
+  }
+  if (kinds[0] === "array") {
+    // Arrays of one scalar type become lists; anything else is JSON.
+    const itemKinds = (field.items && field.items.types) || ["string"];
+    let itemType = KIND_TYPES[itemKinds[0]];
+    if (itemKinds.length > 1) itemType = itemKinds.every((k) => NUMBER_KINDS.has(k)) ? numberColumn(itemKinds) : null;
+    if (!itemType || itemType === "json" || itemType === "decimal") return { name, type: "json" };
+    return { name, type: "list", items: { name: "element", type: itemType } };
+  }
+  const type = KIND_TYPES[kinds[0]] || "json";
+  if (type === "decimal") return { name, type, scale: Math.min(field.scale || 0, DECIMAL_PRECISION) };
+  return { name, type };
+}
+
+function inferredColumns(fields, depth = 0) {
+  return Object.entries(fields).map(([name, field]) => inferredColumn(name, field, depth));
+}
+
+/**
+ * The columns for an `inferSchema` result, `_id` first. Fields of one BSON
+ * type keep it; mixed numbers widen to the widest; other mixes are JSON.
+ */
+function columnsFromInferred(inferred) {
+  const columns = inferredColumns(inferred.fields || {});
+  const id = columns.findIndex((c) => c.name === "_id");
+  if (id > 0) columns.unshift(...columns.splice(id, 1));
+  // An empty result still needs a column to be a valid file.
+  return columns.length ? columns : [{ name: "_id", type: "json" }];
+}
+
+function userColumn(name, field, depth, counter) {
+  if (++counter.count > MAX_COLUMNS) throw schemaError(`At most ${MAX_COLUMNS} columns`);
+  if (depth > MAX_DEPTH) throw schemaError(`Schema nested deeper than ${MAX_DEPTH} levels`);
+  const spec = typeof field === "string" ? { type: field } : field;
+  if (!spec || typeof spec !== "object" || typeof spec.type !== "string") {
+    throw schemaError(`Field "${name}" needs a type`);
+  }
+  if (spec.type === "object" || spec.type === "record") {
+    const fields = userColumns(spec.fields, depth + 1, counter, name);
+    if (!fields.length) throw schemaError(`Object field "${name}" needs at least one field`);
+    return { name, type: "record", fields };
+  }
+  if (spec.type === "array" || spec.type === "list") {
+    if (!spec.items) return { name, type: "json" };
+    const items = userColumn("element", spec.items, depth + 1, counter);
+    return { name, type: "list", items };
+  }
+  const type = KIND_TYPES[spec.type];
+  if (!type) throw schemaError(`Unknown type "${spec.type}" for field "${name}"`);
+  if (type !== "decimal") return { name, type };
+  const scale = spec.scale ?? DEFAULT_DECIMAL_SCALE;
+  if (!Number.isInteger(scale) || scale < 0 || scale > DECIMAL_PRECISION) {
+    throw schemaError(`The scale of decimal field "${name}" must be 0 to ${DECIMAL_PRECISION}`);
+  }
+  return { name, type, scale };
+}
+
+function userColumns(fields, depth, counter, parent) {
+  if (!fields || typeof fields !== "object" || Array.isArray(fields)) {
+    throw schemaError(parent ? `Object field "${parent}" needs fields` : "schema must map field names to types");
+  }
+  return Object.entries(fields).map(([name, field]) => {
+    if (!name || name.startsWith("$")) throw schemaError(`Invalid field name in schema: ${name}`);
+    return userColumn(name, field, depth, counter);
+  });
+}
+
+/**
+ * The columns for a caller's schema, in `inferSchema`'s shape:
+ * `{ fields: { price: { type: "decimal", scale: 2 }, tags: { type: "array",
+ * items: { type: "string" } }, ... } }` or just the fields. Only the fields
+ * it names are exported. Throws (status 400) on unknown types.
+ */
+function columnsFromSchema(schema) {
+  const fields = schema && schema.fields && typeof schema.fields === "object" ? schema.fields : schema;
+  const columns = userColumns(fields, 0, { count: 0 });
+  if (!columns.length) throw schemaError("schema names no fields");
+  return columns;
+}
+
+function numberOf(value) {
+  if (typeof value === "number") return value;
+  if (typeof value === "bigint") return Number(value);
+  switch (value._bsontype) {
+    case "Int32":
+    case "Double":
+      return value.valueOf();
+    case "Long":
+      return value.toNumber();
+    default:
+      return undefined;
+  }
+}
+
+function bigIntOf(value) {
+  if (typeof value === "bigint") return value;
+  if (value._bsontype === "Long") return value.toBigInt();
+  const n = numberOf(value);
+  return Number.isInteger(n) ? BigInt(n) : undefined;
+}
+
+function decimalText(value) {
+  if (value._bsontype === "Decimal128" || value._bsontype === "Long" || typeof value === "bigint") {
+    return value.toString();
+  }
+  const n = numberOf(value);
+  return Number.isFinite(n) ? String(n) : undefined;
+}
+
+/**
+ * `text` as an integer count of 10^-scale, rounding half away from zero,
+ * or undefined when it is not a number or needs more than 38 digits.
+ */
+function unscaledDecimal(text, scale) {
+  const match = DECIMAL_TEXT_RE.exec(text);
+  if (!match || !(match[2] || match[3])) return undefined;
+  const fraction = match[3] || "";
+  const digits = `${match[2]}${fraction}`.replace(/^0+/, "") || "0";
+  const shift = Number(match[4] || 0) - fraction.length + scale;
+  let n;
+  if (shift >= 0) {
+    if (digits !== "0" && digits.length + shift > DECIMAL_PRECISION) return undefined;
+    n = BigInt(digits) * 10n ** BigInt(shift);
+  } else if (-shift > digits.length) {
+    n = 0n;
+  } else {
+    const divisor = 10n ** BigInt(-shift);
+    const whole = BigInt(digits);
+    n = whole / divisor + ((whole % divisor) * 2n >= divisor ? 1n : 0n);
+  }
+  if (n >= DECIMAL_LIMIT) return undefined;
+  return match[1] === "-" ? -n : n;
+}
+
+function textOf(value) {
+  if (typeof value === "string") return value;
+  if (typeof value === "number" || typeof value === "boolean" || typeof value === "bigint") return String(value);
+  if (value instanceof Date) return Number.isNaN(value.getTime()) ? undefined : value.toISOString();
+  switch (value._bsontype) {
+    case "ObjectId":
+    case "ObjectID":
+      return value.toHexString();
+    case "Int32":
+    case "Double":
+      return String(value.valueOf());
+    case "Long":
+    case "Decimal128":
+      return value.toString();
+    default:
+      return JSON.stringify(serializeDocument(value));
+  }
+}
+
+/**
+ * `(value) => written value`, or undefined when `value` does not fit the
+ * (scalar) column: a string for string and json, a number for int, double
+ * and date (milliseconds), a BigInt for long and decimal (unscaled), a
+ * Buffer for binary.
+ */
+function converter(column) {
+  switch (column.type) {
+    case "string":
+      return textOf;
+    case "json":
+      return (value) => JSON.stringify(serializeDocument(value));
+    case "int":
+      return (value) => {
+        const n = numberOf(value);
+        return Number.isInteger(n) && n >= INT32_MIN && n <= INT32_MAX ? n : undefined;
+      };
+    case "long":
+      return (value) => {
+        const n = bigIntOf(value);
+        return n !== undefined && n >= INT64_MIN && n <= INT64_MAX ? n : undefined;
+      };
+    case "double":
+      return (value) => {
+        if (value._bsontype === "Decimal128") return Number(value.toString());
+        return numberOf(value);
+      };
+    case "decimal":
+      return (value) => {
+        const text = decimalText(value);
+        return text === undefined ? undefined : unscaledDecimal(text, column.scale);
+      };
+    case "boolean":
+      return (value) => (typeof value === "boolean" ? value : undefined);
+    case "date":
+      return (value) => {
+        if (!(value instanceof Date)) return undefined;
+        const ms = value.getTime();
+        return Number.isNaN(ms) ? undefined : ms;
+      };
+    case "binary":
+      return (value) => {
+        if (value._bsontype === "Binary") return Buffer.from(value.buffer.subarray(0, value.position));
+        return value instanceof Uint8Array ? Buffer.from(value) : undefined;
+      };
+    default:
+      throw new Error(`Not a scalar column type: ${column.type}`);
+  }
+}
+
+/** The big-endian two's complement of the BigInt `n`, in at least `width` bytes. */
+function twosComplement(n, width = 1) {
+  let size = width;
+  while (n >= 1n << BigInt(size * 8 - 1) || n < -(1n << BigInt(size * 8 - 1))) size++;
+  const unsigned = n < 0n ? (1n << BigInt(size * 8)) + n : n;
+  return Buffer.from(unsigned.toString(16).padStart(size * 2, "0"), "hex");
+}
+
+/**
+ * A growable byte buffer with the little-endian and varint writes both
+ * formats use. `take()` hands over the bytes written so far and starts
+ * afresh.
+ */
+function createByteWriter(initialSize = 64 * 1024) {
+  let buf = Buffer.allocUnsafe(initialSize);
+  let length = 0;
+
+  function ensure(n) {
+    if (length + n <= buf.length) return;
+    const next = Buffer.allocUnsafe(Math.max(buf.length * 2, length + n));
+    buf.copy(next, 0, 0, length);
+    buf = next;
+  }
+
+  const w = {
+    get length() {
+      return length;
+    },
+    byte(b) {
+      ensure(1);
+      buf[length++] = b;
+    },
+    // Unsigned LEB128 of a non-negative safe integer or BigInt.
+    varint(n) {
+      ensure(10);
+      if (typeof n === "bigint") {
+        while (n >= 0x80n) {
+          buf[length++] = Number(n & 0x7fn) | 0x80;
+          n >>= 7n;
+        }
+        buf[length++] = Number(n);
+        return;
+      }
+      while (n >= 0x80) {
+        buf[length++] = (n % 0x80) | 0x80;
+        n = Math.floor(n / 0x80);
+      }
+      buf[length++] = n;
+    },
+    zigzag(n) {
+      if (typeof n === "number" && n >= -0x40000000 && n < 0x40000000) {
+        w.varint(((n << 1) ^ (n >> 31)) >>> 0);
+        return;
+      }
+      const big = BigInt(n);
+      w.varint(big < 0n ? -big * 2n - 1n : big * 2n);
+    },
+    int32(n) {
+      ensure(4);
+      length = buf.writeInt32LE(n, length);
+    },
+    int64(n) {
+      ensure(8);
+      length = buf.writeBigInt64LE(BigInt(n), length);
+    },
+    double(n) {
+      ensure(8);
+      length = buf.writeDoubleLE(n, length);
+    },
+    bytes(b) {
+      ensure(b.length);
+      length += Buffer.from(b.buffer, b.byteOffset, b.length).copy(buf, length);
+    },
+    take() {
+      const out = buf.subarray(0, length);
+      buf = Buffer.allocUnsafe(initialSize);
+      length = 0;
+      return out;
+    },
+  };
+  return w;
+}
+
+/**
+ * Writes to `out` that wait while the client catches up and fail once it
+ * has gone away. `offset` counts the bytes written so far.
+ */
+function createOutput(out) {
+  const output = {
+    offset: 0,
+    async write(buf) {
+      if (out.destroyed) throw new Error("The download was closed");
+      output.offset += buf.length;
+      if (out.write(buf)) return;
+      await new Promise((resolve, reject) => {
+        const done = (err) => {
+          out.off("drain", drained);
+          out.off("close", closed);
+          if (err) reject(err);
+          else resolve();
+        };
+        const drained = () => done();
+        const closed = () => done(new Error("The download was closed"));
+        out.on("drain", drained);
+        out.on("close", closed);
+      });
+    },
+  };
+  return output;
+}
+
+module.exports = {
+  DECIMAL_PRECISION,
+  columnsFromInferred,
+  columnsFromSchema,
+  converter,
+  isRecordValue,
+  unscaledDecimal,
+  twosComplement,
+  createByteWriter,
+  createOutput,
+};
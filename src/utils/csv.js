@@ -1,48 +1,100 @@
-function parseCsv(text) {
-  const rows = [];
+/**
+ * Incremental CSV parser. `push(text)` returns the rows completed by that
+ * chunk; `end()` returns the last row and throws on an unclosed quote.
+ * Empty rows are skipped. A `\r` at the end of a chunk is held back until
+ * the next one shows whether it starts a CRLF.
+ */
+function createCsvParser() {
   let row = [];
   let field = "";
   let inQuotes = false;
+  // A `"` inside quotes that may be the first half of an escaped `""`.
+  let quotePending = false;
+  let crPending = false;
 
-  for (let i = 0; i < text.length; i++) {
-    const ch = text[i];
-    const next = text[i + 1];
+  function endRow(rows) {
+    row.push(field);
+    field = "";
+    if (row.some((f) => f !== "")) rows.push(row);
+    row = [];
+  }
 
-    if (inQuotes) {
-      if (ch === '"' && next === '"') {
-        field += '"';
-        i++;
-      } else if (ch === '"') {
+  function push(text) {
+    const rows = [];
+    let i = 0;
+    if (crPending) {
+      crPending = false;
+      text = `\r${text}`;
+    }
+    for (; i < text.length; i++) {
+      const ch = text[i];
+
+      if (quotePending) {
+        quotePending = false;
+        if (ch === '"') {
+          field += '"';
+          continue;
+        }
         inQuotes = false;
+      }
+
+      if (inQuotes) {
+        if (ch === '"') quotePending = true;
+        else field += ch;
+        continue;
+      }
+
+      if (ch === '"') {
+        inQuotes = true;
+      } else if (ch === ",") {
+        row.push(field);
+        field = "";
+      } else if (ch === "\n") {
+        endRow(rows);
+      } else if (ch === "\r") {
+        if (i === text.length - 1) {
+          crPending = true;
+        } else if (text[i + 1] === "\n") {
+          i++;
+          endRow(rows);
+        } else {
+          field += ch;
+        }
       } else {
         field += ch;
       }
-      continue;
     }
+    return rows;
+  }
 
-    if (ch === '"') {
-      inQuotes = true;
-    } else if (ch === ",") {
-      row.push(field);
-      field = "";
-    } else if (ch === "\n" || (ch === "\r" && next === "\n")) {
-      if (ch === "\r") i++;
-      row.push(field);
-      field = "";
-      if (row.some((f) => f !== "")) rows.push(row);
-      row = [];
-    } else {
-      field += ch;
+  function end() {
+    if (crPending) {
+      crPending = false;
+      field += "\r";
+    }
+    if (quotePending) {
+      quotePending = false;
+      inQuotes = false;
+    }
+    if (inQuotes) {
+      throw new Error("Invalid CSV: unclosed quoted field");
     }
+    const rows = [];
+    endRow(rows);
+    return rows;
   }
 
-  if (inQuotes) {
-    throw new Error("Invalid CSV: unclosed quoted field");
-  }
+  return {
+    push,
+    end,
+    // Characters held in the row being parsed, to bound runaway rows.
+    pendingLength: () => field.length + row.reduce((n, f) => n + f.length, 0),
+  };
+}
 
-  row.push(field);
-  if (row.some((f) => f !== "")) rows.push(row);
-  return rows;
+function parseCsv(text) {
+  const parser = createCsvParser();
+  return [...parser.push(text), ...parser.end()];
 }
 
 function sanitizeForCsvCell(value) {
@@ -67,6 +119,7 @@ function toCsvRow(headers, doc) {
 }
 
 module.exports = {
+  createCsvParser,
   parseCsv,
   toCsvRow,
   sanitizeForCsvCell,
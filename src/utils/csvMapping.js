@@ -0,0 +1,286 @@
+const { Decimal128, Double, Long, ObjectId } = require("mongodb");
+
+// Column mappings for CSV imports. A mapping says, per CSV column, where
+// its value goes and what type it becomes:
+//
+//   {
+//     columns: [
+//       { source: "Price", target: "price.amount", type: "decimal" },
+//       { source: "Tags", target: "tags", type: "array", delimiter: ";" },
+//       { source: "Shipped", target: "shippedAt", type: "date", format: "DD/MM/YYYY" },
+//       { source: "Internal", skip: true },
+//     ],
+//     onInvalid: "reject" | "null",
+//   }
+//
+// Targets are dotted paths and build nested documents. Columns the mapping
+// does not list keep their header as the path and the guessed type. Empty
+// cells are left out of the document whatever their type. A cell that does
+// not fit its type fails the whole row ("reject", the default) or is
+// stored as null ("null").
+
+const TYPES = new Set(["auto", "string", "int", "double", "decimal", "bool", "date", "objectId", "array"]);
+const ITEM_TYPES = new Set([...TYPES].filter((t) => t !== "array"));
+const MAX_COLUMNS = 500;
+
+const INT32_MIN = -(2n ** 31n);
+const INT32_MAX = 2n ** 31n - 1n;
+const INT64_MIN = -(2n ** 63n);
+const INT64_MAX = 2n ** 63n - 1n;
+const DECIMAL_RE = /^[+-]?(\d+\.?\d*|\.\d+)([eE][+-]?\d+)?$/;
+// Date.parse accepts almost anything; the default date format is ISO 8601 only.
+const ISO_DATE_RE = /^\d{4}-\d{2}-\d{2}([T ]\d{2}:\d{2}(:\d{2}(\.\d{1,9})?)?(Z|[+-]\d{2}:?\d{2})?)?$/;
+
+// Date format tokens; anything else in a format is matched literally.
+const DATE_TOKENS = {
+  YYYY: { re: "(\\d{4})", part: "year" },
+  MM: { re: "(\\d{1,2})", part: "month" },
+  DD: { re: "(\\d{1,2})", part: "day" },
+  HH: { re: "(\\d{1,2})", part: "hour" },
+  mm: { re: "(\\d{1,2})", part: "minute" },
+  ss: { re: "(\\d{1,2})", part: "second" },
+  SSS: { re: "(\\d{1,3})", part: "millisecond" },
+};
+const DATE_TOKEN_RE = /YYYY|SSS|MM|DD|HH|mm|ss/g;
+
+function mappingError(message) {
+  const err = new Error(message);
+  err.status = 400;
+  return err;
+}
+
+/**
+ * A date parser for `format`: "iso" (the default), "epoch" (seconds),
+ * "epochMillis", or a pattern such as "DD/MM/YYYY HH:mm". Patterns are read
+ * as UTC. Returns `(text) => Date | null`.
+ */
+function dateParser(format = "iso") {
+  if (format === "iso") {
+    return (text) => {
+      if (!ISO_DATE_RE.test(text)) return null;
+      // `new Date` rolls 2024-02-30 over into March; such a day does not exist.
+      const [y, m, d] = text.slice(0, 10).split("-").map(Number);
+      const day = new Date(Date.UTC(y, m - 1, d));
+      if (day.getUTCMonth() !== m - 1 || day.getUTCDate() !== d) return null;
+      const date = new Date(text.length === 10 ? `${text}T00:00:00Z` : text);
+      return Number.isNaN(date.getTime()) ? null : date;
+    };
+  }
+  if (format === "epoch" || format === "epochMillis") {
+    const scale = format === "epoch" ? 1000 : 1;
+    return (text) => {
+      if (!/^-?\d+(\.\d+)?$/.test(text)) return null;
+      const date = new Date(Number(text) * scale);
+      return Number.isNaN(date.getTime()) ? null : date;
+    };
+  }
+  const parts = [];
+  const source = format.replace(/[.*+?^${}()|[\]\\]/g, "\\$&").replace(DATE_TOKEN_RE, (token) => {
+    parts.push(DATE_TOKENS[token].part);
+    return DATE_TOKENS[token].re;
+  });
+  if (!parts.includes("year") || !parts.includes("month") || !parts.includes("day")) {
+    throw mappingError(`Date format "${format}" needs YYYY, MM and DD`);
+  }
+  const re = new RegExp(`^${source}$`);
+  return (text) => {
+    const match = re.exec(text);
+    if (!match) return null;
+    const v = { hour: 0, minute: 0, second: 0, millisecond: 0 };
+    parts.forEach((part, i) => {
+      v[part] = part === "millisecond" ? Number(match[i + 1].padEnd(3, "0")) : Number(match[i + 1]);
+    });
+    const date = new Date(Date.UTC(v.year, v.month - 1, v.day, v.hour, v.minute, v.second, v.millisecond));
+    // Date.UTC rolls 31/02 over into March; such a day does not exist.
+    const fits =
+      date.getUTCFullYear() === v.year &&
+      date.getUTCMonth() === v.month - 1 &&
+      date.getUTCDate() === v.day &&
+      date.getUTCHours() === v.hour &&
+      date.getUTCMinutes() === v.minute &&
+      date.getUTCSeconds() === v.second;
+    return fits ? date : null;
+  };
+}
+
+/** The importer's historical guess: booleans and numbers, else the text. */
+function guessValue(text) {
+  if (text === "true") return true;
+  if (text === "false") return false;
+  if (!isNaN(Number(text))) return Number(text);
+  return text;
+}
+
+// `(text) => value`, throwing a message when the text does not fit `type`.
+function converter({ type = "auto", format, delimiter, itemType }) {
+  const invalid = (text) => {
+    const shown = text.length > 40 ? `${text.slice(0, 40)}…` : text;
+    throw new Error(`"${shown}" is not ${/^[aeiou]/.test(type) ? "an" : "a"} ${type}`);
+  };
+  switch (type) {
+    case "auto":
+      return guessValue;
+    case "string":
+      return (text) => text;
+    case "int":
+      return (text) => {
+        if (!/^[+-]?\d+$/.test(text)) invalid(text);
+        const n = BigInt(text);
+        if (n >= INT32_MIN && n <= INT32_MAX) return Number(n);
+        if (n < INT64_MIN || n > INT64_MAX) invalid(text);
+        return Long.fromBigInt(n);
+      };
+    case "double":
+      return (text) => {
+        const n = Number(text);
+        if (!DECIMAL_RE.test(text) || !Number.isFinite(n)) invalid(text);
+        return new Double(n);
+      };
+    case "decimal":
+      return (text) => {
+        if (!DECIMAL_RE.test(text)) invalid(text);
+        return Decimal128.fromString(text);
+      };
+    case "bool":
+      return (text) => {
+        const lower = text.toLowerCase();
+        if (["true", "1", "yes"].includes(lower)) return true;
+        if (["false", "0", "no"].includes(lower)) return false;
+        return invalid(text);
+      };
+    case "date": {
+      const parse = dateParser(format || "iso");
+      return (text) => parse(text) || invalid(text);
+    }
+    case "objectId":
+      return (text) => {
+        if (!/^[0-9a-f]{24}$/i.test(text)) invalid(text);
+        return new ObjectId(text);
+      };
+    case "array": {
+      const item = converter({ type: itemType || "string", format });
+      return (text) =>
+        text
+          .split(delimiter || ";")
+          .map((part) => part.trim())
+          .filter((part) => part !== "")
+          .map(item);
+    }
+    default:
+      throw mappingError(`Unknown column type: ${type}`);
+  }
+}
+
+function checkTarget(target, source) {
+  if (typeof target !== "string" || !target.trim()) {
+    throw mappingError(`Column "${source}" needs a target field`);
+  }
+  if (target.split(".").some((part) => !part || part.startsWith("$"))) {
+    throw mappingError(`Invalid target field for column "${source}": ${target}`);
+  }
+}
+
+/**
+ * Check a mapping's shape and return a clean copy; throws (status 400) on
+ * unknown types, bad date formats or bad targets.
+ */
+function normalizeMapping(mapping) {
+  if (!mapping || typeof mapping !== "object" || !Array.isArray(mapping.columns)) {
+    throw mappingError("mapping must be { columns: [...], onInvalid }");
+  }
+  if (mapping.columns.length > MAX_COLUMNS) throw mappingError(`At most ${MAX_COLUMNS} mapped columns`);
+  const onInvalid = mapping.onInvalid ?? "reject";
+  if (!["reject", "null"].includes(onInvalid)) throw mappingError("onInvalid must be reject or null");
+  const seen = new Set();
+  const columns = mapping.columns.map((col) => {
+    const source = typeof col?.source === "string" ? col.source.trim() : "";
+    if (!source) throw mappingError("Every mapped column needs its CSV header as source");
+    if (seen.has(source)) throw mappingError(`Column "${source}" is mapped twice`);
+    seen.add(source);
+    if (col.skip === true) return { source, skip: true };
+    const target = typeof col.target === "string" && col.target.trim() ? col.target.trim() : source;
+    checkTarget(target, source);
+    const type = col.type || "auto";
+    if (!TYPES.has(type)) throw mappingError(`Unknown type "${type}" for column "${source}"`);
+    const out = { source, target, type };
+    if (type === "array") {
+      out.itemType = col.itemType || "string";
+      if (!ITEM_TYPES.has(out.itemType)) throw mappingError(`Unknown item type "${out.itemType}" for column "${source}"`);
+      out.delimiter = typeof col.delimiter === "string" && col.delimiter ? col.delimiter : ";";
+    }
+    if (type === "date" || out.itemType === "date") {
+      out.format = typeof col.format === "string" && col.format.trim() ? col.format.trim() : "iso";
+      dateParser(out.format);
+    }
+    return out;
+  });
+  return { columns, onInvalid };
+}
+
+/** The first two of `paths` that cannot both hold a value ("a" and "a.b"), or null. */
+function findClash(paths) {
+  const sorted = [...paths].sort();
+  for (let i = 1; i < sorted.length; i++) {
+    if (sorted[i] === sorted[i - 1] || sorted[i].startsWith(`${sorted[i - 1]}.`)) return [sorted[i - 1], sorted[i]];
+  }
+  return null;
+}
+
+/** Set the dotted `path` in `doc`, creating the objects on the way. */
+function setPath(doc, path, value) {
+  const keys = path.split(".");
+  let node = doc;
+  for (const key of keys.slice(0, -1)) {
+    if (node[key] === undefined) node[key] = {};
+    node = node[key];
+  }
+  node[keys[keys.length - 1]] = value;
+}
+
+/**
+ * Turn a (normalized) mapping and the CSV header into `(values) => doc`.
+ * A cell that does not fit its column's type throws, unless the mapping
+ * stores such cells as null.
+ */
+function compileMapping(mapping, headers) {
+  const byHeader = new Map(mapping.columns.map((c) => [c.source, c]));
+  for (const source of byHeader.keys()) {
+    if (!headers.includes(source)) {
+      throw mappingError(`The mapping names column "${source}", which is not in the CSV header`);
+    }
+  }
+  const fields = [];
+  headers.forEach((header, index) => {
+    const col = byHeader.get(header) || { target: header, type: "auto" };
+    if (col.skip) return;
+    fields.push({ index, header, target: col.target, convert: converter(col) });
+  });
+  const clash = findClash(fields.map((f) => f.target));
+  if (clash) throw mappingError(`Columns map to clashing fields: ${clash[0]} and ${clash[1]}`);
+  return (values) => {
+    const doc = {};
+    for (const field of fields) {
+      const text = values[field.index] ?? "";
+      if (text === "") continue;
+      let value;
+      try {
+        value = field.convert(text);
+      } catch (err) {
+        if (mapping.onInvalid !== "null") throw new Error(`Column "${field.header}": ${err.message}`);
+        value = null;
+      }
+      setPath(doc, field.target, value);
+    }
+    return doc;
+  };
+}
+
+module.exports = {
+  TYPES,
+  normalizeMapping,
+  compileMapping,
+  dateParser,
+  guessValue,
+  findClash,
+  setPath,
+};
@@ -0,0 +1,333 @@
+const { StringDecoder } = require("string_decoder");
+const { createCsvParser } = require("./csv");
+const { parseDocument } = require("./bson");
+const { compileMapping, guessValue, findClash, setPath } = require("./csvMapping");
+const { openWorkbook } = require("./xlsx");
+
+// Incremental parsing of import files (JSON array, NDJSON, CSV) fed in
+// chunks as they arrive, so an upload never has to fit in memory. XLSX is
+// the exception: a workbook's table of contents sits at the end of the
+// file, so it is held until the upload is complete and then read row by
+// row.
+//
+// `push(chunk)` and `end()` return the records completed so far (for XLSX,
+// `end()` returns an async iterable of them), each
+//
+//   { row, doc }    a document ready to write
+//   { row, error }  a record that could not be turned into one
+//
+// where `row` is the record's 1-based position in the file: the line for
+// NDJSON, the element for a JSON array, the data row for CSV (the header
+// is not counted), the sheet's own row number for XLSX. Problems with the file as a whole (bad CSV header, text
+// after the closing `]`, a runaway record) throw with `status` set.
+
+// A document is at most 16 MB of BSON; a record far beyond that in the
+// source text means a missing quote or bracket swallowed the rest of it.
+const MAX_RECORD_CHARS = 64 * 1024 * 1024;
+
+function importError(message, status = 400) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+function checkRecordSize(length) {
+  if (length > MAX_RECORD_CHARS) {
+    throw importError(
+      `A record is larger than ${MAX_RECORD_CHARS / 1024 / 1024} MB; check the file for an unclosed quote or bracket`,
+      413
+    );
+  }
+}
+
+function jsonRecord(row, text) {
+  try {
+    const value = JSON.parse(text);
+    if (!value || typeof value !== "object" || Array.isArray(value)) {
+      throw new Error("Each imported row must be a JSON object/document");
+    }
+    return { row, doc: parseDocument(value) };
+  } catch (err) {
+    return { row, error: err.message };
+  }
+}
+
+function ndjsonParser() {
+  let pending = "";
+  let line = 0;
+
+  function take(records, text) {
+    line += 1;
+    if (text.trim()) records.push(jsonRecord(line, text));
+  }
+
+  return {
+    push(text) {
+      const records = [];
+      const parts = (pending + text).split("\n");
+      pending = parts.pop();
+      for (const part of parts) take(records, part.replace(/\r$/, ""));
+      checkRecordSize(pending.length);
+      return records;
+    },
+    end() {
+      const records = [];
+      if (pending) take(records, pending.replace(/\r$/, ""));
+      pending = "";
+      return records;
+    },
+  };
+}
+
+// Splits `[ {...}, {...} ]` into element texts by tracking nesting and
+// strings, without parsing the array as a whole.
+function jsonArrayParser() {
+  let started = false;
+  let done = false;
+  let depth = 0;
+  let inString = false;
+  let escaped = false;
+  let element = "";
+  let row = 0;
+
+  return {
+    push(text) {
+      const records = [];
+      let from = 0;
+      for (let i = 0; i < text.length; i++) {
+        const ch = text[i];
+        if (done) {
+          if (!/\s/.test(ch)) throw importError("Unexpected content after the JSON array");
+          continue;
+        }
+        if (!started) {
+          if (ch === "[") {
+            started = true;
+            from = i + 1;
+          } else if (!/\s/.test(ch)) {
+            throw importError("A JSON import must be an array of documents or one document per line");
+          }
+          continue;
+        }
+        if (inString) {
+          if (escaped) escaped = false;
+          else if (ch === "\\") escaped = true;
+          else if (ch === '"') inString = false;
+          continue;
+        }
+        if (ch === '"') {
+          inString = true;
+        } else if (ch === "{" || ch === "[") {
+          depth += 1;
+        } else if (ch === "}" || ch === "]") {
+          if (depth > 0) {
+            depth -= 1;
+          } else {
+            // The array's own closing bracket.
+            const last = element + text.slice(from, i);
+            element = "";
+            if (last.trim() || row > 0) {
+              row += 1;
+              records.push(jsonRecord(row, last));
+            }
+            done = true;
+          }
+        } else if (ch === "," && depth === 0) {
+          row += 1;
+          records.push(jsonRecord(row, element + text.slice(from, i)));
+          element = "";
+          from = i + 1;
+        }
+      }
+      if (started && !done) {
+        element += text.slice(from);
+        checkRecordSize(element.length);
+      }
+      return records;
+    },
+    end() {
+      if (started && !done) throw importError("Invalid JSON: the array is never closed");
+      return [];
+    },
+  };
+}
+
+/** CSV values as the importer has always read them: booleans and numbers coerced, empty cells dropped. */
+function csvRowToDocument(headers, values) {
+  const doc = {};
+  headers.forEach((h, i) => {
+    const val = values[i] ?? "";
+    if (val !== "") doc[h] = guessValue(val);
+  });
+  return doc;
+}
+
+// Without a mapping, headers are taken as flat field names, as before.
+function csvParser(mapping) {
+  const csv = createCsvParser();
+  let headers = null;
+  let toDocument = null;
+  let row = 0;
+
+  function take(rows) {
+    const records = [];
+    for (const values of rows) {
+      if (!headers) {
+        headers = values.map((h) => String(h || "").trim());
+        if (headers.some((h) => !h)) {
+          throw importError("CSV header contains an empty column name");
+        }
+        if (new Set(headers).size !== headers.length) {
+          throw importError("CSV header contains duplicate column names");
+        }
+        toDocument = mapping ? compileMapping(mapping, headers) : (cells) => csvRowToDocument(headers, cells);
+        continue;
+      }
+      row += 1;
+      try {
+        records.push({ row, doc: toDocument(values) });
+      } catch (err) {
+        records.push({ row, error: err.message });
+      }
+    }
+    return records;
+  }
+
+  return {
+    push(text) {
+      const records = take(csv.push(text));
+      checkRecordSize(csv.pendingLength());
+      return records;
+    },
+    end() {
+      let rows;
+      try {
+        rows = csv.end();
+      } catch (err) {
+        throw importError(err.message);
+      }
+      const records = take(rows);
+      if (!row) throw importError("CSV must have a header row and at least one data row");
+      return records;
+    },
+  };
+}
+
+// Header cells name the fields; dotted names build nested documents, the
+// way XLSX exports flatten them.
+function xlsxHeaders(cells, row) {
+  const headers = Array.from(cells, (cell) => {
+    if (cell === undefined) return "";
+    if (cell?.error !== undefined) throw importError(`Header cell ${cell.ref} holds ${cell.error}`);
+    return (cell instanceof Date ? cell.toISOString() : String(cell)).trim();
+  });
+  while (headers.length && !headers[headers.length - 1]) headers.pop();
+  if (!headers.length) throw importError(`Header row ${row} is empty`);
+  headers.forEach((h, i) => {
+    if (!h) throw importError(`Header row ${row} has an empty column name in column ${i + 1}`);
+    if (h.split(".").some((part) => !part || part.startsWith("$"))) {
+      throw importError(`Invalid column name in header row ${row}: ${h}`);
+    }
+  });
+  if (new Set(headers).size !== headers.length) {
+    throw importError(`Header row ${row} contains duplicate column names`);
+  }
+  const clash = findClash(headers);
+  if (clash) throw importError(`Columns name clashing fields: ${clash[0]} and ${clash[1]}`);
+  return headers;
+}
+
+/**
+ * Records of one sheet of the workbook in `buffer`: `headerRow` (1-based)
+ * names the fields, the rows below it are the documents. Rows above the
+ * header and cells right of it are ignored.
+ */
+async function* xlsxRecords(buffer, { sheet = null, headerRow = 1 } = {}) {
+  const book = openWorkbook(buffer);
+  let headers = null;
+  let rows = 0;
+  for await (const { row, cells } of book.rows(sheet)) {
+    if (row < headerRow) continue;
+    if (!headers) {
+      if (row !== headerRow) throw importError(`Header row ${headerRow} is empty`);
+      headers = xlsxHeaders(cells, row);
+      continue;
+    }
+    const values = headers.map((_, i) => cells[i]);
+    if (values.every((value) => value === undefined || value === "")) continue;
+    rows += 1;
+    const bad = values.find((value) => value?.error !== undefined);
+    if (bad) {
+      yield { row, error: `Cell ${bad.ref} holds ${bad.error}` };
+      continue;
+    }
+    const doc = {};
+    headers.forEach((h, i) => {
+      if (values[i] !== undefined && values[i] !== "") setPath(doc, h, values[i]);
+    });
+    yield { row, doc };
+  }
+  if (!headers) throw importError(`The sheet has no row ${headerRow} to take the header from`);
+  if (!rows) throw importError("The sheet has no data rows below the header");
+}
+
+function xlsxParser(options) {
+  const chunks = [];
+  return {
+    push(chunk) {
+      chunks.push(typeof chunk === "string" ? Buffer.from(chunk) : chunk);
+      return [];
+    },
+    end() {
+      if (!chunks.length) throw importError("The import file is empty");
+      return xlsxRecords(Buffer.concat(chunks), options);
+    },
+  };
+}
+
+/**
+ * Parser for an import in `format` (json, jsonl, csv or xlsx). JSON and JSONL
+ * files are told apart by their first character, so either name accepts
+ * an array as well as one document per line. CSV takes an optional column
+ * `mapping` (see csvMapping.js), already normalized; XLSX the `sheet` to
+ * read (by name, the first by default) and its `headerRow`. Chunks may be
+ * Buffers (split anywhere, even inside a UTF-8 sequence) or strings.
+ */
+function createImportParser(format, { mapping = null, sheet = null, headerRow = 1 } = {}) {
+  if (format === "xlsx") return xlsxParser({ sheet, headerRow });
+  const decoder = new StringDecoder("utf8");
+  let inner = format === "csv" ? csvParser(mapping) : null;
+  let first = true;
+
+  function feed(text) {
+    if (first) {
+      text = text.replace(/^\uFEFF/, "");
+      if (!text) return [];
+      first = false;
+    }
+    if (!inner) {
+      const lead = text.trimStart();
+      if (!lead) return [];
+      inner = lead[0] === "[" ? jsonArrayParser() : ndjsonParser();
+    }
+    return inner.push(text);
+  }
+
+  return {
+    push(chunk) {
+      return feed(typeof chunk === "string" ? chunk : decoder.write(chunk));
+    },
+    end() {
+      const records = feed(decoder.end());
+      if (!inner) throw importError("The import file is empty");
+      return [...records, ...inner.end()];
+    },
+  };
+}
+
+module.exports = {
+  MAX_RECORD_CHARS,
+  createImportParser,
+  csvRowToDocument,
+  xlsxRecords,
+};
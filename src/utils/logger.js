@@ -1,9 +1,22 @@
 const pino = require("pino");
 const config = require("../config");
 
+// Under `node --test` stdout carries the runner's protocol; log lines there
+// corrupt it, so tests log nothing unless LOG_LEVEL asks for it. The
+// runner's NODE_TEST_CONTEXT is inherited by anything a test spawns, so it
+// never silences a server started with NODE_ENV=production.
+const underTest =
+  config.nodeEnv === "test" ||
+  (config.nodeEnv !== "production" && Boolean(process.env.NODE_TEST_CONTEXT));
+
+function defaultLevel() {
+  if (underTest) return "silent";
+  return config.nodeEnv === "development" ? "debug" : "info";
+}
+
 const logger = pino({
-  level: process.env.LOG_LEVEL || (config.nodeEnv === "development" ? "debug" : "info"),
-  transport: config.nodeEnv === "development"
+  level: process.env.LOG_LEVEL || defaultLevel(),
+  transport: config.nodeEnv === "development" && !underTest
     ? {
         target: "pino-pretty",
         options: {
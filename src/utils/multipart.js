@@ -0,0 +1,132 @@
+const { Transform } = require("stream");
+
+// Just enough multipart/form-data to stream one uploaded file: the first
+// part with a filename is passed through byte for byte, everything else
+// (text fields, further files) is discarded.
+
+// Part headers larger than this are not a browser upload.
+const MAX_HEADER_BYTES = 16 * 1024;
+
+/** The boundary of a multipart/form-data content type, or null. */
+function multipartBoundary(contentType) {
+  if (!/^multipart\/form-data\b/i.test(String(contentType || ""))) return null;
+  const match = /;\s*boundary=(?:"([^"]+)"|([^;\s]+))/i.exec(contentType);
+  return match ? match[1] || match[2] : null;
+}
+
+function uploadError(message) {
+  const err = new Error(message);
+  err.status = 400;
+  return err;
+}
+
+function parsePartHeaders(text) {
+  const headers = {};
+  for (const line of text.split("\r\n")) {
+    const colon = line.indexOf(":");
+    if (colon > 0) headers[line.slice(0, colon).trim().toLowerCase()] = line.slice(colon + 1).trim();
+  }
+  const disposition = headers["content-disposition"] || "";
+  const filename = /;\s*filename="([^"]*)"/i.exec(disposition) || /;\s*filename=([^;\s]+)/i.exec(disposition);
+  return {
+    filename: filename ? filename[1] : null,
+    contentType: headers["content-type"] || null,
+  };
+}
+
+/**
+ * A Transform that takes a multipart body with `boundary` and outputs the
+ * bytes of its first file. Emits `file` with `{ filename, contentType }`
+ * when that part starts; fails when the body holds no file.
+ */
+function createFileExtractor(boundary) {
+  const opening = Buffer.from(`--${boundary}`);
+  const delimiter = Buffer.from(`\r\n--${boundary}`);
+  // preamble -> headers -> file | skip -> … -> done
+  let state = "preamble";
+  let buffered = Buffer.alloc(0);
+  let sawFile = false;
+
+  // After a boundary: `--` ends the body, CRLF starts another part.
+  function afterBoundary() {
+    if (buffered.length < 2) return false;
+    if (buffered[0] === 0x2d && buffered[1] === 0x2d) {
+      state = "done";
+    } else {
+      state = "headers";
+      buffered = buffered.subarray(2);
+    }
+    return true;
+  }
+
+  function step(push) {
+    if (state === "preamble") {
+      const at = buffered.indexOf(opening);
+      if (at < 0) {
+        buffered = buffered.subarray(Math.max(0, buffered.length - opening.length));
+        return false;
+      }
+      buffered = buffered.subarray(at + opening.length);
+      state = "boundary";
+      return true;
+    }
+    if (state === "boundary") return afterBoundary();
+    if (state === "headers") {
+      const end = buffered.indexOf("\r\n\r\n");
+      if (end < 0) {
+        if (buffered.length > MAX_HEADER_BYTES) throw uploadError("Malformed multipart upload");
+        return false;
+      }
+      const part = parsePartHeaders(buffered.subarray(0, end).toString("utf8"));
+      buffered = buffered.subarray(end + 4);
+      state = part.filename === null ? "skip" : "file";
+      if (state === "file") {
+        sawFile = true;
+        this.emit("file", part);
+      }
+      return true;
+    }
+    if (state === "file" || state === "skip") {
+      const at = buffered.indexOf(delimiter);
+      const keep = at < 0 ? Math.max(0, buffered.length - delimiter.length + 1) : at;
+      if (state === "file" && keep > 0) push(buffered.subarray(0, keep));
+      if (at < 0) {
+        buffered = buffered.subarray(keep);
+        return false;
+      }
+      buffered = buffered.subarray(at + delimiter.length);
+      // Only the first file is wanted.
+      if (state === "file") {
+        state = "done";
+        return false;
+      }
+      state = "boundary";
+      return true;
+    }
+    return false;
+  }
+
+  return new Transform({
+    transform(chunk, _encoding, callback) {
+      if (state === "done") return callback();
+      buffered = buffered.length ? Buffer.concat([buffered, chunk]) : chunk;
+      try {
+        while (state !== "done" && step.call(this, (bytes) => this.push(bytes)));
+        if (state === "done") buffered = Buffer.alloc(0);
+        callback();
+      } catch (err) {
+        callback(err);
+      }
+    },
+    flush(callback) {
+      if (!sawFile) return callback(uploadError("The upload holds no file"));
+      if (state !== "done") return callback(uploadError("The upload ended before the file was complete"));
+      callback();
+    },
+  });
+}
+
+module.exports = {
+  multipartBoundary,
+  createFileExtractor,
+};
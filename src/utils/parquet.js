@@ -0,0 +1,444 @@
+const zlib = require("zlib");
+const { promisify } = require("util");
+const {
+  DECIMAL_PRECISION,
+  converter,
+  isRecordValue,
+  twosComplement,
+  createByteWriter,
+  createOutput,
+} = require("./columnar");
+
+// Writes Parquet files: row groups of GZIP-compressed v1 data pages with
+// PLAIN values and RLE levels, and the Thrift (compact protocol) footer.
+// Nested documents are groups and arrays are three-level LISTs, so readers
+// see the same shape as the collection. No dictionaries or statistics.
+
+const gzip = promisify(zlib.gzip);
+
+const MAGIC = Buffer.from("PAR1");
+const ROW_GROUP_ROWS = 100000;
+const ROW_GROUP_BYTES = 64 * 1024 * 1024;
+const PAGE_LEVELS = 20000;
+
+// parquet.thrift enums.
+const Type = { BOOLEAN: 0, INT32: 1, INT64: 2, DOUBLE: 5, BYTE_ARRAY: 6, FIXED_LEN_BYTE_ARRAY: 7 };
+const Repetition = { OPTIONAL: 1, REPEATED: 2 };
+const Converted = { UTF8: 0, LIST: 3, DECIMAL: 5, TIMESTAMP_MILLIS: 9, JSON: 19 };
+const Encoding = { PLAIN: 0, RLE: 3 };
+const GZIP = 2;
+const DATA_PAGE = 0;
+const DECIMAL_BYTES = 16;
+
+// Thrift compact protocol field types.
+const T = { BOOL: 1, I16: 4, I32: 5, I64: 6, BINARY: 8, LIST: 9, STRUCT: 12 };
+
+/**
+ * Write a struct given as `[fieldId, type, value]` triples in id order;
+ * fields whose value is undefined are left out. Lists are `[itemType, items]`.
+ */
+function writeStruct(w, fields) {
+  let last = 0;
+  for (const [id, type, value] of fields) {
+    if (value === undefined) continue;
+    // Booleans live in the field header.
+    const wire = type === T.BOOL ? (value ? 1 : 2) : type;
+    if (id > last && id - last <= 15) {
+      w.byte(((id - last) << 4) | wire);
+    } else {
+      w.byte(wire);
+      w.zigzag(id);
+    }
+    last = id;
+    if (type !== T.BOOL) writeValue(w, type, value);
+  }
+  w.byte(0);
+}
+
+function writeValue(w, type, value) {
+  switch (type) {
+    case T.I16:
+    case T.I32:
+    case T.I64:
+      w.zigzag(value);
+      break;
+    case T.BINARY: {
+      const bytes = Buffer.from(value, "utf8");
+      w.varint(bytes.length);
+      w.bytes(bytes);
+      break;
+    }
+    case T.LIST: {
+      const [itemType, items] = value;
+      if (items.length < 15) {
+        w.byte((items.length << 4) | itemType);
+      } else {
+        w.byte(0xf0 | itemType);
+        w.varint(items.length);
+      }
+      for (const item of items) writeValue(w, itemType, item);
+      break;
+    }
+    case T.STRUCT:
+      writeStruct(w, value);
+      break;
+    default:
+      throw new Error(`Unsupported Thrift type ${type}`);
+  }
+}
+
+// SchemaElement fields for a scalar column: physical type, the legacy
+// converted type and the logical type, which newer readers prefer.
+function leafElement(column) {
+  switch (column.type) {
+    case "string":
+      return { type: Type.BYTE_ARRAY, converted: Converted.UTF8, logical: [[1, T.STRUCT, []]] };
+    case "json":
+      return { type: Type.BYTE_ARRAY, converted: Converted.JSON, logical: [[12, T.STRUCT, []]] };
+    case "int":
+      return { type: Type.INT32 };
+    case "long":
+      return { type: Type.INT64 };
+    case "double":
+      return { type: Type.DOUBLE };
+    case "boolean":
+      return { type: Type.BOOLEAN };
+    case "binary":
+      return { type: Type.BYTE_ARRAY };
+    case "date":
+      return {
+        type: Type.INT64,
+        converted: Converted.TIMESTAMP_MILLIS,
+        // TimestampType { isAdjustedToUTC: true, unit: MILLIS }
+        logical: [[8, T.STRUCT, [[1, T.BOOL, true], [2, T.STRUCT, [[1, T.STRUCT, []]]]]]],
+      };
+    case "decimal":
+      return {
+        type: Type.FIXED_LEN_BYTE_ARRAY,
+        length: DECIMAL_BYTES,
+        converted: Converted.DECIMAL,
+        scale: column.scale,
+        precision: DECIMAL_PRECISION,
+        logical: [[5, T.STRUCT, [[1, T.I32, column.scale], [2, T.I32, DECIMAL_PRECISION]]]],
+      };
+    default:
+      throw new Error(`Unknown column type: ${column.type}`);
+  }
+}
+
+function schemaElement({ name, type, length, repetition, children, converted, scale, precision, logical }) {
+  return [
+    [1, T.I32, type],
+    [2, T.I32, length],
+    [3, T.I32, repetition],
+    [4, T.BINARY, name],
+    [5, T.I32, children],
+    [6, T.I32, converted],
+    [7, T.I32, scale],
+    [8, T.I32, precision],
+    [10, T.STRUCT, logical],
+  ];
+}
+
+/**
+ * The Parquet schema for `columns` as a tree of writers: each node knows
+ * how to shred a value into the levels and values of its leaf columns.
+ */
+function buildNodes(columns, elements, leaves, parent) {
+  return columns.map((column) => buildNode(column, elements, leaves, parent));
+}
+
+function buildNode(column, elements, leaves, { path, def, rep }) {
+  const own = { path: [...path, column.name], def: def + 1, rep };
+  if (column.type === "record") {
+    const at = elements.length;
+    elements.push(null);
+    const first = leaves.length;
+    const fields = buildNodes(column.fields, elements, leaves, own);
+    elements[at] = schemaElement({ name: column.name, repetition: Repetition.OPTIONAL, children: fields.length });
+    return { column, fields, leaves: leaves.slice(first) };
+  }
+  if (column.type === "list") {
+    elements.push(
+      schemaElement({
+        name: column.name,
+        repetition: Repetition.OPTIONAL,
+        children: 1,
+        converted: Converted.LIST,
+        logical: [[3, T.STRUCT, []]],
+      })
+    );
+    elements.push(schemaElement({ name: "list", repetition: Repetition.REPEATED, children: 1 }));
+    const first = leaves.length;
+    const repeated = { path: [...own.path, "list"], def: own.def + 1, rep: rep + 1 };
+    const items = buildNode({ ...column.items, name: "element" }, elements, leaves, repeated);
+    return { column, items, repLevel: rep + 1, leaves: leaves.slice(first) };
+  }
+  const element = leafElement(column);
+  elements.push(schemaElement({ ...element, name: column.name, repetition: Repetition.OPTIONAL }));
+  const leaf = {
+    column,
+    element,
+    path: own.path,
+    maxDef: own.def,
+    maxRep: rep,
+    convert: converter(column),
+    defs: [],
+    reps: [],
+    values: [],
+  };
+  leaves.push(leaf);
+  return { column, leaf, leaves: [leaf] };
+}
+
+// Record that `node` holds nothing below definition level `def`.
+function shredNull(node, rep, def) {
+  for (const leaf of node.leaves) {
+    leaf.reps.push(rep);
+    leaf.defs.push(def);
+  }
+}
+
+// Returns a rough count of the bytes buffered, to size row groups.
+function shred(node, value, rep, def) {
+  if (node.fields) {
+    if (!isRecordValue(value)) {
+      shredNull(node, rep, def);
+      return 0;
+    }
+    let bytes = 0;
+    for (const field of node.fields) bytes += shred(field, value[field.column.name], rep, def + 1);
+    return bytes;
+  }
+  if (node.items) {
+    if (!Array.isArray(value) || !value.length) {
+      // An empty list is defined one level deeper than a missing one.
+      shredNull(node, rep, Array.isArray(value) ? def + 1 : def);
+      return 0;
+    }
+    let bytes = 0;
+    value.forEach((item, i) => {
+      bytes += shred(node.items, item, i ? node.repLevel : rep, def + 2);
+    });
+    return bytes;
+  }
+  const { leaf } = node;
+  const converted = value === null || value === undefined ? undefined : leaf.convert(value);
+  leaf.reps.push(rep);
+  if (converted === undefined) {
+    leaf.defs.push(def);
+    return 0;
+  }
+  leaf.defs.push(def + 1);
+  if (typeof converted === "string") {
+    const bytes = Buffer.from(converted, "utf8");
+    leaf.values.push(bytes);
+    return bytes.length + 4;
+  }
+  leaf.values.push(converted);
+  return converted instanceof Buffer ? converted.length + 4 : 8;
+}
+
+// RLE runs of the hybrid encoding, behind the 4-byte length v1 pages use.
+function writeLevels(w, levels, start, end, maxLevel) {
+  const width = Math.ceil((32 - Math.clz32(maxLevel)) / 8);
+  const runs = createByteWriter(1024);
+  let i = start;
+  while (i < end) {
+    let run = 1;
+    while (i + run < end && levels[i + run] === levels[i]) run++;
+    runs.varint(run * 2);
+    for (let b = 0; b < width; b++) runs.byte((levels[i] >> (8 * b)) & 0xff);
+    i += run;
+  }
+  const bytes = runs.take();
+  w.int32(bytes.length);
+  w.bytes(bytes);
+}
+
+function writeValues(w, leaf, values) {
+  switch (leaf.element.type) {
+    case Type.BOOLEAN:
+      for (let i = 0; i < values.length; i += 8) {
+        let byte = 0;
+        for (let b = 0; b < 8 && i + b < values.length; b++) if (values[i + b]) byte |= 1 << b;
+        w.byte(byte);
+      }
+      break;
+    case Type.INT32:
+      for (const v of values) w.int32(v);
+      break;
+    case Type.INT64:
+      for (const v of values) w.int64(v);
+      break;
+    case Type.DOUBLE:
+      for (const v of values) w.double(v);
+      break;
+    case Type.BYTE_ARRAY:
+      for (const v of values) {
+        w.int32(v.length);
+        w.bytes(v);
+      }
+      break;
+    case Type.FIXED_LEN_BYTE_ARRAY:
+      for (const v of values) w.bytes(twosComplement(v, DECIMAL_BYTES));
+      break;
+    default:
+      throw new Error(`Unsupported Parquet type ${leaf.element.type}`);
+  }
+}
+
+function encodePage(leaf, start, end, values) {
+  const w = createByteWriter();
+  if (leaf.maxRep > 0) writeLevels(w, leaf.reps, start, end, leaf.maxRep);
+  writeLevels(w, leaf.defs, start, end, leaf.maxDef);
+  writeValues(w, leaf, values);
+  return w.take();
+}
+
+// Where the pages of a leaf's buffered levels end: every PAGE_LEVELS or
+// so, but only where a new row starts.
+function pageEnds(leaf) {
+  const ends = [];
+  const count = leaf.defs.length;
+  let at = PAGE_LEVELS;
+  while (at < count) {
+    while (at < count && leaf.reps[at] !== 0) at++;
+    if (at < count) ends.push(at);
+    at += PAGE_LEVELS;
+  }
+  ends.push(count);
+  return ends;
+}
+
+/**
+ * Write Parquet to the writable `out`, a row group at a time, for
+ * documents shaped by `columns` (see ./columnar). `out` is left open.
+ *
+ *   const file = createParquetWriter(res, { columns });
+ *   for await (const doc of cursor) await file.addRow(doc);
+ *   await file.end();
+ */
+function createParquetWriter(out, { columns, rowGroupRows = ROW_GROUP_ROWS, rowGroupBytes = ROW_GROUP_BYTES }) {
+  const output = createOutput(out);
+  const elements = [];
+  const leaves = [];
+  const nodes = buildNodes(columns, elements, leaves, { path: [], def: 0, rep: 0 });
+  elements.unshift(schemaElement({ name: "schema", children: nodes.length }));
+  const rowGroups = [];
+  let started = false;
+  let rows = 0;
+  let bytes = 0;
+  let totalRows = 0;
+
+  async function writeColumn(leaf) {
+    const offset = output.offset;
+    let uncompressed = 0;
+    let compressed = 0;
+    let valueAt = 0;
+    let start = 0;
+    for (const end of pageEnds(leaf)) {
+      let defined = 0;
+      for (let i = start; i < end; i++) if (leaf.defs[i] === leaf.maxDef) defined++;
+      const page = encodePage(leaf, start, end, leaf.values.slice(valueAt, valueAt + defined));
+      valueAt += defined;
+      const data = await gzip(page);
+      const header = createByteWriter(64);
+      writeStruct(header, [
+        [1, T.I32, DATA_PAGE],
+        [2, T.I32, page.length],
+        [3, T.I32, data.length],
+        [
+          5,
+          T.STRUCT,
+          [
+            [1, T.I32, end - start],
+            [2, T.I32, Encoding.PLAIN],
+            [3, T.I32, Encoding.RLE],
+            [4, T.I32, Encoding.RLE],
+          ],
+        ],
+      ]);
+      const headerBytes = header.take();
+      uncompressed += headerBytes.length + page.length;
+      compressed += headerBytes.length + data.length;
+      await output.write(headerBytes);
+      await output.write(data);
+      start = end;
+    }
+    const meta = [
+      [1, T.I32, leaf.element.type],
+      [2, T.LIST, [T.I32, [Encoding.PLAIN, Encoding.RLE]]],
+      [3, T.LIST, [T.BINARY, leaf.path]],
+      [4, T.I32, GZIP],
+      [5, T.I64, leaf.defs.length],
+      [6, T.I64, uncompressed],
+      [7, T.I64, compressed],
+      [9, T.I64, offset],
+    ];
+    leaf.defs = [];
+    leaf.reps = [];
+    leaf.values = [];
+    return { meta, offset, uncompressed, compressed };
+  }
+
+  async function flush() {
+    if (!rows) return;
+    const chunks = [];
+    let groupBytes = 0;
+    let groupCompressed = 0;
+    const groupOffset = output.offset;
+    for (const leaf of leaves) {
+      const chunk = await writeColumn(leaf);
+      chunks.push([[2, T.I64, chunk.offset], [3, T.STRUCT, chunk.meta]]);
+      groupBytes += chunk.uncompressed;
+      groupCompressed += chunk.compressed;
+    }
+    rowGroups.push([
+      [1, T.LIST, [T.STRUCT, chunks]],
+      [2, T.I64, groupBytes],
+      [3, T.I64, rows],
+      [5, T.I64, groupOffset],
+      [6, T.I64, groupCompressed],
+      [7, T.I16, rowGroups.length],
+    ]);
+    totalRows += rows;
+    rows = 0;
+    bytes = 0;
+  }
+
+  async function start() {
+    if (started) return;
+    started = true;
+    await output.write(MAGIC);
+  }
+
+  return {
+    async addRow(doc) {
+      await start();
+      for (const node of nodes) bytes += shred(node, doc[node.column.name], 0, 0);
+      rows++;
+      if (rows >= rowGroupRows || bytes >= rowGroupBytes) await flush();
+    },
+    async end() {
+      await start();
+      await flush();
+      const footer = createByteWriter();
+      writeStruct(footer, [
+        [1, T.I32, 1],
+        [2, T.LIST, [T.STRUCT, elements]],
+        [3, T.I64, totalRows],
+        [4, T.LIST, [T.STRUCT, rowGroups]],
+        [6, T.BINARY, "mongodb-dashboard"],
+      ]);
+      const length = Buffer.alloc(4);
+      length.writeUInt32LE(footer.length, 0);
+      await output.write(footer.take());
+      await output.write(Buffer.concat([length, MAGIC]));
+    },
+  };
+}
+
+module.exports = {
+  createParquetWriter,
+};
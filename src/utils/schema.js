@@ -7,15 +7,21 @@
  * Analyze a collection to infer its schema
  * @param {Collection} collection - MongoDB collection
  * @param {number} sampleSize - Number of documents to sample (default: 100)
+ * @param {Object} [options]
+ * @param {Object} [options.filter] - Sample only documents matching this query
+ * @param {boolean} [options.includeId] - Describe _id as well
+ * @param {boolean} [options.promoteValues] - Pass false to tell int, long and
+ *   double apart (the driver otherwise hands all three back as numbers)
  * @returns {Promise<Object>} Inferred schema
  */
-async function inferSchema(collection, sampleSize = 100) {
+async function inferSchema(collection, sampleSize = 100, options = {}) {
+  const { filter = {}, includeId = false, promoteValues = true } = options;
   const schema = {};
   const fieldStats = {};
   
   // Sample documents from the collection
   const sampleDocs = await collection
-    .find({})
+    .find(filter, promoteValues ? {} : { promoteValues: false })
     .limit(sampleSize)
     .toArray();
   
@@ -25,7 +31,7 @@ async function inferSchema(collection, sampleSize = 100) {
   
   // Analyze each document
   sampleDocs.forEach(doc => {
-    analyzeDocument(doc, fieldStats, '');
+    analyzeDocument(doc, fieldStats, '', includeId);
   });
   
   // Convert stats to schema
@@ -45,6 +51,8 @@ async function inferSchema(collection, sampleSize = 100) {
       nullable: stats.nullCount > 0,
       presence: stats.presentCount / totalDocs,
       examples: getUniqueExamples(allValues, 5),
+      // Every BSON type seen, most common first
+      types: [...stats.kinds.entries()].sort((a, b) => b[1] - a[1]).map(([kind]) => kind),
     };
     
     // Detect enums (if all values are from a small set of unique strings)
@@ -76,12 +84,18 @@ async function inferSchema(collection, sampleSize = 100) {
       }
     }
     
+    // Digits after the point, for decimals
+    if (stats.decimalScale !== null) {
+      fieldSchema.scale = stats.decimalScale;
+    }
+    
     // Detect array types
     if (fieldSchema.type === 'array' && stats.arrayItemTypes.size > 0) {
       const itemTypes = Array.from(stats.arrayItemTypes);
       if (itemTypes.length === 1) {
         fieldSchema.items = { type: itemTypes[0] };
       }
+      fieldSchema.items = { ...fieldSchema.items, types: Array.from(stats.arrayItemKinds) };
     }
     
     // Handle nested objects - check if this field path indicates nesting
@@ -94,10 +108,9 @@ async function inferSchema(collection, sampleSize = 100) {
         if (!current[part]) {
           current[part] = { type: 'object', fields: {} };
         } else if (current[part].type !== 'object' || !current[part].fields) {
-          // Convert existing field to object type
+          // Convert existing field to object type, keeping what was seen of it
           const existing = current[part];
-          current[part] = { type: 'object', fields: {} };
-          // If it was a simple field, we might lose it, but that's okay for schema inference
+          current[part] = { ...existing, type: 'object', fields: {} };
         }
         current = current[part].fields;
       }
@@ -114,11 +127,11 @@ async function inferSchema(collection, sampleSize = 100) {
 /**
  * Analyze a single document and update field statistics
  */
-function analyzeDocument(doc, fieldStats, prefix = '') {
+function analyzeDocument(doc, fieldStats, prefix = '', includeId = false) {
   if (!doc || typeof doc !== 'object') return;
   
   Object.keys(doc).forEach(key => {
-    if (key === '_id') return; // Skip _id
+    if (key === '_id' && !includeId) return; // Skip _id
     
     const fieldPath = prefix ? `${prefix}.${key}` : key;
     const value = doc[key];
@@ -133,8 +146,14 @@ function analyzeDocument(doc, fieldStats, prefix = '') {
         dateValues: [],
         objectValues: [],
         arrayValues: [],
+        objectIdValues: [],
+        decimalValues: [],
+        binaryValues: [],
         uniqueStringValues: new Set(),
         arrayItemTypes: new Set(),
+        arrayItemKinds: new Set(),
+        kinds: new Map(),
+        decimalScale: null,
       };
     }
     
@@ -144,8 +163,20 @@ function analyzeDocument(doc, fieldStats, prefix = '') {
       stats.nullCount++;
     } else {
       stats.presentCount++;
+      const kind = bsonKind(value);
+      stats.kinds.set(kind, (stats.kinds.get(kind) || 0) + 1);
       
-      if (typeof value === 'string') {
+      if (kind === 'int' || kind === 'long' || kind === 'double') {
+        stats.numberValues.push(typeof value === 'object' && value.toNumber ? value.toNumber() : Number(value));
+      } else if (kind === 'decimal') {
+        const text = value.toString();
+        stats.decimalValues.push(text);
+        stats.decimalScale = Math.max(stats.decimalScale || 0, decimalScale(text));
+      } else if (kind === 'objectId') {
+        stats.objectIdValues.push(value.$oid || value.toHexString());
+      } else if (kind === 'binary') {
+        stats.binaryValues.push(value);
+      } else if (typeof value === 'string') {
         stats.stringValues.push(value);
         stats.uniqueStringValues.add(value);
         
@@ -153,29 +184,26 @@ function analyzeDocument(doc, fieldStats, prefix = '') {
         if (isDateString(value)) {
           stats.dateValues.push(value);
         }
-      } else if (typeof value === 'number') {
-        stats.numberValues.push(value);
       } else if (typeof value === 'boolean') {
         stats.booleanValues.push(value);
       } else if (value instanceof Date) {
         stats.dateValues.push(value.toISOString());
       } else if (value.$date) {
         stats.dateValues.push(value.$date);
-      } else if (value.$oid) {
-        // ObjectId - treat as string
-        stats.stringValues.push(value.$oid);
       } else if (Array.isArray(value)) {
         stats.arrayValues.push(value.length);
         value.forEach(item => {
+          const itemKind = item === null || item === undefined ? null : bsonKind(item);
+          if (itemKind) stats.arrayItemKinds.add(itemKind);
           if (typeof item === 'string') stats.arrayItemTypes.add('string');
-          else if (typeof item === 'number') stats.arrayItemTypes.add('number');
+          else if (itemKind === 'int' || itemKind === 'long' || itemKind === 'double') stats.arrayItemTypes.add('number');
           else if (typeof item === 'boolean') stats.arrayItemTypes.add('boolean');
           else if (typeof item === 'object') stats.arrayItemTypes.add('object');
         });
-      } else if (typeof value === 'object') {
+      } else if (kind === 'object') {
         stats.objectValues.push(value);
         // Recursively analyze nested objects
-        analyzeDocument(value, fieldStats, fieldPath);
+        analyzeDocument(value, fieldStats, fieldPath, includeId);
       }
     }
   });
@@ -192,6 +220,9 @@ function determineType(stats) {
     date: stats.dateValues.length,
     array: stats.arrayValues.length,
     object: stats.objectValues.length,
+    objectId: stats.objectIdValues.length,
+    decimal: stats.decimalValues.length,
+    binary: stats.binaryValues.length,
   };
   
   // Find the most common type
@@ -208,6 +239,57 @@ function determineType(stats) {
   return primaryType;
 }
 
+const BSON_KINDS = {
+  Int32: 'int',
+  Long: 'long',
+  Double: 'double',
+  Decimal128: 'decimal',
+  ObjectId: 'objectId',
+  ObjectID: 'objectId',
+  Binary: 'binary',
+  Timestamp: 'timestamp',
+  Code: 'code',
+  BSONRegExp: 'regex',
+  BSONSymbol: 'string',
+  MinKey: 'minKey',
+  MaxKey: 'maxKey',
+  DBRef: 'dbref',
+};
+
+/**
+ * The BSON type of a (non-null) value: string, int, long, double, decimal,
+ * boolean, date, objectId, binary, array, object, ...
+ */
+function bsonKind(value) {
+  if (typeof value === 'string') return 'string';
+  if (typeof value === 'boolean') return 'boolean';
+  if (typeof value === 'bigint') return 'long';
+  if (typeof value === 'number') {
+    // A promoted value; whole numbers that fit 32 bits were most likely ints
+    return Number.isInteger(value) && Math.abs(value) < 2 ** 31 ? 'int' : 'double';
+  }
+  if (value instanceof Date) return 'date';
+  if (value instanceof RegExp) return 'regex';
+  if (Array.isArray(value)) return 'array';
+  if (Buffer.isBuffer(value) || value instanceof Uint8Array) return 'binary';
+  if (typeof value === 'object') {
+    if (value._bsontype) return BSON_KINDS[value._bsontype] || 'other';
+    if (value.$date) return 'date';
+    if (value.$oid) return 'objectId';
+    return 'object';
+  }
+  return 'other';
+}
+
+/**
+ * Digits after the decimal point of a decimal string such as "1.250" or "1E-3"
+ */
+function decimalScale(text) {
+  const match = /^[+-]?\d*(?:\.(\d*))?(?:E([+-]?\d+))?$/i.exec(text);
+  if (!match) return 0;
+  return Math.max(0, (match[1] || '').length - Number(match[2] || 0));
+}
+
 /**
  * Check if a string looks like a date
  */
@@ -230,4 +312,5 @@ function getUniqueExamples(values, max = 5) {
 
 module.exports = {
   inferSchema,
+  bsonKind,
 };
@@ -0,0 +1,43 @@
+const crypto = require("crypto");
+const config = require("../config");
+
+// AES-256-GCM for secrets kept in the data/ JSON stores (saved connection
+// strings, TOTP seeds). Keyed by CONNECTION_VAULT_SECRET, falling back to
+// SESSION_SECRET.
+
+function getKey() {
+  return crypto
+    .createHash("sha256")
+    .update(String(config.connectionVaultSecret || config.auth.sessionSecret))
+    .digest();
+}
+
+function encrypt(text) {
+  const iv = crypto.randomBytes(12);
+  const key = getKey();
+  const cipher = crypto.createCipheriv("aes-256-gcm", key, iv);
+  const encrypted = Buffer.concat([cipher.update(text, "utf8"), cipher.final()]);
+  const tag = cipher.getAuthTag();
+  return {
+    iv: iv.toString("base64"),
+    tag: tag.toString("base64"),
+    data: encrypted.toString("base64"),
+  };
+}
+
+function decrypt(payload) {
+  const key = getKey();
+  const decipher = crypto.createDecipheriv(
+    "aes-256-gcm",
+    key,
+    Buffer.from(payload.iv, "base64")
+  );
+  decipher.setAuthTag(Buffer.from(payload.tag, "base64"));
+  const decrypted = Buffer.concat([
+    decipher.update(Buffer.from(payload.data, "base64")),
+    decipher.final(),
+  ]);
+  return decrypted.toString("utf8");
+}
+
+module.exports = { encrypt, decrypt };
@@ -0,0 +1,124 @@
+const crypto = require("crypto");
+
+// RFC 6238 time-based one-time passwords (SHA-1, 6 digits, 30 s steps —
+// the profile every authenticator app supports) plus recovery codes.
+
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+const BASE32_ALPHABET = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+
+function base32Encode(buf) {
+  let bits = 0;
+  let value = 0;
+  let out = "";
+  for (const byte of buf) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      out += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) out += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  return out;
+}
+
+function base32Decode(str) {
+  const clean = String(str || "").toUpperCase().replace(/[\s=-]/g, "");
+  let bits = 0;
+  let value = 0;
+  const out = [];
+  for (const ch of clean) {
+    const idx = BASE32_ALPHABET.indexOf(ch);
+    if (idx < 0) throw new Error("Invalid base32 secret");
+    value = (value << 5) | idx;
+    bits += 5;
+    if (bits >= 8) {
+      out.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(out);
+}
+
+/** A new 160-bit secret, base32 encoded. */
+function generateSecret() {
+  return base32Encode(crypto.randomBytes(20));
+}
+
+function codeAt(secret, step) {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+  const hmac = crypto.createHmac("sha1", base32Decode(secret)).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 15;
+  const bin = hmac.readUInt32BE(offset) & 0x7fffffff;
+  return String(bin % 10 ** DIGITS).padStart(DIGITS, "0");
+}
+
+function currentStep(time = Date.now()) {
+  return Math.floor(time / 1000 / STEP_SECONDS);
+}
+
+function generateCode(secret, time = Date.now()) {
+  return codeAt(secret, currentStep(time));
+}
+
+/**
+ * Check `code` against the steps around `time`. Returns the matching step,
+ * or null. Steps at or before `afterStep` are refused so a code cannot be
+ * replayed.
+ */
+function verifyCode(secret, code, { time = Date.now(), window = 1, afterStep = -1 } = {}) {
+  const candidate = String(code || "").replace(/\s/g, "");
+  if (!/^\d{6}$/.test(candidate)) return null;
+  const now = currentStep(time);
+  for (let step = now - window; step <= now + window; step++) {
+    if (step <= afterStep) continue;
+    const expected = codeAt(secret, step);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(candidate))) return step;
+  }
+  return null;
+}
+
+function otpauthUri({ secret, account, issuer }) {
+  const label = encodeURIComponent(`${issuer}:${account}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: "SHA1",
+    digits: String(DIGITS),
+    period: String(STEP_SECONDS),
+  });
+  return `otpauth://totp/${label}?${params.toString()}`;
+}
+
+/** `count` single-use codes like "k7m2-q9xd-4hpa". */
+function generateRecoveryCodes(count = 10) {
+  const alphabet = "abcdefghjkmnpqrstuvwxyz23456789";
+  return Array.from({ length: count }, () => {
+    const bytes = crypto.randomBytes(12);
+    const chars = [...bytes].map((b) => alphabet[b % alphabet.length]).join("");
+    return `${chars.slice(0, 4)}-${chars.slice(4, 8)}-${chars.slice(8, 12)}`;
+  });
+}
+
+function normalizeRecoveryCode(code) {
+  return String(code || "").toLowerCase().replace(/[^a-z0-9]/g, "");
+}
+
+// Recovery codes are random, so a plain SHA-256 is enough to keep them
+// unreadable at rest without bcrypt's cost on every sign-in.
+function hashRecoveryCode(code) {
+  return crypto.createHash("sha256").update(normalizeRecoveryCode(code)).digest("hex");
+}
+
+module.exports = {
+  base32Encode,
+  base32Decode,
+  generateSecret,
+  generateCode,
+  verifyCode,
+  otpauthUri,
+  generateRecoveryCodes,
+  hashRecoveryCode,
+};
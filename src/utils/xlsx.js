@@ -0,0 +1,395 @@
+const { StringDecoder } = require("string_decoder");
+const { serializeDocument } = require("./bson");
+const config = require("../config");
+const { readDirectory, readEntry, entryStream, createZipWriter } = require("./zip");
+
+// Just enough SpreadsheetML (XLSX) to move a table in and out: reading the
+// cells of one worksheet, and writing a single-sheet workbook as a stream.
+// Formulas are read through their cached values; formatting is ignored
+// except to tell dates from numbers.
+
+// Excel's limits per cell and per sheet.
+const MAX_CELL_CHARS = 32767;
+const MAX_COLUMNS = 16384;
+// A row far beyond this in XML means the sheet is not what it claims to be.
+const MAX_ROW_CHARS = 64 * 1024 * 1024;
+// Day 25569 is 1970-01-01 in Excel's 1900 date system.
+const EPOCH_SERIAL = 25569;
+const DAY_MS = 86400000;
+// Built-in number formats that show dates or times.
+const DATE_FORMAT_IDS = new Set([14, 15, 16, 17, 18, 19, 20, 21, 22, 27, 28, 29, 30, 31, 32, 33, 34, 35, 36, 45, 46, 47, 50, 51, 52, 53, 54, 55, 56, 57, 58]);
+
+const XML_HEAD = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n';
+const NS_MAIN = "http://schemas.openxmlformats.org/spreadsheetml/2006/main";
+const NS_REL = "http://schemas.openxmlformats.org/officeDocument/2006/relationships";
+const NS_PKG_REL = "http://schemas.openxmlformats.org/package/2006/relationships";
+
+function xlsxError(message) {
+  const err = new Error(message);
+  err.status = 400;
+  return err;
+}
+
+function decodeXml(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|amp|lt|gt|quot|apos);/gi, (_, entity) => {
+    if (entity[0] === "#") {
+      const code = entity[1] === "x" || entity[1] === "X" ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+      return String.fromCodePoint(code);
+    }
+    return { amp: "&", lt: "<", gt: ">", quot: '"', apos: "'" }[entity.toLowerCase()];
+  });
+}
+
+// Characters XML 1.0 cannot carry at all.
+const INVALID_XML_RE = /[\u0000-\u0008\u000B\u000C\u000E-\u001F\uFFFE\uFFFF]|[\uD800-\uDBFF](?![\uDC00-\uDFFF])|(?<![\uD800-\uDBFF])[\uDC00-\uDFFF]/g;
+
+function escapeXml(text) {
+  return text
+    .replace(INVALID_XML_RE, "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+function attributes(tag) {
+  const out = {};
+  for (const m of tag.matchAll(/([\w:.-]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g)) {
+    out[m[1]] = decodeXml(m[2] ?? m[3]);
+  }
+  return out;
+}
+
+// Tags may carry a namespace prefix (`<x:row>`); these patterns allow one.
+function elements(xml, name) {
+  const re = new RegExp(`<(?:[\\w-]+:)?${name}\\b([^>]*?)(?:/>|>([\\s\\S]*?)</(?:[\\w-]+:)?${name}>)`, "g");
+  return [...xml.matchAll(re)].map((m) => ({ attrs: attributes(m[1]), body: m[2] ?? "" }));
+}
+
+// The text of the <t> runs in a string item, leaving out phonetic hints.
+function runText(body) {
+  const plain = body.replace(/<(?:[\w-]+:)?rPh\b[\s\S]*?<\/(?:[\w-]+:)?rPh>/g, "");
+  return elements(plain, "t").map((t) => decodeXml(t.body)).join("");
+}
+
+function columnIndex(ref) {
+  let n = 0;
+  for (const ch of /^[A-Z]+/i.exec(ref)?.[0].toUpperCase() || "") n = n * 26 + (ch.charCodeAt(0) - 64);
+  return n - 1;
+}
+
+function columnName(index) {
+  let name = "";
+  for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+    name = String.fromCharCode(65 + ((n - 1) % 26)) + name;
+  }
+  return name;
+}
+
+function isDateFormat(code) {
+  // Quoted text, [colours] and escaped characters are not date parts.
+  const bare = code.replace(/"[^"]*"|\[[^\]]*\]|\\./g, "");
+  return /[dmyhs]/i.test(bare);
+}
+
+/** Excel serial day number (with the 1900 or 1904 system) to a Date. */
+function fromSerial(serial, date1904 = false) {
+  // The 1900 system counts a 29 February 1900 that never was, as day 60.
+  const days = date1904 ? serial + 1462 : serial < 60 ? serial + 1 : serial;
+  return new Date(Math.round((days - EPOCH_SERIAL) * DAY_MS));
+}
+
+/** A Date as an Excel serial day number, or null before March 1900. */
+function toSerial(date) {
+  const serial = date.getTime() / DAY_MS + EPOCH_SERIAL;
+  return serial >= 61 ? serial : null;
+}
+
+function resolveTarget(base, target) {
+  if (target.startsWith("/")) return target.slice(1);
+  const parts = base.split("/").slice(0, -1);
+  for (const part of target.split("/")) {
+    if (part === "..") parts.pop();
+    else if (part !== ".") parts.push(part);
+  }
+  return parts.join("/");
+}
+
+function relationships(buffer, entries, path, maxBytes) {
+  const relsPath = resolveTarget(path, `_rels/${path.split("/").pop()}.rels`);
+  const entry = entries.get(relsPath);
+  if (!entry) return [];
+  return elements(readEntry(buffer, entry, { maxBytes }).toString("utf8"), "Relationship").map((r) => ({
+    id: r.attrs.Id,
+    type: r.attrs.Type || "",
+    target: resolveTarget(path, r.attrs.Target || ""),
+  }));
+}
+
+/**
+ * Open the workbook in `buffer` (the whole .xlsx file). Returns
+ * `{ sheets, rows(name) }`: the sheet names in workbook order, and an async
+ * iterator over the rows of one sheet (the first when `name` is not
+ * given) as `{ row, cells }`, where `row` is the sheet's 1-based row
+ * number and `cells` holds strings, numbers, booleans and Dates by column
+ * (holes for empty cells). A cell showing an error such as #N/A is
+ * `{ ref, error }`. Throws (status 400) when the file is not a workbook,
+ * or when one of its parts unpacks to more than `maxEntryBytes`.
+ */
+function openWorkbook(buffer, { maxEntryBytes = config.import.xlsxMaxEntryBytes } = {}) {
+  const maxBytes = maxEntryBytes;
+  const entries = readDirectory(buffer);
+  const text = (path) => {
+    const entry = entries.get(path);
+    return entry ? readEntry(buffer, entry, { maxBytes }).toString("utf8") : null;
+  };
+  const rootPath = relationships(buffer, entries, "", maxBytes).find((r) => r.type.endsWith("/officeDocument"))?.target;
+  const workbookPath = rootPath || "xl/workbook.xml";
+  const workbookXml = text(workbookPath);
+  if (workbookXml === null) throw xlsxError("Not an Excel workbook (.xlsx)");
+
+  const rels = relationships(buffer, entries, workbookPath, maxBytes);
+  const sheets = elements(workbookXml, "sheet").map(({ attrs }) => {
+    const relId = Object.entries(attrs).find(([key]) => /(^|:)id$/.test(key))?.[1];
+    return { name: attrs.name, path: rels.find((r) => r.id === relId)?.target };
+  });
+  if (!sheets.length) throw xlsxError("The workbook has no sheets");
+  const props = elements(workbookXml, "workbookPr")[0]?.attrs || {};
+  const date1904 = props.date1904 === "1" || props.date1904 === "true";
+
+  let sharedStrings = [];
+  const stringsPath = rels.find((r) => r.type.endsWith("/sharedStrings"))?.target;
+  const stringsXml = stringsPath ? text(stringsPath) : null;
+  if (stringsXml) sharedStrings = elements(stringsXml, "si").map((si) => runText(si.body));
+
+  // Style index -> whether the cell shows a date.
+  let dateStyles = [];
+  const stylesPath = rels.find((r) => r.type.endsWith("/styles"))?.target;
+  const stylesXml = stylesPath ? text(stylesPath) : null;
+  if (stylesXml) {
+    const custom = new Map(elements(stylesXml, "numFmt").map(({ attrs }) => [Number(attrs.numFmtId), attrs.formatCode || ""]));
+    const cellXfs = elements(stylesXml, "cellXfs")[0]?.body || "";
+    dateStyles = elements(cellXfs, "xf").map(({ attrs }) => {
+      const id = Number(attrs.numFmtId || 0);
+      return custom.has(id) ? isDateFormat(custom.get(id)) : DATE_FORMAT_IDS.has(id);
+    });
+  }
+
+  function cellValue({ attrs, body }) {
+    const type = attrs.t || "n";
+    if (type === "inlineStr") return runText(elements(body, "is")[0]?.body || "");
+    const v = elements(body, "v")[0];
+    if (!v) return undefined;
+    const raw = decodeXml(v.body);
+    switch (type) {
+      case "s":
+        return sharedStrings[Number(raw)];
+      case "str":
+        return raw;
+      case "b":
+        return raw === "1" || raw === "true";
+      case "e":
+        return { ref: attrs.r, error: raw };
+      case "d":
+        return new Date(raw);
+      default: {
+        const n = Number(raw);
+        if (!Number.isFinite(n)) return raw;
+        return dateStyles[Number(attrs.s || 0)] ? fromSerial(n, date1904) : n;
+      }
+    }
+  }
+
+  function parseRow({ attrs, body }, fallback) {
+    const cells = [];
+    let next = 0;
+    for (const cell of elements(body, "c")) {
+      const index = cell.attrs.r ? columnIndex(cell.attrs.r) : next;
+      next = index + 1;
+      if (index >= MAX_COLUMNS) continue;
+      const value = cellValue(cell);
+      if (value !== undefined) cells[index] = value;
+    }
+    return { row: Number(attrs.r) || fallback, cells };
+  }
+
+  async function* rows(name = null) {
+    const sheet = name === null || name === "" ? sheets[0] : sheets.find((s) => s.name === name);
+    if (!sheet) {
+      throw xlsxError(`No sheet named "${name}"; the workbook has ${sheets.map((s) => `"${s.name}"`).join(", ")}`);
+    }
+    const entry = sheet.path && entries.get(sheet.path);
+    if (!entry) throw xlsxError(`Sheet "${sheet.name}" is missing from the workbook`);
+
+    const rowRe = /<(?:[\w-]+:)?row\b([^>]*?)(?:\/>|>([\s\S]*?)<\/(?:[\w-]+:)?row>)/g;
+    const decoder = new StringDecoder("utf8");
+    let pending = "";
+    let last = 0;
+    for await (const chunk of entryStream(buffer, entry, { maxBytes })) {
+      pending += decoder.write(chunk);
+      rowRe.lastIndex = 0;
+      let consumed = 0;
+      let m;
+      while ((m = rowRe.exec(pending))) {
+        consumed = rowRe.lastIndex;
+        const parsed = parseRow({ attrs: attributes(m[1]), body: m[2] ?? "" }, last + 1);
+        last = parsed.row;
+        if (parsed.cells.length) yield parsed;
+      }
+      pending = pending.slice(consumed);
+      if (pending.length > MAX_ROW_CHARS) throw xlsxError(`Sheet "${sheet.name}" has a row too large to read`);
+    }
+  }
+
+  return { sheets: sheets.map((s) => s.name), rows };
+}
+
+function isPlainObject(value) {
+  return (
+    value !== null &&
+    typeof value === "object" &&
+    !Array.isArray(value) &&
+    !(value instanceof Date) &&
+    !(value instanceof RegExp) &&
+    !Buffer.isBuffer(value) &&
+    !value._bsontype
+  );
+}
+
+// A BSON value as something a cell can hold: text, number, boolean or Date.
+function toCell(value) {
+  if (value === null || value === undefined) return null;
+  if (typeof value === "string" || typeof value === "number" || typeof value === "boolean") return value;
+  if (value instanceof Date) return Number.isNaN(value.getTime()) ? null : value;
+  if (typeof value === "bigint") {
+    const n = Number(value);
+    return Number.isSafeInteger(n) ? n : value.toString();
+  }
+  switch (value._bsontype) {
+    case "ObjectId":
+      return value.toHexString();
+    case "Double":
+    case "Int32":
+      return value.valueOf();
+    case "Long": {
+      // Beyond 2^53 a spreadsheet number would change the value.
+      const n = Number(value.toString());
+      return Number.isSafeInteger(n) ? n : value.toString();
+    }
+    case "Decimal128": {
+      const n = Number(value.toString());
+      return Number.isFinite(n) ? n : value.toString();
+    }
+    default:
+      return JSON.stringify(serializeDocument(value));
+  }
+}
+
+/**
+ * A document as one row: nested fields become dotted column names,
+ * arrays and other BSON values become JSON text.
+ */
+function flattenDocument(doc, prefix = "", out = {}) {
+  for (const [key, value] of Object.entries(doc)) {
+    const path = prefix ? `${prefix}.${key}` : key;
+    if (isPlainObject(value)) flattenDocument(value, path, out);
+    else out[path] = toCell(value);
+  }
+  return out;
+}
+
+// Sheet names: at most 31 characters, none of []:*?/\.
+function sheetName(name) {
+  const clean = String(name || "").replace(/[[\]:*?/\\]/g, "_").replace(/^'+|'+$/g, "").slice(0, 31);
+  return clean || "Sheet1";
+}
+
+function cellXml(ref, value, style) {
+  if (value === null || value === undefined) return "";
+  if (typeof value === "number") {
+    if (Number.isFinite(value)) return `<c r="${ref}"><v>${value}</v></c>`;
+    value = String(value);
+  }
+  if (typeof value === "boolean") return `<c r="${ref}" t="b"><v>${value ? 1 : 0}</v></c>`;
+  if (value instanceof Date) {
+    const serial = toSerial(value);
+    // Excel cannot show days before 1900 as dates.
+    if (serial !== null) return `<c r="${ref}" s="1"><v>${serial}</v></c>`;
+    value = value.toISOString();
+  }
+  const text = escapeXml(String(value).slice(0, MAX_CELL_CHARS));
+  const space = /^\s|\s$/.test(text) ? ' xml:space="preserve"' : "";
+  return `<c r="${ref}"${style ? ` s="${style}"` : ""} t="inlineStr"><is><t${space}>${text}</t></is></c>`;
+}
+
+function rowXml(rowNumber, values, style = null) {
+  const cells = values.map((value, i) => cellXml(`${columnName(i)}${rowNumber}`, value, style)).join("");
+  return `<row r="${rowNumber}">${cells}</row>`;
+}
+
+const CONTENT_TYPES = `${XML_HEAD}<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types"><Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/><Default Extension="xml" ContentType="application/xml"/><Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/><Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/><Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/></Types>`;
+const ROOT_RELS = `${XML_HEAD}<Relationships xmlns="${NS_PKG_REL}"><Relationship Id="rId1" Type="${NS_REL}/officeDocument" Target="xl/workbook.xml"/></Relationships>`;
+const WORKBOOK_RELS = `${XML_HEAD}<Relationships xmlns="${NS_PKG_REL}"><Relationship Id="rId1" Type="${NS_REL}/worksheet" Target="worksheets/sheet1.xml"/><Relationship Id="rId2" Type="${NS_REL}/styles" Target="styles.xml"/></Relationships>`;
+// Style 1 shows dates, style 2 is the bold header.
+const STYLES = `${XML_HEAD}<styleSheet xmlns="${NS_MAIN}"><numFmts count="1"><numFmt numFmtId="164" formatCode="yyyy-mm-dd hh:mm:ss"/></numFmts><fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts><fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills><borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders><cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs><cellXfs count="3"><xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/><xf numFmtId="164" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/><xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/></cellXfs><cellStyles count="1"><cellStyle name="Normal" xfId="0" builtinId="0"/></cellStyles></styleSheet>`;
+
+// Rows are gathered into chunks of about this size before compression.
+const FLUSH_CHARS = 64 * 1024;
+
+/**
+ * Start writing a one-sheet workbook to `out`, with `columns` as its bold,
+ * frozen header row. Returns `{ addRow(values), end() }`; `addRow` takes
+ * the cells in column order and resolves once the output can take more.
+ * Dates become real Excel dates (UTC wall time), shown as
+ * yyyy-mm-dd hh:mm:ss. `out` is not ended.
+ */
+async function createXlsxWriter(out, { sheet = "Sheet1", columns = [] } = {}) {
+  const zip = createZipWriter(out);
+  const name = sheetName(sheet);
+  await zip.addFile("[Content_Types].xml", CONTENT_TYPES);
+  await zip.addFile("_rels/.rels", ROOT_RELS);
+  await zip.addFile(
+    "xl/workbook.xml",
+    `${XML_HEAD}<workbook xmlns="${NS_MAIN}" xmlns:r="${NS_REL}"><sheets><sheet name="${escapeXml(name)}" sheetId="1" r:id="rId1"/></sheets></workbook>`
+  );
+  await zip.addFile("xl/_rels/workbook.xml.rels", WORKBOOK_RELS);
+  await zip.addFile("xl/styles.xml", STYLES);
+
+  const header = columns.slice(0, MAX_COLUMNS);
+  const entry = zip.openFile("xl/worksheets/sheet1.xml");
+  const frozen = header.length
+    ? '<sheetViews><sheetView workbookViewId="0"><pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/></sheetView></sheetViews>'
+    : "";
+  let buffered = `${XML_HEAD}<worksheet xmlns="${NS_MAIN}">${frozen}<sheetData>`;
+  let rowNumber = 0;
+  if (header.length) {
+    rowNumber += 1;
+    buffered += rowXml(rowNumber, header, 2);
+  }
+
+  return {
+    async addRow(values) {
+      rowNumber += 1;
+      buffered += rowXml(rowNumber, values.slice(0, MAX_COLUMNS));
+      if (buffered.length >= FLUSH_CHARS) {
+        const chunk = buffered;
+        buffered = "";
+        await entry.write(chunk);
+      }
+    },
+    async end() {
+      await entry.write(`${buffered}</sheetData></worksheet>`);
+      buffered = "";
+      await entry.end();
+      zip.finish();
+    },
+  };
+}
+
+module.exports = {
+  openWorkbook,
+  flattenDocument,
+  createXlsxWriter,
+  fromSerial,
+  toSerial,
+};
@@ -0,0 +1,269 @@
+const zlib = require("zlib");
+const { once } = require("events");
+const { Readable, Transform, pipeline } = require("stream");
+
+// The parts of ZIP that XLSX needs: reading stored or deflated entries out
+// of an archive held in memory, and writing an archive as a stream. No
+// ZIP64, encryption or multi-disk archives.
+
+const LOCAL_HEADER = 0x04034b50;
+const CENTRAL_HEADER = 0x02014b50;
+const END_OF_DIRECTORY = 0x06054b50;
+const DATA_DESCRIPTOR = 0x08074b50;
+// Flags: sizes follow the data (bit 3), names are UTF-8 (bit 11).
+const FLAG_DESCRIPTOR = 0x0008;
+const FLAG_UTF8 = 0x0800;
+// Entries past 4 GB would need ZIP64.
+const MAX_ENTRY_BYTES = 0xffffffff;
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+function crc32(buf, crc = 0) {
+  let c = ~crc >>> 0;
+  for (let i = 0; i < buf.length; i++) c = CRC_TABLE[(c ^ buf[i]) & 0xff] ^ (c >>> 8);
+  return ~c >>> 0;
+}
+
+function zipError(message) {
+  const err = new Error(message);
+  err.status = 400;
+  return err;
+}
+
+/**
+ * The entries of the archive in `buffer`, by name:
+ * `{ name, method, compressedSize, size, offset }`. Throws (status 400)
+ * when the buffer is not a ZIP archive.
+ */
+function readDirectory(buffer) {
+  // The end record sits in the last 22 bytes, before a comment of up to 64 KB.
+  let end = -1;
+  for (let i = buffer.length - 22; i >= Math.max(0, buffer.length - 22 - 0xffff); i--) {
+    if (buffer.readUInt32LE(i) === END_OF_DIRECTORY) {
+      end = i;
+      break;
+    }
+  }
+  if (end < 0) throw zipError("Not a ZIP archive");
+  const count = buffer.readUInt16LE(end + 10);
+  let at = buffer.readUInt32LE(end + 16);
+  if (count === 0xffff || at === 0xffffffff) throw zipError("ZIP64 archives are not supported");
+
+  const entries = new Map();
+  for (let i = 0; i < count; i++) {
+    if (at + 46 > buffer.length || buffer.readUInt32LE(at) !== CENTRAL_HEADER) {
+      throw zipError("Damaged ZIP archive");
+    }
+    const nameLength = buffer.readUInt16LE(at + 28);
+    const extraLength = buffer.readUInt16LE(at + 30);
+    const commentLength = buffer.readUInt16LE(at + 32);
+    const name = buffer.toString("utf8", at + 46, at + 46 + nameLength);
+    entries.set(name, {
+      name,
+      method: buffer.readUInt16LE(at + 10),
+      compressedSize: buffer.readUInt32LE(at + 20),
+      size: buffer.readUInt32LE(at + 24),
+      offset: buffer.readUInt32LE(at + 42),
+    });
+    at += 46 + nameLength + extraLength + commentLength;
+  }
+  return entries;
+}
+
+function entryData(buffer, entry) {
+  const at = entry.offset;
+  if (at + 30 > buffer.length || buffer.readUInt32LE(at) !== LOCAL_HEADER) {
+    throw zipError(`Damaged ZIP entry: ${entry.name}`);
+  }
+  const start = at + 30 + buffer.readUInt16LE(at + 26) + buffer.readUInt16LE(at + 28);
+  if (start + entry.compressedSize > buffer.length) throw zipError(`Damaged ZIP entry: ${entry.name}`);
+  if (entry.method !== 0 && entry.method !== 8) {
+    throw zipError(`Unsupported compression in ZIP entry: ${entry.name}`);
+  }
+  return buffer.subarray(start, start + entry.compressedSize);
+}
+
+function tooLarge(entry, maxBytes) {
+  return zipError(`ZIP entry ${entry.name} unpacks to more than ${maxBytes} bytes`);
+}
+
+// A declared size is only a claim; the inflated bytes are counted as well.
+function checkSize(entry, maxBytes) {
+  if (maxBytes && entry.size > maxBytes) throw tooLarge(entry, maxBytes);
+}
+
+/**
+ * The whole content of `entry`, for parts small enough to hold at once.
+ * Throws (status 400) when it unpacks to more than `maxBytes`.
+ */
+function readEntry(buffer, entry, { maxBytes = 0 } = {}) {
+  checkSize(entry, maxBytes);
+  const data = entryData(buffer, entry);
+  if (entry.method === 0) {
+    if (maxBytes && data.length > maxBytes) throw tooLarge(entry, maxBytes);
+    return data;
+  }
+  try {
+    return zlib.inflateRawSync(data, maxBytes ? { maxOutputLength: maxBytes } : {});
+  } catch (err) {
+    if (err.code === "ERR_BUFFER_TOO_LARGE") throw tooLarge(entry, maxBytes);
+    throw err;
+  }
+}
+
+/**
+ * The content of `entry` as a stream of Buffers; the stream fails (status
+ * 400) once more than `maxBytes` have come out of it.
+ */
+function entryStream(buffer, entry, { maxBytes = 0 } = {}) {
+  checkSize(entry, maxBytes);
+  const data = Readable.from([entryData(buffer, entry)]);
+  let size = 0;
+  const counter = new Transform({
+    transform(chunk, _encoding, done) {
+      size += chunk.length;
+      if (maxBytes && size > maxBytes) done(tooLarge(entry, maxBytes));
+      else done(null, chunk);
+    },
+  });
+  if (entry.method === 0) return pipeline(data, counter, () => {});
+  return pipeline(data, zlib.createInflateRaw(), counter, () => {});
+}
+
+function dosDateTime(date) {
+  return {
+    time: (date.getHours() << 11) | (date.getMinutes() << 5) | (date.getSeconds() >> 1),
+    date: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate(),
+  };
+}
+
+/**
+ * Write a ZIP archive to the writable `out` as its entries are produced.
+ * Every entry is deflated; sizes and checksums follow each entry's data,
+ * so nothing has to be known up front.
+ *
+ *   const zip = createZipWriter(res);
+ *   await zip.addFile("a.xml", text);
+ *   const entry = zip.openFile("big.xml");
+ *   await entry.write(chunk); ...; await entry.end();
+ *   zip.finish();
+ */
+function createZipWriter(out) {
+  const stamp = dosDateTime(new Date());
+  const written = [];
+  let offset = 0;
+  let open = false;
+
+  function emit(buf) {
+    offset += buf.length;
+    return out.write(buf);
+  }
+
+  function openFile(name) {
+    if (open) throw new Error("The previous ZIP entry is still open");
+    open = true;
+    const nameBytes = Buffer.from(name, "utf8");
+    const entry = { nameBytes, offset, crc: 0, size: 0, compressedSize: 0 };
+    const header = Buffer.alloc(30);
+    header.writeUInt32LE(LOCAL_HEADER, 0);
+    header.writeUInt16LE(20, 4);
+    header.writeUInt16LE(FLAG_DESCRIPTOR | FLAG_UTF8, 6);
+    header.writeUInt16LE(8, 8);
+    header.writeUInt16LE(stamp.time, 10);
+    header.writeUInt16LE(stamp.date, 12);
+    header.writeUInt16LE(nameBytes.length, 26);
+    emit(Buffer.concat([header, nameBytes]));
+
+    const deflate = zlib.createDeflateRaw();
+    deflate.on("data", (chunk) => {
+      entry.compressedSize += chunk.length;
+      // Hold the compressor back while the client catches up.
+      if (!emit(chunk)) {
+        deflate.pause();
+        out.once("drain", () => deflate.resume());
+      }
+    });
+    // A client that goes away never drains; stop compressing for it.
+    let failed = null;
+    deflate.on("error", (err) => {
+      failed = err;
+    });
+    const gone = () => deflate.destroy(new Error("The download was closed"));
+    out.once("close", gone);
+
+    return {
+      write(chunk) {
+        if (deflate.destroyed) return Promise.reject(failed || new Error("The ZIP entry was closed"));
+        const buf = Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk, "utf8");
+        entry.crc = crc32(buf, entry.crc);
+        entry.size += buf.length;
+        if (entry.size > MAX_ENTRY_BYTES) return Promise.reject(new Error("ZIP entry larger than 4 GB"));
+        if (deflate.write(buf)) return Promise.resolve();
+        return once(deflate, "drain").then(() => {});
+      },
+      async end() {
+        if (deflate.destroyed) throw failed || new Error("The ZIP entry was closed");
+        const ended = once(deflate, "end");
+        deflate.end();
+        await ended;
+        out.off("close", gone);
+        const descriptor = Buffer.alloc(16);
+        descriptor.writeUInt32LE(DATA_DESCRIPTOR, 0);
+        descriptor.writeUInt32LE(entry.crc, 4);
+        descriptor.writeUInt32LE(entry.compressedSize, 8);
+        descriptor.writeUInt32LE(entry.size, 12);
+        emit(descriptor);
+        written.push(entry);
+        open = false;
+      },
+    };
+  }
+
+  async function addFile(name, content) {
+    const entry = openFile(name);
+    await entry.write(content);
+    await entry.end();
+  }
+
+  /** Write the central directory; `out` is left open for the caller to end. */
+  function finish() {
+    if (open) throw new Error("A ZIP entry is still open");
+    const start = offset;
+    for (const entry of written) {
+      const header = Buffer.alloc(46);
+      header.writeUInt32LE(CENTRAL_HEADER, 0);
+      header.writeUInt16LE(20, 4);
+      header.writeUInt16LE(20, 6);
+      header.writeUInt16LE(FLAG_DESCRIPTOR | FLAG_UTF8, 8);
+      header.writeUInt16LE(8, 10);
+      header.writeUInt16LE(stamp.time, 12);
+      header.writeUInt16LE(stamp.date, 14);
+      header.writeUInt32LE(entry.crc, 16);
+      header.writeUInt32LE(entry.compressedSize, 20);
+      header.writeUInt32LE(entry.size, 24);
+      header.writeUInt16LE(entry.nameBytes.length, 28);
+      header.writeUInt32LE(entry.offset, 42);
+      emit(Buffer.concat([header, entry.nameBytes]));
+    }
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(END_OF_DIRECTORY, 0);
+    end.writeUInt16LE(written.length, 8);
+    end.writeUInt16LE(written.length, 10);
+    end.writeUInt32LE(offset - start, 12);
+    end.writeUInt32LE(start, 16);
+    emit(end);
+  }
+
+  return { addFile, openFile, finish };
+}
+
+module.exports = {
+  readDirectory,
+  readEntry,
+  entryStream,
+  createZipWriter,
+};
@@ -0,0 +1,116 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+
+function clear(id) {
+  try { delete require.cache[require.resolve(id)]; } catch {}
+}
+
+async function freshUsers(seed) {
+  const tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'mdb-accounts-'));
+  const usersPath = path.join(tmpDir, 'users.json');
+  await fs.writeFile(usersPath, JSON.stringify({ version: 1, users: seed }), 'utf8');
+  process.env.NODE_ENV = 'test';
+  process.env.AUTH_ENABLED = 'true';
+  process.env.SESSION_SECRET = 'deadbeef'.repeat(8);
+  process.env.AUTH_USERS_FILE = usersPath;
+  process.env.AUTH_PASSWORD = 'test-pass';
+  process.env.AUTH_BOOTSTRAP_USERNAME = '';
+  process.env.AUTH_BOOTSTRAP_PASSWORD = '';
+  clear('../src/config');
+  clear('../src/services/users');
+  clear('../src/routes/api/accounts');
+  return { usersService: require('../src/services/users'), usersPath };
+}
+
+test('creates accounts and rejects duplicates and weak passwords', async () => {
+  const { usersService, usersPath } = await freshUsers([]);
+  const created = await usersService.createUser({ username: 'alice', password: 'long-enough', role: 'editor' });
+  assert.deepEqual([created.username, created.role, created.disabled], ['alice', 'editor', false]);
+
+  await assert.rejects(
+    () => usersService.createUser({ username: 'ALICE', password: 'long-enough' }),
+    (err) => err.status === 409
+  );
+  await assert.rejects(() => usersService.createUser({ username: 'bob', password: 'short' }), (err) => err.status === 400);
+  await assert.rejects(() => usersService.createUser({ username: 'bob', password: 'long-enough', role: 'root' }), (err) => err.status === 400);
+
+  const raw = JSON.parse(await fs.readFile(usersPath, 'utf8'));
+  assert.equal(raw.users.length, 1);
+  assert.ok(raw.users[0].passwordHash.startsWith('$2'));
+  assert.ok(await usersService.verifyUser('alice', 'long-enough'));
+});
+
+test('refuses to demote or disable the last active admin', async () => {
+  const { usersService } = await freshUsers([
+    { username: 'root', role: 'admin', passwordHash: 'x' },
+    { username: 'ops', role: 'admin', passwordHash: 'x', disabled: true },
+    { username: 'eve', role: 'viewer', passwordHash: 'x' },
+  ]);
+  await assert.rejects(() => usersService.updateUser('root', { role: 'editor' }), (err) => err.status === 409);
+  await assert.rejects(() => usersService.updateUser('root', { disabled: true }), (err) => err.status === 409);
+
+  await usersService.updateUser('ops', { disabled: false });
+  const { after } = await usersService.updateUser('root', { role: 'editor' });
+  assert.equal(after.role, 'editor');
+  await assert.rejects(() => usersService.updateUser('nobody', { role: 'viewer' }), (err) => err.status === 404);
+});
+
+test('disabling or resetting a password revokes existing sessions', async () => {
+  const { usersService } = await freshUsers([
+    { username: 'root', role: 'admin', passwordHash: 'x' },
+  ]);
+  await usersService.createUser({ username: 'alice', password: 'long-enough' });
+  const session = { authenticated: true, username: 'alice', loginAt: Date.now() - 1000 };
+  assert.equal(usersService.isSessionRevoked(session), false);
+
+  await usersService.updateUser('alice', { disabled: true });
+  assert.equal(usersService.isSessionRevoked(session), true);
+  assert.equal(await usersService.verifyUser('alice', 'long-enough'), null);
+
+  await usersService.updateUser('alice', { disabled: false });
+  await usersService.setPassword('alice', 'brand-new-secret');
+  assert.equal(await usersService.verifyUser('alice', 'long-enough'), null);
+  assert.ok(await usersService.verifyUser('alice', 'brand-new-secret'));
+  assert.equal(usersService.isSessionRevoked({ ...session, loginAt: Date.now() + 1000 }), false);
+});
+
+test('account routes require userAdmin and stop admins disabling themselves', async () => {
+  await freshUsers([
+    { username: 'root', role: 'admin', passwordHash: 'x' },
+    { username: 'alice', role: 'viewer', passwordHash: 'x' },
+  ]);
+  const router = require('../src/routes/api/accounts');
+  let session = { authenticated: true, username: 'alice', role: 'editor', permissions: ['read', 'write'] };
+  const app = express();
+  app.use(express.json());
+  app.use((req, _res, next) => { req.session = session; next(); });
+  app.use('/', router);
+  const server = app.listen(0);
+  const { port } = server.address();
+  const call = (method, p, body) =>
+    fetch(`http://127.0.0.1:${port}${p}`, {
+      method,
+      headers: { 'content-type': 'application/json' },
+      body: body ? JSON.stringify(body) : undefined,
+    });
+  try {
+    assert.equal((await call('GET', '/accounts')).status, 403);
+
+    session = { authenticated: true, username: 'root', role: 'admin' };
+    const list = await (await call('GET', '/accounts')).json();
+    assert.deepEqual(list.users.map((u) => u.username), ['root', 'alice']);
+    assert.equal(list.users[0].passwordHash, undefined);
+
+    assert.equal((await call('PATCH', '/accounts/root', { disabled: true })).status, 400);
+    assert.equal((await call('PATCH', '/accounts/root', { role: 'viewer' })).status, 409);
+    const res = await call('PATCH', '/accounts/alice', { role: 'editor' });
+    assert.equal(res.status, 200);
+    assert.equal((await res.json()).user.role, 'editor');
+  } finally {
+    server.close();
+  }
+});
@@ -0,0 +1,158 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const session = require('express-session');
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+
+function clearModule(id) {
+  try { delete require.cache[require.resolve(id)]; } catch {}
+}
+
+async function fresh() {
+  const tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'mdb-tokens-'));
+  const usersPath = path.join(tmpDir, 'users.json');
+  await fs.writeFile(usersPath, JSON.stringify({
+    version: 1,
+    users: [
+      { username: 'ci', role: 'editor', passwordHash: 'x' },
+      { username: 'gone', role: 'editor', passwordHash: 'x', disabled: true },
+    ],
+  }), 'utf8');
+  process.env.NODE_ENV = 'test';
+  process.env.AUTH_ENABLED = 'true';
+  process.env.SESSION_SECRET = 'deadbeef'.repeat(8);
+  process.env.AUTH_PASSWORD = 'test-pass';
+  process.env.AUTH_USERS_FILE = usersPath;
+  process.env.AUTH_TOKENS_FILE = path.join(tmpDir, 'api-tokens.json');
+  process.env.AUDIT_LOG_DIR = tmpDir;
+  for (const id of [
+    '../src/config',
+    '../src/utils/audit',
+    '../src/services/users',
+    '../src/services/apiTokens',
+    '../src/middleware/auth',
+    '../src/middleware/csrf',
+    '../src/middleware/apiToken',
+    '../src/routes/api/_shared',
+  ]) clearModule(id);
+  return { apiTokens: require('../src/services/apiTokens'), tokensPath: process.env.AUTH_TOKENS_FILE };
+}
+
+const issue = (apiTokens, overrides = {}) => apiTokens.createToken({
+  username: 'ci',
+  name: 'nightly',
+  permissions: ['read'],
+  expiresInDays: 30,
+  allowed: ['read', 'write'],
+  ...overrides,
+});
+
+test('tokens are stored hashed, limited to the owner permissions and revocable', async () => {
+  const { apiTokens, tokensPath } = await fresh();
+  await assert.rejects(() => issue(apiTokens, { permissions: ['shell'] }), (e) => e.status === 403);
+  await assert.rejects(() => issue(apiTokens, { expiresInDays: 5000 }), (e) => e.status === 400);
+
+  const { token, record } = await issue(apiTokens);
+  assert.match(token, /^mdb_/);
+  assert.equal(record.tokenHash, undefined);
+  assert.ok(!(await fs.readFile(tokensPath, 'utf8')).includes(token));
+
+  const hit = await apiTokens.authenticate(token, { ip: '10.0.0.1' });
+  assert.equal(hit.token.id, record.id);
+  assert.equal(hit.touched, true);
+  assert.equal((await apiTokens.authenticate(token)).touched, false);
+  assert.equal(await apiTokens.authenticate('mdb_nope'), null);
+  assert.equal(await apiTokens.authenticate(token, { now: Date.parse(record.expiresAt) + 1 }), null);
+
+  await assert.rejects(() => apiTokens.revokeToken(record.id, { username: 'someone' }), (e) => e.status === 404);
+  await apiTokens.revokeToken(record.id, { username: 'ci' });
+  assert.equal(await apiTokens.authenticate(token), null);
+  const [listed] = await apiTokens.listTokens({ username: 'ci' });
+  assert.equal(listed.active, false);
+});
+
+test('bearer requests skip the cookie session and CSRF but keep RBAC', async () => {
+  const { apiTokens } = await fresh();
+  const { apiTokenAuth, isTokenRequest } = require('../src/middleware/apiToken');
+  const { csrfApiProtection } = require('../src/middleware/csrf');
+  const { requireAuth } = require('../src/middleware/auth');
+  const { readOnlyAndAuditMiddleware } = require('../src/routes/api/_shared');
+
+  const app = express();
+  const sessionMiddleware = session({ name: 'mdb.sid', secret: 'test', resave: false, saveUninitialized: true });
+  app.use((req, res, next) => (isTokenRequest(req) ? next() : sessionMiddleware(req, res, next)));
+  app.use(apiTokenAuth);
+  app.use(express.json());
+  app.use('/api', csrfApiProtection);
+  app.use('/api', requireAuth, readOnlyAndAuditMiddleware, (req, res) => res.json({
+    username: req.session.username,
+    authMethod: req.session.authMethod,
+  }));
+
+  const reader = (await issue(apiTokens)).token;
+  const writer = (await issue(apiTokens, { permissions: ['read', 'write'] })).token;
+  const disabled = (await issue(apiTokens, { username: 'gone' })).token;
+
+  const server = app.listen(0);
+  const base = `http://127.0.0.1:${server.address().port}`;
+  const call = (method, p, token) => fetch(`${base}${p}`, {
+    method,
+    headers: { 'content-type': 'application/json', ...(token ? { authorization: `Bearer ${token}` } : {}) },
+    body: method === 'GET' ? undefined : '{}',
+  });
+  try {
+    const exported = await call('GET', '/api/shop/orders/export', reader);
+    assert.equal(exported.status, 200);
+    assert.equal(exported.headers.get('set-cookie'), null);
+    assert.deepEqual(await exported.json(), { username: 'ci', authMethod: 'token' });
+
+    assert.equal((await call('POST', '/api/shop/orders', reader)).status, 403);
+    assert.equal((await call('POST', '/api/shop/orders', writer)).status, 200);
+    // Cookie requests still need a CSRF token.
+    assert.equal((await call('POST', '/api/shop/orders')).status, 403);
+
+    assert.equal((await call('GET', '/api/shop/orders', 'mdb_forged')).status, 401);
+    assert.equal((await call('GET', '/api/shop/orders', disabled)).status, 401);
+    assert.equal((await call('POST', '/api/account/tokens', writer)).status, 403);
+    assert.equal((await call('POST', '/api/connect', writer)).status, 403);
+  } finally {
+    server.close();
+    delete process.env.AUDIT_LOG_DIR;
+  }
+});
+
+test('an SSO session cannot use the token routes of a local account with the same name', async () => {
+  const { apiTokens } = await fresh();
+  clearModule('../src/routes/api/accounts');
+  const existing = (await issue(apiTokens)).record;
+  const sessions = {
+    password: { authenticated: true, username: 'ci', role: 'editor', authMethod: 'password' },
+    oidc: { authenticated: true, username: 'ci', role: 'editor', authMethod: 'oidc' },
+  };
+  const app = express();
+  app.use(express.json());
+  app.use((req, _res, next) => { req.session = sessions[req.get('x-as')]; next(); });
+  app.use('/api', require('../src/routes/api/accounts'));
+  const server = app.listen(0);
+  const base = `http://127.0.0.1:${server.address().port}`;
+  const call = (as, method, p, body) => fetch(`${base}${p}`, {
+    method,
+    headers: { 'content-type': 'application/json', 'x-as': as },
+    body: body ? JSON.stringify(body) : undefined,
+  });
+  const mint = { name: 'sso', permissions: ['read'], expiresInDays: 30 };
+  try {
+    assert.equal((await call('oidc', 'POST', '/api/account/tokens', mint)).status, 400);
+    assert.equal((await call('oidc', 'GET', '/api/account/tokens')).status, 400);
+    assert.equal((await call('oidc', 'DELETE', `/api/account/tokens/${existing.id}`)).status, 400);
+    assert.deepEqual((await apiTokens.listTokens({ username: 'ci' })).map((t) => [t.id, t.active]), [[existing.id, true]]);
+
+    assert.equal((await call('password', 'POST', '/api/account/tokens', mint)).status, 201);
+    assert.equal((await apiTokens.listTokens({ username: 'ci' })).length, 2);
+  } finally {
+    server.close();
+    delete process.env.AUDIT_LOG_DIR;
+  }
+});
@@ -0,0 +1,176 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+function clearModule(id) {
+  try { delete require.cache[require.resolve(id)]; } catch {}
+}
+
+function fresh(env = {}) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'mdb-approvals-'));
+  Object.assign(process.env, {
+    NODE_ENV: 'test',
+    AUTH_ENABLED: 'true',
+    AUTH_PASSWORD: 'test-pass',
+    SESSION_SECRET: 'deadbeef'.repeat(8),
+    AUDIT_LOG_DIR: path.join(dir, 'audit'),
+    APPROVALS_DIR: path.join(dir, 'approvals'),
+    FOUR_EYES_APPROVAL: 'true',
+    ...env,
+  });
+  for (const id of [
+    '../src/config',
+    '../src/utils/audit',
+    '../src/services/users',
+    '../src/services/approvals',
+    '../src/services/mongodb',
+    '../src/routes/api/_shared',
+    '../src/routes/api/approvals',
+    '../src/routes/api/databases',
+    '../src/routes/api/shell',
+  ]) clearModule(id);
+  return dir;
+}
+
+const SESSIONS = {
+  alice: { authenticated: true, username: 'alice', role: 'admin' },
+  bob: { authenticated: true, username: 'bob', role: 'admin' },
+  eve: { authenticated: true, username: 'eve', role: 'editor' },
+};
+
+async function withApp(fn) {
+  const dropped = [];
+  const mongoService = require('../src/services/mongodb');
+  mongoService.getClient = () => ({
+    db: (db) => ({
+      databaseName: db,
+      dropDatabase: async () => dropped.push(db),
+      collection: (name) => ({
+        drop: async () => dropped.push(`${db}.${name}`),
+        insertOne: async () => ({ insertedId: 1 }),
+      }),
+    }),
+  });
+  mongoService.getConnectionId = () => 'preset';
+  const { readOnlyAndAuditMiddleware } = require('../src/routes/api/_shared');
+  const app = express();
+  app.use(express.json());
+  app.use((req, _res, next) => {
+    req.session = SESSIONS[req.get('x-user')];
+    next();
+  });
+  app.use(
+    '/api',
+    readOnlyAndAuditMiddleware,
+    require('../src/routes/api/approvals'),
+    require('../src/routes/api/databases'),
+    require('../src/routes/api/shell'),
+  );
+  const server = app.listen(0);
+  const base = `http://127.0.0.1:${server.address().port}/api`;
+  const send = async (user, method, url, body) => {
+    const res = await fetch(`${base}${url}`, {
+      method,
+      headers: { 'content-type': 'application/json', 'x-user': user },
+      body: body === undefined ? undefined : JSON.stringify(body),
+    });
+    return { status: res.status, body: await res.json() };
+  };
+  try {
+    await fn(send, dropped);
+  } finally {
+    server.close();
+  }
+}
+
+function auditEvents(dir) {
+  const file = path.join(dir, 'audit', 'audit.log');
+  return fs.readFileSync(file, 'utf8').trim().split('\n').map((l) => JSON.parse(l).event);
+}
+
+test('a drop waits for a second admin, who runs it', async () => {
+  const dir = fresh();
+  await withApp(async (send, dropped) => {
+    const filed = await send('alice', 'DELETE', '/shop/collections/orders');
+    assert.equal(filed.status, 202);
+    assert.equal(filed.body.pending, true);
+    assert.equal(filed.body.approval.summary, 'Drop collection shop.orders');
+    assert.deepEqual(dropped, []);
+
+    // Filing the same drop again returns the open request.
+    const again = await send('alice', 'DELETE', '/shop/collections/orders');
+    assert.equal(again.body.approval.id, filed.body.approval.id);
+
+    const id = filed.body.approval.id;
+    assert.equal((await send('alice', 'POST', `/approvals/${id}/approve`, {})).status, 403);
+    assert.equal((await send('eve', 'POST', `/approvals/${id}/approve`, {})).status, 403);
+    assert.deepEqual(dropped, []);
+
+    const approved = await send('bob', 'POST', `/approvals/${id}/approve`, { comment: 'ok' });
+    assert.equal(approved.status, 200);
+    assert.equal(approved.body.request.status, 'executed');
+    assert.equal(approved.body.request.decidedBy, 'bob');
+    assert.deepEqual(dropped, ['shop.orders']);
+    assert.equal((await send('bob', 'POST', `/approvals/${id}/approve`, {})).status, 409);
+  });
+  const events = auditEvents(dir);
+  for (const e of ['approval_requested', 'approval_approved', 'approval_executed']) {
+    assert.ok(events.includes(e), e);
+  }
+});
+
+test('requests can be rejected or withdrawn, and non-approvers see only their own', async () => {
+  const dir = fresh();
+  await withApp(async (send, dropped) => {
+    const mine = (await send('alice', 'DELETE', '/databases/shop')).body.approval;
+    const theirs = (await send('bob', 'DELETE', '/databases/crm')).body.approval;
+
+    assert.equal((await send('eve', 'POST', `/approvals/${theirs.id}/reject`, {})).status, 403);
+    const rejected = await send('alice', 'POST', `/approvals/${theirs.id}/reject`, { comment: 'not today' });
+    assert.equal(rejected.body.request.status, 'rejected');
+    const withdrawn = await send('alice', 'POST', `/approvals/${mine.id}/reject`, {});
+    assert.equal(withdrawn.body.request.status, 'cancelled');
+    assert.deepEqual(dropped, []);
+
+    const listed = await send('bob', 'GET', '/approvals');
+    assert.equal(listed.body.canApprove, true);
+    assert.deepEqual(listed.body.requests.map((r) => r.status), ['rejected', 'cancelled']);
+    assert.equal((await send('bob', 'GET', '/approvals?status=pending')).body.requests.length, 0);
+    assert.equal((await send('eve', 'GET', '/approvals')).body.requests.length, 0);
+    assert.equal((await send('eve', 'GET', '/approvals?status=nope')).status, 400);
+  });
+  const events = auditEvents(dir);
+  assert.ok(events.includes('approval_rejected'));
+  assert.ok(events.includes('approval_cancelled'));
+});
+
+test('a shell write is audited when it runs, not when it is filed for approval', async () => {
+  const dir = fresh();
+  await withApp(async (send, dropped) => {
+    const filed = await send('alice', 'POST', '/shell/exec', { db: 'shop', command: 'db.orders.drop()' });
+    assert.equal(filed.status, 202);
+    assert.deepEqual(dropped, []);
+    assert.deepEqual(auditEvents(dir).filter((e) => e.startsWith('shell_') || e === 'approval_requested'), ['approval_requested']);
+
+    const inserted = await send('alice', 'POST', '/shell/exec', { db: 'shop', command: 'db.orders.insertOne({ a: 1 })' });
+    assert.equal(inserted.status, 200);
+  });
+  assert.equal(auditEvents(dir).filter((e) => e === 'shell_write').length, 1);
+});
+
+test('without four-eyes mode drops run right away', async () => {
+  fresh({ FOUR_EYES_APPROVAL: 'false' });
+  await withApp(async (send, dropped) => {
+    assert.equal((await send('alice', 'DELETE', '/databases/shop')).status, 200);
+    assert.deepEqual(dropped, ['shop']);
+  });
+});
+
+test('four-eyes mode needs accounts', () => {
+  fresh({ AUTH_ENABLED: 'false' });
+  assert.throws(() => require('../src/config'), /FOUR_EYES_APPROVAL=true needs AUTH_ENABLED/);
+  process.env.FOUR_EYES_APPROVAL = 'false';
+});
@@ -0,0 +1,131 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const dgram = require('dgram');
+const fs = require('fs');
+const http = require('http');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+
+function clearModule(id) {
+  try { delete require.cache[require.resolve(id)]; } catch {}
+}
+
+process.env.NODE_ENV = 'test';
+process.env.AUDIT_LOG_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'mdb-audit-sinks-'));
+
+function fresh() {
+  for (const id of ['../src/config', '../src/utils/audit', '../src/services/auditSinks']) clearModule(id);
+  return { audit: require('../src/utils/audit'), sinks: require('../src/services/auditSinks') };
+}
+
+const entry = { ts: '2026-01-02T03:04:05.000Z', event: 'login_failed', username: 'zoë', seq: 7, hash: 'ab' };
+
+test('syslog sink sends RFC 5424 messages over UDP and framed TCP', async () => {
+  const { sinks } = fresh();
+  const opts = { appName: 'mongodb-dashboard', facility: 10, hostname: 'dash 1' };
+  const line = sinks.formatSyslog(entry, opts);
+  assert.equal(
+    line,
+    `<84>1 2026-01-02T03:04:05.000Z dash_1 mongodb-dashboard ${process.pid} login_failed [meta sequenceId="7"] \uFEFF${JSON.stringify(entry)}`
+  );
+  assert.match(sinks.formatSyslog({ ...entry, event: 'write', seq: undefined }, opts), /^<85>1 .* write - /);
+
+  const udp = dgram.createSocket('udp4');
+  await new Promise((resolve) => udp.bind(0, '127.0.0.1', resolve));
+  const received = new Promise((resolve) => udp.once('message', (msg) => resolve(msg.toString('utf8'))));
+  const udpSink = sinks.createSyslogSink({ url: `udp://127.0.0.1:${udp.address().port}`, ...opts });
+  udpSink.write(entry);
+  assert.equal(await received, line);
+  await udpSink.close();
+  udp.close();
+
+  let data = '';
+  const server = net.createServer((socket) => socket.on('data', (chunk) => { data += chunk; }));
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  const tcpSink = sinks.createSyslogSink({ url: `tcp://127.0.0.1:${server.address().port}`, ...opts });
+  tcpSink.write(entry);
+  tcpSink.write({ ...entry, seq: 8 });
+  await tcpSink.flush();
+  await tcpSink.close();
+  await new Promise((resolve) => server.close(resolve));
+  const first = Buffer.from(line);
+  assert.ok(data.startsWith(`${first.length} ${line}`));
+  assert.match(data, /sequenceId="8"/);
+});
+
+test('webhook sink retries with backoff and signs the body', async () => {
+  const { sinks } = fresh();
+  const hits = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', (c) => { body += c; });
+    req.on('end', () => {
+      hits.push({ body, signature: req.headers['x-audit-signature'] });
+      const event = JSON.parse(body).event;
+      res.statusCode = event === 'bad' ? 400 : hits.length < 3 ? 503 : 200;
+      res.end();
+    });
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  const sink = sinks.createWebhookSink({
+    url: `http://127.0.0.1:${server.address().port}/hook`,
+    secret: 'hook-secret',
+    timeoutMs: 2000,
+    retries: 3,
+    backoffMs: 5,
+  });
+  try {
+    sink.write(entry);
+    await sink.flush();
+    assert.equal(hits.length, 3);
+    const expected = crypto.createHmac('sha256', 'hook-secret').update(hits[0].body).digest('hex');
+    assert.equal(hits[2].signature, `sha256=${expected}`);
+    assert.deepEqual(sink.stats(), { queued: 0, dropped: 0 });
+
+    // Client errors are not retried.
+    sink.write({ ...entry, event: 'bad' });
+    await sink.flush();
+    assert.equal(hits.length, 4);
+    assert.equal(sink.stats().dropped, 1);
+  } finally {
+    server.close();
+  }
+});
+
+test('mongodb sink writes into a capped collection', async () => {
+  const { sinks } = fresh();
+  const created = [];
+  const inserted = [];
+  const client = {
+    connect: async () => {},
+    close: async () => {},
+    db: (name) => ({
+      createCollection: async (coll, opts) => {
+        created.push({ name, coll, opts });
+        if (created.length > 1) throw Object.assign(new Error('exists'), { code: 48 });
+      },
+      collection: () => ({ insertOne: async (doc) => inserted.push(doc) }),
+    }),
+  };
+  const sink = sinks.createMongoSink({ db: 'dash_meta', collection: 'audit_log', cappedBytes: 4096, client });
+  sink.write(entry);
+  await sink.flush();
+  assert.deepEqual(created, [{ name: 'dash_meta', coll: 'audit_log', opts: { capped: true, size: 4096 } }]);
+  assert.ok(inserted[0].ts instanceof Date);
+  assert.equal(inserted[0].username, 'zoë');
+});
+
+test('failing sinks never affect the file log or each other', async () => {
+  const { audit } = fresh();
+  const got = [];
+  audit.addSink({ write() { throw new Error('boom'); } });
+  audit.addSink({ write: (e) => got.push(e.event) });
+  audit.log({ event: 'test_sink' });
+  await audit.flush();
+  assert.deepEqual(got, ['test_sink']);
+  const lines = fs.readFileSync(path.join(process.env.AUDIT_LOG_DIR, 'audit.log'), 'utf8').trim().split('\n');
+  assert.equal(JSON.parse(lines.at(-1)).event, 'test_sink');
+  await audit.closeSinks();
+});
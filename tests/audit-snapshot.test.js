@@ -0,0 +1,174 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ObjectId } = require('mongodb');
+
+function clearModule(id) {
+  try { delete require.cache[require.resolve(id)]; } catch {}
+}
+
+const logDir = fs.mkdtempSync(path.join(os.tmpdir(), 'mdb-audit-snap-'));
+
+function fresh(env = {}) {
+  Object.assign(process.env, {
+    NODE_ENV: 'test',
+    AUTH_ENABLED: 'false',
+    SESSION_SECRET: 'deadbeef'.repeat(8),
+    AUDIT_LOG_DIR: logDir,
+    AUDIT_SNAPSHOTS: 'diff',
+    AUDIT_SNAPSHOT_MAX_BYTES: '16384',
+    AUDIT_SNAPSHOT_MAX_DOCS: '50',
+    AUDIT_REDACT_FIELDS: 'password,card.number,contacts.*.phone',
+    ...env,
+  });
+  for (const id of [
+    '../src/config',
+    '../src/utils/audit',
+    '../src/utils/auditSnapshot',
+    '../src/services/mongodb',
+    '../src/routes/api/_shared',
+    '../src/routes/api/documents',
+  ]) clearModule(id);
+  return require('../src/utils/auditSnapshot');
+}
+
+test('snapshots redact configured fields and diff changed paths', () => {
+  const snap = fresh();
+  const id = new ObjectId();
+  const doc = {
+    _id: id,
+    status: 'open',
+    password: 'hunter2',
+    card: { number: '4111', brand: 'visa' },
+    contacts: { home: { phone: '555', city: 'Oslo' } },
+    at: new Date('2026-01-01T00:00:00Z'),
+  };
+  assert.deepEqual(snap.redact({ user: { Password: 'x' }, card: { number: '1' }, contacts: { a: { phone: '2' } } }), {
+    user: { Password: snap.REDACTED },
+    card: { number: snap.REDACTED },
+    contacts: { a: { phone: snap.REDACTED } },
+  });
+
+  const after = { ...doc, status: 'shipped', password: 'other', card: { number: '5500', brand: 'mc' }, at: new Date('2026-02-01T00:00:00Z') };
+  delete after.contacts;
+  const change = snap.describeChange({ documentId: String(id), before: doc, after });
+  assert.deepEqual(change, {
+    documentId: String(id),
+    changes: [
+      { path: 'status', before: 'open', after: 'shipped' },
+      { path: 'card.brand', before: 'visa', after: 'mc' },
+      { path: 'contacts', before: { home: { phone: snap.REDACTED, city: 'Oslo' } } },
+      { path: 'at', before: { $date: '2026-01-01T00:00:00.000Z' }, after: { $date: '2026-02-01T00:00:00.000Z' } },
+    ],
+  });
+
+  const deleted = snap.describeChange({ documentId: String(id), before: doc });
+  assert.equal(deleted.before.password, snap.REDACTED);
+  assert.deepEqual(deleted.before._id, { $oid: String(id) });
+
+  const small = fresh({ AUDIT_SNAPSHOTS: 'full', AUDIT_SNAPSHOT_MAX_BYTES: '120' });
+  const full = small.describeChange({ documentId: 'x', before: { _id: 'x', a: 1 }, after: { _id: 'x', a: 'y'.repeat(200) } });
+  assert.deepEqual(full.before, { _id: 'x', a: 1 });
+  assert.equal(full.after.truncated, true);
+
+  assert.deepEqual(fresh({ AUDIT_SNAPSHOTS: 'off' }).describeChange({ documentId: 'x', before: doc }), { documentId: 'x' });
+});
+
+function makeCollection(docs) {
+  const match = (q) => (d) => (q._id?.$in ? q._id.$in.some((id) => String(id) === String(d._id)) : String(q._id) === String(d._id));
+  return {
+    docs,
+    // Copies, like the driver: later writes must not change earlier reads.
+    findOne: async (q) => {
+      const doc = docs.find(match(q));
+      return doc ? { ...doc } : null;
+    },
+    find: (q) => ({
+      limit(n) { this.n = n; return this; },
+      async toArray() { return docs.filter(q.status ? (d) => d.status === q.status : match(q)).slice(0, this.n ?? Infinity).map((d) => ({ ...d })); },
+    }),
+    countDocuments: async (q) => docs.filter((d) => d.status === q.status).length,
+    updateOne: async (q, u) => {
+      const doc = docs.find(match(q));
+      if (!doc) return { matchedCount: 0, modifiedCount: 0 };
+      Object.assign(doc, u.$set);
+      return { matchedCount: 1, modifiedCount: 1 };
+    },
+    updateMany: async (q, u) => {
+      const hits = docs.filter((d) => d.status === q.status);
+      hits.forEach((d) => Object.assign(d, u.$set));
+      return { matchedCount: hits.length, modifiedCount: hits.length };
+    },
+    deleteOne: async (q) => {
+      const i = docs.findIndex(match(q));
+      if (i >= 0) docs.splice(i, 1);
+      return { deletedCount: i >= 0 ? 1 : 0 };
+    },
+  };
+}
+
+test('document writes log before/after images once the response is sent', async () => {
+  fresh({ AUDIT_SNAPSHOT_MAX_DOCS: '2' });
+  const id = new ObjectId();
+  const col = makeCollection([
+    { _id: id, status: 'open', total: 10, password: 'p' },
+    { _id: 'b', status: 'open', total: 20 },
+    { _id: 'c', status: 'open', total: 30 },
+  ]);
+  const mongoService = require('../src/services/mongodb');
+  mongoService.getClient = () => ({ db: () => ({ collection: () => col }) });
+  const { readOnlyAndAuditMiddleware } = require('../src/routes/api/_shared');
+  const app = express();
+  app.use(express.json());
+  app.use('/api', readOnlyAndAuditMiddleware, require('../src/routes/api/documents'));
+  const server = app.listen(0);
+  const base = `http://127.0.0.1:${server.address().port}/api/shop/orders`;
+  const send = (method, url, body) =>
+    fetch(url, { method, headers: { 'content-type': 'application/json' }, body: JSON.stringify(body) });
+  // The middleware logs once the response is done, which can be after the
+  // client has it: poll the file (up to a deadline) for the next entry.
+  const file = path.join(logDir, 'audit.log');
+  const auditLines = () => (fs.existsSync(file) ? fs.readFileSync(file, 'utf8').split('\n').filter(Boolean) : []);
+  let seen = auditLines().length;
+  const lastEntry = async () => {
+    const deadline = Date.now() + 2000;
+    let lines;
+    for (;;) {
+      lines = auditLines();
+      if (lines.length > seen || Date.now() > deadline) break;
+      await new Promise((r) => setTimeout(r, 5));
+    }
+    assert.ok(lines.length > seen, 'no new audit entry');
+    seen = lines.length;
+    return JSON.parse(lines.at(-1));
+  };
+  try {
+    assert.equal((await send('PATCH', `${base}/${id}`, { $set: { status: 'paid' } })).status, 200);
+    let entry = await lastEntry();
+    assert.equal(entry.event, 'write');
+    assert.equal(entry.status, 200);
+    assert.equal(entry.documentId, String(id));
+    assert.deepEqual(entry.changes, [{ path: 'status', before: 'open', after: 'paid' }]);
+
+    assert.equal((await send('POST', `${base}/bulk-update`, { filter: { status: 'open' }, update: { $set: { status: 'void' } } })).status, 200);
+    entry = await lastEntry();
+    assert.deepEqual(entry.documents.map((d) => [d._id, d.changes]), [
+      ['b', [{ path: 'status', before: 'open', after: 'void' }]],
+      ['c', [{ path: 'status', before: 'open', after: 'void' }]],
+    ]);
+    assert.equal(entry.snapshotsTruncated, undefined);
+
+    assert.equal((await fetch(`${base}/${id}`, { method: 'DELETE' })).status, 200);
+    entry = await lastEntry();
+    assert.equal(entry.before.total, 10);
+    assert.equal(entry.before.password, '[REDACTED]');
+
+    assert.equal((await fetch(`${base}/${id}`, { method: 'DELETE' })).status, 404);
+    assert.equal((await lastEntry()).status, 404);
+  } finally {
+    server.close();
+  }
+});
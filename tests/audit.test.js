@@ -4,7 +4,7 @@ const fs = require("node:fs");
 const path = require("node:path");
 const os = require("node:os");
 
-test("audit log appends a JSONL line per event", () => {
+test("audit log appends a JSONL line per event", async () => {
   const tmp = fs.mkdtempSync(path.join(os.tmpdir(), "mdb-audit-"));
   process.env.AUDIT_LOG_DIR = tmp;
   // Re-require so it picks up the new dir.
@@ -14,22 +14,190 @@ test("audit log appends a JSONL line per event", () => {
   audit.log({ event: "test_a", method: "POST", path: "/x", ip: "1.1.1.1" });
   audit.log({ event: "test_b", method: "DELETE", path: "/y", ip: "2.2.2.2" });
 
-  // Give the stream a beat to flush.
-  return new Promise((resolve) => {
-    setTimeout(() => {
-      const content = fs.readFileSync(path.join(tmp, "audit.log"), "utf8");
-      const lines = content.trim().split("\n");
-      assert.equal(lines.length, 2);
-      const a = JSON.parse(lines[0]);
-      assert.equal(a.event, "test_a");
-      assert.equal(a.method, "POST");
-      assert.ok(a.ts);
-      const b = JSON.parse(lines[1]);
-      assert.equal(b.event, "test_b");
-      // Cleanup.
-      fs.rmSync(tmp, { recursive: true, force: true });
-      delete process.env.AUDIT_LOG_DIR;
-      resolve();
-    }, 50);
+  await audit.flush();
+  const content = fs.readFileSync(path.join(tmp, "audit.log"), "utf8");
+  const lines = content.trim().split("\n");
+  assert.equal(lines.length, 2);
+  const a = JSON.parse(lines[0]);
+  assert.equal(a.event, "test_a");
+  assert.equal(a.method, "POST");
+  assert.ok(a.ts);
+  const b = JSON.parse(lines[1]);
+  assert.equal(b.event, "test_b");
+  // Cleanup.
+  fs.rmSync(tmp, { recursive: true, force: true });
+  delete process.env.AUDIT_LOG_DIR;
+});
+
+function freshAudit(env) {
+  const tmp = fs.mkdtempSync(path.join(os.tmpdir(), "mdb-audit-"));
+  Object.assign(process.env, { AUDIT_LOG_DIR: tmp, ...env });
+  delete require.cache[require.resolve("../src/utils/audit")];
+  const audit = require("../src/utils/audit");
+  for (const key of ["AUDIT_LOG_DIR", ...Object.keys(env)]) delete process.env[key];
+  return { audit, tmp };
+}
+
+test("audit entries are hash-chained across rotated files", async () => {
+  const { audit, tmp } = freshAudit({ AUDIT_LOG_MAX_BYTES: "600" });
+  for (let i = 0; i < 8; i++) audit.log({ event: "test_chain", n: i });
+  await audit.flush();
+
+  const result = await audit.verify();
+  assert.equal(result.ok, true);
+  assert.equal(result.entries, 8);
+  assert.ok(result.files.length > 1, "log rotated");
+  assert.equal(result.files[result.files.length - 1], "audit.log");
+  assert.deepEqual([result.firstSeq, result.lastSeq], [1, 8]);
+  assert.equal(result.hmac, "unchecked");
+
+  // A restarted process continues the chain from the newest entry on disk.
+  delete require.cache[require.resolve("../src/utils/audit")];
+  process.env.AUDIT_LOG_DIR = tmp;
+  const reloaded = require("../src/utils/audit");
+  delete process.env.AUDIT_LOG_DIR;
+  reloaded.log({ event: "test_chain", n: 8 });
+  await reloaded.flush();
+  const after = await reloaded.verify();
+  assert.equal(after.ok, true);
+  assert.equal(after.lastSeq, 9);
+
+  // Editing a rotated entry breaks the chain at that line.
+  const first = path.join(tmp, after.files[0]);
+  const lines = fs.readFileSync(first, "utf8").trim().split("\n");
+  const edited = JSON.parse(lines[1]);
+  edited.n = 99;
+  lines[1] = JSON.stringify(edited);
+  fs.writeFileSync(first, lines.join("\n") + "\n");
+  const broken = await reloaded.verify();
+  assert.equal(broken.ok, false);
+  assert.deepEqual(broken.broken, {
+    file: after.files[0],
+    line: 2,
+    seq: 2,
+    reason: "hash does not match the entry",
+  });
+  fs.rmSync(tmp, { recursive: true, force: true });
+});
+
+test("HMAC keeps a recomputed chain from verifying", async () => {
+  const { audit, tmp } = freshAudit({ AUDIT_HMAC_SECRET: "audit-secret" });
+  audit.log({ event: "test_a" });
+  audit.log({ event: "test_b" });
+  await audit.flush();
+  assert.equal((await audit.verify({ secret: "audit-secret" })).hmac, "verified");
+
+  // Rewrite the first entry and recompute both hashes, as an attacker could.
+  const crypto = require("node:crypto");
+  const file = path.join(tmp, "audit.log");
+  let prevHash = "0".repeat(64);
+  const forged = fs.readFileSync(file, "utf8").trim().split("\n").map((line) => {
+    const { hash, hmac, ...record } = JSON.parse(line);
+    if (record.event === "test_a") record.event = "test_forged";
+    record.prevHash = prevHash;
+    prevHash = crypto.createHash("sha256").update(JSON.stringify(record)).digest("hex");
+    return JSON.stringify({ ...record, hash: prevHash, hmac });
   });
+  fs.writeFileSync(file, forged.join("\n") + "\n");
+
+  assert.equal((await audit.verify({ secret: "" })).ok, true);
+  const result = await audit.verify({ secret: "audit-secret" });
+  assert.equal(result.ok, false);
+  assert.equal(result.broken.seq, 1);
+  assert.equal(result.broken.reason, "HMAC mismatch");
+  fs.rmSync(tmp, { recursive: true, force: true });
+});
+
+test("with a secret set, entries stripped of their HMAC fail verification", async () => {
+  const { audit, tmp } = freshAudit({ AUDIT_HMAC_SECRET: "audit-secret" });
+  audit.log({ event: "test_a" });
+  audit.log({ event: "test_b" });
+  await audit.flush();
+
+  // Drop every HMAC and recompute the plain chain.
+  const crypto = require("node:crypto");
+  const file = path.join(tmp, "audit.log");
+  let prevHash = "0".repeat(64);
+  const stripped = fs.readFileSync(file, "utf8").trim().split("\n").map((line) => {
+    const { hash, hmac, ...record } = JSON.parse(line);
+    record.event = `${record.event}_forged`;
+    record.prevHash = prevHash;
+    prevHash = crypto.createHash("sha256").update(JSON.stringify(record)).digest("hex");
+    return JSON.stringify({ ...record, hash: prevHash });
+  });
+  fs.writeFileSync(file, stripped.join("\n") + "\n");
+
+  assert.equal((await audit.verify({ secret: "" })).ok, true);
+  const result = await audit.verify({ secret: "audit-secret" });
+  assert.equal(result.ok, false);
+  assert.deepEqual(result.broken, { file: "audit.log", line: 1, seq: 1, reason: "HMAC missing" });
+
+  const { execFileSync } = require("node:child_process");
+  assert.throws(
+    () => execFileSync(process.execPath, [path.join(__dirname, "..", "scripts", "verify-audit.js"), tmp], {
+      env: { ...process.env, AUDIT_HMAC_SECRET: "audit-secret" },
+      stdio: "pipe",
+    }),
+    (err) => err.status === 1
+  );
+  fs.rmSync(tmp, { recursive: true, force: true });
+});
+
+test("search filters and pages across rotated files", async () => {
+  const { audit, tmp } = freshAudit({ AUDIT_LOG_MAX_BYTES: "800" });
+  for (let i = 0; i < 12; i++) {
+    audit.log({
+      event: i % 3 === 0 ? "login_failed" : "write",
+      username: i % 2 ? "Alice" : "bob",
+      db: "shop",
+      collection: i % 4 ? "orders" : "users",
+      n: i,
+    });
+  }
+  await audit.flush();
+  assert.ok((await audit.verify()).files.length > 2);
+
+  const pages = [];
+  let cursor = null;
+  do {
+    const page = await audit.search({ cursor, limit: 5 });
+    pages.push(page.entries.map((e) => e.n));
+    cursor = page.nextCursor;
+  } while (cursor);
+  assert.deepEqual(pages, [[11, 10, 9, 8, 7], [6, 5, 4, 3, 2], [1, 0]]);
+
+  const filters = audit.parseFilters({ event: "write", username: "alice", collection: "orders" });
+  const found = await audit.search({ filters, limit: 100 });
+  assert.deepEqual(found.entries.map((e) => e.n), [11, 7, 5, 1]);
+  assert.equal(found.nextCursor, null);
+
+  const first = await audit.search({ filters, limit: 2 });
+  const rest = await audit.search({ filters, cursor: first.nextCursor, limit: 2 });
+  assert.deepEqual(rest.entries.map((e) => e.n), [5, 1]);
+
+  const future = audit.parseFilters({ from: new Date(Date.now() + 60000).toISOString() });
+  assert.deepEqual((await audit.search({ filters: future })).entries, []);
+  assert.throws(() => audit.parseFilters({ to: "not a date" }), /Invalid 'to' date/);
+  await assert.rejects(audit.search({ cursor: "bogus" }), /Invalid cursor/);
+
+  // Export streams every match as CSV.
+  process.env.NODE_ENV = "test";
+  for (const id of ["../src/config", "../src/routes/api/audit"]) delete require.cache[require.resolve(id)];
+  const express = require("express");
+  const app = express();
+  app.use("/api", require("../src/routes/api/audit"));
+  const server = app.listen(0);
+  try {
+    const base = `http://127.0.0.1:${server.address().port}/api/audit`;
+    const res = await fetch(`${base}/export?format=csv&event=login_failed`);
+    assert.match(res.headers.get("content-disposition"), /audit-.*\.csv/);
+    const rows = (await res.text()).trim().split("\n");
+    assert.equal(rows[0], "ts,event,username,role,ip,method,path,db,collection,seq,details");
+    assert.equal(rows.length, 5);
+    assert.match(rows[1], /,login_failed,Alice,.*\{""n"":9\}/);
+    assert.equal((await fetch(`${base}/logs?from=nope`)).status, 400);
+  } finally {
+    server.close();
+  }
+  fs.rmSync(tmp, { recursive: true, force: true });
 });
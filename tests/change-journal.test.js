@@ -0,0 +1,271 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ObjectId } = require('mongodb');
+
+function clearModule(id) {
+  try { delete require.cache[require.resolve(id)]; } catch {}
+}
+
+function fresh(env = {}) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'mdb-journal-'));
+  Object.assign(process.env, {
+    NODE_ENV: 'test',
+    AUTH_ENABLED: 'false',
+    SESSION_SECRET: 'deadbeef'.repeat(8),
+    AUDIT_LOG_DIR: path.join(dir, 'audit'),
+    AUDIT_SNAPSHOTS: 'off',
+    CHANGE_JOURNAL_DIR: path.join(dir, 'journal'),
+    CHANGE_JOURNAL_DEPTH: '3',
+    CHANGE_JOURNAL_MAX_DOCS: '2',
+    CHANGE_HISTORY_DEPTH: '100',
+    ...env,
+  });
+  for (const id of [
+    '../src/config',
+    '../src/utils/audit',
+    '../src/utils/auditSnapshot',
+    '../src/services/changeJournal',
+    '../src/services/mongodb',
+    '../src/routes/api/_shared',
+    '../src/routes/api/journal',
+    '../src/routes/api/documents',
+  ]) clearModule(id);
+  return { dir, journal: require('../src/services/changeJournal') };
+}
+
+// Just enough of a driver collection for the document and undo routes.
+function makeCollection(docs) {
+  const same = (a, b) => String(a) === String(b);
+  const match = (q) => (d) => (q._id?.$in ? q._id.$in.some((id) => same(id, d._id)) : same(q._id, d._id));
+  const copy = (d) => ({ ...d });
+  return {
+    docs,
+    findOne: async (q) => {
+      const doc = docs.find(match(q));
+      return doc ? copy(doc) : null;
+    },
+    find: (q) => ({
+      limit(n) { this.n = n; return this; },
+      async toArray() { return docs.filter(match(q)).slice(0, this.n ?? Infinity).map(copy); },
+    }),
+    insertOne: async (doc) => {
+      docs.push(copy(doc));
+      return { insertedId: doc._id };
+    },
+    replaceOne: async (q, doc, { upsert = false } = {}) => {
+      const i = docs.findIndex(match(q));
+      if (i >= 0) docs[i] = { _id: docs[i]._id, ...copy(doc) };
+      else if (upsert) docs.push({ _id: q._id, ...copy(doc) });
+      return { matchedCount: i >= 0 ? 1 : 0, modifiedCount: i >= 0 ? 1 : 0 };
+    },
+    updateOne: async (q, u) => {
+      const doc = docs.find(match(q));
+      if (!doc) return { matchedCount: 0, modifiedCount: 0 };
+      Object.assign(doc, u.$set);
+      return { matchedCount: 1, modifiedCount: 1 };
+    },
+    deleteOne: async (q) => {
+      const i = docs.findIndex(match(q));
+      if (i >= 0) docs.splice(i, 1);
+      return { deletedCount: i >= 0 ? 1 : 0 };
+    },
+    deleteMany: async (q) => {
+      const before = docs.length;
+      for (let i = docs.length - 1; i >= 0; i--) if (match(q)(docs[i])) docs.splice(i, 1);
+      return { deletedCount: before - docs.length };
+    },
+  };
+}
+
+async function withApp(col, fn) {
+  const mongoService = require('../src/services/mongodb');
+  mongoService.getClient = () => ({ db: () => ({ collection: () => col }) });
+  mongoService.getConnectionId = () => 'preset';
+  const { readOnlyAndAuditMiddleware } = require('../src/routes/api/_shared');
+  const app = express();
+  app.use(express.json());
+  app.use('/api', readOnlyAndAuditMiddleware, require('../src/routes/api/journal'), require('../src/routes/api/documents'));
+  const server = app.listen(0);
+  const base = `http://127.0.0.1:${server.address().port}/api`;
+  const send = async (method, url, body) => {
+    const res = await fetch(`${base}${url}`, {
+      method,
+      headers: { 'content-type': 'application/json' },
+      body: body === undefined ? undefined : JSON.stringify(body),
+    });
+    return { status: res.status, body: await res.json() };
+  };
+  try {
+    await fn(send);
+  } finally {
+    server.close();
+  }
+}
+
+test('edits and deletes can be undone, newest first', async () => {
+  const { dir } = fresh();
+  const id = new ObjectId();
+  const col = makeCollection([
+    { _id: id, status: 'open', total: 10 },
+    { _id: 'b', status: 'open' },
+    { _id: 'c', status: 'open' },
+  ]);
+  await withApp(col, async (send) => {
+    const patched = await send('PATCH', `/shop/orders/${id}`, { $set: { status: 'paid' } });
+    assert.equal(patched.status, 200);
+    assert.ok(patched.body.journalId);
+    const deleted = await send('DELETE', '/shop/orders', { ids: ['b', 'c'] });
+    assert.ok(deleted.body.journalId);
+    assert.equal(col.docs.length, 1);
+
+    const { body } = await send('GET', '/change-journal');
+    assert.deepEqual(body.entries.map((e) => [e.op, e.count]), [['bulk-delete', 2], ['patch', 1]]);
+
+    // Pre-images are sealed on disk.
+    const payload = fs.readFileSync(path.join(dir, 'journal', `${deleted.body.journalId}.json`), 'utf8');
+    assert.doesNotMatch(payload, /open/);
+
+    const undone = await send('POST', '/change-journal/undo', {});
+    assert.equal(undone.status, 200);
+    assert.equal(undone.body.restored, 2);
+    assert.deepEqual(col.docs.map((d) => d._id).slice(1).sort(), ['b', 'c']);
+
+    assert.equal((await send('POST', '/change-journal/undo', {})).status, 200);
+    assert.equal(col.docs.find((d) => String(d._id) === String(id)).status, 'open');
+    assert.equal((await send('POST', '/change-journal/undo', {})).status, 404);
+    assert.equal((await send('POST', '/change-journal/undo', { id: deleted.body.journalId })).status, 409);
+  });
+});
+
+test('undo refuses to overwrite later changes unless forced', async () => {
+  fresh();
+  const col = makeCollection([{ _id: 'a', n: 1 }]);
+  await withApp(col, async (send) => {
+    const { body } = await send('PUT', '/shop/orders/a', { n: 2 });
+    col.docs[0].n = 3;
+    const refused = await send('POST', '/change-journal/undo', { id: body.journalId });
+    assert.equal(refused.status, 409);
+    assert.deepEqual(refused.body.conflicts, ['a']);
+    assert.equal(col.docs[0].n, 3);
+    // The failed undo gave its claim on the entry back.
+    assert.equal((await send('GET', '/change-journal')).body.entries[0].undoneAt, null);
+
+    assert.equal((await send('POST', '/change-journal/undo', { id: body.journalId, force: true })).status, 200);
+    assert.equal(col.docs[0].n, 1);
+  });
+});
+
+test('concurrent undos of one change restore it once', async () => {
+  fresh();
+  const col = makeCollection([{ _id: 'a', n: 1 }]);
+  await withApp(col, async (send) => {
+    const { body } = await send('PUT', '/shop/orders/a', { n: 2 });
+    let replaced = 0;
+    const replaceOne = col.replaceOne.bind(col);
+    // Slow enough that the second request arrives mid-restore.
+    col.replaceOne = async (...args) => {
+      replaced += 1;
+      await new Promise((resolve) => setTimeout(resolve, 50));
+      return replaceOne(...args);
+    };
+    const results = await Promise.all([1, 2].map(() => send('POST', '/change-journal/undo', { id: body.journalId })));
+    assert.deepEqual(results.map((r) => r.status).sort(), [200, 409]);
+    assert.equal(replaced, 1);
+    assert.equal(col.docs[0].n, 1);
+  });
+});
+
+test('document history outlives the undo journal and can restore a deleted document', async () => {
+  fresh({ CHANGE_HISTORY_DEPTH: '5' });
+  const col = makeCollection([{ _id: 'a', n: 1 }]);
+  await withApp(col, async (send) => {
+    for (const n of [2, 3, 4, 5]) await send('PUT', '/shop/orders/a', { n });
+    // Journal depth 3: the oldest edit can no longer be undone...
+    assert.equal((await send('GET', '/change-journal')).body.entries.length, 3);
+    // ...but it is still in the document's history.
+    const { body } = await send('GET', '/shop/orders/a/versions');
+    assert.equal(body.enabled, true);
+    assert.deepEqual(body.versions.map((v) => v.document.n), [4, 3, 2, 1]);
+
+    // Undos show up in the history too.
+    assert.equal((await send('POST', '/change-journal/undo', {})).status, 200);
+    const latest = (await send('GET', '/shop/orders/a/versions')).body.versions[0];
+    assert.deepEqual([latest.op, latest.document.n, latest.after.n], ['undo', 5, 4]);
+
+    // History depth 5: the sixth change pushes the first out.
+    await send('DELETE', '/shop/orders/a');
+    assert.equal(col.docs.length, 0);
+    const versions = (await send('GET', '/shop/orders/a/versions')).body.versions;
+    assert.deepEqual(versions.map((v) => v.op), ['delete', 'undo', 'replace', 'replace', 'replace']);
+
+    // A plain PUT of a deleted document is a 404; restoring from history upserts it.
+    assert.equal((await send('PUT', '/shop/orders/a', { n: 2 })).status, 404);
+    const restored = await send('PUT', '/shop/orders/a?upsert=true', { n: versions[4].document.n });
+    assert.equal(restored.status, 200);
+    assert.deepEqual(col.docs, [{ _id: 'a', n: 2 }]);
+    // ...and undoing that deletes it again.
+    assert.equal((await send('POST', '/change-journal/undo', { id: restored.body.journalId })).status, 200);
+    assert.equal(col.docs.length, 0);
+  });
+});
+
+test('document history is kept with the undo journal off', async () => {
+  fresh({ CHANGE_JOURNAL_DEPTH: '0' });
+  const col = makeCollection([{ _id: 'a', n: 1 }]);
+  await withApp(col, async (send) => {
+    assert.equal((await send('PUT', '/shop/orders/a', { n: 2 })).body.journalId, null);
+    const { body } = await send('GET', '/shop/orders/a/versions');
+    assert.deepEqual(body.versions.map((v) => [v.op, v.document.n, v.after.n]), [['replace', 1, 2]]);
+  });
+
+  fresh({ CHANGE_HISTORY_DEPTH: '0' });
+  await withApp(makeCollection([{ _id: 'a', n: 1 }]), async (send) => {
+    await send('PUT', '/shop/orders/a', { n: 2 });
+    assert.deepEqual((await send('GET', '/shop/orders/a/versions')).body, { enabled: false, versions: [] });
+  });
+});
+
+test('versions carry after-images and inserts can be undone', async () => {
+  fresh();
+  const col = makeCollection([]);
+  await withApp(col, async (send) => {
+    const inserted = await send('POST', '/shop/orders', { _id: 'n', qty: 1 });
+    assert.ok(inserted.body.journalId);
+    await send('PATCH', '/shop/orders/n', { $set: { qty: 2 } });
+
+    const { body } = await send('GET', '/shop/orders/n/versions');
+    assert.deepEqual(
+      body.versions.map((v) => [v.op, v.document, v.after]),
+      [
+        ['patch', { _id: 'n', qty: 1 }, { _id: 'n', qty: 2 }],
+        ['insert', null, { _id: 'n', qty: 1 }],
+      ]
+    );
+
+    assert.equal((await send('POST', '/change-journal/undo', {})).status, 200);
+    assert.equal((await send('POST', '/change-journal/undo', {})).status, 200);
+    assert.equal(col.docs.length, 0);
+  });
+});
+
+test('bulk deletes over the journal limit and a zero depth are not journaled', async () => {
+  fresh({ CHANGE_JOURNAL_MAX_DOCS: '1' });
+  let col = makeCollection([{ _id: 'a' }, { _id: 'b' }]);
+  await withApp(col, async (send) => {
+    const { body } = await send('DELETE', '/shop/orders', { ids: ['a', 'b'] });
+    assert.equal(body.deletedCount, 2);
+    assert.equal(body.journalId, null);
+  });
+
+  const { journal } = fresh({ CHANGE_JOURNAL_DEPTH: '0' });
+  assert.equal(journal.enabled(), false);
+  col = makeCollection([{ _id: 'a' }]);
+  await withApp(col, async (send) => {
+    assert.equal((await send('DELETE', '/shop/orders/a')).body.journalId, null);
+    assert.deepEqual((await send('GET', '/change-journal')).body, { enabled: false, entries: [] });
+  });
+});
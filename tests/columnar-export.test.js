@@ -0,0 +1,415 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const zlib = require("zlib");
+const { PassThrough } = require("stream");
+const express = require("express");
+const { ObjectId, Long, Decimal128, Int32, Double, Binary } = require("mongodb");
+
+process.env.NODE_ENV = "test";
+process.env.AUTH_ENABLED = "false";
+process.env.SESSION_SECRET = "deadbeef".repeat(8);
+
+const { inferSchema } = require("../src/utils/schema");
+const { columnsFromInferred, columnsFromSchema, unscaledDecimal } = require("../src/utils/columnar");
+const { createParquetWriter } = require("../src/utils/parquet");
+const { createAvroWriter } = require("../src/utils/avro");
+
+async function collect(write) {
+  const out = new PassThrough();
+  const chunks = [];
+  out.on("data", (c) => chunks.push(c));
+  await write(out);
+  out.end();
+  return Buffer.concat(chunks);
+}
+
+function fakeCollection(docs) {
+  return {
+    find: () => {
+      let limit = 0;
+      const self = {
+        sort: () => self,
+        limit: (n) => {
+          limit = n;
+          return self;
+        },
+        toArray: async () => docs.slice(0, limit || docs.length),
+        async *[Symbol.asyncIterator]() {
+          yield* docs.slice(0, limit || docs.length);
+        },
+      };
+      return self;
+    },
+  };
+}
+
+// Just enough of both formats to read back what the writers produce.
+function reader(buf, at = 0) {
+  const r = {
+    at,
+    byte: () => buf[r.at++],
+    varint() {
+      let n = 0n;
+      let shift = 0n;
+      for (;;) {
+        const b = buf[r.at++];
+        n |= BigInt(b & 0x7f) << shift;
+        if (b < 0x80) return n;
+        shift += 7n;
+      }
+    },
+    zigzagBig() {
+      const n = r.varint();
+      return n & 1n ? -(n >> 1n) - 1n : n >> 1n;
+    },
+    zigzag: () => Number(r.zigzagBig()),
+    bytes(n) {
+      r.at += n;
+      return buf.subarray(r.at - n, r.at);
+    },
+  };
+  return r;
+}
+
+// Thrift compact structs as { fieldId: value }.
+function thriftStruct(r) {
+  const out = {};
+  let last = 0;
+  for (;;) {
+    const head = r.byte();
+    if (head === 0) return out;
+    const id = head >> 4 ? last + (head >> 4) : r.zigzag();
+    last = id;
+    out[id] = thriftValue(r, head & 0x0f);
+  }
+}
+
+function thriftValue(r, type) {
+  switch (type) {
+    case 1:
+      return true;
+    case 2:
+      return false;
+    case 4:
+    case 5:
+    case 6:
+      return r.zigzag();
+    case 8:
+      return r.bytes(Number(r.varint())).toString("utf8");
+    case 9: {
+      const head = r.byte();
+      const size = head >> 4 === 15 ? Number(r.varint()) : head >> 4;
+      return Array.from({ length: size }, () => thriftValue(r, head & 0x0f));
+    }
+    case 12:
+      return thriftStruct(r);
+    default:
+      throw new Error(`Thrift type ${type}`);
+  }
+}
+
+function parquetFooter(buf) {
+  assert.equal(buf.subarray(0, 4).toString(), "PAR1");
+  assert.equal(buf.subarray(-4).toString(), "PAR1");
+  const length = buf.readUInt32LE(buf.length - 8);
+  return thriftStruct(reader(buf, buf.length - 8 - length));
+}
+
+function rleLevels(r, count, width) {
+  const end = r.bytes(4).readUInt32LE(0) + r.at;
+  const levels = [];
+  while (r.at < end) {
+    const run = Number(r.varint()) >> 1;
+    let value = 0;
+    for (let b = 0; b < width; b++) value |= r.byte() << (8 * b);
+    levels.push(...Array(run).fill(value));
+  }
+  assert.equal(levels.length, count);
+  return levels;
+}
+
+// The first page of a column chunk: levels and PLAIN values.
+function parquetPage(buf, chunk, { maxDef, maxRep = 0 }) {
+  const r = reader(buf, chunk[3][9]);
+  const header = thriftStruct(r);
+  const page = reader(zlib.gunzipSync(r.bytes(header[3])));
+  const count = header[5][1];
+  const reps = maxRep ? rleLevels(page, count, 1) : [];
+  const defs = rleLevels(page, count, 1);
+  const values = [];
+  const defined = defs.filter((d) => d === maxDef).length;
+  for (let i = 0; i < defined; i++) {
+    switch (chunk[3][1]) {
+      case 1:
+        values.push(page.bytes(4).readInt32LE(0));
+        break;
+      case 2:
+        values.push(page.bytes(8).readBigInt64LE(0));
+        break;
+      case 6:
+        values.push(page.bytes(page.bytes(4).readUInt32LE(0)).toString("utf8"));
+        break;
+      case 7:
+        values.push(page.bytes(16).toString("hex"));
+        break;
+      default:
+        throw new Error(`Parquet type ${chunk[3][1]}`);
+    }
+  }
+  return { reps, defs, values };
+}
+
+function avroFile(buf) {
+  const r = reader(buf);
+  assert.deepEqual([...r.bytes(4)], [0x4f, 0x62, 0x6a, 0x01]);
+  const meta = {};
+  for (let n = r.zigzag(); n; n = r.zigzag()) {
+    for (let i = 0; i < n; i++) {
+      const key = r.bytes(r.zigzag()).toString();
+      meta[key] = r.bytes(r.zigzag()).toString();
+    }
+  }
+  const sync = r.bytes(16);
+  const schema = JSON.parse(meta["avro.schema"]);
+  const records = [];
+  while (r.at < buf.length) {
+    const count = r.zigzag();
+    const data = reader(zlib.inflateRawSync(r.bytes(r.zigzag())));
+    for (let i = 0; i < count; i++) records.push(avroValue(data, schema));
+    assert.deepEqual(r.bytes(16), sync);
+  }
+  return { meta, schema, records };
+}
+
+function avroValue(r, type) {
+  if (Array.isArray(type)) return r.zigzag() ? avroValue(r, type[1]) : null;
+  if (type.logicalType === "decimal") return r.bytes(r.zigzag()).toString("hex");
+  if (type.logicalType === "timestamp-millis") return new Date(r.zigzag());
+  switch (type.type || type) {
+    case "record":
+      return Object.fromEntries(type.fields.map((f) => [f.name, avroValue(r, f.type)]));
+    case "array": {
+      const items = [];
+      for (let n = r.zigzag(); n; n = r.zigzag()) {
+        for (let i = 0; i < n; i++) items.push(avroValue(r, type.items));
+      }
+      return items;
+    }
+    case "string":
+      return r.bytes(r.zigzag()).toString("utf8");
+    case "bytes":
+      return [...r.bytes(r.zigzag())];
+    case "int":
+      return r.zigzag();
+    case "long":
+      return r.zigzagBig();
+    case "double":
+      return r.bytes(8).readDoubleLE(0);
+    case "boolean":
+      return r.byte() === 1;
+    default:
+      throw new Error(`Avro type ${type.type || type}`);
+  }
+}
+
+const docs = [
+  {
+    _id: new ObjectId("507f1f77bcf86cd799439011"),
+    qty: new Int32(3),
+    big: Long.fromString("9007199254740993"),
+    price: Decimal128.fromString("12.50"),
+    ratio: new Double(0.25),
+    at: new Date("2024-03-05T10:20:30Z"),
+    ok: true,
+    "line-items": [{ sku: "a" }],
+    tags: ["x", "y"],
+    address: { city: "Oslo", zip: "0150" },
+    mixed: "text",
+    raw: new Binary(Buffer.from([1, 2])),
+  },
+  {
+    _id: new ObjectId("507f1f77bcf86cd799439012"),
+    qty: new Int32(-4),
+    big: Long.fromNumber(5),
+    price: Decimal128.fromString("-0.005"),
+    ratio: new Double(2),
+    tags: [],
+    address: null,
+    mixed: new Int32(7),
+  },
+];
+
+test("inferred columns follow the BSON types of the sample", async () => {
+  const inferred = await inferSchema(fakeCollection(docs), 100, { includeId: true, promoteValues: false });
+  assert.deepEqual(inferred.fields.price.types, ["decimal"]);
+  assert.equal(inferred.fields.price.scale, 3);
+  assert.deepEqual(inferred.fields._id.types, ["objectId"]);
+  assert.deepEqual(inferred.fields.mixed.types, ["string", "int"]);
+
+  assert.deepEqual(columnsFromInferred(inferred), [
+    { name: "_id", type: "string" },
+    { name: "qty", type: "int" },
+    { name: "big", type: "long" },
+    { name: "price", type: "decimal", scale: 3 },
+    { name: "ratio", type: "double" },
+    { name: "at", type: "date" },
+    { name: "ok", type: "boolean" },
+    { name: "line-items", type: "json" },
+    { name: "tags", type: "list", items: { name: "element", type: "string" } },
+    {
+      name: "address",
+      type: "record",
+      fields: [
+        { name: "city", type: "string" },
+        { name: "zip", type: "string" },
+      ],
+    },
+    { name: "mixed", type: "json" },
+    { name: "raw", type: "binary" },
+  ]);
+  // The schema route still leaves _id out.
+  assert.equal((await inferSchema(fakeCollection(docs))).fields._id, undefined);
+
+  assert.deepEqual(columnsFromSchema({ fields: { total: { type: "decimal", scale: 2 }, tags: { type: "array", items: "int" } } }), [
+    { name: "total", type: "decimal", scale: 2 },
+    { name: "tags", type: "list", items: { name: "element", type: "int" } },
+  ]);
+  assert.throws(() => columnsFromSchema({ a: { type: "uuid" } }), (err) => err.status === 400 && /Unknown type "uuid"/.test(err.message));
+  assert.throws(() => columnsFromSchema({ a: { type: "object", fields: {} } }), /needs at least one field/);
+  assert.throws(() => columnsFromSchema({ a: { type: "decimal", scale: 40 } }), /scale/);
+
+  assert.equal(unscaledDecimal("1.255", 2), 126n);
+  assert.equal(unscaledDecimal("-1.5E-1", 2), -15n);
+  assert.equal(unscaledDecimal("1E+40", 0), undefined);
+  assert.equal(unscaledDecimal("NaN", 2), undefined);
+});
+
+test("Parquet files carry the schema, row groups and shredded values", async () => {
+  const columns = columnsFromInferred(await inferSchema(fakeCollection(docs), 100, { includeId: true, promoteValues: false }));
+  const many = Array.from({ length: 5 }, () => docs).flat();
+  const buffer = await collect(async (out) => {
+    const file = createParquetWriter(out, { columns, rowGroupRows: 4 });
+    for (const doc of many) await file.addRow(doc);
+    await file.end();
+  });
+
+  const footer = parquetFooter(buffer);
+  assert.equal(footer[3], 10);
+  assert.deepEqual(footer[4].map((group) => group[3]), [4, 4, 2]);
+  const elements = Object.fromEntries(footer[2].map((e) => [e[4], e]));
+  assert.equal(footer[2][0][5], columns.length);
+  assert.equal(elements.at[6], 9); // TIMESTAMP_MILLIS
+  assert.deepEqual(elements.at[10], { 8: { 1: true, 2: { 1: {} } } });
+  assert.deepEqual([elements.price[1], elements.price[2], elements.price[7], elements.price[8]], [7, 16, 3, 38]);
+  assert.equal(elements.tags[6], 3); // LIST
+  assert.equal(elements.list[3], 2); // REPEATED
+  assert.equal(elements.mixed[6], 19); // JSON
+
+  const chunks = Object.fromEntries(footer[4][0][1].map((c) => [c[3][3].join("."), c]));
+  assert.deepEqual(Object.keys(chunks).slice(8, 11), ["tags.list.element", "address.city", "address.zip"]);
+  assert.deepEqual(parquetPage(buffer, chunks._id, { maxDef: 1 }).values.slice(0, 2), ["507f1f77bcf86cd799439011", "507f1f77bcf86cd799439012"]);
+  assert.deepEqual(parquetPage(buffer, chunks.qty, { maxDef: 1 }).values, [3, -4, 3, -4]);
+  assert.deepEqual(parquetPage(buffer, chunks.big, { maxDef: 1 }).values.slice(0, 2), [9007199254740993n, 5n]);
+  const price = parquetPage(buffer, chunks.price, { maxDef: 1 }).values;
+  assert.equal(BigInt.asIntN(128, BigInt(`0x${price[0]}`)), 12500n);
+  assert.equal(BigInt.asIntN(128, BigInt(`0x${price[1]}`)), -5n);
+  const at = parquetPage(buffer, chunks.at, { maxDef: 1 });
+  assert.deepEqual(at.defs, [1, 0, 1, 0]);
+  assert.deepEqual(at.values, [BigInt(Date.parse("2024-03-05T10:20:30Z")), BigInt(Date.parse("2024-03-05T10:20:30Z"))]);
+  // ["x", "y"], then an empty list.
+  assert.deepEqual(parquetPage(buffer, chunks["tags.list.element"], { maxDef: 3, maxRep: 1 }), {
+    reps: [0, 1, 0, 0, 1, 0],
+    defs: [3, 3, 1, 3, 3, 1],
+    values: ["x", "y", "x", "y"],
+  });
+  assert.deepEqual(parquetPage(buffer, chunks["address.city"], { maxDef: 2 }), {
+    reps: [],
+    defs: [2, 0, 2, 0],
+    values: ["Oslo", "Oslo"],
+  });
+  assert.deepEqual(parquetPage(buffer, chunks.mixed, { maxDef: 1 }).values.slice(0, 2), ['"text"', "7"]);
+});
+
+test("Avro files hold the schema and every record", async () => {
+  const columns = columnsFromInferred(await inferSchema(fakeCollection(docs), 100, { includeId: true, promoteValues: false }));
+  const buffer = await collect(async (out) => {
+    const file = createAvroWriter(out, { columns, name: "shop.orders", blockRows: 1 });
+    for (const doc of docs) await file.addRow(doc);
+    await file.end();
+  });
+
+  const { meta, schema, records } = avroFile(buffer);
+  assert.equal(meta["avro.codec"], "deflate");
+  assert.equal(schema.name, "shop_orders");
+  const lineItems = schema.fields.find((f) => f.doc === "line-items");
+  assert.equal(lineItems.name, "line_items");
+  assert.deepEqual(schema.fields.find((f) => f.name === "address").type[1].name, "shop_orders_address");
+  assert.deepEqual(schema.fields.find((f) => f.name === "price").type[1], { type: "bytes", logicalType: "decimal", precision: 38, scale: 3 });
+
+  assert.equal(records.length, 2);
+  assert.deepEqual(records[0], {
+    _id: "507f1f77bcf86cd799439011",
+    qty: 3,
+    big: 9007199254740993n,
+    price: "30d4",
+    ratio: 0.25,
+    at: new Date("2024-03-05T10:20:30Z"),
+    ok: true,
+    line_items: '[{"sku":"a"}]',
+    tags: ["x", "y"],
+    address: { city: "Oslo", zip: "0150" },
+    mixed: '"text"',
+    raw: [1, 2],
+  });
+  assert.deepEqual(records[1], {
+    _id: "507f1f77bcf86cd799439012",
+    qty: -4,
+    big: 5n,
+    price: "fb",
+    ratio: 2,
+    at: null,
+    ok: null,
+    line_items: null,
+    tags: [],
+    address: null,
+    mixed: "7",
+    raw: null,
+  });
+});
+
+test("GET /export?format=parquet|avro streams every matching document", async () => {
+  for (const id of ["../src/config", "../src/routes/api/transfer"]) delete require.cache[require.resolve(id)];
+  const mongoService = require("../src/services/mongodb");
+  const original = mongoService.getClient;
+  const many = Array.from({ length: 120000 }, (_, i) => ({ _id: new Int32(i), name: `doc ${i}` }));
+  mongoService.getClient = () => ({ db: () => ({ collection: () => fakeCollection(many) }) });
+  const app = express();
+  app.use("/", require("../src/routes/api/transfer"));
+  const server = app.listen(0);
+  const base = `http://127.0.0.1:${server.address().port}/shop/orders/export`;
+  try {
+    let res = await fetch(`${base}?format=avro`);
+    assert.equal(res.status, 200);
+    assert.equal(res.headers.get("content-type"), "application/avro");
+    assert.match(res.headers.get("content-disposition"), /orders\.avro/);
+    const avro = avroFile(Buffer.from(await res.arrayBuffer()));
+    assert.equal(avro.records.length, 120000);
+    assert.deepEqual(avro.records[119999], { _id: 119999, name: "doc 119999" });
+
+    const schema = encodeURIComponent(JSON.stringify({ name: "string" }));
+    res = await fetch(`${base}?format=parquet&limit=10&schema=${schema}`);
+    assert.equal(res.status, 200);
+    const parquet = Buffer.from(await res.arrayBuffer());
+    const footer = parquetFooter(parquet);
+    assert.equal(footer[3], 10);
+    assert.deepEqual(footer[2].slice(1).map((e) => e[4]), ["name"]);
+    assert.deepEqual(parquetPage(parquet, footer[4][0][1][0], { maxDef: 1 }).values.slice(0, 2), ["doc 0", "doc 1"]);
+
+    res = await fetch(`${base}?format=parquet&schema=${encodeURIComponent('{"a":"uuid"}')}`);
+    assert.equal(res.status, 400);
+    assert.match((await res.json()).error, /Unknown type "uuid"/);
+  } finally {
+    server.close();
+    mongoService.getClient = original;
+  }
+});
@@ -0,0 +1,278 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const express = require("express");
+
+process.env.NODE_ENV = "test";
+process.env.AUTH_ENABLED = "false";
+process.env.SESSION_SECRET = "deadbeef".repeat(8);
+
+const copyJobs = require("../src/services/copyJobs");
+
+// Minimal in-memory stand-in for the driver surface the copy job uses.
+function makeCluster(collections = {}) {
+  const state = {};
+  for (const [ns, spec] of Object.entries(collections)) {
+    state[ns] = { docs: [], indexes: [{ v: 2, key: { _id: 1 }, name: "_id_" }], options: {}, ...spec };
+  }
+  const client = {
+    state,
+    db(dbName) {
+      return {
+        listCollections(filter) {
+          const ns = `${dbName}.${filter.name}`;
+          return { toArray: async () => (state[ns] ? [{ name: filter.name, type: "collection", options: state[ns].options }] : []) };
+        },
+        async createCollection(name, options) {
+          state[`${dbName}.${name}`] = { docs: [], indexes: [{ v: 2, key: { _id: 1 }, name: "_id_" }], options };
+        },
+        async command(cmd) {
+          state[`${dbName}.${cmd.collMod}`].options.validator = cmd.validator;
+        },
+        collection(name) {
+          const ns = `${dbName}.${name}`;
+          return {
+            async estimatedDocumentCount() { return state[ns].docs.length; },
+            async countDocuments(filter) {
+              return state[ns].docs.filter((d) => d.kind === filter.kind).length;
+            },
+            find(filter) {
+              const docs = state[ns].docs.filter((d) => !filter.kind || d.kind === filter.kind);
+              return {
+                batchSize() { return this; },
+                async close() {},
+                async *[Symbol.asyncIterator]() { yield* docs; },
+              };
+            },
+            async bulkWrite(ops) {
+              const target = state[ns].docs;
+              const result = { insertedCount: 0, upsertedCount: 0, matchedCount: 0 };
+              const writeErrors = [];
+              ops.forEach((op, index) => {
+                if (op.insertOne) {
+                  const doc = op.insertOne.document;
+                  if (target.some((d) => d._id === doc._id)) {
+                    writeErrors.push({ index, errmsg: `E11000 duplicate key: ${doc._id}` });
+                  } else {
+                    target.push(doc);
+                    result.insertedCount += 1;
+                  }
+                } else {
+                  const doc = op.replaceOne.replacement;
+                  const at = target.findIndex((d) => d._id === doc._id);
+                  if (at >= 0) { target[at] = doc; result.matchedCount += 1; }
+                  else { target.push(doc); result.upsertedCount += 1; }
+                }
+              });
+              if (writeErrors.length) throw Object.assign(new Error("bulk write error"), result, { writeErrors });
+              return result;
+            },
+            async indexes() { return state[ns].indexes; },
+            async createIndexes(specs) { state[ns].indexes.push(...specs); },
+          };
+        },
+      };
+    },
+  };
+  return client;
+}
+
+function lease(client, released) {
+  return { client, release: async () => { released.push(client); } };
+}
+
+function waitDone(job, owner) {
+  return new Promise((resolve) => {
+    copyJobs.subscribe(job.id, owner, () => {}, resolve);
+  });
+}
+
+test("copies documents, indexes and options across clusters", async () => {
+  const source = makeCluster({
+    "shop.orders": {
+      docs: [{ _id: 1, kind: "a" }, { _id: 2, kind: "b" }, { _id: 3, kind: "a" }],
+      indexes: [
+        { v: 2, key: { _id: 1 }, name: "_id_" },
+        { v: 2, key: { kind: 1 }, name: "kind_1", ns: "shop.orders" },
+      ],
+      options: { validator: { kind: { $exists: true } }, viewOn: "ignored" },
+    },
+  });
+  const target = makeCluster();
+  const released = [];
+  const job = copyJobs.start({
+    owner: "s1",
+    source: { connectionId: "stg", db: "shop", collection: "orders", ...lease(source, released) },
+    target: { connectionId: "prd", db: "shop", collection: "orders_copy", ...lease(target, released) },
+    batchSize: 2,
+  });
+  const done = await waitDone(job, "s1");
+
+  assert.equal(done.status, "completed");
+  assert.equal(done.copied, 3);
+  assert.equal(done.total, 3);
+  const copied = target.state["shop.orders_copy"];
+  assert.deepEqual(copied.docs.map((d) => d._id), [1, 2, 3]);
+  assert.deepEqual(copied.options, { validator: { kind: { $exists: true } } });
+  assert.deepEqual(copied.indexes.slice(1), [{ key: { kind: 1 }, name: "kind_1" }]);
+  assert.equal(released.length, 2, "both leases released");
+});
+
+test("insert mode reports duplicates while upsert mode replaces them", async () => {
+  const source = makeCluster({ "db.c": { docs: [{ _id: 1, v: "new" }, { _id: 2, v: "new" }] } });
+  const target = makeCluster({ "db.c": { docs: [{ _id: 1, v: "old" }] } });
+
+  const insert = copyJobs.start({
+    owner: "s1",
+    source: { db: "db", collection: "c", ...lease(source, []) },
+    target: { db: "db", collection: "c", ...lease(target, []) },
+    copyIndexes: false,
+  });
+  const inserted = await waitDone(insert, "s1");
+  assert.equal(inserted.copied, 1);
+  assert.equal(inserted.failed, 1);
+  assert.match(inserted.errors[0], /duplicate key/);
+  assert.equal(target.state["db.c"].docs[0].v, "old");
+
+  const upsert = copyJobs.start({
+    owner: "s1",
+    source: { db: "db", collection: "c", ...lease(source, []) },
+    target: { db: "db", collection: "c", ...lease(target, []) },
+    mode: "upsert",
+    copyIndexes: false,
+  });
+  const upserted = await waitDone(upsert, "s1");
+  assert.equal(upserted.copied, 2);
+  assert.equal(upserted.failed, 0);
+  assert.equal(target.state["db.c"].docs[0].v, "new");
+});
+
+test("a filter limits what is copied and jobs are private to their session", async () => {
+  const source = makeCluster({ "db.c": { docs: [{ _id: 1, kind: "a" }, { _id: 2, kind: "b" }] } });
+  const target = makeCluster();
+  const job = copyJobs.start({
+    owner: "s1",
+    source: { db: "db", collection: "c", ...lease(source, []) },
+    target: { db: "db", collection: "d", ...lease(target, []) },
+    filter: { kind: "b" },
+  });
+  assert.equal(copyJobs.get(job.id, "s2"), null);
+  assert.equal(copyJobs.cancel(job.id, "s2"), null);
+  const done = await waitDone(job, "s1");
+  assert.equal(done.total, 1);
+  assert.deepEqual(target.state["db.d"].docs, [{ _id: 2, kind: "b" }]);
+});
+
+test("views are refused", async () => {
+  const source = makeCluster();
+  source.db = ((original) => (name) => ({
+    ...original.call(source, name),
+    listCollections: () => ({ toArray: async () => [{ name: "v", type: "view", options: {} }] }),
+  }))(source.db);
+  const job = copyJobs.start({
+    owner: "s1",
+    source: { db: "db", collection: "v", ...lease(source, []) },
+    target: { db: "db", collection: "w", ...lease(makeCluster(), []) },
+  });
+  const done = await waitDone(job, "s1");
+  assert.equal(done.status, "failed");
+  assert.match(done.error, /Views cannot be copied/);
+});
+
+test("POST /copy-jobs validates connections and namespaces", async () => {
+  delete require.cache[require.resolve("../src/routes/api/transfer")];
+  const mongoService = require("../src/services/mongodb");
+  const original = { lease: mongoService.lease, getConnectionId: mongoService.getConnectionId };
+  const client = makeCluster({ "db.c": { docs: [] } });
+  mongoService.getConnectionId = (req, id = req.get("x-connection-id") || "stg") => id;
+  mongoService.lease = (_req, id) =>
+    ["stg", "prd"].includes(id)
+      ? { client, uri: id === "stg" ? "mongodb://stg" : "mongodb://prd", release: async () => {} }
+      : null;
+  const router = require("../src/routes/api/transfer");
+
+  const app = express();
+  app.use(express.json());
+  app.use((req, _res, next) => { req.sessionID = "s1"; req.session = {}; next(); });
+  app.use("/", router);
+  const server = app.listen(0);
+  const { port } = server.address();
+  const post = (body, headers = {}) =>
+    fetch(`http://127.0.0.1:${port}/copy-jobs`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json", ...headers },
+      body: JSON.stringify(body),
+    });
+  try {
+    let res = await post({ source: { db: "db", collection: "c" }, target: { db: "db", collection: "c" } });
+    assert.equal(res.status, 400);
+    assert.match((await res.json()).error, /same collection/);
+
+    res = await post({ source: { db: "db", collection: "c" }, target: { connectionId: "gone", db: "db", collection: "c" } });
+    assert.equal(res.status, 400);
+    assert.match((await res.json()).error, /not open/);
+
+    res = await post({ source: { db: "db", collection: "c" }, target: { db: "db", collection: "c" }, filter: '{"$where":"1"}' });
+    assert.equal(res.status, 400);
+
+    res = await post({ source: { db: "db", collection: "c" }, target: { connectionId: "prd", db: "db", collection: "c" } });
+    assert.equal(res.status, 202);
+    const { job } = await res.json();
+    assert.equal(job.source.connectionId, "stg");
+    assert.equal(job.target.connectionId, "prd");
+
+    // Without one in the body, the source is the connection the request names.
+    res = await post({ source: { db: "db", collection: "c" }, target: { connectionId: "stg", db: "db", collection: "c" } }, { "X-Connection-Id": "prd" });
+    assert.equal(res.status, 202);
+    assert.equal((await res.json()).job.source.connectionId, "prd");
+
+    res = await fetch(`http://127.0.0.1:${port}/copy-jobs/${job.id}/events`);
+    const body = await res.text();
+    assert.match(body, /event: done/);
+  } finally {
+    server.close();
+    Object.assign(mongoService, original);
+  }
+});
+
+test("POST /copy-jobs honours the target connection's protection", async () => {
+  delete require.cache[require.resolve("../src/routes/api/transfer")];
+  const mongoService = require("../src/services/mongodb");
+  const connectionVault = require("../src/services/connectionVault");
+  const original = { lease: mongoService.lease, getConnectionId: mongoService.getConnectionId };
+  const originalProtectionFor = connectionVault.protectionFor;
+  const client = makeCluster({ "db.c": { docs: [] } });
+  mongoService.getConnectionId = () => "stg";
+  mongoService.lease = (_req, id) => ({ client, uri: `mongodb://${id}`, release: async () => {} });
+  connectionVault.protectionFor = async ({ id }) => (id === "prd" ? "production" : "development");
+  const router = require("../src/routes/api/transfer");
+
+  const session = {};
+  const app = express();
+  app.use(express.json());
+  app.use((req, _res, next) => { req.sessionID = "s1"; req.session = session; next(); });
+  app.use("/", router);
+  const server = app.listen(0);
+  const post = (body) =>
+    fetch(`http://127.0.0.1:${server.address().port}/copy-jobs`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify(body),
+    });
+  const toProd = { source: { db: "db", collection: "c" }, target: { connectionId: "prd", db: "db", collection: "c" } };
+  try {
+    // Copying out of production is fine; copying into it needs an elevation.
+    let res = await post(toProd);
+    assert.equal(res.status, 403);
+    assert.equal((await res.json()).protection, "production");
+    res = await post({ source: { connectionId: "prd", db: "db", collection: "c" }, target: { connectionId: "stg", db: "db", collection: "c" } });
+    assert.equal(res.status, 202);
+
+    session.elevations = { prd: { reason: "backfill", until: Date.now() + 60000 } };
+    res = await post(toProd);
+    assert.equal(res.status, 202);
+  } finally {
+    server.close();
+    Object.assign(mongoService, original);
+    connectionVault.protectionFor = originalProtectionFor;
+  }
+});
@@ -0,0 +1,69 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { Decimal128, Double, Long, ObjectId } = require("mongodb");
+
+const { normalizeMapping, compileMapping, dateParser } = require("../src/utils/csvMapping");
+
+const HEADERS = ["sku", "price", "qty", "big", "tags", "shipped", "owner", "note", "address.city"];
+
+function mapper(columns, onInvalid) {
+  return compileMapping(normalizeMapping({ columns, onInvalid }), HEADERS);
+}
+
+test("columns are renamed, typed and nested", () => {
+  const toDoc = mapper([
+    { source: "sku", target: "_id" },
+    { source: "price", target: "price.amount", type: "decimal" },
+    { source: "qty", type: "double" },
+    { source: "big", type: "int" },
+    { source: "tags", type: "array", delimiter: "|", itemType: "int" },
+    { source: "shipped", type: "date", format: "DD/MM/YYYY HH:mm" },
+    { source: "owner", type: "objectId" },
+    { source: "note", skip: true },
+  ]);
+  const doc = toDoc(["A-1", "19.90", "3", "9007199254740993", "1| 2 |", "05/11/2024 13:05", "507f1f77bcf86cd799439011", "x", "Oslo"]);
+  assert.equal(doc._id, "A-1");
+  assert.ok(doc.price.amount instanceof Decimal128);
+  assert.equal(doc.price.amount.toString(), "19.90");
+  assert.ok(doc.qty instanceof Double);
+  assert.ok(doc.big instanceof Long);
+  assert.equal(doc.big.toString(), "9007199254740993");
+  assert.deepEqual(doc.tags, [1, 2]);
+  assert.equal(doc.shipped.toISOString(), "2024-11-05T13:05:00.000Z");
+  assert.ok(doc.owner instanceof ObjectId);
+  assert.equal("note" in doc, false);
+  // Unlisted columns keep the guessed type; dotted headers nest.
+  assert.deepEqual(doc.address, { city: "Oslo" });
+
+  // Empty cells are left out.
+  assert.deepEqual(toDoc(["B-2", "", "", "", "", "", "", "", ""]), { _id: "B-2" });
+});
+
+test("invalid cells reject the row or become null", () => {
+  const columns = [{ source: "qty", type: "int" }, { source: "shipped", type: "date" }];
+  const cells = ["A-1", "", "1.5", "", "", "2024-02-30", "", "", ""];
+  assert.throws(() => mapper(columns)(cells), /Column "qty": "1.5" is not an int/);
+  assert.deepEqual(mapper(columns, "null")(cells), { sku: "A-1", qty: null, shipped: null });
+});
+
+test("date formats", () => {
+  assert.equal(dateParser()("2024-02-03").toISOString(), "2024-02-03T00:00:00.000Z");
+  assert.equal(dateParser()("3 Feb 2024"), null);
+  assert.equal(dateParser("epoch")("1700000000").toISOString(), "2023-11-14T22:13:20.000Z");
+  assert.equal(dateParser("MM/DD/YYYY")("02/29/2023"), null);
+  assert.equal(dateParser("YYYY.MM.DD HH:mm:ss.SSS")("2024.01.02 03:04:05.6").getUTCMilliseconds(), 600);
+});
+
+test("bad mappings are refused", () => {
+  for (const [mapping, message] of [
+    [{ columns: [{ source: "qty", type: "money" }] }, /Unknown type/],
+    [{ columns: [{ source: "shipped", type: "date", format: "MM/YYYY" }] }, /needs YYYY, MM and DD/],
+    [{ columns: [{ source: "qty", target: "$where" }] }, /Invalid target/],
+    [{ columns: [{ source: "qty" }, { source: "qty" }] }, /mapped twice/],
+    [{ columns: [], onInvalid: "ignore" }, /onInvalid/],
+  ]) {
+    assert.throws(() => normalizeMapping(mapping), message);
+  }
+  assert.throws(() => mapper([{ source: "missing" }]), /not in the CSV header/);
+  assert.throws(() => mapper([{ source: "sku", target: "address" }]), /clashing fields: address and address.city/);
+});
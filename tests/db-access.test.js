@@ -0,0 +1,139 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+
+function clearModule(id) {
+  try { delete require.cache[require.resolve(id)]; } catch {}
+}
+
+process.env.NODE_ENV = 'test';
+process.env.SESSION_SECRET = 'deadbeef'.repeat(8);
+process.env.AUTH_ENABLED = 'true';
+process.env.AUTH_PASSWORD = 'test-pass';
+
+function makeClient(commandImpl) {
+  const commands = [];
+  return {
+    commands,
+    db(name) {
+      return {
+        async command(cmd) {
+          commands.push({ db: name, cmd });
+          return commandImpl ? commandImpl(cmd) : { ok: 1 };
+        },
+      };
+    },
+  };
+}
+
+async function withApp(client, session, fn) {
+  clearModule('../src/config');
+  clearModule('../src/services/users');
+  clearModule('../src/services/mongodb');
+  clearModule('../src/routes/api/access');
+  const mongoService = require('../src/services/mongodb');
+  mongoService.getClient = () => client;
+  const router = require('../src/routes/api/access');
+  const app = express();
+  app.use(express.json());
+  app.use((req, _res, next) => { req.session = session; next(); });
+  app.use('/', router);
+  const server = app.listen(0);
+  const { port } = server.address();
+  const call = (method, path, body) =>
+    fetch(`http://127.0.0.1:${port}${path}`, {
+      method,
+      headers: { 'content-type': 'application/json' },
+      body: body ? JSON.stringify(body) : undefined,
+    });
+  try {
+    await fn(call);
+  } finally {
+    server.close();
+  }
+}
+
+const admin = { authenticated: true, role: 'admin' };
+const editor = { authenticated: true, role: 'editor', permissions: ['read', 'write'] };
+
+test('database user admin requires the dbUserAdmin permission', async () => {
+  const client = makeClient();
+  await withApp(client, editor, async (call) => {
+    const res = await call('GET', '/access/shop/users');
+    assert.equal(res.status, 403);
+    assert.equal(client.commands.length, 0);
+  });
+});
+
+test('lists users without credentials', async () => {
+  const client = makeClient(() => ({
+    users: [{ user: 'app', db: 'shop', roles: [{ role: 'readWrite', db: 'shop' }], mechanisms: ['SCRAM-SHA-256'], credentials: { secret: 1 } }],
+  }));
+  await withApp(client, admin, async (call) => {
+    const res = await call('GET', '/access/shop/users');
+    assert.equal(res.status, 200);
+    const body = await res.json();
+    assert.equal(body.users[0].user, 'app');
+    assert.equal(body.users[0].credentials, undefined);
+    assert.deepEqual(client.commands[0], { db: 'shop', cmd: { usersInfo: 1, showCredentials: false } });
+  });
+});
+
+test('createUser validates input and normalizes roles', async () => {
+  const client = makeClient();
+  await withApp(client, admin, async (call) => {
+    let res = await call('POST', '/access/shop/users', { user: 'app', pwd: 'short', roles: [] });
+    assert.equal(res.status, 400);
+    res = await call('POST', '/access/shop/users', { user: 'app', pwd: 'long-enough', roles: [{ role: 'read' }] });
+    assert.equal(res.status, 400);
+    assert.equal(client.commands.length, 0);
+
+    res = await call('POST', '/access/shop/users', {
+      user: 'app',
+      pwd: 'long-enough',
+      roles: ['readWrite', { role: 'read', db: 'reporting' }],
+    });
+    assert.equal(res.status, 201);
+    assert.deepEqual(client.commands[0].cmd, {
+      createUser: 'app',
+      pwd: 'long-enough',
+      roles: ['readWrite', { role: 'read', db: 'reporting' }],
+    });
+  });
+});
+
+test('updateUser, grant and drop map to their commands', async () => {
+  const client = makeClient();
+  await withApp(client, admin, async (call) => {
+    assert.equal((await call('PATCH', '/access/shop/users/app', {})).status, 400);
+    assert.equal((await call('PATCH', '/access/shop/users/app', { pwd: 'another-secret' })).status, 200);
+    assert.equal((await call('POST', '/access/shop/users/app/grant', { roles: ['dbAdmin'] })).status, 200);
+    assert.equal((await call('DELETE', '/access/shop/users/app')).status, 200);
+    assert.deepEqual(client.commands.map((c) => Object.keys(c.cmd)[0]), [
+      'updateUser',
+      'grantRolesToUser',
+      'dropUser',
+    ]);
+  });
+});
+
+test('createRole requires privileges or inherited roles and surfaces server errors as 400', async () => {
+  const client = makeClient((cmd) => {
+    if (cmd.createRole === 'dup') {
+      throw Object.assign(new Error('Role "dup@shop" already exists'), { code: 51002 });
+    }
+    return { ok: 1 };
+  });
+  await withApp(client, admin, async (call) => {
+    let res = await call('POST', '/access/shop/roles', { role: 'empty' });
+    assert.equal(res.status, 400);
+    res = await call('POST', '/access/shop/roles', {
+      role: 'orders-writer',
+      privileges: [{ resource: { db: 'shop', collection: 'orders' }, actions: ['find', 'update'] }],
+    });
+    assert.equal(res.status, 201);
+    res = await call('POST', '/access/shop/roles', { role: 'dup', roles: ['read'] });
+    assert.equal(res.status, 400);
+    assert.match((await res.json()).error, /already exists/);
+  });
+});
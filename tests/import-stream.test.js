@@ -0,0 +1,431 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const express = require("express");
+
+process.env.NODE_ENV = "test";
+process.env.AUTH_ENABLED = "false";
+process.env.SESSION_SECRET = "deadbeef".repeat(8);
+
+const { createImportParser } = require("../src/utils/importParser");
+
+// Feed `text` to a parser a few bytes at a time, splitting UTF-8 sequences.
+function parseInChunks(format, text, size = 3) {
+  const parser = createImportParser(format);
+  const bytes = Buffer.from(text);
+  const records = [];
+  for (let i = 0; i < bytes.length; i += size) records.push(...parser.push(bytes.subarray(i, i + size)));
+  return [...records, ...parser.end()];
+}
+
+test("import parser splits JSON arrays, NDJSON and CSV across chunks", () => {
+  const array = parseInChunks("json", '﻿[{"a":"x,]}\\""},{"b":[1,{"c":2}]}, 3, {"é":"ü"}]\n');
+  assert.deepEqual(array.map((r) => r.row), [1, 2, 3, 4]);
+  assert.deepEqual(array[0].doc, { a: 'x,]}"' });
+  assert.deepEqual(array[3].doc, { é: "ü" });
+  assert.match(array[2].error, /JSON object/);
+
+  const lines = parseInChunks("jsonl", '{"a":1}\r\n\nnope\n{"_id":{"$oid":"507f1f77bcf86cd799439011"}}');
+  assert.deepEqual(lines.map((r) => r.row), [1, 3, 4]);
+  assert.ok(lines[1].error);
+  assert.equal(lines[2].doc._id.toHexString(), "507f1f77bcf86cd799439011");
+
+  const csv = parseInChunks("csv", 'name,n,ok\r\n"a,b",1,true\r\n\r\nc,,false\r\n', 2);
+  assert.deepEqual(csv, [
+    { row: 1, doc: { name: "a,b", n: 1, ok: true } },
+    { row: 2, doc: { name: "c", ok: false } },
+  ]);
+});
+
+test("import parser rejects files that are unusable as a whole", () => {
+  for (const [format, text, message] of [
+    ["json", '[{"a":1}', /never closed/],
+    ["json", "[{}] {}", /after the JSON array/],
+    ["json", " \n", /empty/],
+    ["csv", "a,a\n1,2", /duplicate column/],
+    ["csv", "a,b\n", /at least one data row/],
+    ["csv", 'a\n"open', /unclosed quoted field/],
+  ]) {
+    assert.throws(() => parseInChunks(format, text), (err) => err.status === 400 && message.test(err.message));
+  }
+});
+
+// bulkWrite stand-in for top-level equality filters: duplicate _ids fail
+// like a MongoBulkWriteError.
+function makeCollection(docs = []) {
+  const calls = [];
+  const matches = (filter) => (d) => Object.entries(filter).every(([k, v]) => d[k] === v);
+  let nextId = 100;
+  return {
+    docs,
+    calls,
+    async bulkWrite(ops, { ordered }) {
+      calls.push({ size: ops.length, ordered });
+      const writeErrors = [];
+      const result = { insertedCount: 0, upsertedCount: 0, matchedCount: 0 };
+      const insert = (doc, index) => {
+        if (doc._id !== undefined && docs.some((d) => d._id === doc._id)) {
+          writeErrors.push({ index, errmsg: `E11000 duplicate key: ${doc._id}` });
+          return false;
+        }
+        docs.push({ _id: nextId++, ...doc });
+        return true;
+      };
+      for (const [index, op] of ops.entries()) {
+        if (op.insertOne) {
+          if (insert(op.insertOne.document, index)) result.insertedCount += 1;
+        } else {
+          const { filter, update, replacement, upsert } = op.updateOne || op.replaceOne;
+          const found = docs.find(matches(filter));
+          if (found) {
+            result.matchedCount += 1;
+            if (replacement) docs.splice(docs.indexOf(found), 1, replacement);
+            else Object.assign(found, update.$set);
+          } else if (upsert) {
+            if (insert(replacement || { ...filter, ...update.$setOnInsert, ...update.$set }, index)) {
+              result.upsertedCount += 1;
+            }
+          }
+        }
+        if (ordered && writeErrors.length) break;
+      }
+      if (writeErrors.length) throw Object.assign(new Error("bulk write error"), { writeErrors, ...result });
+      return result;
+    },
+  };
+}
+
+async function withApp(fn, env = {}, existing = []) {
+  Object.assign(process.env, env);
+  for (const id of ["../src/config", "../src/services/importJobs", "../src/routes/api/transfer"]) {
+    delete require.cache[require.resolve(id)];
+  }
+  const mongoService = require("../src/services/mongodb");
+  const original = { getClient: mongoService.getClient, getConnectionId: mongoService.getConnectionId };
+  const collection = makeCollection(existing);
+  mongoService.getClient = () => ({ db: () => ({ collection: () => collection }) });
+  // Like the real one: the X-Connection-Id header, else the active connection.
+  mongoService.getConnectionId = (req, id = req.get("x-connection-id") || "preset") => id;
+  const app = express();
+  app.use(express.json({ limit: "10mb" }));
+  // Bearer requests have no session, only their token.
+  app.use((req, _res, next) => {
+    const token = req.get("x-token");
+    if (token) req.apiToken = token === "none" ? undefined : { id: token };
+    else req.sessionID = "s1";
+    req.session = {};
+    next();
+  });
+  app.use("/", require("../src/routes/api/transfer"));
+  const server = app.listen(0);
+  const base = `http://127.0.0.1:${server.address().port}`;
+  try {
+    await fn(base, collection);
+  } finally {
+    server.close();
+    Object.assign(mongoService, original);
+    for (const key of Object.keys(env)) delete process.env[key];
+  }
+}
+
+// A request body that arrives in several pieces.
+function chunked(...parts) {
+  return new ReadableStream({
+    start(controller) {
+      for (const part of parts) controller.enqueue(new TextEncoder().encode(part));
+      controller.close();
+    },
+  });
+}
+
+test("a raw NDJSON upload is written in batches with a per-row error report", async () => {
+  await withApp(async (base, collection) => {
+    const res = await fetch(`${base}/shop/orders/import?format=jsonl&batchSize=2`, {
+      method: "POST",
+      headers: { "Content-Type": "application/x-ndjson" },
+      body: chunked('{"_id":1}\n{"_id":2}\n{"_i', 'd":1}\nnot json\n{"_id":3}\n'),
+      duplex: "half",
+    });
+    const body = await res.json();
+    assert.equal(res.status, 200);
+    assert.equal(body.success, false);
+    assert.equal(body.inserted, 3);
+    assert.equal(body.failed, 2);
+    assert.equal(body.total, 5);
+    assert.deepEqual(body.errors.map((e) => e.row), [3, 4]);
+    assert.match(body.errors[0].error, /E11000/);
+    assert.equal(body.job.status, "completed");
+    assert.deepEqual(collection.calls.map((c) => c.size), [2, 2]);
+    assert.equal(collection.calls[0].ordered, false);
+  });
+});
+
+test("ordered imports stop at the first bad row", async () => {
+  await withApp(async (base, collection) => {
+    const res = await fetch(`${base}/shop/orders/import?format=json&ordered=true&batchSize=10`, {
+      method: "POST",
+      headers: { "Content-Type": "application/octet-stream" },
+      body: '[{"_id":1},{"_id":2},{"_id":1},{"_id":4}]',
+    });
+    const body = await res.json();
+    assert.equal(body.job.status, "stopped");
+    assert.equal(body.inserted, 2);
+    assert.deepEqual(body.errors.map((e) => e.row), [3]);
+    assert.deepEqual(collection.docs.map((d) => d._id), [1, 2]);
+  });
+});
+
+test("a multipart CSV upload follows a job created beforehand", async () => {
+  await withApp(async (base, collection) => {
+    const created = await fetch(`${base}/import-jobs`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ db: "shop", collection: "orders", format: "csv" }),
+    });
+    assert.equal(created.status, 201);
+    const { job } = await created.json();
+    assert.equal(job.status, "created");
+
+    const wrong = await fetch(`${base}/shop/other/import?jobId=${job.id}`, { method: "POST", body: "x" });
+    assert.equal(wrong.status, 400);
+
+    const form = new FormData();
+    form.append("note", "ignored");
+    form.append("file", new Blob(["sku,qty\nA-1,2\nB-2,5\n"], { type: "text/csv" }), "orders.csv");
+    const res = await fetch(`${base}/shop/orders/import?jobId=${job.id}`, { method: "POST", body: form });
+    const body = await res.json();
+    assert.equal(res.status, 200);
+    assert.equal(body.success, true);
+    assert.deepEqual(collection.docs.map(({ _id, ...d }) => d), [{ sku: "A-1", qty: 2 }, { sku: "B-2", qty: 5 }]);
+
+    const events = await (await fetch(`${base}/import-jobs/${job.id}/events`)).text();
+    assert.match(events, /event: done/);
+    assert.equal((await (await fetch(`${base}/import-jobs/${job.id}`)).json()).job.inserted, 2);
+    assert.equal((await fetch(`${base}/shop/orders/import?jobId=${job.id}`, { method: "POST", body: "x" })).status, 409);
+  });
+});
+
+test("import jobs record the connection named by X-Connection-Id", async () => {
+  await withApp(async (base) => {
+    const created = await fetch(`${base}/import-jobs`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json", "X-Connection-Id": "stg" },
+      body: JSON.stringify({ db: "shop", collection: "orders", format: "jsonl" }),
+    });
+    const { job } = await created.json();
+    assert.equal(job.connectionId, "stg");
+
+    const upload = (headers) =>
+      fetch(`${base}/shop/orders/import?jobId=${job.id}&format=jsonl`, { method: "POST", headers, body: '{"a":1}\n' });
+    const elsewhere = await upload({});
+    assert.equal(elsewhere.status, 400);
+    assert.match((await elsewhere.json()).error, /another connection/);
+    assert.equal((await upload({ "X-Connection-Id": "stg" })).status, 200);
+
+    const inline = await fetch(`${base}/shop/orders/import`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json", "X-Connection-Id": "stg" },
+      body: JSON.stringify({ content: '{"a":2}', format: "jsonl" }),
+    });
+    assert.equal((await inline.json()).job.connectionId, "stg");
+  });
+});
+
+test("jobs started with an API token belong to that token", async () => {
+  await withApp(async (base) => {
+    const create = (token) =>
+      fetch(`${base}/import-jobs`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json", "x-token": token },
+        body: JSON.stringify({ db: "shop", collection: "orders" }),
+      });
+    const created = await create("t1");
+    assert.equal(created.status, 201);
+    const { job } = await created.json();
+    const get = (headers) => fetch(`${base}/import-jobs/${job.id}`, { headers });
+    assert.equal((await get({ "x-token": "t1" })).status, 200);
+    assert.equal((await get({ "x-token": "t2" })).status, 404);
+    assert.equal((await get({})).status, 404);
+    assert.deepEqual((await (await fetch(`${base}/import-jobs`)).json()).jobs, []);
+
+    // Neither a session nor a token: nobody could follow the job.
+    assert.equal((await create("none")).status, 400);
+  });
+});
+
+test("uploads past IMPORT_MAX_BYTES and broken files fail the job", async () => {
+  await withApp(async (base, collection) => {
+    let res = await fetch(`${base}/shop/orders/import?format=jsonl`, { method: "POST", body: '{"a":1}\n'.repeat(10) });
+    assert.equal(res.status, 413);
+    assert.equal((await res.json()).job.status, "failed");
+
+    res = await fetch(`${base}/shop/orders/import?format=csv`, { method: "POST", body: "a,,b\n1,2,3\n" });
+    assert.equal(res.status, 400);
+    assert.match((await res.json()).error, /empty column name/);
+    assert.deepEqual(collection.docs, []);
+  }, { IMPORT_MAX_BYTES: "40" });
+});
+
+test("the JSON body form still imports inline content", async () => {
+  await withApp(async (base, collection) => {
+    const res = await fetch(`${base}/shop/orders/import`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ format: "csv", content: "name\nada\n" }),
+    });
+    const body = await res.json();
+    assert.equal(body.inserted, 1);
+    assert.deepEqual(collection.docs.map((d) => d.name), ["ada"]);
+  });
+});
+
+test("keyed modes merge, replace, update or skip instead of inserting", async () => {
+  const feed = "sku,qty\nA-1,7\nC-3,1\n";
+  const run = async (base, query) => {
+    const res = await fetch(`${base}/shop/stock/import?format=csv&${query}`, { method: "POST", body: feed });
+    return res.json();
+  };
+  const seed = () => [{ _id: 1, sku: "A-1", qty: 2, name: "Anvil" }, { _id: 2, sku: "B-2", qty: 5 }];
+
+  await withApp(async (base, collection) => {
+    const body = await run(base, "mode=upsert&keyFields=sku");
+    assert.deepEqual([body.inserted, body.updated, body.skipped], [1, 1, 0]);
+    assert.deepEqual(collection.docs.find((d) => d.sku === "A-1"), { _id: 1, sku: "A-1", qty: 7, name: "Anvil" });
+    assert.equal(collection.docs.length, 3);
+    assert.deepEqual(body.job.keyFields, ["sku"]);
+  }, {}, seed());
+
+  await withApp(async (base, collection) => {
+    const body = await run(base, "mode=update&keyFields=sku");
+    assert.deepEqual([body.inserted, body.updated, body.skipped], [0, 1, 1]);
+    assert.equal(collection.docs.length, 2);
+    assert.equal(collection.docs[0].qty, 7);
+  }, {}, seed());
+
+  await withApp(async (base, collection) => {
+    const body = await run(base, "mode=skip&keyFields=sku");
+    assert.deepEqual([body.inserted, body.updated, body.skipped], [1, 0, 1]);
+    assert.equal(collection.docs[0].qty, 2);
+    assert.equal(collection.docs.length, 3);
+  }, {}, seed());
+
+  await withApp(async (base, collection) => {
+    // Replace goes by _id; rows without one are reported.
+    const res = await fetch(`${base}/shop/stock/import?format=jsonl&mode=replace`, {
+      method: "POST",
+      body: '{"_id":1,"sku":"A-1"}\n{"sku":"Z-9"}\n{"_id":9,"sku":"N-1"}\n',
+    });
+    const body = await res.json();
+    assert.deepEqual([body.inserted, body.updated, body.failed], [1, 1, 1]);
+    assert.deepEqual(body.errors, [{ row: 2, error: "Row has no _id to replace by" }]);
+    assert.deepEqual(collection.docs[0], { _id: 1, sku: "A-1" });
+  }, {}, seed());
+
+  await withApp(async (base) => {
+    const body = await run(base, "mode=upsert&keyFields=region");
+    assert.equal(body.failed, 2);
+    assert.match(body.errors[0].error, /no value for key field "region"/);
+    for (const query of ["mode=merge", "mode=upsert&keyFields=$where", "mode=upsert&keyFields=a..b"]) {
+      const res = await fetch(`${base}/shop/stock/import?format=csv&${query}`, { method: "POST", body: feed });
+      assert.equal(res.status, 400, query);
+    }
+  });
+});
+
+test("CSV imports apply a column mapping, previewed first", async () => {
+  await withApp(async (base, collection) => {
+    const mapping = {
+      columns: [
+        { source: "SKU", target: "sku" },
+        { source: "Qty", target: "stock.qty", type: "int" },
+        { source: "When", target: "at", type: "date", format: "DD/MM/YYYY" },
+      ],
+      onInvalid: "reject",
+    };
+    const file = "SKU,Qty,When\nA-1,2,05/11/2024\nB-2,lots,06/11/2024\n";
+
+    const preview = await (await fetch(`${base}/import-preview`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ content: file, mapping }),
+    })).json();
+    assert.deepEqual(preview.headers, ["SKU", "Qty", "When"]);
+    assert.deepEqual(preview.documents[0], { row: 1, doc: { sku: "A-1", stock: { qty: 2 }, at: { $date: "2024-11-05T00:00:00.000Z" } } });
+    assert.match(preview.documents[1].error, /Column "Qty": "lots" is not an int/);
+
+    const created = await fetch(`${base}/import-jobs`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ db: "shop", collection: "stock", format: "csv", mapping: { ...mapping, onInvalid: "null" } }),
+    });
+    const { job } = await created.json();
+    const body = await (await fetch(`${base}/shop/stock/import?jobId=${job.id}`, { method: "POST", body: file })).json();
+    assert.equal(body.inserted, 2);
+    assert.deepEqual(collection.docs[1].stock, { qty: null });
+    assert.ok(collection.docs[0].at instanceof Date);
+
+    // Through the query string, and only for CSV.
+    const query = encodeURIComponent(JSON.stringify(mapping));
+    const rejected = await (await fetch(`${base}/shop/stock/import?format=csv&mapping=${query}`, { method: "POST", body: file })).json();
+    assert.deepEqual([rejected.inserted, rejected.failed], [1, 1]);
+    const json = await fetch(`${base}/shop/stock/import?format=json&mapping=${query}`, { method: "POST", body: "[]" });
+    assert.equal(json.status, 400);
+  });
+});
+
+test("XLSX uploads are read by sheet and header row, within IMPORT_XLSX_MAX_BYTES", async () => {
+  const { PassThrough } = require("stream");
+  const { createXlsxWriter } = require("../src/utils/xlsx");
+  const out = new PassThrough();
+  const chunks = [];
+  out.on("data", (c) => chunks.push(c));
+  const sheet = await createXlsxWriter(out, { sheet: "Stock", columns: ["Stock report"] });
+  await sheet.addRow(["sku", "stock.qty", "at"]);
+  await sheet.addRow(["A-1", 2, new Date("2024-11-05T00:00:00Z")]);
+  await sheet.addRow(["B-2", 5]);
+  await sheet.end();
+  out.end();
+  const workbook = Buffer.concat(chunks);
+
+  await withApp(async (base, collection) => {
+    const preview = await (await fetch(`${base}/import-preview?headerRow=2`, {
+      method: "POST",
+      headers: { "Content-Type": "application/octet-stream" },
+      body: workbook,
+    })).json();
+    assert.deepEqual([preview.sheets, preview.sheet, preview.headers], [["Stock"], "Stock", ["sku", "stock.qty", "at"]]);
+    assert.deepEqual(preview.rows[0], ["A-1", "2", "2024-11-05T00:00:00.000Z"]);
+    assert.deepEqual(preview.documents[0].doc, { sku: "A-1", stock: { qty: 2 }, at: { $date: "2024-11-05T00:00:00.000Z" } });
+
+    const created = await fetch(`${base}/import-jobs`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ db: "shop", collection: "stock", format: "xlsx", sheet: "Stock", headerRow: 2 }),
+    });
+    const { job } = await created.json();
+    assert.deepEqual([job.sheet, job.headerRow], ["Stock", 2]);
+    const form = new FormData();
+    form.append("file", new Blob([workbook]), "stock.xlsx");
+    const body = await (await fetch(`${base}/shop/stock/import?jobId=${job.id}`, { method: "POST", body: form })).json();
+    assert.equal(body.inserted, 2);
+    assert.deepEqual(collection.docs.map(({ _id, ...d }) => d), [
+      { sku: "A-1", stock: { qty: 2 }, at: new Date("2024-11-05T00:00:00Z") },
+      { sku: "B-2", stock: { qty: 5 } },
+    ]);
+
+    const wrongSheet = await fetch(`${base}/shop/stock/import?format=xlsx&sheet=Nope`, { method: "POST", body: workbook });
+    assert.equal(wrongSheet.status, 400);
+    const inline = await fetch(`${base}/shop/stock/import`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ format: "xlsx", content: "x" }),
+    });
+    assert.equal(inline.status, 400);
+  }, { IMPORT_XLSX_MAX_BYTES: String(workbook.length + 1024) });
+
+  await withApp(async (base) => {
+    const res = await fetch(`${base}/shop/stock/import?format=xlsx`, { method: "POST", body: workbook });
+    assert.equal(res.status, 413);
+    const preview = await fetch(`${base}/import-preview`, { method: "POST", body: workbook });
+    assert.equal(preview.status, 413);
+  }, { IMPORT_XLSX_MAX_BYTES: "100" });
+});
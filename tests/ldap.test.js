@@ -0,0 +1,208 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const net = require('net');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const bcrypt = require('bcryptjs');
+const ber = require('../src/utils/ber');
+
+function clearModule(id) {
+  try { delete require.cache[require.resolve(id)]; } catch {}
+}
+
+// ── In-process LDAP stand-in ──────────────────────────────────────────────
+// Answers simple binds and subtree searches over a fixed directory, with
+// equality / presence / and / or / not filters.
+
+const SERVICE_DN = 'cn=svc,dc=example,dc=org';
+const directory = [
+  { dn: SERVICE_DN, password: 'svc-pass', attrs: { cn: ['svc'] } },
+  {
+    dn: 'uid=alice,ou=people,dc=example,dc=org',
+    password: 'alice-pw',
+    attrs: { uid: ['alice'], memberof: ['cn=dash-editors,ou=groups,dc=example,dc=org'] },
+  },
+  { dn: 'uid=bob,ou=people,dc=example,dc=org', password: 'bob-pw', attrs: { uid: ['bob'] } },
+  {
+    dn: 'cn=Dave Jones,ou=people,dc=example,dc=org',
+    password: 'dave-pw',
+    attrs: { samaccountname: ['djones'], mail: ['dave@example.org'] },
+  },
+  { dn: 'uid=carol,ou=people,dc=example,dc=org', password: 'carol-pw', attrs: { uid: ['carol'] } },
+  {
+    dn: 'cn=dash-admins,ou=groups,dc=example,dc=org',
+    attrs: { cn: ['dash-admins'], member: ['uid=carol,ou=people,dc=example,dc=org'] },
+  },
+];
+const binds = [];
+
+function matches(filter, entry) {
+  const kids = () => ber.children(filter.value);
+  const str = (el) => el.value.toString('utf8').toLowerCase();
+  switch (filter.tag) {
+    case 0xa0: return kids().every((f) => matches(f, entry));
+    case 0xa1: return kids().some((f) => matches(f, entry));
+    case 0xa2: return !matches(kids()[0], entry);
+    case 0xa3: {
+      const [attr, value] = kids();
+      return (entry.attrs[str(attr)] || []).some((v) => v.toLowerCase() === str(value));
+    }
+    case 0x87: return !!entry.attrs[str(filter)];
+    default: return false;
+  }
+}
+
+function respond(socket, id, op) {
+  socket.write(ber.sequence([ber.encodeInteger(id), op]));
+}
+
+const result = (tag, code) =>
+  ber.sequence([ber.enumerated(code), ber.octetString(''), ber.octetString('')], tag);
+
+function handle(socket, state, id, op) {
+  if (op.tag === 0x60) {
+    const [, dn, pw] = ber.children(op.value);
+    const name = dn.value.toString('utf8');
+    const password = pw.value.toString('utf8');
+    const entry = directory.find((e) => e.dn === name);
+    // Like real servers, an empty password is an anonymous bind and succeeds.
+    const ok = password === '' || (entry && entry.password === password);
+    state.boundAs = ok ? name : null;
+    binds.push(name);
+    return respond(socket, id, result(0x61, ok ? 0 : 49));
+  }
+  if (op.tag === 0x63) {
+    const [base, , , , , , filter] = ber.children(op.value);
+    if (state.boundAs !== SERVICE_DN) return respond(socket, id, result(0x65, 50));
+    const suffix = base.value.toString('utf8').toLowerCase();
+    for (const entry of directory) {
+      if (!entry.dn.toLowerCase().endsWith(suffix) || !matches(filter, entry)) continue;
+      const attrs = Object.entries(entry.attrs).map(([k, vals]) =>
+        ber.sequence([ber.octetString(k), ber.sequence(vals.map((v) => ber.octetString(v)), 0x31)]));
+      respond(socket, id, ber.sequence([ber.octetString(entry.dn), ber.sequence(attrs)], 0x64));
+    }
+    return respond(socket, id, result(0x65, 0));
+  }
+  if (op.tag === 0x42) socket.end();
+}
+
+let server;
+let usersPath;
+
+before(async () => {
+  server = net.createServer((socket) => {
+    const state = { boundAs: null };
+    let buffer = Buffer.alloc(0);
+    socket.on('data', (chunk) => {
+      buffer = Buffer.concat([buffer, chunk]);
+      let el;
+      while ((el = ber.readElement(buffer))) {
+        buffer = buffer.subarray(el.end);
+        const [id, op] = ber.children(el.value);
+        handle(socket, state, ber.decodeInteger(id.value), op);
+      }
+    });
+    socket.on('error', () => {});
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+
+  const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'mdb-ldap-'));
+  usersPath = path.join(tmpDir, 'users.json');
+  fs.writeFileSync(usersPath, JSON.stringify({
+    version: 1,
+    users: [
+      { username: 'root', role: 'admin', passwordHash: bcrypt.hashSync('root-pw', 4) },
+      { username: 'ed', role: 'editor', passwordHash: bcrypt.hashSync('ed-pw', 4) },
+    ],
+  }));
+});
+
+after(() => server.close());
+
+function fresh(env = {}) {
+  Object.assign(process.env, {
+    NODE_ENV: 'test',
+    SESSION_SECRET: 'deadbeef'.repeat(8),
+    AUTH_ENABLED: 'true',
+    AUTH_PASSWORD: '',
+    AUTH_USERS_FILE: usersPath,
+    AUTH_PROVIDER: 'ldap',
+    LDAP_URL: `ldap://127.0.0.1:${server.address().port}`,
+    LDAP_BIND_DN: SERVICE_DN,
+    LDAP_BIND_PASSWORD: 'svc-pass',
+    LDAP_SEARCH_BASE: 'ou=people,dc=example,dc=org',
+    LDAP_GROUP_SEARCH_BASE: 'ou=groups,dc=example,dc=org',
+    LDAP_ROLE_MAP: 'dash-admins=admin,dash-editors=editor',
+    LDAP_LOCAL_FALLBACK: 'admins',
+    LDAP_TIMEOUT_MS: '2000',
+    ...env,
+  });
+  for (const id of ['../src/config', '../src/services/users', '../src/services/ldap', '../src/middleware/auth']) {
+    clearModule(id);
+  }
+  return { ldap: require('../src/services/ldap'), auth: require('../src/middleware/auth') };
+}
+
+test('filter values are escaped and filters compile to BER', () => {
+  const { ldap } = fresh();
+  assert.equal(ldap.escapeFilterValue('a*(b)\\'), 'a\\2a\\28b\\29\\5c');
+  const filter = ber.readElement(ldap.encodeFilter('(&(uid=al\\2a)(objectClass=*))'));
+  assert.equal(filter.tag, 0xa0);
+  const [eq, present] = ber.children(filter.value);
+  assert.equal(ber.children(eq.value)[1].value.toString(), 'al*');
+  assert.equal(present.tag, 0x87);
+  assert.throws(() => ldap.encodeFilter('(uid=a'), /Invalid LDAP filter/);
+});
+
+test('directory users sign in with a role mapped from their groups', async () => {
+  const { auth } = fresh();
+  binds.length = 0;
+  const alice = await auth.verifyCredentials('alice', 'alice-pw');
+  assert.deepEqual(
+    { username: alice.username, role: alice.role, authMethod: alice.authMethod },
+    { username: 'alice', role: 'editor', authMethod: 'ldap' }
+  );
+  assert.deepEqual(binds, [SERVICE_DN, 'uid=alice,ou=people,dc=example,dc=org']);
+  // Group found by searching groups for the user's DN.
+  assert.equal((await auth.verifyCredentials('carol', 'carol-pw')).role, 'admin');
+
+  assert.equal(await auth.verifyCredentials('alice', 'wrong'), null);
+  assert.equal(await auth.verifyCredentials('alice', ''), null);
+  assert.equal(await auth.verifyCredentials('*', 'alice-pw'), null);
+  // The session gets the directory's name for the user, not what was typed.
+  assert.equal((await auth.verifyCredentials('ALICE', 'alice-pw')).username, 'alice');
+  // No group maps to a role and there is no default.
+  assert.equal(await auth.verifyCredentials('bob', 'bob-pw'), null);
+  assert.equal((await fresh({ LDAP_DEFAULT_ROLE: 'viewer' }).auth.verifyCredentials('bob', 'bob-pw')).role, 'viewer');
+});
+
+test('the username comes from the entry, by sAMAccountName, uid or LDAP_USERNAME_ATTRIBUTE', async () => {
+  const env = { LDAP_DEFAULT_ROLE: 'viewer', LDAP_USER_FILTER: '(|(uid={username})(mail={username}))' };
+  let { auth } = fresh(env);
+  assert.equal((await auth.verifyCredentials('dave@example.org', 'dave-pw')).username, 'djones');
+  assert.equal((await auth.verifyCredentials('bob', 'bob-pw')).username, 'bob');
+
+  ({ auth } = fresh({ ...env, LDAP_USERNAME_ATTRIBUTE: 'mail' }));
+  assert.equal((await auth.verifyCredentials('dave@example.org', 'dave-pw')).username, 'dave@example.org');
+  // An entry without the attribute cannot sign in.
+  assert.equal(await auth.verifyCredentials('bob', 'bob-pw'), null);
+  fresh({ LDAP_USER_FILTER: '(uid={username})', LDAP_USERNAME_ATTRIBUTE: '', LDAP_DEFAULT_ROLE: '' });
+});
+
+test('local accounts remain a break-glass path for admins', async () => {
+  let { auth } = fresh();
+  assert.equal((await auth.verifyCredentials('root', 'root-pw')).role, 'admin');
+  assert.equal(await auth.verifyCredentials('ed', 'ed-pw'), null);
+
+  ({ auth } = fresh({ LDAP_LOCAL_FALLBACK: 'all' }));
+  assert.equal((await auth.verifyCredentials('ed', 'ed-pw')).role, 'editor');
+
+  ({ auth } = fresh({ LDAP_LOCAL_FALLBACK: 'none' }));
+  assert.equal(await auth.verifyCredentials('root', 'root-pw'), null);
+
+  // Directory down: sign-in falls through to the local admin.
+  ({ auth } = fresh({ LDAP_URL: 'ldap://127.0.0.1:1' }));
+  assert.equal((await auth.verifyCredentials('root', 'root-pw')).role, 'admin');
+  assert.equal(await auth.verifyCredentials('alice', 'alice-pw'), null);
+});
@@ -0,0 +1,177 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+
+process.env.AUTH_ENABLED = "false";
+process.env.NODE_ENV = "test";
+process.env.SESSION_SECRET = "deadbeef".repeat(8);
+
+const { ConnectionRegistry } = require("../src/services/mongodb");
+
+function makeRegistry(opts = {}) {
+  const created = [];
+  const registry = new ConnectionRegistry({
+    maxClients: 3,
+    idleTimeoutMs: 0,
+    ...opts,
+    createClient(uri) {
+      const client = {
+        uri,
+        closed: false,
+        async connect() {},
+        async close() { client.closed = true; },
+      };
+      created.push(client);
+      return client;
+    },
+  });
+  return { registry, created };
+}
+
+const reqFor = (sessionID) => ({ sessionID });
+
+test("connections are isolated per session", async () => {
+  const { registry } = makeRegistry();
+  await registry.connect("mongodb://a", reqFor("s1"));
+  await registry.connect("mongodb://b", reqFor("s2"));
+
+  assert.equal(registry.getConnectionString(reqFor("s1")), "mongodb://a");
+  assert.equal(registry.getConnectionString(reqFor("s2")), "mongodb://b");
+  assert.equal(registry.getClient(reqFor("s3")), null);
+});
+
+test("sessions connecting to the same URI share one pooled client", async () => {
+  const { registry, created } = makeRegistry();
+  const c1 = await registry.connect("mongodb://a", reqFor("s1"));
+  const c2 = await registry.connect("mongodb://a", reqFor("s2"));
+  assert.equal(c1, c2);
+  assert.equal(created.length, 1);
+
+  await registry.disconnect(reqFor("s1"));
+  assert.equal(c1.closed, false, "client still used by s2");
+  assert.equal(registry.getClient(reqFor("s2")), c1);
+
+  await registry.disconnect(reqFor("s2"));
+  assert.equal(c1.closed, true);
+  assert.equal(registry.stats().clients, 0);
+});
+
+test("a session keeps several connections open and switches between them", async () => {
+  const { registry, created } = makeRegistry();
+  const req = reqFor("s1");
+  await registry.connect("mongodb://staging", req, { connectionId: "stg" });
+  await registry.connect("mongodb://prod", req, { connectionId: "prd" });
+
+  assert.equal(created.length, 2);
+  assert.equal(created[0].closed, false, "staging stays open");
+  assert.equal(registry.getConnectionId(req), "prd");
+
+  assert.equal(registry.activate(req, "stg"), true);
+  assert.equal(registry.getConnectionString(req), "mongodb://staging");
+  assert.equal(registry.activate(req, "nope"), false);
+  assert.deepEqual(
+    registry.listOpen(req).map((c) => [c.id, c.active]).sort(),
+    [["prd", false], ["stg", true]]
+  );
+  assert.equal(created.length, 2, "switching does not reconnect");
+});
+
+test("requests can address a non-active connection by header or query", async () => {
+  const { registry } = makeRegistry();
+  await registry.connect("mongodb://staging", reqFor("s1"), { connectionId: "stg" });
+  await registry.connect("mongodb://prod", reqFor("s1"), { connectionId: "prd" });
+
+  const byHeader = { sessionID: "s1", headers: { "x-connection-id": "stg" } };
+  const byQuery = { sessionID: "s1", query: { connectionId: "stg" } };
+  assert.equal(registry.getConnectionString(byHeader), "mongodb://staging");
+  assert.equal(registry.getConnectionString(byQuery), "mongodb://staging");
+  assert.equal(registry.getConnectionId(reqFor("s1")), "prd", "active is unchanged");
+
+  // Another session cannot reach s1's connections by id.
+  const foreign = { sessionID: "s2", headers: { "x-connection-id": "stg" } };
+  assert.equal(registry.getClient(foreign), null);
+});
+
+test("disconnecting one connection hands over to the most recent remaining", async () => {
+  const { registry, created } = makeRegistry();
+  const req = reqFor("s1");
+  await registry.connect("mongodb://a", req, { connectionId: "a" });
+  await registry.connect("mongodb://b", req, { connectionId: "b" });
+
+  await registry.disconnect(req, "b");
+  assert.equal(created[1].closed, true);
+  assert.equal(registry.getConnectionId(req), "a");
+
+  await registry.disconnect(req);
+  assert.equal(created[0].closed, true);
+  assert.deepEqual(registry.listOpen(req), []);
+});
+
+test("caps the number of open connections per session", async () => {
+  const { registry } = makeRegistry({ maxPerSession: 2 });
+  const req = reqFor("s1");
+  await registry.connect("mongodb://a", req, { connectionId: "a" });
+  await registry.connect("mongodb://b", req, { connectionId: "b" });
+  await assert.rejects(
+    () => registry.connect("mongodb://c", req, { connectionId: "c" }),
+    (err) => err.status === 409
+  );
+  // Reconnecting an already-open id is not a new slot.
+  await registry.connect("mongodb://a", req, { connectionId: "a" });
+});
+
+test("a typed URI reopened by vault id replaces its ad-hoc handle", async () => {
+  const { registry, created } = makeRegistry();
+  const req = reqFor("s1");
+  await registry.connect("mongodb://a", req);
+  assert.match(registry.getConnectionId(req), /^uri-/);
+
+  await registry.connect("mongodb://a", req, { connectionId: "vault-1" });
+  assert.deepEqual(registry.listOpen(req).map((c) => c.id), ["vault-1"]);
+  assert.equal(created.length, 1);
+  assert.equal(created[0].closed, false);
+});
+
+test("sessionless connect becomes the default for unbound sessions", async () => {
+  const { registry } = makeRegistry();
+  await registry.connect("mongodb://preset");
+  await registry.connect("mongodb://mine", reqFor("s1"));
+
+  assert.equal(registry.getConnectionString(reqFor("s2")), "mongodb://preset");
+  assert.equal(registry.getConnectionString(reqFor("s1")), "mongodb://mine");
+  assert.equal(registry.getConnectionString(), "mongodb://preset");
+});
+
+test("idle bindings are swept and their clients closed", async () => {
+  const { registry, created } = makeRegistry({ idleTimeoutMs: 1000 });
+  await registry.connect("mongodb://a", reqFor("s1"));
+  await registry.sweep(Date.now() + 5000);
+  assert.equal(registry.getClient(reqFor("s1")), null);
+  assert.equal(created[0].closed, true);
+  await registry.closeAll();
+});
+
+test("refuses new clients beyond the cap", async () => {
+  const { registry } = makeRegistry({ maxClients: 2 });
+  await registry.connect("mongodb://a", reqFor("s1"));
+  await registry.connect("mongodb://b", reqFor("s2"));
+  await assert.rejects(
+    () => registry.connect("mongodb://c", reqFor("s3")),
+    (err) => err.status === 503 && /Connection limit/.test(err.message)
+  );
+  // Reusing an existing URI is still fine at the cap.
+  await registry.connect("mongodb://a", reqFor("s3"));
+});
+
+test("a lease keeps the client open past disconnect until released", async () => {
+  const { registry, created } = makeRegistry();
+  const req = reqFor("s1");
+  await registry.connect("mongodb://a", req, { connectionId: "a" });
+  const lease = registry.lease(req, "a");
+  assert.equal(lease.client, created[0]);
+  assert.equal(registry.lease(req, "missing"), null);
+
+  await registry.disconnect(req);
+  assert.equal(created[0].closed, false);
+  await lease.release();
+  assert.equal(created[0].closed, true);
+});
@@ -0,0 +1,187 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const express = require('express');
+const session = require('express-session');
+
+function clearModule(id) {
+  try { delete require.cache[require.resolve(id)]; } catch {}
+}
+
+// ── Mock identity provider ────────────────────────────────────────────────
+
+const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+const jwk = { ...publicKey.export({ format: 'jwk' }), kid: 'k1', use: 'sig', alg: 'RS256' };
+const CLIENT_ID = 'dashboard';
+const CLIENT_SECRET = 'idp-secret';
+
+let idp;
+let issuer;
+const pendingCodes = new Map(); // code -> { challenge, nonce, redirectUri }
+let nextClaims = {};
+
+function signJwt(payload, { key = privateKey, kid = 'k1' } = {}) {
+  const enc = (o) => Buffer.from(JSON.stringify(o)).toString('base64url');
+  const input = `${enc({ alg: 'RS256', typ: 'JWT', kid })}.${enc(payload)}`;
+  const sig = crypto.sign('sha256', Buffer.from(input), key).toString('base64url');
+  return `${input}.${sig}`;
+}
+
+function idToken(overrides = {}) {
+  const now = Math.floor(Date.now() / 1000);
+  return signJwt({ iss: issuer, aud: CLIENT_ID, sub: 'u-1', iat: now, exp: now + 300, ...overrides });
+}
+
+before(async () => {
+  const app = express();
+  app.use(express.urlencoded({ extended: false }));
+  app.get('/.well-known/openid-configuration', (_req, res) => res.json({
+    issuer,
+    authorization_endpoint: `${issuer}/authorize`,
+    token_endpoint: `${issuer}/token`,
+    jwks_uri: `${issuer}/jwks`,
+  }));
+  app.get('/jwks', (_req, res) => res.json({ keys: [jwk] }));
+  // Auto-approves and redirects straight back with a code.
+  app.get('/authorize', (req, res) => {
+    const code = crypto.randomBytes(8).toString('hex');
+    pendingCodes.set(code, {
+      challenge: req.query.code_challenge,
+      nonce: req.query.nonce,
+      redirectUri: req.query.redirect_uri,
+    });
+    res.redirect(`${req.query.redirect_uri}?code=${code}&state=${encodeURIComponent(req.query.state)}`);
+  });
+  app.post('/token', (req, res) => {
+    const expectedAuth = `Basic ${Buffer.from(`${CLIENT_ID}:${CLIENT_SECRET}`).toString('base64')}`;
+    if (req.get('authorization') !== expectedAuth) return res.status(401).json({ error: 'invalid_client' });
+    const pending = pendingCodes.get(req.body.code);
+    pendingCodes.delete(req.body.code);
+    const challenge = crypto.createHash('sha256').update(String(req.body.code_verifier)).digest('base64url');
+    if (!pending || pending.challenge !== challenge || pending.redirectUri !== req.body.redirect_uri) {
+      return res.status(400).json({ error: 'invalid_grant' });
+    }
+    res.json({ access_token: 'at', token_type: 'Bearer', id_token: idToken({ nonce: pending.nonce, ...nextClaims }) });
+  });
+  idp = app.listen(0);
+  issuer = `http://127.0.0.1:${idp.address().port}`;
+
+  process.env.NODE_ENV = 'test';
+  process.env.SESSION_SECRET = 'deadbeef'.repeat(8);
+  process.env.AUTH_ENABLED = 'true';
+  process.env.AUTH_PASSWORD = 'test-pass';
+  process.env.OIDC_ISSUER = issuer;
+  process.env.OIDC_CLIENT_ID = CLIENT_ID;
+  process.env.OIDC_CLIENT_SECRET = CLIENT_SECRET;
+  process.env.OIDC_ROLE_MAP = 'dash-admins=admin,dash-editors=editor';
+  process.env.OIDC_DEFAULT_ROLE = '';
+});
+
+after(() => {
+  idp.close();
+  for (const key of ['OIDC_ISSUER', 'OIDC_CLIENT_ID', 'OIDC_CLIENT_SECRET', 'OIDC_ROLE_MAP', 'OIDC_DEFAULT_ROLE']) {
+    delete process.env[key];
+  }
+});
+
+function freshOidc() {
+  clearModule('../src/config');
+  clearModule('../src/services/oidc');
+  return require('../src/services/oidc');
+}
+
+test('beginLogin uses discovery and sends a PKCE S256 challenge', async () => {
+  const oidc = freshOidc();
+  const { url, transaction } = await oidc.beginLogin({ redirectUri: 'http://app/cb' });
+  const u = new URL(url);
+  assert.equal(`${u.origin}${u.pathname}`, `${issuer}/authorize`);
+  assert.equal(u.searchParams.get('code_challenge_method'), 'S256');
+  assert.equal(
+    u.searchParams.get('code_challenge'),
+    crypto.createHash('sha256').update(transaction.codeVerifier).digest('base64url')
+  );
+  assert.equal(u.searchParams.get('state'), transaction.state);
+  assert.equal(u.searchParams.get('nonce'), transaction.nonce);
+  assert.equal(u.searchParams.get('client_id'), CLIENT_ID);
+});
+
+test('verifyIdToken rejects bad signatures, audiences, expiry and nonces', async () => {
+  const oidc = freshOidc();
+  const now = Math.floor(Date.now() / 1000);
+  assert.equal((await oidc.verifyIdToken(idToken({ nonce: 'n' }), { nonce: 'n' })).sub, 'u-1');
+
+  const other = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 }).privateKey;
+  const forged = signJwt({ iss: issuer, aud: CLIENT_ID, exp: now + 300, nonce: 'n' }, { key: other });
+  await assert.rejects(() => oidc.verifyIdToken(forged, { nonce: 'n' }), /signature/);
+  await assert.rejects(() => oidc.verifyIdToken(idToken({ aud: 'someone-else', nonce: 'n' }), { nonce: 'n' }), /audience/);
+  await assert.rejects(() => oidc.verifyIdToken(idToken({ exp: now - 600, nonce: 'n' }), { nonce: 'n' }), /expired/);
+  await assert.rejects(() => oidc.verifyIdToken(idToken({ nonce: 'other' }), { nonce: 'n' }), /nonce/);
+  await assert.rejects(() => oidc.verifyIdToken(idToken({ iss: 'https://evil', nonce: 'n' }), { nonce: 'n' }), /issuer/);
+
+  const unsigned = `${Buffer.from(JSON.stringify({ alg: 'none' })).toString('base64url')}.${Buffer.from('{}').toString('base64url')}.`;
+  await assert.rejects(() => oidc.verifyIdToken(unsigned, { nonce: 'n' }), /algorithm/);
+});
+
+test('mapClaims maps groups to roles in configured order and refuses unmapped users', () => {
+  const oidc = freshOidc();
+  const roles = ['viewer', 'editor', 'admin'];
+  assert.deepEqual(
+    oidc.mapClaims({ preferred_username: 'alice', groups: ['dash-editors', 'dash-admins'] }, roles),
+    { username: 'alice', role: 'admin', groups: ['dash-editors', 'dash-admins'] }
+  );
+  assert.equal(oidc.mapClaims({ email: 'bob@example.com', groups: 'dash-editors' }, roles).username, 'bob@example.com');
+  assert.throws(() => oidc.mapClaims({ sub: 'x', groups: ['staff'] }, roles), (err) => err.status === 403);
+});
+
+test('login flow signs in through the mock provider', async () => {
+  freshOidc();
+  clearModule('../src/services/users');
+  clearModule('../src/middleware/auth');
+  clearModule('../src/routes/auth');
+  const { loginRouter } = require('../src/routes/auth');
+  const app = express();
+  app.set('view engine', 'ejs');
+  app.set('views', require('path').join(__dirname, '..', 'views'));
+  app.use(session({ name: 'mdb.sid', secret: 'test', resave: false, saveUninitialized: false }));
+  app.use('/login', loginRouter);
+  app.get('/whoami', (req, res) => res.json({
+    authenticated: !!req.session.authenticated,
+    username: req.session.username,
+    role: req.session.role,
+    authMethod: req.session.authMethod,
+  }));
+  const server = app.listen(0);
+  const base = `http://127.0.0.1:${server.address().port}`;
+  const cookieOf = (res) => (res.headers.getSetCookie() || []).map((c) => c.split(';')[0]).join('; ');
+  try {
+    nextClaims = { preferred_username: 'alice', groups: ['dash-editors'] };
+    const start = await fetch(`${base}/login/oidc?next=/databases`, { redirect: 'manual' });
+    assert.equal(start.status, 302);
+    const txCookie = cookieOf(start);
+    assert.match(txCookie, /^mdb\.oidc=/);
+
+    const authorize = await fetch(start.headers.get('location'), { redirect: 'manual' });
+    const callbackUrl = authorize.headers.get('location');
+    assert.ok(callbackUrl.startsWith(`${base}/login/oidc/callback?`));
+
+    // Without the transaction cookie the state cannot be checked.
+    assert.equal((await fetch(callbackUrl, { redirect: 'manual' })).status, 400);
+
+    const cb = await fetch(callbackUrl, { redirect: 'manual', headers: { cookie: txCookie } });
+    assert.equal(cb.status, 200);
+    assert.match(await cb.text(), /url=\/databases/);
+    const sessionCookie = cookieOf(cb).split('; ').find((c) => c.startsWith('mdb.sid='));
+    const me = await (await fetch(`${base}/whoami`, { headers: { cookie: sessionCookie } })).json();
+    assert.deepEqual(me, { authenticated: true, username: 'alice', role: 'editor', authMethod: 'oidc' });
+
+    nextClaims = { preferred_username: 'mallory', groups: ['staff'] };
+    const again = await fetch(`${base}/login/oidc`, { redirect: 'manual' });
+    const denied = await fetch(
+      (await fetch(again.headers.get('location'), { redirect: 'manual' })).headers.get('location'),
+      { redirect: 'manual', headers: { cookie: cookieOf(again) } }
+    );
+    assert.equal(denied.status, 403);
+  } finally {
+    server.close();
+  }
+});
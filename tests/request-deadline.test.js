@@ -0,0 +1,42 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const express = require("express");
+const http = require("http");
+const { requestDeadline, extendRequestDeadline } = require("../src/middleware/request-deadline");
+
+// Send the start of a body, wait, then the rest; resolves with the status.
+function slowPost(port, path, waitMs) {
+  return new Promise((resolve, reject) => {
+    const req = http.request({ port, path, method: "POST", headers: { "content-length": 4 } }, (res) => {
+      res.resume();
+      resolve(res.statusCode);
+    });
+    req.on("error", reject);
+    req.write("ab");
+    setTimeout(() => req.end("cd"), waitMs);
+  });
+}
+
+test("requests must arrive within the deadline, unless their route extends it", async () => {
+  const app = express();
+  app.use(requestDeadline(300));
+  const read = (req, res) => {
+    let body = "";
+    req.on("data", (chunk) => (body += chunk));
+    req.on("end", () => res.json({ body }));
+  };
+  app.post("/short", read);
+  app.post("/upload", (req, res) => {
+    extendRequestDeadline(req, res, 5000);
+    read(req, res);
+  });
+  const server = app.listen(0);
+  const { port } = server.address();
+  try {
+    assert.equal(await slowPost(port, "/short", 0), 200);
+    assert.equal(await slowPost(port, "/short", 1000), 408);
+    assert.equal(await slowPost(port, "/upload", 1000), 200);
+  } finally {
+    server.close();
+  }
+});
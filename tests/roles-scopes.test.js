@@ -0,0 +1,292 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+function clearModule(id) {
+  try { delete require.cache[require.resolve(id)]; } catch {}
+}
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'mdb-roles-'));
+const rolesPath = path.join(tmpDir, 'roles.json');
+fs.writeFileSync(rolesPath, JSON.stringify({
+  version: 1,
+  roles: [{
+    name: 'orders-team',
+    grants: [
+      { ns: 'orders.*', permissions: ['read', 'write'] },
+      { ns: 'billing.invoices', permissions: ['read'] },
+    ],
+  }, {
+    name: 'orders-shell',
+    grants: [
+      { ns: 'orders.*', permissions: ['read', 'write'] },
+      { ns: 'billing.invoices', permissions: ['read'] },
+      { ns: '*', permissions: ['shell'] },
+    ],
+  }],
+}));
+
+process.env.NODE_ENV = 'test';
+process.env.SESSION_SECRET = 'deadbeef'.repeat(8);
+process.env.AUTH_ENABLED = 'true';
+process.env.AUTH_PASSWORD = 'test-pass';
+process.env.AUTH_ROLES_FILE = rolesPath;
+
+function fresh() {
+  for (const id of [
+    '../src/config',
+    '../src/services/roles',
+    '../src/services/users',
+    '../src/services/mongodb',
+    '../src/routes/api/_shared',
+    '../src/routes/api/databases',
+  ]) clearModule(id);
+  return {
+    roles: require('../src/services/roles'),
+    users: require('../src/services/users'),
+  };
+}
+
+const ordersTeam = { authenticated: true, username: 'olga', role: 'orders-team' };
+
+async function listen(app, fn) {
+  const server = app.listen(0);
+  const { port } = server.address();
+  const call = (method, p, body) =>
+    fetch(`http://127.0.0.1:${port}${p}`, {
+      method,
+      headers: { 'content-type': 'application/json' },
+      body: body ? JSON.stringify(body) : undefined,
+    });
+  try {
+    await fn(call);
+  } finally {
+    server.close();
+  }
+}
+
+test('grantCovers matches namespace patterns', () => {
+  const { roles } = fresh();
+  const grant = { ns: 'shop.inv*', permissions: ['read'] };
+  assert.equal(roles.grantCovers(grant, { db: 'shop', collection: 'inventory' }), true);
+  assert.equal(roles.grantCovers(grant, { db: 'shop', collection: 'orders' }), false);
+  assert.equal(roles.grantCovers(grant, { db: 'shop' }), false);
+  assert.equal(roles.grantCovers(grant, null), false);
+  assert.equal(roles.grantCovers({ ns: 'shop', permissions: [] }, { db: 'shop' }), true);
+  assert.equal(roles.grantCovers({ ns: '*', permissions: [] }, null), true);
+});
+
+test('custom roles scope permissions; built-in roles stay global', () => {
+  const { users } = fresh();
+  assert.equal(users.hasPermission(ordersTeam, 'write', { db: 'orders', collection: 'items' }), true);
+  assert.equal(users.hasPermission(ordersTeam, 'write', { db: 'billing', collection: 'invoices' }), false);
+  assert.equal(users.hasPermission(ordersTeam, 'read', { db: 'billing', collection: 'invoices' }), true);
+  assert.equal(users.hasPermission(ordersTeam, 'read', { db: 'billing', collection: 'payouts' }), false);
+  assert.equal(users.hasPermission(ordersTeam, 'write'), false);
+  assert.equal(users.canSeeDatabase(ordersTeam, 'billing'), true);
+  assert.equal(users.canSeeDatabase(ordersTeam, 'hr'), false);
+
+  const editor = { authenticated: true, role: 'editor', permissions: ['read', 'write'] };
+  assert.equal(users.hasPermission(editor, 'write', { db: 'hr', collection: 'people' }), true);
+  assert.equal(users.listRoleNames().includes('orders-team'), true);
+});
+
+test('saveRole validates grants and refuses built-in names', async () => {
+  const { roles, users } = fresh();
+  const reserved = { reserved: users.BUILTIN_ROLES };
+  await assert.rejects(() => roles.saveRole({ name: 'admin', grants: [{ ns: '*', permissions: ['read'] }] }, reserved), (e) => e.status === 409);
+  await assert.rejects(() => roles.saveRole({ name: 'x', grants: [{ ns: 'a.*', permissions: ['root'] }] }, reserved), (e) => e.status === 400);
+  await assert.rejects(() => roles.saveRole({ name: 'x', grants: [] }, reserved), (e) => e.status === 400);
+});
+
+test('API middleware enforces namespace scopes for reads and writes', async () => {
+  fresh();
+  const { readOnlyAndAuditMiddleware } = require('../src/routes/api/_shared');
+  const app = express();
+  app.use(express.json());
+  app.use((req, _res, next) => { req.session = ordersTeam; next(); });
+  app.use(readOnlyAndAuditMiddleware);
+  app.use((_req, res) => res.json({ ok: true }));
+  await listen(app, async (call) => {
+    assert.equal((await call('GET', '/orders/items')).status, 200);
+    assert.equal((await call('POST', '/orders/items', { a: 1 })).status, 200);
+    assert.equal((await call('GET', '/billing/invoices')).status, 200);
+    assert.equal((await call('POST', '/billing/invoices', { a: 1 })).status, 403);
+    assert.equal((await call('GET', '/billing/payouts')).status, 403);
+    assert.equal((await call('GET', '/hr/collections')).status, 403);
+    assert.equal((await call('DELETE', '/databases/billing')).status, 403);
+    assert.equal((await call('POST', '/databases', { name: 'orders' })).status, 200);
+    assert.equal((await call('GET', '/connections')).status, 200);
+    // Account routes skip the DB write check, but only on their exact paths.
+    assert.equal((await call('POST', '/accounts/users', { a: 1 })).status, 403);
+  });
+});
+
+test('database and collection listings hide namespaces outside the role', async () => {
+  fresh();
+  const mongoService = require('../src/services/mongodb');
+  const collectionsByDb = {
+    billing: ['invoices', 'payouts'],
+    orders: ['items', 'returns'],
+  };
+  mongoService.getClient = () => ({
+    db(name) {
+      return {
+        admin: () => ({
+          listDatabases: async () => ({
+            databases: ['billing', 'hr', 'orders'].map((n) => ({ name: n, sizeOnDisk: 1, empty: false })),
+          }),
+        }),
+        listCollections: () => ({
+          toArray: async () => (collectionsByDb[name] || []).map((c) => ({ name: c, type: 'view' })),
+        }),
+      };
+    },
+  });
+  const router = require('../src/routes/api/databases');
+  const app = express();
+  app.use((req, _res, next) => { req.session = ordersTeam; next(); });
+  app.use('/', router);
+  await listen(app, async (call) => {
+    const dbs = await (await call('GET', '/databases')).json();
+    assert.deepEqual(dbs.databases.map((d) => d.name), ['billing', 'orders']);
+    const cols = await (await call('GET', '/billing/collections')).json();
+    assert.deepEqual(cols.collections.map((c) => c.name), ['invoices']);
+  });
+});
+
+test('aggregate pipelines are checked on every namespace they read or write', async () => {
+  fresh();
+  clearModule('../src/routes/api/query');
+  const mongoService = require('../src/services/mongodb');
+  const ran = [];
+  mongoService.getClient = () => ({
+    db: (db) => ({
+      collection: (name) => ({
+        aggregate: (pipeline) => ({
+          toArray: async () => { ran.push(`${db}.${name}`); return []; },
+          explain: async () => ({ pipeline }),
+        }),
+      }),
+    }),
+  });
+  const { readOnlyAndAuditMiddleware } = require('../src/routes/api/_shared');
+  const app = express();
+  app.use(express.json());
+  app.use((req, _res, next) => { req.session = ordersTeam; next(); });
+  app.use(readOnlyAndAuditMiddleware, require('../src/routes/api/query'));
+  await listen(app, async (call) => {
+    const run = async (ns, pipeline, suffix = '') =>
+      (await call('POST', `/${ns}/aggregate${suffix}`, { pipeline })).status;
+    assert.equal(await run('orders/items', [{ $unionWith: { coll: 'returns', pipeline: [] } }]), 200);
+    assert.equal(await run('orders/items', [{ $lookup: { from: { db: 'billing', coll: 'invoices' }, as: 'i' } }]), 200);
+    assert.equal(await run('orders/items', [{ $unionWith: { coll: 'payouts' } }]), 200);
+    // Reads outside the role, however deeply nested, are refused.
+    assert.equal(await run('billing/invoices', [{ $lookup: { from: 'payouts', as: 'p' } }]), 403);
+    assert.equal(await run('orders/items', [{ $facet: { a: [{ $lookup: { from: { db: 'hr', coll: 'staff' }, as: 's' } }] } }]), 403);
+    assert.equal(await run('billing/invoices', [{ $facet: { a: [{ $graphLookup: { from: 'payouts' } }] } }]), 403);
+    assert.equal(await run('billing/invoices', [{ $lookup: { from: 'payouts', as: 'p' } }], '/explain'), 403);
+    // $out and $merge write to their target, wherever the pipeline started.
+    assert.equal(await run('billing/invoices', [{ $out: 'summary' }]), 403);
+    assert.equal(await run('orders/items', [{ $merge: { into: { db: 'billing', coll: 'invoices' } } }]), 403);
+    assert.equal(await run('billing/invoices', [{ $merge: { into: { db: 'orders', coll: 'summary' } } }]), 200);
+    assert.equal(await run('orders/items', [{ $out: { db: 7, coll: 'summary' } }]), 400);
+  });
+  assert.deepEqual(ran, ['orders.items', 'orders.items', 'orders.items', 'billing.invoices']);
+
+  process.env.READ_ONLY = 'true';
+  fresh();
+  clearModule('../src/services/protection');
+  clearModule('../src/routes/api/query');
+  require('../src/services/mongodb').getClient = () => ({
+    db: () => ({ collection: () => ({ aggregate: () => ({ toArray: async () => [] }) }) }),
+  });
+  const readOnlyApp = express();
+  readOnlyApp.use(express.json());
+  readOnlyApp.use((req, _res, next) => { req.session = ordersTeam; next(); });
+  readOnlyApp.use(require('../src/routes/api/_shared').readOnlyAndAuditMiddleware, require('../src/routes/api/query'));
+  try {
+    await listen(readOnlyApp, async (call) => {
+      assert.equal((await call('POST', '/orders/items/aggregate', { pipeline: [] })).status, 200);
+      assert.equal((await call('POST', '/orders/items/aggregate', { pipeline: [{ $out: 'summary' }] })).status, 403);
+    });
+  } finally {
+    process.env.READ_ONLY = 'false';
+  }
+});
+
+test('the shell checks the namespace grants of every command', async () => {
+  fresh();
+  clearModule('../src/services/protection');
+  clearModule('../src/routes/api/shell');
+  const mongoService = require('../src/services/mongodb');
+  const collectionsByDb = {
+    billing: ['invoices', 'payouts'],
+    orders: ['items', 'returns'],
+  };
+  const ran = [];
+  mongoService.getConnectionId = () => 'preset';
+  mongoService.getClient = () => ({
+    db(name = 'test') {
+      return {
+        databaseName: name,
+        admin: () => ({
+          listDatabases: async () => ({
+            databases: ['billing', 'hr', 'orders'].map((n) => ({ name: n, sizeOnDisk: 1 })),
+          }),
+        }),
+        listCollections: () => ({
+          toArray: async () => (collectionsByDb[name] || []).map((c) => ({ name: c })),
+        }),
+        command: async (cmd) => {
+          ran.push(`${name}.${Object.keys(cmd)[0]}`);
+          return cmd.listCollections
+            ? { cursor: { firstBatch: (collectionsByDb[name] || []).map((c) => ({ name: c })) } }
+            : { ok: 1 };
+        },
+        collection: (col) => ({
+          findOne: async () => { ran.push(`${name}.${col}.findOne`); return null; },
+          insertOne: async () => { ran.push(`${name}.${col}.insertOne`); return { acknowledged: true }; },
+          aggregate: () => ({ limit: () => ({ toArray: async () => { ran.push(`${name}.${col}.aggregate`); return []; } }) }),
+        }),
+      };
+    },
+  });
+  const app = express();
+  app.use(express.json());
+  app.use((req, _res, next) => { req.session = { authenticated: true, username: 'sam', role: 'orders-shell' }; next(); });
+  app.use(require('../src/routes/api/shell'));
+  await listen(app, async (call) => {
+    const exec = async (command, db) => {
+      const res = await call('POST', '/shell/exec', { command, db });
+      return { status: res.status, body: await res.json() };
+    };
+    assert.equal((await exec('show dbs')).body.result, 'billing\t1 B\norders\t1 B');
+    assert.equal((await exec('show collections', 'billing')).body.result, 'invoices');
+    assert.equal((await exec('show collections', 'hr')).status, 403);
+
+    assert.equal((await exec('db.invoices.findOne({})', 'billing')).status, 200);
+    assert.equal((await exec('db.payouts.findOne({})', 'billing')).status, 403);
+    assert.equal((await exec('db.items.insertOne({ a: 1 })', 'orders')).status, 200);
+    assert.equal((await exec('db.invoices.insertOne({ a: 1 })', 'billing')).status, 403);
+
+    assert.equal((await exec('db.runCommand({ collStats: "invoices" })', 'billing')).status, 200);
+    assert.equal((await exec('db.runCommand({ collStats: "payouts" })', 'billing')).status, 403);
+    assert.equal((await exec('db.runCommand({ dbStats: 1 })', 'hr')).status, 403);
+    const listed = await exec('db.runCommand({ listCollections: 1 })', 'billing');
+    assert.deepEqual(listed.body.result.cursor.firstBatch, [{ name: 'invoices' }]);
+
+    assert.equal((await exec('db.items.aggregate([{ $lookup: { from: "returns", as: "r" } }])', 'orders')).status, 200);
+    assert.equal((await exec('db.items.aggregate([{ $out: { db: "billing", coll: "invoices" } }])', 'orders')).status, 403);
+  });
+  assert.deepEqual(ran, [
+    'billing.invoices.findOne',
+    'orders.items.insertOne',
+    'billing.collStats',
+    'billing.listCollections',
+    'orders.items.aggregate',
+  ]);
+});
@@ -66,6 +66,12 @@ const EXPECTED = [
   "PATCH /api/:db/:collection/:id",
   "DELETE /api/:db/:collection/:id",
   "POST /api/:db/:collection/bulk-update",
+  "GET /api/:db/:collection/:id/versions",
+  "GET /api/change-journal",
+  "POST /api/change-journal/undo",
+  "GET /api/approvals",
+  "POST /api/approvals/:id/approve",
+  "POST /api/approvals/:id/reject",
   "POST /api/databases",
   "DELETE /api/databases/:db",
   "POST /api/:db/collections",
@@ -76,6 +82,17 @@ const EXPECTED = [
   "GET /api/:db/:collection/backup",
   "POST /api/:db/:collection/restore",
   "GET /api/backups/history",
+  "GET /api/copy-jobs",
+  "POST /api/copy-jobs",
+  "GET /api/copy-jobs/:id",
+  "POST /api/copy-jobs/:id/cancel",
+  "GET /api/copy-jobs/:id/events",
+  "POST /api/import-preview",
+  "GET /api/import-jobs",
+  "POST /api/import-jobs",
+  "GET /api/import-jobs/:id",
+  "POST /api/import-jobs/:id/cancel",
+  "GET /api/import-jobs/:id/events",
   "GET /api/:db/:collection/stats",
   "GET /api/:db/:bucket/gridfs",
   "POST /api/:db/:bucket/gridfs",
@@ -93,8 +110,46 @@ const EXPECTED = [
   "POST /api/connections",
   "PATCH /api/connections/:id",
   "DELETE /api/connections/:id",
+  "GET /api/connections/open",
+  "POST /api/connections/:id/activate",
+  "POST /api/connections/:id/elevation",
+  "DELETE /api/connections/:id/elevation",
+  "POST /api/read-only/elevation",
+  "DELETE /api/read-only/elevation",
   "GET /api/audit/logs",
+  "GET /api/audit/verify",
+  "GET /api/audit/export",
   "GET /api/plugins",
+  "GET /api/accounts",
+  "POST /api/accounts",
+  "PATCH /api/accounts/:username",
+  "POST /api/accounts/:username/password",
+  "POST /api/accounts/:username/2fa/reset",
+  "GET /api/account/2fa",
+  "POST /api/account/2fa/setup",
+  "POST /api/account/2fa/enable",
+  "POST /api/account/2fa/recovery-codes",
+  "POST /api/account/2fa/disable",
+  "GET /api/account/tokens",
+  "POST /api/account/tokens",
+  "DELETE /api/account/tokens/:id",
+  "GET /api/api-tokens",
+  "DELETE /api/api-tokens/:id",
+  "GET /api/account-sessions",
+  "DELETE /api/account-sessions/:id",
+  "GET /api/account-roles",
+  "PUT /api/account-roles/:name",
+  "DELETE /api/account-roles/:name",
+  "GET /api/access/:db/users",
+  "POST /api/access/:db/users",
+  "PATCH /api/access/:db/users/:user",
+  "DELETE /api/access/:db/users/:user",
+  "POST /api/access/:db/users/:user/grant",
+  "POST /api/access/:db/users/:user/revoke",
+  "GET /api/access/:db/roles",
+  "POST /api/access/:db/roles",
+  "PATCH /api/access/:db/roles/:role",
+  "DELETE /api/access/:db/roles/:role",
   "POST /api/disconnect",
   "GET /api/self-check",
   "GET /api/changelog",
@@ -0,0 +1,190 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const session = require('express-session');
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+
+function clearModule(id) {
+  try { delete require.cache[require.resolve(id)]; } catch {}
+}
+
+process.env.NODE_ENV = 'test';
+process.env.AUTH_ENABLED = 'true';
+process.env.AUTH_PASSWORD = 'test-pass';
+process.env.SESSION_SECRET = 'deadbeef'.repeat(8);
+
+function fresh() {
+  for (const id of ['../src/config', '../src/utils/secretBox', '../src/services/sessionStore']) clearModule(id);
+  return require('../src/services/sessionStore');
+}
+
+const call = (store, method, ...args) =>
+  new Promise((resolve, reject) => store[method](...args, (err, v) => (err ? reject(err) : resolve(v))));
+
+const sess = (username, expires = new Date(Date.now() + 60000)) => ({
+  cookie: { expires: expires.toISOString(), httpOnly: true, path: '/' },
+  authenticated: true,
+  username,
+  totpSetup: 'JBSWY3DPEHPK3PXP',
+});
+
+test('file store persists encrypted sessions across instances and drops expired ones', async () => {
+  const { FileSessionStore } = fresh();
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'mdb-sessions-'));
+  const store = new FileSessionStore({ dir });
+  await call(store, 'set', 'sid-a', sess('alice'));
+  await call(store, 'set', 'sid-old', sess('bob', new Date(Date.now() - 1000)));
+
+  const files = await fs.readdir(dir);
+  assert.equal(files.length, 2);
+  const raw = await fs.readFile(path.join(dir, files[0]), 'utf8');
+  assert.ok(!raw.includes('alice') && !raw.includes('JBSWY3DPEHPK3PXP') && !raw.includes('sid-'));
+
+  const reopened = new FileSessionStore({ dir });
+  assert.equal((await call(reopened, 'get', 'sid-a')).username, 'alice');
+  assert.equal(await call(reopened, 'get', 'sid-old'), null);
+  assert.deepEqual(Object.keys(await call(reopened, 'all')), ['sid-a']);
+  assert.equal((await fs.readdir(dir)).length, 1);
+
+  await call(reopened, 'destroy', 'sid-a');
+  assert.equal(await call(reopened, 'get', 'sid-a'), null);
+  await store.close();
+  await reopened.close();
+});
+
+test('mongodb store keeps sessions in a TTL-indexed collection', async () => {
+  const { MongoSessionStore } = fresh();
+  const docs = new Map();
+  const indexes = [];
+  const coll = {
+    createIndex: async (keys, opts) => indexes.push({ keys, opts }),
+    find: (filter) => ({
+      toArray: async () => [...docs.values()].filter((d) =>
+        (!filter._id || d._id === filter._id) && d.expiresAt > filter.expiresAt.$gt),
+    }),
+    updateOne: async ({ _id }, { $set }) => docs.set(_id, { _id, ...$set }),
+    deleteOne: async ({ _id }) => docs.delete(_id),
+  };
+  let usedDb = null;
+  const client = {
+    connect: async () => {},
+    close: async () => {},
+    db: (name) => { usedDb = name; return { collection: () => coll }; },
+  };
+  const store = new MongoSessionStore({ client, dbName: 'dash_meta' });
+  await call(store, 'set', 'sid-a', sess('alice'));
+  assert.equal(usedDb, 'dash_meta');
+  assert.deepEqual(indexes[0], { keys: { expiresAt: 1 }, opts: { expireAfterSeconds: 0 } });
+  assert.ok(!JSON.stringify([...docs.values()]).includes('alice'));
+  assert.equal((await call(store, 'get', 'sid-a')).username, 'alice');
+  assert.deepEqual(Object.keys(await call(store, 'all')), ['sid-a']);
+  await call(store, 'destroy', 'sid-a');
+  assert.equal(await call(store, 'get', 'sid-a'), null);
+});
+
+test('admins list and revoke other sessions', async () => {
+  fresh();
+  for (const id of ['../src/services/users', '../src/services/mongodb', '../src/routes/api/accounts']) clearModule(id);
+  const router = require('../src/routes/api/accounts');
+  const app = express();
+  app.use(session({ name: 'mdb.sid', secret: 'test', resave: false, saveUninitialized: false }));
+  app.post('/signin/:user', (req, res) => {
+    Object.assign(req.session, {
+      authenticated: true,
+      username: req.params.user,
+      role: 'admin',
+      loginAt: Date.now(),
+      lastSeenAt: Date.now(),
+      ip: '10.0.0.9',
+    });
+    res.json({ ok: true });
+  });
+  app.use('/api', router);
+  const server = app.listen(0);
+  const base = `http://127.0.0.1:${server.address().port}`;
+  const signIn = async (user) => {
+    const res = await fetch(`${base}/signin/${user}`, { method: 'POST' });
+    return res.headers.getSetCookie()[0].split(';')[0];
+  };
+  try {
+    const admin = await signIn('root');
+    await signIn('alice');
+    const list = async () => (await fetch(`${base}/api/account-sessions`, { headers: { cookie: admin } })).json();
+    const { store, sessions } = await list();
+    assert.equal(store, 'memory');
+    assert.deepEqual(sessions.map((s) => s.username).sort(), ['alice', 'root']);
+    assert.ok(sessions.every((s) => /^[0-9a-f]{32}$/.test(s.id)));
+
+    const own = sessions.find((s) => s.current);
+    const other = sessions.find((s) => !s.current);
+    const del = (id) => fetch(`${base}/api/account-sessions/${id}`, { method: 'DELETE', headers: { cookie: admin } });
+    assert.equal((await del(own.id)).status, 409);
+    assert.equal((await del(other.id)).status, 200);
+    assert.deepEqual((await list()).sessions.map((s) => s.username), ['root']);
+    assert.equal((await del(other.id)).status, 404);
+  } finally {
+    server.close();
+  }
+});
+
+test('account changes delete the account sessions from the shared store', async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'mdb-sess-'));
+  const usersPath = path.join(dir, 'users.json');
+  await fs.writeFile(usersPath, JSON.stringify({
+    version: 1,
+    users: [
+      { username: 'root', role: 'admin', passwordHash: 'x' },
+      { username: 'alice', role: 'editor', passwordHash: 'x' },
+    ],
+  }), 'utf8');
+  process.env.AUTH_USERS_FILE = usersPath;
+  process.env.AUDIT_LOG_DIR = dir;
+  const { FileSessionStore } = fresh();
+  for (const id of ['../src/utils/audit', '../src/services/users', '../src/services/mongodb', '../src/routes/api/accounts']) clearModule(id);
+  const router = require('../src/routes/api/accounts');
+  // Another replica reads the same store.
+  const replica = new FileSessionStore({ dir: path.join(dir, 'sessions') });
+  const store = new FileSessionStore({ dir: path.join(dir, 'sessions') });
+  const app = express();
+  app.use(express.json());
+  app.use(session({ name: 'mdb.sid', secret: 'test', store, resave: false, saveUninitialized: false }));
+  app.post('/signin/:user', (req, res) => {
+    Object.assign(req.session, { authenticated: true, username: req.params.user, role: 'admin', loginAt: Date.now() });
+    res.json({ sid: req.sessionID });
+  });
+  app.use('/api', router);
+  const server = app.listen(0);
+  const base = `http://127.0.0.1:${server.address().port}`;
+  const signIn = async (user) => {
+    const res = await fetch(`${base}/signin/${user}`, { method: 'POST' });
+    return { cookie: res.headers.getSetCookie()[0].split(';')[0], sid: (await res.json()).sid };
+  };
+  try {
+    const admin = await signIn('root');
+    const alice = await signIn('alice');
+    const again = await signIn('alice');
+    const send = (method, p, body) => fetch(`${base}/api${p}`, {
+      method,
+      headers: { 'content-type': 'application/json', cookie: admin.cookie },
+      body: JSON.stringify(body),
+    });
+
+    assert.equal((await send('POST', '/accounts/alice/password', { password: 'brand-new-secret' })).status, 200);
+    assert.equal(await call(replica, 'get', alice.sid), null);
+    assert.equal(await call(replica, 'get', again.sid), null);
+    assert.equal((await call(replica, 'get', admin.sid)).username, 'root');
+
+    const later = await signIn('alice');
+    assert.equal((await send('PATCH', '/accounts/alice', { role: 'viewer' })).status, 200);
+    assert.equal(await call(replica, 'get', later.sid), null);
+    assert.ok(await call(replica, 'get', admin.sid));
+  } finally {
+    server.close();
+    await store.close();
+    await replica.close();
+    delete process.env.AUTH_USERS_FILE;
+    delete process.env.AUDIT_LOG_DIR;
+  }
+});
@@ -0,0 +1,170 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const session = require('express-session');
+const bcrypt = require('bcryptjs');
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const totp = require('../src/utils/totp');
+
+function clearModule(id) {
+  try { delete require.cache[require.resolve(id)]; } catch {}
+}
+
+async function freshUsers(seed, env = {}) {
+  const tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'mdb-2fa-'));
+  const usersPath = path.join(tmpDir, 'users.json');
+  await fs.writeFile(usersPath, JSON.stringify({ version: 1, users: seed }), 'utf8');
+  process.env.NODE_ENV = 'test';
+  process.env.AUTH_ENABLED = 'true';
+  process.env.SESSION_SECRET = 'deadbeef'.repeat(8);
+  process.env.AUTH_USERS_FILE = usersPath;
+  process.env.AUTH_PASSWORD = 'test-pass';
+  process.env.AUTH_REQUIRE_2FA_ADMIN = env.requireAdmin ? 'true' : 'false';
+  for (const id of ['../src/config', '../src/utils/secretBox', '../src/services/users', '../src/middleware/auth', '../src/routes/auth']) {
+    clearModule(id);
+  }
+  return { usersService: require('../src/services/users'), usersPath };
+}
+
+test('TOTP codes match the RFC 6238 SHA-1 vectors', () => {
+  const secret = totp.base32Encode(Buffer.from('12345678901234567890'));
+  assert.equal(secret, 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ');
+  assert.equal(totp.generateCode(secret, 59 * 1000), '287082');
+  assert.equal(totp.generateCode(secret, 1111111109 * 1000), '081804');
+  assert.equal(totp.generateCode(secret, 2000000000 * 1000), '279037');
+
+  const step = totp.verifyCode(secret, '287082', { time: 59 * 1000 });
+  assert.equal(step, 1);
+  assert.equal(totp.verifyCode(secret, '287082', { time: 59 * 1000, afterStep: step }), null);
+  assert.equal(totp.verifyCode(secret, 'abc', { time: 59 * 1000 }), null);
+  assert.match(totp.otpauthUri({ secret, account: 'alice', issuer: 'Dash' }), /^otpauth:\/\/totp\/Dash%3Aalice\?secret=GEZD/);
+});
+
+test('secrets are encrypted and codes are single use', async () => {
+  const { usersService, usersPath } = await freshUsers([
+    { username: 'alice', role: 'editor', passwordHash: 'x' },
+  ]);
+  const secret = totp.generateSecret();
+  await assert.rejects(() => usersService.enableTwoFactor('alice', secret, '000000'), (err) => err.status === 400);
+  const enrollCode = totp.generateCode(secret);
+  const recovery = await usersService.enableTwoFactor('alice', secret, enrollCode);
+  assert.equal(recovery.length, 10);
+
+  const raw = await fs.readFile(usersPath, 'utf8');
+  assert.ok(!raw.includes(secret));
+  assert.ok(!raw.includes(recovery[0]));
+
+  // The enrollment code cannot be replayed.
+  assert.equal(await usersService.verifySecondFactor('alice', enrollCode), null);
+  assert.deepEqual(await usersService.verifySecondFactor('alice', recovery[0].toUpperCase()), { method: 'recovery', recoveryCodesLeft: 9 });
+  assert.equal(await usersService.verifySecondFactor('alice', recovery[0]), null);
+
+  assert.equal((await usersService.getTwoFactorStatus('alice')).enabled, true);
+  assert.equal(await usersService.disableTwoFactor('alice'), true);
+  assert.equal((await usersService.getTwoFactorStatus('alice')).enabled, false);
+});
+
+async function withLoginApp(fn) {
+  const { loginRouter } = require('../src/routes/auth');
+  const app = express();
+  app.set('view engine', 'ejs');
+  app.set('views', path.join(__dirname, '..', 'views'));
+  app.use(session({ name: 'mdb.sid', secret: 'test', resave: false, saveUninitialized: true }));
+  app.use('/login', loginRouter);
+  app.get('/whoami', (req, res) => res.json({ authenticated: !!req.session.authenticated, username: req.session.username }));
+  const server = app.listen(0);
+  const base = `http://127.0.0.1:${server.address().port}`;
+  let cookie = '';
+  const form = async (p, body) => {
+    const res = await fetch(`${base}${p}`, {
+      method: 'POST',
+      redirect: 'manual',
+      headers: { 'content-type': 'application/x-www-form-urlencoded', cookie },
+      body: new URLSearchParams(body).toString(),
+    });
+    const set = res.headers.getSetCookie().find((c) => c.startsWith('mdb.sid='));
+    if (set) cookie = set.split(';')[0];
+    return res;
+  };
+  const whoami = async () => (await fetch(`${base}/whoami`, { headers: { cookie } })).json();
+  try {
+    await fn({ form, whoami });
+  } finally {
+    server.close();
+  }
+}
+
+test('password login asks for the second factor before starting a session', async () => {
+  const { usersService } = await freshUsers([
+    { username: 'alice', role: 'editor', passwordHash: bcrypt.hashSync('alice-password', 4) },
+  ]);
+  const secret = totp.generateSecret();
+  await usersService.enableTwoFactor('alice', secret, totp.generateCode(secret, Date.now() - 30000));
+
+  await withLoginApp(async ({ form, whoami }) => {
+    const first = await form('/login', { username: 'alice', password: 'alice-password', next: '/databases' });
+    assert.equal(first.status, 200);
+    assert.match(await first.text(), /action="\/login\/2fa"/);
+    assert.equal((await whoami()).authenticated, false);
+
+    assert.equal((await form('/login/2fa', { code: '000000' })).status, 401);
+    const ok = await form('/login/2fa', { code: totp.generateCode(secret) });
+    assert.equal(ok.status, 302);
+    assert.equal(ok.headers.get('location'), '/databases');
+    assert.deepEqual(await whoami(), { authenticated: true, username: 'alice' });
+  });
+});
+
+test('admins enroll during sign-in when 2FA is required', async () => {
+  await freshUsers(
+    [{ username: 'root', role: 'admin', passwordHash: bcrypt.hashSync('root-password', 4) }],
+    { requireAdmin: true }
+  );
+  await withLoginApp(async ({ form, whoami }) => {
+    const page = await (await form('/login', { username: 'root', password: 'root-password' })).text();
+    const secret = page.match(/secret=([A-Z2-7]+)/)[1];
+    const done = await form('/login/2fa', { code: totp.generateCode(secret) });
+    assert.equal(done.status, 200);
+    assert.equal((await done.text()).match(/[a-z0-9]{4}-[a-z0-9]{4}-[a-z0-9]{4}/g).length, 10);
+    assert.deepEqual(await whoami(), { authenticated: true, username: 'root' });
+  });
+});
+
+test('own 2FA routes serve password sessions only, not SSO users with a matching name', async () => {
+  const { usersService } = await freshUsers([{ username: 'alice', role: 'editor', passwordHash: 'x' }]);
+  const secret = totp.generateSecret();
+  await usersService.enableTwoFactor('alice', secret, totp.generateCode(secret));
+  clearModule('../src/routes/api/accounts');
+  const sessions = {
+    password: { authenticated: true, username: 'alice', role: 'editor', authMethod: 'password' },
+    oidc: { authenticated: true, username: 'alice', role: 'editor', authMethod: 'oidc' },
+    ldap: { authenticated: true, username: 'alice', role: 'editor', authMethod: 'ldap' },
+  };
+  const app = express();
+  app.use(express.json());
+  app.use((req, _res, next) => { req.session = sessions[req.get('x-as')]; next(); });
+  app.use(require('../src/routes/api/accounts'));
+  const server = app.listen(0);
+  const base = `http://127.0.0.1:${server.address().port}`;
+  const call = (as, method, p, body) => fetch(`${base}${p}`, {
+    method,
+    headers: { 'content-type': 'application/json', 'x-as': as },
+    body: body ? JSON.stringify(body) : undefined,
+  });
+  try {
+    for (const as of ['oidc', 'ldap']) {
+      const status = await call(as, 'GET', '/account/2fa');
+      assert.equal(status.status, 400);
+      assert.match((await status.json()).error, /identity provider/);
+      assert.equal((await call(as, 'POST', '/account/2fa/setup')).status, 400);
+    }
+    // The SSO user cannot turn off the local account's 2FA, even with a code.
+    assert.equal((await call('oidc', 'POST', '/account/2fa/disable', { code: totp.generateCode(secret) })).status, 400);
+    assert.equal((await usersService.getTwoFactorStatus('alice')).enabled, true);
+    assert.equal((await (await call('password', 'GET', '/account/2fa')).json()).enabled, true);
+  } finally {
+    server.close();
+  }
+});
@@ -0,0 +1,223 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { PassThrough } = require("stream");
+const express = require("express");
+const { ObjectId, Long, Decimal128 } = require("mongodb");
+
+process.env.NODE_ENV = "test";
+process.env.AUTH_ENABLED = "false";
+process.env.SESSION_SECRET = "deadbeef".repeat(8);
+
+const { createZipWriter, readDirectory, readEntry, entryStream } = require("../src/utils/zip");
+const { openWorkbook, flattenDocument, createXlsxWriter, fromSerial } = require("../src/utils/xlsx");
+const { xlsxRecords } = require("../src/utils/importParser");
+
+async function collect(write) {
+  const out = new PassThrough();
+  const chunks = [];
+  out.on("data", (c) => chunks.push(c));
+  await write(out);
+  out.end();
+  return Buffer.concat(chunks);
+}
+
+async function allRows(book, sheet) {
+  const rows = [];
+  for await (const row of book.rows(sheet)) rows.push(row);
+  return rows;
+}
+
+async function allRecords(buffer, options) {
+  const records = [];
+  for await (const record of xlsxRecords(buffer, options)) records.push(record);
+  return records;
+}
+
+// A workbook laid out the way Excel saves one: shared strings, a styles
+// part with date formats, prefixed relationship ids, two sheets.
+function excelWorkbook() {
+  const main = 'xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main"';
+  const rel = "http://schemas.openxmlformats.org/officeDocument/2006/relationships";
+  return collect(async (out) => {
+    const zip = createZipWriter(out);
+    await zip.addFile("_rels/.rels", `<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships"><Relationship Id="rId1" Type="${rel}/officeDocument" Target="xl/workbook.xml"/></Relationships>`);
+    await zip.addFile("xl/workbook.xml", `<workbook ${main} xmlns:r="${rel}"><sheets><sheet name="Notes" sheetId="1" r:id="rId3"/><sheet name="Orders &amp; more" sheetId="2" r:id="rId2"/></sheets></workbook>`);
+    await zip.addFile("xl/_rels/workbook.xml.rels", `<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships"><Relationship Id="rId2" Type="${rel}/worksheet" Target="/xl/worksheets/sheet2.xml"/><Relationship Id="rId3" Type="${rel}/worksheet" Target="worksheets/sheet1.xml"/><Relationship Id="rId4" Type="${rel}/sharedStrings" Target="sharedStrings.xml"/><Relationship Id="rId5" Type="${rel}/styles" Target="styles.xml"/></Relationships>`);
+    await zip.addFile("xl/sharedStrings.xml", `<sst ${main}><si><t>name</t></si><si><t>customer.city</t></si><si><t>placed</t></si><si><r><t>Ada </t></r><r><rPr><b/></rPr><t>Lovelace</t></r><rPh><t>x</t></rPh></si><si><t>Oslo</t></si><si><t>total</t></si></sst>`);
+    await zip.addFile("xl/styles.xml", `<styleSheet ${main}><numFmts count="1"><numFmt numFmtId="165" formatCode="&quot;on&quot; dd/mm/yyyy"/></numFmts><cellXfs count="3"><xf numFmtId="0"/><xf numFmtId="14" applyNumberFormat="1"/><xf numFmtId="165" applyNumberFormat="1"/></cellXfs></styleSheet>`);
+    await zip.addFile("xl/worksheets/sheet1.xml", `<worksheet ${main}><sheetData><row r="1"><c r="A1" t="inlineStr"><is><t>ignore me</t></is></c></row></sheetData></worksheet>`);
+    await zip.addFile(
+      "xl/worksheets/sheet2.xml",
+      `<worksheet ${main}><sheetData>` +
+        '<row r="1"><c r="A1" t="str"><f>"Report"</f><v>Report</v></c></row>' +
+        '<row r="2"><c r="A2" t="s"><v>0</v></c><c r="B2" t="s"><v>1</v></c><c r="C2" t="s"><v>2</v></c><c r="D2" t="s"><v>5</v></c><c r="E2" s="1"/></row>' +
+        '<row r="3"><c r="A3" t="s"><v>3</v></c><c r="B3" t="s"><v>4</v></c><c r="C3" s="1"><v>45356</v></c><c r="D3"><v>12.5</v></c><c r="F3"><v>99</v></c></row>' +
+        '<row r="5"><c r="A5" t="inlineStr"><is><t>Bob</t></is></c><c r="C5" s="2"><v>45356.5</v></c><c r="D5" t="e"><v>#DIV/0!</v></c></row>' +
+        '<row r="6"><c r="F6"><v>1</v></c></row>' +
+        '<row r="7"><c r="A7" t="b"><v>1</v></c></row>' +
+        "</sheetData></worksheet>"
+    );
+    zip.finish();
+  });
+}
+
+test("a written workbook is a valid zip that reads back with its types", async () => {
+  const docs = [
+    {
+      _id: new ObjectId("507f1f77bcf86cd799439011"),
+      name: 'A & <b> "q"',
+      address: { city: "Oslo", geo: { lat: 59.9 } },
+      tags: ["x", "y"],
+      at: new Date("2024-03-05T10:20:30Z"),
+      old: new Date("1850-01-01T00:00:00Z"),
+      n: Long.fromString("12"),
+      big: Long.fromString("9007199254740993"),
+      price: Decimal128.fromString("1.25"),
+      ok: true,
+      empty: null,
+      pad: " x ",
+    },
+    { _id: 2, extra: "dropped" },
+  ];
+  const columns = Object.keys(flattenDocument(docs[0]));
+  assert.deepEqual(columns.slice(0, 5), ["_id", "name", "address.city", "address.geo.lat", "tags"]);
+
+  const buffer = await collect(async (out) => {
+    const sheet = await createXlsxWriter(out, { sheet: "orders/2024", columns });
+    for (const doc of docs) {
+      const row = flattenDocument(doc);
+      await sheet.addRow(columns.map((c) => row[c]));
+    }
+    await sheet.end();
+  });
+
+  const entries = readDirectory(buffer);
+  assert.deepEqual([...entries.keys()].sort(), [
+    "[Content_Types].xml",
+    "_rels/.rels",
+    "xl/_rels/workbook.xml.rels",
+    "xl/styles.xml",
+    "xl/workbook.xml",
+    "xl/worksheets/sheet1.xml",
+  ]);
+  const sheetXml = readEntry(buffer, entries.get("xl/worksheets/sheet1.xml")).toString();
+  assert.match(sheetXml, /<c r="F2" s="1"><v>45356\.43090277778<\/v><\/c>/);
+  assert.match(sheetXml, /state="frozen"/);
+
+  const book = openWorkbook(buffer);
+  assert.deepEqual(book.sheets, ["orders_2024"]);
+  const [header, first, second] = await allRows(book);
+  assert.deepEqual(header.cells, columns);
+  const cell = (name) => first.cells[columns.indexOf(name)];
+  assert.equal(cell("_id"), "507f1f77bcf86cd799439011");
+  assert.equal(cell("name"), 'A & <b> "q"');
+  assert.equal(cell("address.geo.lat"), 59.9);
+  assert.equal(cell("tags"), '["x","y"]');
+  assert.deepEqual(cell("at"), new Date("2024-03-05T10:20:30Z"));
+  assert.equal(cell("old"), "1850-01-01T00:00:00.000Z");
+  assert.equal(cell("n"), 12);
+  assert.equal(cell("big"), "9007199254740993");
+  assert.equal(cell("price"), 1.25);
+  assert.equal(cell("ok"), true);
+  assert.equal(cell("empty"), undefined);
+  assert.equal(cell("pad"), " x ");
+  assert.equal(second.cells.filter((c) => c !== undefined).length, 1);
+
+  // Importing the export gives the nested documents back.
+  const [record] = await allRecords(buffer);
+  assert.deepEqual(record.doc.address, { city: "Oslo", geo: { lat: 59.9 } });
+});
+
+test("workbooks are read by sheet and header row, with dates and error cells", async () => {
+  const buffer = await excelWorkbook();
+  const book = openWorkbook(buffer);
+  assert.deepEqual(book.sheets, ["Notes", "Orders & more"]);
+  assert.equal((await allRows(book))[0].cells[0], "ignore me");
+
+  const records = await allRecords(buffer, { sheet: "Orders & more", headerRow: 2 });
+  assert.deepEqual(records, [
+    { row: 3, doc: { name: "Ada Lovelace", customer: { city: "Oslo" }, placed: new Date("2024-03-05T00:00:00Z"), total: 12.5 } },
+    { row: 5, error: "Cell D5 holds #DIV/0!" },
+    { row: 7, doc: { name: true } },
+  ]);
+
+  await assert.rejects(allRecords(buffer, { sheet: "Nope" }), /No sheet named "Nope"; the workbook has "Notes", "Orders & more"/);
+  await assert.rejects(allRecords(buffer, { sheet: "Orders & more", headerRow: 4 }), /Header row 4 is empty/);
+  await assert.rejects(allRecords(buffer, { sheet: "Notes" }), /no data rows/);
+  assert.throws(() => openWorkbook(Buffer.from("a,b\n1,2\n")), (err) => err.status === 400 && /Not a ZIP/.test(err.message));
+
+  assert.deepEqual(fromSerial(1), new Date("1900-01-01T00:00:00Z"));
+  assert.deepEqual(fromSerial(61), new Date("1900-03-01T00:00:00Z"));
+  assert.deepEqual(fromSerial(0, true), new Date("1904-01-01T00:00:00Z"));
+});
+
+test("parts that unpack past the limit are refused, whatever size they claim", async () => {
+  const main = 'xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main"';
+  const bomb = `<sst ${main}>${"<si><t>aaaaaaaaaaaaaaaa</t></si>".repeat(80000)}</sst>`;
+  const sheet = `<worksheet ${main}><sheetData>${'<row><c t="inlineStr"><is><t>x</t></is></c></row>'.repeat(40000)}</sheetData></worksheet>`;
+  const buffer = await collect(async (out) => {
+    const zip = createZipWriter(out);
+    await zip.addFile("xl/workbook.xml", `<workbook ${main}><sheets><sheet name="S" r:id="rId1"/></sheets></workbook>`);
+    await zip.addFile(
+      "xl/_rels/workbook.xml.rels",
+      '<Relationships><Relationship Id="rId1" Type="x/worksheet" Target="worksheets/sheet1.xml"/><Relationship Id="rId2" Type="x/sharedStrings" Target="sharedStrings.xml"/></Relationships>'
+    );
+    await zip.addFile("xl/sharedStrings.xml", bomb);
+    await zip.addFile("xl/worksheets/sheet1.xml", sheet);
+    zip.finish();
+  });
+  assert.ok(buffer.length < bomb.length / 50);
+  const tooLarge = (err) => err.status === 400 && /unpacks to more than 1000000 bytes/.test(err.message);
+
+  // By its declared size...
+  assert.throws(() => openWorkbook(buffer, { maxEntryBytes: 1000000 }), tooLarge);
+  // ...and when the directory understates it.
+  const entries = readDirectory(buffer);
+  const strings = entries.get("xl/sharedStrings.xml");
+  assert.throws(() => readEntry(buffer, { ...strings, size: 10 }, { maxBytes: 1000000 }), tooLarge);
+  const sheetEntry = { ...entries.get("xl/worksheets/sheet1.xml"), size: 10 };
+  await assert.rejects(async () => {
+    for await (const chunk of entryStream(buffer, sheetEntry, { maxBytes: 1000000 })) void chunk;
+  }, tooLarge);
+
+  const book = openWorkbook(buffer, { maxEntryBytes: 4 * 1024 * 1024 });
+  assert.equal((await allRows(book)).length, 40000);
+});
+
+test("GET /export?format=xlsx streams a workbook of the query's documents", async () => {
+  for (const id of ["../src/config", "../src/routes/api/transfer"]) delete require.cache[require.resolve(id)];
+  const mongoService = require("../src/services/mongodb");
+  const original = mongoService.getClient;
+  const docs = Array.from({ length: 3000 }, (_, i) => ({ _id: i, name: `doc ${i}`, meta: { at: new Date(Date.UTC(2024, 0, 1 + (i % 28))) } }));
+  const cursor = () => {
+    let limit = Infinity;
+    const self = {
+      sort: () => self,
+      limit: (n) => {
+        limit = n;
+        return self;
+      },
+      toArray: async () => docs.slice(0, limit),
+      async *[Symbol.asyncIterator]() {
+        yield* docs.slice(0, limit);
+      },
+    };
+    return self;
+  };
+  mongoService.getClient = () => ({ db: () => ({ collection: () => ({ find: cursor }) }) });
+  const app = express();
+  app.use("/", require("../src/routes/api/transfer"));
+  const server = app.listen(0);
+  try {
+    const res = await fetch(`http://127.0.0.1:${server.address().port}/shop/orders/export?format=xlsx&limit=2500`);
+    assert.equal(res.status, 200);
+    assert.equal(res.headers.get("content-type"), "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet");
+    assert.match(res.headers.get("content-disposition"), /orders\.xlsx/);
+    const records = await allRecords(Buffer.from(await res.arrayBuffer()));
+    assert.equal(records.length, 2500);
+    assert.deepEqual(records[29], { row: 31, doc: { _id: 29, name: "doc 29", meta: { at: new Date("2024-01-02T00:00:00Z") } } });
+  } finally {
+    server.close();
+    mongoService.getClient = original;
+  }
+});